@@ -0,0 +1,315 @@
+/**
+ * @fileoverview MIME Header Parsing for the Email Threading Library
+ * @version 2.0.0
+ * @description Reads the top-level header block of a raw RFC 5322 message
+ *
+ * Unlike a regex over the whole raw message, the parser:
+ * - Stops at the first blank line, so quoted bodies, forwarded messages and
+ *   nested MIME parts are never matched
+ * - Unfolds continuation lines (long References headers span many lines)
+ * - Matches header names case-insensitively (Message-ID, Message-Id, ...)
+ * - Decodes RFC 2047 encoded words (=?UTF-8?B?...?= and =?UTF-8?Q?...?=)
+ */
+
+/**
+ * Parsed header block - header names are case-insensitive
+ */
+class MimeHeaderMap {
+  /**
+   * @param {Array<Object>} [fields] - Fields in message order ({ name, value, rawValue })
+   */
+  constructor(fields = []) {
+    this.fields = fields;
+  }
+
+  /**
+   * First value of a header (decoded)
+   * @param {string} name - Header name, any case
+   * @return {string|null} Value or null if absent
+   */
+  get(name) {
+    const field = this.fields.find(f => f.name.toLowerCase() === name.toLowerCase());
+    return field ? field.value : null;
+  }
+
+  /**
+   * All values of a header (decoded), e.g. every Received line
+   * @param {string} name - Header name, any case
+   * @return {Array<string>} Values in message order
+   */
+  getAll(name) {
+    return this.fields
+      .filter(f => f.name.toLowerCase() === name.toLowerCase())
+      .map(f => f.value);
+  }
+
+  /**
+   * First value of a header exactly as it appeared (unfolded, not decoded)
+   * @param {string} name - Header name, any case
+   * @return {string|null} Raw value or null
+   */
+  getRaw(name) {
+    const field = this.fields.find(f => f.name.toLowerCase() === name.toLowerCase());
+    return field ? field.rawValue : null;
+  }
+
+  /**
+   * Check whether a header is present
+   * @param {string} name - Header name, any case
+   * @return {boolean} True if present
+   */
+  has(name) {
+    return this.get(name) !== null;
+  }
+
+  /**
+   * Header names in message order (original case, duplicates removed)
+   * @return {Array<string>} Names
+   */
+  names() {
+    const seen = new Set();
+    return this.fields
+      .map(f => f.name)
+      .filter(n => {
+        const key = n.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * The message's own Message-ID, without angle brackets
+   * @return {string|null} Message ID
+   */
+  getMessageId() {
+    const ids = parseMessageIdList(this.get('Message-ID'));
+    return ids.length > 0 ? ids[0].slice(1, -1) : null;
+  }
+
+  /**
+   * Plain object of lowercase header name to first value
+   * @return {Object} Header map
+   */
+  toObject() {
+    const obj = {};
+    this.fields.forEach(f => {
+      const key = f.name.toLowerCase();
+      if (!(key in obj)) {
+        obj[key] = f.value;
+      }
+    });
+    return obj;
+  }
+}
+
+/**
+ * Parse the top-level header block of a raw message
+ * @param {string} rawContent - Raw message (GmailMessage.getRawContent())
+ * @return {MimeHeaderMap} Parsed headers
+ */
+function parseMimeHeaders(rawContent) {
+  if (!rawContent) {
+    return new MimeHeaderMap();
+  }
+
+  // The header block ends at the first empty line
+  const lines = String(rawContent).split(/\r?\n/);
+  const fields = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === '') {
+      break;
+    }
+
+    if (/^[ \t]/.test(line)) {
+      // Folded continuation of the previous header (RFC 5322 section 2.2.3)
+      if (current) {
+        current.rawValue += line;
+      }
+      continue;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      // Not a header line (e.g. mbox "From " separator) - ignore it
+      current = null;
+      continue;
+    }
+
+    current = {
+      name: line.slice(0, colon).trim(),
+      rawValue: line.slice(colon + 1)
+    };
+    fields.push(current);
+  }
+
+  fields.forEach(field => {
+    field.rawValue = field.rawValue.replace(/\s+/g, ' ').trim();
+    field.value = decodeMimeEncodedWords(field.rawValue);
+  });
+
+  return new MimeHeaderMap(fields);
+}
+
+// =====================================================================
+// RFC 2047 ENCODED WORDS
+// =====================================================================
+
+/**
+ * Decode RFC 2047 encoded words in a header value
+ * Whitespace between adjacent encoded words is dropped, as the RFC requires.
+ * @param {string} value - Header value such as '=?UTF-8?B?w4RyZ2Vy?= im Büro'
+ * @return {string} Decoded text
+ */
+function decodeMimeEncodedWords(value) {
+  if (!value || value.indexOf('=?') === -1) {
+    return value;
+  }
+
+  const encodedWord = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+
+  return value
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(encodedWord, (match, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B' ?
+          decodeBase64Bytes(text) :
+          decodeQuotedPrintableWordBytes(text);
+        return decodeCharsetBytes(bytes, charset.replace(/\*.*$/, ''));
+      } catch (error) {
+        return match;
+      }
+    });
+}
+
+/**
+ * Decode base64 text to unsigned bytes
+ * @param {string} text - Base64 text
+ * @return {Array<number>} Bytes 0-255
+ */
+function decodeBase64Bytes(text) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const clean = text.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const ch of clean) {
+    buffer = (buffer << 6) | alphabet.indexOf(ch);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xFF);
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Decode the "Q" encoding of an encoded word to unsigned bytes
+ * @param {string} text - Q-encoded text ('_' is a space, '=XX' a byte)
+ * @return {Array<number>} Bytes 0-255
+ */
+function decodeQuotedPrintableWordBytes(text) {
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '_') {
+      bytes.push(0x20);
+    } else if (ch === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+      bytes.push(parseInt(text.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(ch.charCodeAt(0) & 0xFF);
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Turn bytes into a string using a MIME charset
+ * UTF-8 and Latin-1 family charsets are decoded here; anything else is
+ * handed to Utilities.newBlob() when running in Apps Script.
+ * @param {Array<number>} bytes - Bytes 0-255
+ * @param {string} charset - Charset name
+ * @return {string} Decoded text
+ */
+function decodeCharsetBytes(bytes, charset) {
+  const name = charset.toLowerCase();
+
+  if (name === 'utf-8' || name === 'utf8') {
+    return decodeUtf8Bytes(bytes);
+  }
+
+  if (['us-ascii', 'iso-8859-1', 'latin1', 'windows-1252', 'cp1252'].includes(name)) {
+    return String.fromCharCode.apply(null, bytes);
+  }
+
+  if (typeof Utilities !== 'undefined' && Utilities.newBlob) {
+    // Apps Script byte arrays are signed
+    const signed = bytes.map(b => (b > 127 ? b - 256 : b));
+    return Utilities.newBlob(signed).getDataAsString(charset);
+  }
+
+  return String.fromCharCode.apply(null, bytes);
+}
+
+/**
+ * Decode UTF-8 bytes (invalid sequences become U+FFFD)
+ * @param {Array<number>} bytes - Bytes 0-255
+ * @return {string} Decoded text
+ */
+function decodeUtf8Bytes(bytes) {
+  let result = '';
+  let i = 0;
+
+  while (i < bytes.length) {
+    const b = bytes[i];
+    let codePoint;
+    let extra;
+
+    if (b < 0x80) {
+      codePoint = b;
+      extra = 0;
+    } else if (b >= 0xC2 && b < 0xE0) {
+      codePoint = b & 0x1F;
+      extra = 1;
+    } else if (b >= 0xE0 && b < 0xF0) {
+      codePoint = b & 0x0F;
+      extra = 2;
+    } else if (b >= 0xF0 && b < 0xF5) {
+      codePoint = b & 0x07;
+      extra = 3;
+    } else {
+      result += '�';
+      i++;
+      continue;
+    }
+
+    let valid = i + extra < bytes.length;
+    for (let j = 1; valid && j <= extra; j++) {
+      const next = bytes[i + j];
+      if ((next & 0xC0) !== 0x80) {
+        valid = false;
+      } else {
+        codePoint = (codePoint << 6) | (next & 0x3F);
+      }
+    }
+
+    if (!valid) {
+      result += '�';
+      i++;
+      continue;
+    }
+
+    result += String.fromCodePoint(codePoint);
+    i += extra + 1;
+  }
+
+  return result;
+}
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Thread Housekeeping for the Email Threading Library
+ * @version 2.0.0
+ * @description Labels, archives, marks read and stars the script owner's copy of a stream's thread
+ *
+ * With `housekeeping` set in the manager config, every successful send tidies
+ * the thread it went into (new or replied):
+ *
+ *   housekeeping: {
+ *     labels: ['Reports/Daily'],  // Created if missing, parents included
+ *     archive: true,              // Out of the owner's inbox
+ *     markRead: true,
+ *     star: false,                // true stars the latest message, false unstars all
+ *     rotated: { labels: ['Reports/Old'], removeLabels: ['Reports/Daily'] }
+ *   }
+ *
+ * When resetThreading (or a rotation policy) retires a thread, the same settings
+ * are applied to it, merged with `rotated` (false skips the retired thread).
+ * Housekeeping never fails a send: problems are added to the result's warnings.
+ *
+ * Only the owner's mailbox changes - recipients never see labels, stars or
+ * read state. A copy that arrives later (e.g. from a group the owner is in)
+ * may bring the thread back to the inbox; call manager.applyHousekeeping()
+ * from a trigger to tidy it again.
+ */
+
+/**
+ * Default housekeeping settings (nothing is changed)
+ */
+const THREAD_HOUSEKEEPING_DEFAULTS = {
+  labels: [],          // Labels to add ('Parent/Child' paths allowed)
+  removeLabels: [],    // Labels to remove
+  archive: false,      // Remove from the inbox
+  markRead: false,     // Mark every message read
+  star: null,          // true: star the latest message, false: unstar every message, null: leave
+  rotated: null        // Overrides for a retired thread; false: leave retired threads alone
+};
+
+/**
+ * Applies housekeeping settings to Gmail threads
+ */
+class ThreadHousekeeper {
+  /**
+   * @param {Object} [config] - Housekeeping settings (see THREAD_HOUSEKEEPING_DEFAULTS)
+   * @param {GmailRetrier} [retry] - Retry layer for the Gmail calls
+   */
+  constructor(config = {}, retry = null) {
+    this.config = { ...THREAD_HOUSEKEEPING_DEFAULTS, ...config };
+    this.retry = retry;
+    this.labelCache = new Map();
+
+    ['labels', 'removeLabels'].forEach(field => {
+      if (!Array.isArray(this.config[field])) {
+        this.config[field] = this.config[field] ? [this.config[field]] : [];
+      }
+    });
+  }
+
+  /**
+   * Settings for a thread retired by resetThreading or rotation
+   * @return {Object|null} Settings, or null to leave retired threads alone
+   */
+  getRotatedSettings() {
+    if (this.config.rotated === false) {
+      return null;
+    }
+
+    const rotated = this.config.rotated || {};
+    const toList = value => (Array.isArray(value) ? value : (value ? [value] : []));
+
+    return {
+      ...this.config,
+      ...rotated,
+      labels: rotated.labels !== undefined ? toList(rotated.labels) : this.config.labels,
+      removeLabels: rotated.removeLabels !== undefined ? toList(rotated.removeLabels) : this.config.removeLabels
+    };
+  }
+
+  /**
+   * Whether the settings change anything
+   * @param {Object} [settings] - Settings (default: the thread settings)
+   * @return {boolean} True if there is something to do
+   */
+  hasWork(settings = this.config) {
+    return !!settings && (settings.labels.length > 0 || settings.removeLabels.length > 0 ||
+      settings.archive === true || settings.markRead === true ||
+      settings.star === true || settings.star === false);
+  }
+
+  /**
+   * Apply settings to a thread
+   * Each step runs on its own, so one failing step does not stop the rest.
+   * @param {GmailThread} thread - Thread to tidy
+   * @param {Object} [settings] - Settings (default: the thread settings)
+   * @return {Object} Report { threadId, labeled, unlabeled, archived, markedRead, starred, errors }
+   */
+  apply(thread, settings = this.config) {
+    const report = {
+      threadId: thread.getId(),
+      labeled: [],
+      unlabeled: [],
+      archived: false,
+      markedRead: false,
+      starred: null,
+      errors: []
+    };
+
+    const step = (name, fn) => {
+      try {
+        fn();
+      } catch (error) {
+        report.errors.push(`${name}: ${error.toString()}`);
+      }
+    };
+
+    settings.labels.forEach(path => step(`label "${path}"`, () => {
+      const label = this.getLabel(path, true);
+      this.run('addLabel', () => thread.addLabel(label));
+      report.labeled.push(path);
+    }));
+
+    settings.removeLabels.forEach(path => step(`remove label "${path}"`, () => {
+      const label = this.getLabel(path, false);
+      if (label) {
+        this.run('removeLabel', () => thread.removeLabel(label));
+        report.unlabeled.push(path);
+      }
+    }));
+
+    if (settings.markRead === true) {
+      step('mark read', () => {
+        this.run('markRead', () => thread.markRead());
+        report.markedRead = true;
+      });
+    }
+
+    if (settings.star === true || settings.star === false) {
+      step(settings.star ? 'star' : 'unstar', () => {
+        const messages = this.run('getMessages', () => thread.getMessages());
+        if (settings.star) {
+          this.run('star', () => messages[messages.length - 1].star());
+        } else {
+          messages.filter(message => message.isStarred())
+            .forEach(message => this.run('unstar', () => message.unstar()));
+        }
+        report.starred = settings.star;
+      });
+    }
+
+    // Last, so labels and stars are already in place if archiving fails
+    if (settings.archive === true) {
+      step('archive', () => {
+        this.run('moveToArchive', () => thread.moveToArchive());
+        report.archived = true;
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Find a label by path, optionally creating it and its parents
+   * @param {string} path - Label name, e.g. 'Reports/Daily'
+   * @param {boolean} create - Create it if missing
+   * @return {GmailLabel|null} Label, or null if missing and not created
+   */
+  getLabel(path, create) {
+    const name = String(path).split('/').map(part => part.trim()).filter(Boolean).join('/');
+    if (!name) {
+      throw new Error(`Invalid label name "${path}"`);
+    }
+
+    if (this.labelCache.has(name)) {
+      return this.labelCache.get(name);
+    }
+
+    let label = this.run('getUserLabelByName', () => GmailApp.getUserLabelByName(name));
+
+    if (!label && create) {
+      // Create parents first so Gmail nests the label under them
+      const parts = name.split('/');
+      for (let depth = 1; depth <= parts.length; depth++) {
+        const partial = parts.slice(0, depth).join('/');
+        label = this.run('getUserLabelByName', () => GmailApp.getUserLabelByName(partial)) ||
+          this.run('createLabel', () => GmailApp.createLabel(partial));
+      }
+    }
+
+    if (label) {
+      this.labelCache.set(name, label);
+    }
+    return label || null;
+  }
+
+  /**
+   * Short description for logs
+   * @param {Object} [settings] - Settings (default: the thread settings)
+   * @return {string} Description
+   */
+  describe(settings = this.config) {
+    const parts = [];
+    if (settings.labels.length > 0) parts.push(`label ${settings.labels.join(', ')}`);
+    if (settings.removeLabels.length > 0) parts.push(`unlabel ${settings.removeLabels.join(', ')}`);
+    if (settings.markRead === true) parts.push('mark read');
+    if (settings.star === true) parts.push('star');
+    if (settings.star === false) parts.push('unstar');
+    if (settings.archive === true) parts.push('archive');
+    return parts.join(', ') || 'nothing';
+  }
+
+  /**
+   * Settings that recreate this housekeeper in a later execution (see createThreadHousekeeper)
+   * @return {Object} Housekeeping settings
+   */
+  toSpec() {
+    return { ...this.config };
+  }
+
+  /**
+   * @private
+   */
+  run(operation, fn) {
+    return this.retry ? this.retry.run(operation, fn) : fn();
+  }
+}
+
+/**
+ * Build a housekeeper from a manager's config.housekeeping value
+ * @param {Object|ThreadHousekeeper|null} spec - Settings, a ThreadHousekeeper, or nothing
+ * @param {GmailRetrier} [retry] - Retry layer for the Gmail calls
+ * @return {ThreadHousekeeper|null} Housekeeper, or null without settings
+ */
+function createThreadHousekeeper(spec, retry = null) {
+  if (!spec) {
+    return null;
+  }
+  if (typeof spec.apply === 'function' && typeof spec.getRotatedSettings === 'function') {
+    return spec;
+  }
+  return new ThreadHousekeeper(spec, retry);
+}
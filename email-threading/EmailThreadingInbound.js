@@ -0,0 +1,771 @@
+/**
+ * @fileoverview Inbound Reply Processing for the Email Threading Library
+ * @version 2.0.0
+ * @description Reads replies people send into managed threads and hands them to handlers
+ *
+ * An InboundReplyProcessor polls the threads of its streams (the current thread,
+ * plus the previous and archived ones after a rotation or reset) for messages it
+ * has not processed yet. The script's own sends (the owner, its aliases and the
+ * stream's from address) and drafts are skipped. Each reply is cleaned - quoted
+ * history and signatures removed - and passed to every onReply handler:
+ *
+ *   const inbound = new InboundReplyProcessor({ streams: [manager] })
+ *     .onReply((message, context) => {
+ *       sheet.appendRow([message.date, message.fromAddress, message.body, context.streamKey]);
+ *     });
+ *   inbound.poll();
+ *
+ * With relay on, a reply that did not go to the stream's recipients (someone hit
+ * "Reply" and answered only the script owner) is first relayed into the thread
+ * for them, with attribution - see ReplyRelay. Streams opt out with
+ * relayReplies: false in their manager config.
+ *
+ * Processing rules:
+ * - A message is marked processed once the relay (if any) and every handler returned
+ * - If a handler throws, the message is tried again on the next poll; after
+ *   maxAttempts it is marked processed and reported as failed
+ * - Only one poll runs at a time (a lease in the state store)
+ *
+ * Storage layout (in the processor's state store):
+ *   <namespace>:stream:<streamKey> -> { ids: [...], failures: { id: count }, lastPollAt }
+ *   <namespace>:lease              -> Time until which a poll holds the processor
+ */
+
+/**
+ * Default namespace for inbound keys
+ */
+const INBOUND_REPLY_NAMESPACE = 'emailInbound';
+
+/**
+ * Default inbound settings
+ */
+const INBOUND_REPLY_DEFAULTS = {
+  namespace: INBOUND_REPLY_NAMESPACE,
+  since: null,                 // Ignore messages older than this Date
+  stripQuotes: true,           // Remove "On ... wrote:" history and > lines
+  stripSignatures: true,       // Remove "-- " signatures and "Sent from my ..." lines
+  maxProcessedIds: 300,        // Message IDs remembered per stream (keeps the value under 9 KB)
+  maxAttempts: 3,              // Polls a failing message is tried in before it is skipped
+  relay: false,                // true or ReplyRelay options: relay replies that missed the group
+  triggerFunction: null,       // Your function that builds the processor and calls poll()
+  triggerMinutes: 15,          // 1, 5, 10, 15 or 30
+  lockWaitMs: 10000,           // Wait for the script lock when taking the lease
+  maxRuntimeMs: 270000         // Stop before Apps Script's 6 minute limit
+};
+
+/**
+ * Polls managed threads for replies and calls handlers for each new one
+ */
+class InboundReplyProcessor {
+  /**
+   * @param {Object} [config] - Inbound settings (see INBOUND_REPLY_DEFAULTS)
+   * @param {Array<EmailThreadingManager>} [config.streams] - Streams to poll
+   * @param {EmailThreadRegistry} [config.registry] - Poll every stream of a registry
+   * @param {Function} [config.onReply] - Handler (message, context), same as onReply()
+   * @param {string|Object} [config.stateStore='script'] - Where processed IDs are kept
+   * @param {boolean|Object|ReplyRelay} [config.relay=false] - Relay replies that missed the
+   *        stream's recipients (see REPLY_RELAY_DEFAULTS)
+   */
+  constructor(config = {}) {
+    const { streams, registry, onReply, stateStore, ...settings } = config;
+
+    this.config = { ...INBOUND_REPLY_DEFAULTS, ...settings };
+    this.stateStore = createThreadStateStore(stateStore);
+    this.namespace = this.config.namespace;
+    this.streams = (streams || []).slice();
+    this.registry = registry || null;
+    this.relay = this.config.relay ? createReplyRelay(this.config.relay) : null;
+    this.handlers = [];
+
+    if (onReply) {
+      this.onReply(onReply);
+    }
+  }
+
+  // =====================================================================
+  // SETUP
+  // =====================================================================
+
+  /**
+   * Register a handler for new replies
+   * Handlers run in registration order. The message has { id, threadId, messageId,
+   * from, fromName, fromAddress, to, cc, subject, date, body, fullBody, quoted,
+   * signature, htmlBody, attachments, gmailMessage, relay }; the context has { streamKey,
+   * manager, threadId, isCurrentThread, processor }. message.relay is the relay
+   * decision ({ relay, reason, result }) when relay mode is on, otherwise null.
+   * @param {Function} handler - (message, context) => void
+   * @return {InboundReplyProcessor} This processor, for chaining
+   */
+  onReply(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('onReply handler must be a function');
+    }
+    this.handlers.push(handler);
+    return this;
+  }
+
+  /**
+   * Add a stream to poll
+   * @param {EmailThreadingManager} manager - Manager of the stream
+   * @return {InboundReplyProcessor} This processor, for chaining
+   */
+  addStream(manager) {
+    this.streams.push(manager);
+    return this;
+  }
+
+  /**
+   * Managers of every stream to poll (registry streams included)
+   * @return {Array<EmailThreadingManager>} Managers
+   */
+  getStreams() {
+    const fromRegistry = this.registry ?
+      this.registry.listStreams().map(record => this.registry.getManager(record.key)) :
+      [];
+    return this.streams.concat(fromRegistry);
+  }
+
+  // =====================================================================
+  // POLLING
+  // =====================================================================
+
+  /**
+   * Process new replies in every stream
+   * @return {Object} Summary { processed, failed, skipped, relayed, deferred, streams,
+   *         replies, stoppedReason }
+   */
+  poll() {
+    const summary = {
+      processed: 0,   // Replies every handler accepted
+      failed: 0,      // Replies a handler threw on (tried again next poll)
+      skipped: 0,     // Own sends, drafts and messages before `since`
+      relayed: 0,     // Replies relayed to the stream's recipients
+      deferred: 0,    // Replies left for the next poll (relay limit reached)
+      streams: 0,
+      replies: [],    // { streamKey, id, from, status, relayed, error }
+      stoppedReason: null
+    };
+
+    if (this.handlers.length === 0 && !this.relay) {
+      throw new Error('No onReply handlers registered and relay is off - nothing would process the replies');
+    }
+
+    if (!this.acquireLease()) {
+      summary.stoppedReason = 'Another poll is running';
+      return summary;
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const ownAddresses = getOwnAddresses();
+
+      for (const manager of this.getStreams()) {
+        if (Date.now() - startedAt > this.config.maxRuntimeMs) {
+          summary.stoppedReason = 'Runtime limit reached; the rest waits for the next poll';
+          break;
+        }
+
+        summary.streams++;
+        this.pollStream(manager, ownAddresses, summary);
+      }
+    } finally {
+      this.releaseLease();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Process new replies in one stream
+   * @private
+   * @param {EmailThreadingManager} manager - Stream manager
+   * @param {Set<string>} ownAddresses - Lowercase addresses the script sends from
+   * @param {Object} summary - Poll summary to update
+   */
+  pollStream(manager, ownAddresses, summary) {
+    const streamKey = manager.config.streamKey;
+    const state = this.readStreamState(streamKey);
+    const processed = new Set(state.ids);
+    const currentThreadId = manager.stateStore.get(manager.stateKeys.threadId);
+    const senders = new Set(ownAddresses);
+
+    if (manager.config.from) {
+      senders.add(manager.config.from.toLowerCase());
+    }
+
+    this.getStreamThreadIds(manager).forEach(threadId => {
+      const thread = manager.getThread(threadId);
+      if (!thread) {
+        return;
+      }
+
+      const messages = manager.retry.run('getMessages', () => thread.getMessages());
+      messages.forEach(gmailMessage => {
+        const id = gmailMessage.getId();
+        if (processed.has(id)) {
+          return;
+        }
+
+        if (this.isSkipped(gmailMessage, senders)) {
+          summary.skipped++;
+          return;
+        }
+
+        const message = this.buildMessage(gmailMessage, threadId);
+        message.relay = this.relay ? this.relay.check(message, manager) : null;
+
+        if (message.relay && message.relay.relay && summary.relayed >= this.relay.config.maxPerPoll) {
+          summary.deferred++;
+          return;
+        }
+
+        const context = {
+          streamKey: streamKey,
+          manager: manager,
+          threadId: threadId,
+          isCurrentThread: threadId === currentThreadId,
+          processor: this
+        };
+        const entry = {
+          streamKey: streamKey,
+          id: id,
+          from: message.fromAddress,
+          status: 'processed',
+          relayed: false,
+          error: null
+        };
+
+        try {
+          // A retried relay is not sent twice: its idempotency key returns the first result
+          if (message.relay && message.relay.relay) {
+            message.relay.result = this.relay.send(message, manager);
+            entry.relayed = true;
+            summary.relayed++;
+          }
+          this.handlers.forEach(handler => handler(message, context));
+          summary.processed++;
+        } catch (error) {
+          const attempts = (state.failures[id] || 0) + 1;
+          entry.status = 'failed';
+          entry.error = error.toString();
+          summary.failed++;
+          manager.logger.warn(`Reply ${id} from ${message.fromAddress} failed (attempt ${attempts})`, {
+            action: 'inbound',
+            error: error
+          });
+
+          if (attempts < this.config.maxAttempts) {
+            state.failures[id] = attempts;
+            this.writeStreamState(streamKey, state);
+            summary.replies.push(entry);
+            return;
+          }
+          manager.logger.error(`Giving up on reply ${id} after ${attempts} attempts`, { action: 'inbound' });
+        }
+
+        // Saved after every reply so a timed-out poll never repeats finished ones
+        delete state.failures[id];
+        state.ids.push(id);
+        processed.add(id);
+        this.writeStreamState(streamKey, state);
+        summary.replies.push(entry);
+      });
+    });
+
+    state.lastPollAt = new Date().toISOString();
+    this.writeStreamState(streamKey, state);
+  }
+
+  /**
+   * Threads of a stream that can still receive replies
+   * @private
+   * @param {EmailThreadingManager} manager - Stream manager
+   * @return {Array<string>} Thread IDs, current thread first
+   */
+  getStreamThreadIds(manager) {
+    const ids = [
+      manager.stateStore.get(manager.stateKeys.threadId),
+      manager.stateStore.get(manager.stateKeys.previousThreadId),
+      manager.stateStore.get(manager.stateKeys.archivedThreadId)
+    ];
+    return ids.filter((id, index) => id && ids.indexOf(id) === index);
+  }
+
+  /**
+   * Whether a message is not a reply to process
+   * @private
+   */
+  isSkipped(gmailMessage, senders) {
+    if (gmailMessage.isDraft()) {
+      return true;
+    }
+
+    const from = parseAddressList(gmailMessage.getFrom())[0];
+    if (from && from.valid && senders.has(from.address.toLowerCase())) {
+      return true;
+    }
+
+    return !!this.config.since && gmailMessage.getDate().getTime() < new Date(this.config.since).getTime();
+  }
+
+  /**
+   * Build the message passed to handlers
+   * @private
+   * @param {GmailMessage} gmailMessage - Reply
+   * @param {string} threadId - Thread the reply is in
+   * @return {Object} Message (see onReply)
+   */
+  buildMessage(gmailMessage, threadId) {
+    const from = parseAddressList(gmailMessage.getFrom())[0] || { name: '', address: gmailMessage.getFrom() };
+    const fullBody = gmailMessage.getPlainBody() || convertHtmlToPlainText(gmailMessage.getBody() || '');
+    const parts = parseReplyText(fullBody, {
+      stripQuotes: this.config.stripQuotes,
+      stripSignatures: this.config.stripSignatures
+    });
+
+    return {
+      id: gmailMessage.getId(),
+      threadId: threadId,
+      messageId: gmailMessage.getHeader('Message-ID') || null,
+      from: gmailMessage.getFrom(),
+      fromName: from.name,
+      fromAddress: from.address,
+      to: gmailMessage.getTo(),
+      cc: gmailMessage.getCc(),
+      subject: gmailMessage.getSubject(),
+      date: gmailMessage.getDate(),
+      body: parts.text,
+      fullBody: fullBody,
+      quoted: parts.quoted,
+      signature: parts.signature,
+      htmlBody: gmailMessage.getBody(),
+      attachments: gmailMessage.getAttachments(),
+      gmailMessage: gmailMessage
+    };
+  }
+
+  // =====================================================================
+  // PROCESSED STATE
+  // =====================================================================
+
+  /**
+   * Forget which replies of a stream were processed (the next poll repeats them)
+   * @param {string} streamKey - Stream key
+   */
+  resetStream(streamKey) {
+    this.stateStore.delete(this.key(`stream:${streamKey}`));
+  }
+
+  /**
+   * Mark every current message of a stream as processed without calling handlers
+   * Use before the first poll to skip replies that arrived earlier.
+   * @param {EmailThreadingManager} manager - Stream manager
+   * @return {number} Messages marked
+   */
+  markAllProcessed(manager) {
+    const streamKey = manager.config.streamKey;
+    const state = this.readStreamState(streamKey);
+    let marked = 0;
+
+    this.getStreamThreadIds(manager).forEach(threadId => {
+      const thread = manager.getThread(threadId);
+      if (thread) {
+        thread.getMessages().forEach(message => {
+          if (!state.ids.includes(message.getId())) {
+            state.ids.push(message.getId());
+            marked++;
+          }
+        });
+      }
+    });
+
+    this.writeStreamState(streamKey, state);
+    return marked;
+  }
+
+  /**
+   * Processed state of a stream
+   * @param {string} streamKey - Stream key
+   * @return {Object} { ids, failures, lastPollAt }
+   */
+  readStreamState(streamKey) {
+    const raw = this.stateStore.get(this.key(`stream:${streamKey}`));
+    const state = raw ? JSON.parse(raw) : {};
+    return { ids: state.ids || [], failures: state.failures || {}, lastPollAt: state.lastPollAt || null };
+  }
+
+  /**
+   * @private
+   */
+  writeStreamState(streamKey, state) {
+    // Oldest IDs go first; they belong to messages long since processed
+    const ids = state.ids.slice(-this.config.maxProcessedIds);
+    this.stateStore.set(this.key(`stream:${streamKey}`), JSON.stringify({ ...state, ids: ids }));
+    state.ids = ids;
+  }
+
+  // =====================================================================
+  // TRIGGER
+  // =====================================================================
+
+  /**
+   * Install a time-driven trigger for config.triggerFunction if it is missing
+   * Handlers cannot be stored, so the trigger must call your own function that
+   * builds the processor and calls poll().
+   */
+  ensureTrigger() {
+    const handler = this.config.triggerFunction;
+    if (!handler) {
+      throw new Error('Set triggerFunction to the name of your function that calls poll()');
+    }
+
+    const exists = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === handler);
+    if (!exists) {
+      ScriptApp.newTrigger(handler)
+        .timeBased()
+        .everyMinutes(this.config.triggerMinutes)
+        .create();
+    }
+  }
+
+  /**
+   * Remove the polling trigger
+   */
+  removeTrigger() {
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === this.config.triggerFunction)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  }
+
+  // =====================================================================
+  // STORAGE
+  // =====================================================================
+
+  /**
+   * @private
+   */
+  key(suffix) {
+    return `${this.namespace}:${suffix}`;
+  }
+
+  /**
+   * Check whether a state key belongs to this processor
+   * @param {string} stateKey - Raw state key
+   * @return {boolean} True if the key is an inbound key
+   */
+  ownsKey(stateKey) {
+    return stateKey.startsWith(`${this.namespace}:`);
+  }
+
+  /**
+   * Take the poll lease
+   * @private
+   * @return {boolean} True if no other poll holds it
+   */
+  acquireLease() {
+    let acquired = false;
+
+    this.withLock(() => {
+      const until = Number(this.stateStore.get(this.key('lease')) || 0);
+      if (until < Date.now()) {
+        this.stateStore.set(this.key('lease'), String(Date.now() + this.config.maxRuntimeMs + 60000));
+        acquired = true;
+      }
+    });
+
+    return acquired;
+  }
+
+  /**
+   * @private
+   */
+  releaseLease() {
+    this.stateStore.delete(this.key('lease'));
+  }
+
+  /**
+   * Run fn while holding the script lock (reuses a lock this execution already holds)
+   * @private
+   */
+  withLock(fn) {
+    const lock = LockService.getScriptLock();
+    const held = lock.hasLock();
+
+    if (!held) {
+      lock.waitLock(this.config.lockWaitMs);
+    }
+
+    try {
+      return fn();
+    } finally {
+      if (!held) {
+        lock.releaseLock();
+      }
+    }
+  }
+}
+
+// =====================================================================
+// REPLY RELAY
+// =====================================================================
+
+/**
+ * Header that marks a relayed message (its value is the relayed reply's Gmail ID)
+ */
+const REPLY_RELAY_HEADER = 'X-Email-Threading-Relay';
+
+/**
+ * Start of the attribution line of a relayed message
+ */
+const REPLY_RELAY_PREFIX = '↪ Reply from';
+
+/**
+ * Default relay settings
+ */
+const REPLY_RELAY_DEFAULTS = {
+  maxPerPoll: 10,              // Relays sent per poll; the rest wait for the next poll
+  includeAttachments: true,    // Attach the reply's attachments to the relay
+  skipAutoReplies: true,       // Never relay out-of-office and other automatic replies
+  timeFormat: 'MMM d, yyyy HH:mm'
+};
+
+/**
+ * Relays replies that missed the stream's recipients back into the thread
+ *
+ * Loop protection - a message is never relayed when it:
+ * - Was sent by the script (the processor skips the owner, aliases and from)
+ * - Carries the relay header, or its new text starts with the relay attribution
+ * - Is an automatic reply (Auto-Submitted, X-Autoreply, "Out of Office" subjects)
+ * - Already reached a configured recipient, or only the sender is configured
+ * Each relay is sent with idempotency key 'relay:<message id>', so a retried
+ * poll never sends the same relay twice, and with Auto-Submitted: auto-generated
+ * so other automations leave it alone.
+ */
+class ReplyRelay {
+  /**
+   * @param {Object} [config] - Relay settings (see REPLY_RELAY_DEFAULTS)
+   */
+  constructor(config = {}) {
+    this.config = { ...REPLY_RELAY_DEFAULTS, ...config };
+  }
+
+  /**
+   * Decide whether a reply needs relaying
+   * @param {Object} message - Message built by InboundReplyProcessor
+   * @param {EmailThreadingManager} manager - Stream manager
+   * @return {Object} { relay, reason, result: null }
+   */
+  check(message, manager) {
+    const decision = (relay, reason) => ({ relay: relay, reason: reason, result: null });
+    const gmailMessage = message.gmailMessage;
+
+    if (manager.config.relayReplies === false) {
+      return decision(false, 'Stream opted out (relayReplies: false)');
+    }
+
+    if (gmailMessage.getHeader(REPLY_RELAY_HEADER) || String(message.body).startsWith(REPLY_RELAY_PREFIX)) {
+      return decision(false, 'Message is a relay');
+    }
+
+    if (this.config.skipAutoReplies && isAutomaticReply(message)) {
+      return decision(false, 'Automatic reply');
+    }
+
+    const configured = parseAddressList(manager.config.recipientEmail).map(entry => entry.address.toLowerCase());
+    const reached = parseAddressList([message.to, message.cc].filter(Boolean).join(', '))
+      .filter(entry => entry.valid)
+      .map(entry => entry.address.toLowerCase());
+
+    if (configured.some(address => reached.includes(address))) {
+      return decision(false, 'Addressed to the recipients');
+    }
+
+    const sender = String(message.fromAddress).toLowerCase();
+    if (configured.every(address => address === sender)) {
+      return decision(false, 'Sender is the only recipient');
+    }
+
+    return decision(true, `Sent only to ${reached.join(', ') || 'nobody'}`);
+  }
+
+  /**
+   * Relay a reply into the thread it was sent in
+   * A relay held in the outbox counts as relayed; the outbox sends it.
+   * @param {Object} message - Message built by InboundReplyProcessor
+   * @param {EmailThreadingManager} manager - Stream manager
+   * @return {SendResult} Result of the relay send (action 'queued' when held in the outbox)
+   * @throws {Error} When the relay could not be sent (the reply is tried again next poll)
+   */
+  send(message, manager) {
+    const options = {
+      threadId: message.threadId,
+      idempotencyKey: `relay:${message.id}`,
+      headers: { [REPLY_RELAY_HEADER]: message.id, 'Auto-Submitted': 'auto-generated' }
+    };
+    if (this.config.includeAttachments && message.attachments.length > 0) {
+      options.attachments = message.attachments;
+    }
+
+    const result = manager.sendThreadedEmail(this.renderBody(message), options);
+    const queued = result.action === SEND_ACTIONS.QUEUED;
+    if (!result.success && !queued) {
+      throw new Error(`Relay of reply ${message.id} failed: ${result.errorMessage}`);
+    }
+
+    manager.logger.info(`${queued ? 'Queued relay of' : 'Relayed'} reply from ${message.fromAddress} ` +
+      `to ${manager.config.recipientEmail}`, {
+      action: 'relay',
+      threadId: result.threadId || message.threadId
+    });
+    return result;
+  }
+
+  /**
+   * HTML body of a relay: attribution, then the reply quoted
+   * @param {Object} message - Message built by InboundReplyProcessor
+   * @return {string} HTML
+   */
+  renderBody(message) {
+    const date = Utilities.formatDate(message.date, Session.getScriptTimeZone(), this.config.timeFormat);
+    const sentTo = [message.to, message.cc].filter(Boolean).join(', ');
+    const text = escapeHtml(message.body || '(no text)').replace(/\n/g, '<br>');
+
+    return `<p style="color:#5f6368;">${REPLY_RELAY_PREFIX} <strong>${escapeHtml(message.from)}</strong> ` +
+      `on ${escapeHtml(date)}, sent only to ${escapeHtml(sentTo)}. Relayed automatically.</p>\n` +
+      `<blockquote style="margin:0 0 0 8px;padding-left:12px;border-left:3px solid #ccc;">${text}</blockquote>`;
+  }
+}
+
+/**
+ * Build a relay from InboundReplyProcessor's relay option
+ * @param {boolean|Object|ReplyRelay} spec - true for the defaults, options, or a ReplyRelay
+ * @return {ReplyRelay} Relay
+ */
+function createReplyRelay(spec) {
+  if (spec && typeof spec.check === 'function' && typeof spec.send === 'function') {
+    return spec;
+  }
+  return new ReplyRelay(spec === true ? {} : spec);
+}
+
+/**
+ * Whether a message is an automatic reply (RFC 3834 and common conventions)
+ * @private
+ */
+function isAutomaticReply(message) {
+  const gmailMessage = message.gmailMessage;
+  const autoSubmitted = (gmailMessage.getHeader('Auto-Submitted') || '').trim().toLowerCase();
+
+  return (autoSubmitted !== '' && autoSubmitted !== 'no') ||
+    !!gmailMessage.getHeader('X-Autoreply') ||
+    /^(automatic reply|auto(matic)?[- ]?reply|out of (the )?office|autosvar|abwesenheitsnotiz)\b/i.test(message.subject || '');
+}
+
+// =====================================================================
+// REPLY TEXT
+// =====================================================================
+
+/**
+ * Lines that start the quoted history of a reply
+ */
+const REPLY_QUOTE_HEADERS = [
+  /^On\b.{0,200}\bwrote:\s*$/i,                 // Gmail, Apple Mail
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i,     // Outlook
+  /^_{10,}\s*$/,                                // Outlook web separator
+  /^From:\s.+$/i,                               // Outlook header block (with Sent:/Date: below)
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i
+];
+
+/**
+ * Lines that start a signature
+ */
+const REPLY_SIGNATURE_MARKERS = [
+  /^--\s?$/,                                    // RFC 3676 delimiter
+  /^Sent from my\s.+$/i,
+  /^Get Outlook for\s.+$/i
+];
+
+/**
+ * Split a plain-text reply into the new text, the quoted history and the signature
+ * @param {string} body - Plain-text body
+ * @param {Object} [options]
+ * @param {boolean} [options.stripQuotes=true] - Remove quoted history
+ * @param {boolean} [options.stripSignatures=true] - Remove the signature
+ * @return {Object} { text, quoted, signature } - quoted and signature are '' when absent
+ */
+function parseReplyText(body, options = {}) {
+  const lines = String(body || '').replace(/\r\n?/g, '\n').split('\n');
+  let quoteStart = lines.length;
+  let signatureStart = lines.length;
+
+  if (options.stripQuotes !== false) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      // Gmail wraps long "On ... wrote:" lines, so also try this line joined with the next
+      const joined = i + 1 < lines.length ? `${line} ${lines[i + 1].trim()}` : line;
+
+      if (/^>/.test(line) && lines.slice(i).every(rest => /^(>|\s*$)/.test(rest.trim()))) {
+        quoteStart = i;
+        break;
+      }
+      if (REPLY_QUOTE_HEADERS.some(pattern => pattern.test(line)) && isQuoteHeader(lines, i)) {
+        quoteStart = i;
+        break;
+      }
+      if (/^On\b/i.test(line) && REPLY_QUOTE_HEADERS[0].test(joined)) {
+        quoteStart = i;
+        break;
+      }
+    }
+  }
+
+  if (options.stripSignatures !== false) {
+    for (let i = 0; i < quoteStart; i++) {
+      if (REPLY_SIGNATURE_MARKERS.some(pattern => pattern.test(lines[i].trim()))) {
+        signatureStart = i;
+        break;
+      }
+    }
+  }
+
+  const textEnd = Math.min(quoteStart, signatureStart);
+  const quotedLines = lines.slice(quoteStart)
+    .map(line => line.replace(/^\s*>\s?/, ''));
+
+  return {
+    text: lines.slice(0, textEnd).join('\n').trim(),
+    quoted: quotedLines.join('\n').trim(),
+    signature: lines.slice(signatureStart, quoteStart).join('\n').trim()
+  };
+}
+
+/**
+ * Whether a matching line really starts quoted history
+ * A "From:" line only counts when a Sent:/Date: line follows, as in Outlook.
+ * @private
+ */
+function isQuoteHeader(lines, index) {
+  if (!/^From:\s/i.test(lines[index].trim())) {
+    return true;
+  }
+  return lines.slice(index + 1, index + 4).some(line => /^(Sent|Date):\s/i.test(line.trim()));
+}
+
+/**
+ * Lowercase addresses the script sends from (owner and send-as aliases)
+ * @private
+ * @return {Set<string>} Addresses
+ */
+function getOwnAddresses() {
+  const addresses = new Set();
+
+  try {
+    addresses.add(Session.getEffectiveUser().getEmail().toLowerCase());
+  } catch (error) {
+    // Without the owner's address only the aliases and config.from are skipped
+  }
+
+  GmailApp.getAliases().forEach(alias => addresses.add(alias.toLowerCase()));
+  return addresses;
+}
@@ -0,0 +1,870 @@
+/**
+ * @fileoverview Send Ledger for the Email Threading Library
+ * @version 2.0.0
+ * @description Persistent, queryable history of every send, kept per stream
+ *
+ * With `ledger` set in the manager config, every sendThreadedEmail call (and
+ * every email the outbox sends later) adds one entry:
+ *   { timestamp, streamKey, action, outcome, threadId, messageId, messageIdHeader,
+ *     recipients: { to, cc, bcc }, subject, bodyHash, errorType, error,
+ *     correlationId, outboxId }
+ *
+ * outcome is 'sent', 'queued' or 'failed' (see SEND_LEDGER_OUTCOMES). Dry runs
+ * and duplicate sends are not recorded - nothing was sent. bodyHash is the same
+ * SHA-256 used for duplicate detection, so two entries with the same hash
+ * carried the same content.
+ *
+ * Retention:
+ * - Each stream keeps its newest maxEntries entries, none older than maxAgeDays
+ * - All streams together stay under maxStoreSize characters, shared evenly, so
+ *   about 50 streams fit the defaults
+ * - In a properties store, recording stops while less than minFreeSpace is left,
+ *   since thread IDs and the outbox share the store and matter more than history
+ * - Entries leaving the store go to the overflow sheet when one is configured
+ *   (one row per entry, oldest rows deleted beyond its maxRows), otherwise they
+ *   are dropped
+ *
+ * Queries read the store and the overflow sheet:
+ *   ledger.getSends('dailyReport', { days: 30 })  // Sends for a stream in the last 30 days
+ *   ledger.getFailures({ since: 'week' })          // All failures this week
+ *   ledger.query({ action: 'created', since: '2026-10-01' })
+ *
+ * Storage layout (in the ledger state store):
+ *   <namespace>:streams           -> [streamKey, ...]
+ *   <namespace>:stream:<key>      -> { pages: [n, ...], next, count, size } (oldest page first)
+ *   <namespace>:stream:<key>:<n>  -> [entry, ...] oldest first, each page under the
+ *                                    9 KB PropertiesService value limit
+ */
+
+/**
+ * Default namespace for ledger keys
+ */
+const SEND_LEDGER_NAMESPACE = 'sendLedger';
+
+/**
+ * Outcome of a recorded send
+ */
+const SEND_LEDGER_OUTCOMES = {
+  SENT: 'sent',       // The email went out (replied, created, fallback_created)
+  QUEUED: 'queued',   // Held in the outbox; its delivery is recorded separately
+  FAILED: 'failed'    // Nothing was sent (including lock timeouts)
+};
+
+/**
+ * Default ledger settings
+ */
+const SEND_LEDGER_DEFAULTS = {
+  namespace: SEND_LEDGER_NAMESPACE,
+  maxEntries: 25,         // Entries kept per stream in the store (null: no limit)
+  maxAgeDays: 90,         // Older entries leave the store (null keeps them)
+  maxStoreSize: 200000,   // Characters all streams may use, shared evenly (null: no limit)
+  minFreeSpace: 50000,    // Properties stores: stop recording with less room left than this
+  pageSize: 8000,         // Characters per stored page
+  weekStartsOn: 1,        // First day of week for since: 'week' (0 = Sunday)
+  lockWaitMs: 10000,
+  overflow: null          // Sheet for entries leaving the store (see SpreadsheetSendLedgerArchive)
+};
+
+/**
+ * Longest text kept for the subject, the error and each recipient list
+ */
+const SEND_LEDGER_TEXT_LIMITS = {
+  subject: 250,
+  error: 500,
+  recipients: 1000
+};
+
+/**
+ * Persistent history of sends, per stream
+ */
+class SendLedger {
+  /**
+   * @param {Object} [config] - Ledger settings (see SEND_LEDGER_DEFAULTS)
+   * @param {string|Object} [config.stateStore='script'] - Where the entries are kept
+   * @param {Object|SpreadsheetSendLedgerArchive} [config.overflow] - Sheet for entries
+   *        leaving the store ({ spreadsheetId, sheetName, maxRows })
+   * @throws {Error} When maxStoreSize and minFreeSpace do not fit a properties store
+   */
+  constructor(config = {}) {
+    this.config = { ...SEND_LEDGER_DEFAULTS, ...config };
+    this.stateStore = createThreadStateStore(config.stateStore);
+    this.namespace = this.config.namespace;
+    this.archive = this.config.overflow ? createSendLedgerArchive(this.config.overflow) : null;
+
+    const { maxStoreSize, minFreeSpace } = this.config;
+    if (this.isSizeLimited() && (maxStoreSize === null || maxStoreSize + minFreeSpace > PROPERTIES_STORE_LIMIT)) {
+      throw new Error(`Ledger maxStoreSize (${maxStoreSize}) plus minFreeSpace (${minFreeSpace}) must fit ` +
+        `the ${PROPERTIES_STORE_LIMIT}-character limit of ${this.stateStore.describe()}`);
+    }
+  }
+
+  // =====================================================================
+  // RECORDING
+  // =====================================================================
+
+  /**
+   * Add a send to its stream's history
+   * @param {SendResult} result - Outcome of the send
+   * @param {Object} [details] - Extra fields
+   * @param {string} [details.bodyHash] - Content hash (see EmailThreadingManager.hashContent)
+   * @return {Object} The recorded entry
+   */
+  record(result, details = {}) {
+    const entry = buildSendLedgerEntry(result, details);
+    if (!entry.streamKey) {
+      throw new Error('Cannot record a send without a streamKey');
+    }
+
+    this.withLock(() => {
+      this.checkFreeSpace();
+
+      const streams = this.listStreams();
+      const isNew = !streams.includes(entry.streamKey);
+      const meta = this.readMeta(entry.streamKey);
+      this.appendEntry(entry.streamKey, meta, entry);
+      this.addStream(entry.streamKey);
+      this.trimStream(entry.streamKey, meta);
+      this.writeMeta(entry.streamKey, meta);
+
+      // A new stream shrinks every stream's share of maxStoreSize
+      if (isNew && this.config.maxStoreSize !== null) {
+        streams.forEach(key => {
+          const otherMeta = this.readMeta(key);
+          if (this.trimStream(key, otherMeta) > 0) {
+            this.writeMeta(key, otherMeta);
+          }
+        });
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Apply the retention limits to every stream
+   * Recording trims its own stream; call this from a trigger to age out
+   * streams that no longer send.
+   * @return {number} Entries removed from the store
+   */
+  prune() {
+    let removed = 0;
+
+    this.withLock(() => {
+      this.listStreams().forEach(streamKey => {
+        const meta = this.readMeta(streamKey);
+        removed += this.trimStream(streamKey, meta);
+        this.writeMeta(streamKey, meta);
+      });
+    });
+
+    return removed;
+  }
+
+  /**
+   * Remove the stored history of one stream, or of all streams
+   * The overflow sheet is left untouched.
+   * @param {string} [streamKey] - Stream to clear (default: every stream)
+   */
+  clear(streamKey) {
+    this.withLock(() => {
+      const streams = streamKey ? [streamKey] : this.listStreams();
+
+      streams.forEach(key => {
+        this.readMeta(key).pages.forEach(n => this.stateStore.delete(this.pageKey(key, n)));
+        this.stateStore.delete(this.metaKey(key));
+      });
+
+      const remaining = this.listStreams().filter(key => !streams.includes(key));
+      if (remaining.length > 0) {
+        this.stateStore.set(this.key('streams'), JSON.stringify(remaining));
+      } else {
+        this.stateStore.delete(this.key('streams'));
+      }
+    });
+  }
+
+  // =====================================================================
+  // QUERIES
+  // =====================================================================
+
+  /**
+   * Find recorded sends, newest first
+   * @param {Object} [filter] - What to return (every field is optional)
+   * @param {string|Array<string>} [filter.streamKey] - Stream(s) (default: all)
+   * @param {Date|string|number} [filter.since] - Earliest time: a Date, an ISO date,
+   *        milliseconds, or 'today', 'week' or 'month' (the current one)
+   * @param {Date|string|number} [filter.until] - Latest time (exclusive), same forms
+   * @param {number} [filter.days] - Only the last n days (instead of since)
+   * @param {string|Array<string>} [filter.action] - SEND_ACTIONS value(s)
+   * @param {string|Array<string>} [filter.outcome] - SEND_LEDGER_OUTCOMES value(s)
+   * @param {string|Array<string>} [filter.errorType] - GMAIL_ERROR_TYPES value(s)
+   * @param {string} [filter.threadId] - Thread the email went to
+   * @param {string} [filter.correlationId] - Send that wrote the entry
+   * @param {number} [filter.limit] - Most entries to return
+   * @param {boolean} [filter.includeArchive=true] - Also search the overflow sheet
+   * @return {Array<Object>} Entries
+   */
+  query(filter = {}) {
+    const criteria = resolveSendLedgerFilter(filter, this.config.weekStartsOn);
+    const streams = criteria.streamKeys || this.listStreams();
+
+    // Oldest first, then reversed, so sends within the same millisecond stay in order
+    let entries = this.archive && filter.includeArchive !== false ? this.archive.readEntries() : [];
+    streams.forEach(streamKey => {
+      entries = entries.concat(this.readEntries(streamKey));
+    });
+
+    const matches = entries
+      .reverse()
+      .filter(entry => matchesSendLedgerFilter(entry, criteria))
+      .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+
+    return filter.limit ? matches.slice(0, filter.limit) : matches;
+  }
+
+  /**
+   * Sends for one stream
+   * @param {string} streamKey - Stream key
+   * @param {Object} [filter] - More criteria (see query), e.g. { days: 30 }
+   * @return {Array<Object>} Entries, newest first
+   */
+  getSends(streamKey, filter = {}) {
+    return this.query({ ...filter, streamKey: streamKey });
+  }
+
+  /**
+   * Failed sends, across all streams unless filter.streamKey is set
+   * @param {Object} [filter] - More criteria (see query), e.g. { since: 'week' }
+   * @return {Array<Object>} Entries, newest first
+   */
+  getFailures(filter = {}) {
+    return this.query({ ...filter, outcome: SEND_LEDGER_OUTCOMES.FAILED });
+  }
+
+  /**
+   * Counts per stream
+   * @param {Object} [filter] - Criteria (see query)
+   * @return {Object} streamKey -> { total, sent, queued, failed, lastSentAt, lastFailureAt }
+   */
+  summarize(filter = {}) {
+    const summary = {};
+
+    // Newest first, so the first match of each kind is the latest
+    this.query(filter).forEach(entry => {
+      const stream = summary[entry.streamKey] = summary[entry.streamKey] ||
+        { total: 0, sent: 0, queued: 0, failed: 0, lastSentAt: null, lastFailureAt: null };
+
+      stream.total++;
+      stream[entry.outcome]++;
+      if (entry.outcome === SEND_LEDGER_OUTCOMES.SENT && !stream.lastSentAt) {
+        stream.lastSentAt = entry.timestamp;
+      }
+      if (entry.outcome === SEND_LEDGER_OUTCOMES.FAILED && !stream.lastFailureAt) {
+        stream.lastFailureAt = entry.timestamp;
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Streams with entries in the store
+   * @return {Array<string>} Stream keys
+   */
+  listStreams() {
+    const raw = this.stateStore.get(this.key('streams'));
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  /**
+   * Number of entries in the store per stream
+   * @return {Object} streamKey -> count
+   */
+  getCounts() {
+    const counts = {};
+    this.listStreams().forEach(streamKey => {
+      counts[streamKey] = this.readMeta(streamKey).count;
+    });
+    return counts;
+  }
+
+  describe() {
+    const overflow = this.archive ? `, overflow to ${this.archive.describe()}` : '';
+    return `SendLedger (${this.stateStore.describe()}, ${this.config.maxEntries} entries / ` +
+      `${this.config.maxAgeDays === null ? 'no age limit' : this.config.maxAgeDays + ' days'} per stream${overflow})`;
+  }
+
+  /**
+   * Spec that recreates this ledger in a later execution (see createSendLedger)
+   * @return {Object|null} Spec, or null if the ledger cannot be recreated
+   */
+  toSpec() {
+    const storeSpec = typeof this.stateStore.toSpec === 'function' ? this.stateStore.toSpec() : null;
+    const overflowSpec = this.archive && typeof this.archive.toSpec === 'function' ? this.archive.toSpec() : null;
+    if (storeSpec === null || (this.archive && overflowSpec === null)) {
+      return null;
+    }
+
+    const { overflow, stateStore, ...settings } = this.config;
+    return { ...settings, stateStore: storeSpec, overflow: overflowSpec };
+  }
+
+  // =====================================================================
+  // STORAGE
+  // =====================================================================
+
+  /**
+   * Whether the store has PropertiesService's total size limit
+   * @private
+   */
+  isSizeLimited() {
+    return typeof this.stateStore.getSize === 'function';
+  }
+
+  /**
+   * Refuse to record while a properties store has less than minFreeSpace left
+   * @private
+   * @throws {Error} When the store is nearly full
+   */
+  checkFreeSpace() {
+    if (!this.isSizeLimited()) {
+      return;
+    }
+
+    const free = PROPERTIES_STORE_LIMIT - this.stateStore.getSize();
+    if (free < this.config.minFreeSpace) {
+      throw new Error(`${this.stateStore.describe()} has ${free} characters left, less than ` +
+        `minFreeSpace (${this.config.minFreeSpace}) - history is not written to a nearly full store`);
+    }
+  }
+
+  /**
+   * Characters each stream may use, maxStoreSize shared evenly
+   * @private
+   */
+  getStreamShare() {
+    if (this.config.maxStoreSize === null) {
+      return Infinity;
+    }
+    return Math.floor(this.config.maxStoreSize / Math.max(1, this.listStreams().length));
+  }
+
+  /**
+   * @private
+   */
+  key(suffix) {
+    return `${this.namespace}:${suffix}`;
+  }
+
+  /**
+   * @private
+   */
+  metaKey(streamKey) {
+    return this.key(`stream:${streamKey}`);
+  }
+
+  /**
+   * @private
+   */
+  pageKey(streamKey, n) {
+    return this.key(`stream:${streamKey}:${n}`);
+  }
+
+  /**
+   * @private
+   * @return {Object} { pages, next, count, size }
+   */
+  readMeta(streamKey) {
+    const raw = this.stateStore.get(this.metaKey(streamKey));
+    return raw ? { size: 0, ...JSON.parse(raw) } : { pages: [], next: 0, count: 0, size: 0 };
+  }
+
+  /**
+   * @private
+   */
+  writeMeta(streamKey, meta) {
+    if (meta.pages.length > 0) {
+      this.stateStore.set(this.metaKey(streamKey), JSON.stringify(meta));
+    } else {
+      this.stateStore.delete(this.metaKey(streamKey));
+    }
+  }
+
+  /**
+   * @private
+   */
+  readPage(streamKey, n) {
+    const raw = this.stateStore.get(this.pageKey(streamKey, n));
+    return raw ? JSON.parse(raw).map(expandSendLedgerEntry) : [];
+  }
+
+  /**
+   * @private
+   */
+  writePage(streamKey, n, entries) {
+    this.stateStore.set(this.pageKey(streamKey, n), serializeSendLedgerPage(entries));
+  }
+
+  /**
+   * All stored entries of a stream, oldest first
+   * @private
+   */
+  readEntries(streamKey) {
+    let entries = [];
+    this.readMeta(streamKey).pages.forEach(n => {
+      entries = entries.concat(this.readPage(streamKey, n));
+    });
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  addStream(streamKey) {
+    const streams = this.listStreams();
+    if (!streams.includes(streamKey)) {
+      this.stateStore.set(this.key('streams'), JSON.stringify(streams.concat([streamKey])));
+    }
+  }
+
+  /**
+   * Add an entry to the newest page, or start a new page when it is full
+   * @private
+   */
+  appendEntry(streamKey, meta, entry) {
+    const last = meta.pages[meta.pages.length - 1];
+    const page = last === undefined ? [] : this.readPage(streamKey, last).concat([entry]);
+
+    if (page.length > 0 && serializeSendLedgerPage(page).length <= this.config.pageSize) {
+      this.writePage(streamKey, last, page);
+    } else {
+      this.writePage(streamKey, meta.next, [entry]);
+      meta.pages.push(meta.next);
+      meta.next++;
+    }
+
+    meta.count++;
+    meta.size += sendLedgerEntrySize(entry);
+  }
+
+  /**
+   * Remove entries beyond maxEntries, older than maxAgeDays or over the stream's
+   * share of maxStoreSize, oldest first (the newest entry always stays)
+   * Removed entries are written to the overflow sheet before they leave the
+   * store, so a sheet failure loses nothing.
+   * @private
+   * @return {number} Entries removed
+   */
+  trimStream(streamKey, meta) {
+    const cutoff = this.config.maxAgeDays === null ? null :
+      Date.now() - this.config.maxAgeDays * 86400000;
+    const maxEntries = this.config.maxEntries === null ? Infinity : this.config.maxEntries;
+    const share = this.getStreamShare();
+    const expired = (entry, remaining, size) => remaining > maxEntries ||
+      (remaining > 1 && size > share) ||
+      (cutoff !== null && Date.parse(entry.timestamp) < cutoff);
+
+    const removed = [];
+    const changes = [];  // { n, keep } per touched page, oldest first
+    let removedSize = 0;
+
+    for (const n of meta.pages) {
+      const page = this.readPage(streamKey, n);
+      let drop = 0;
+      while (drop < page.length &&
+        expired(page[drop], meta.count - removed.length - drop, meta.size - removedSize)) {
+        removedSize += sendLedgerEntrySize(page[drop]);
+        drop++;
+      }
+
+      if (drop === 0) {
+        break;
+      }
+
+      removed.push(...page.slice(0, drop));
+      changes.push({ n: n, keep: page.slice(drop) });
+      if (drop < page.length) {
+        break;
+      }
+    }
+
+    if (removed.length === 0) {
+      return 0;
+    }
+
+    if (this.archive) {
+      this.archive.append(removed);
+    }
+
+    changes.forEach(change => {
+      if (change.keep.length > 0) {
+        this.writePage(streamKey, change.n, change.keep);
+      } else {
+        this.stateStore.delete(this.pageKey(streamKey, change.n));
+        meta.pages = meta.pages.filter(n => n !== change.n);
+      }
+    });
+    meta.count -= removed.length;
+    meta.size = Math.max(0, meta.size - removedSize);
+
+    return removed.length;
+  }
+
+  /**
+   * Run fn while holding the script lock (reuses a lock this execution already holds)
+   * @private
+   */
+  withLock(fn) {
+    const lock = LockService.getScriptLock();
+    const held = lock.hasLock();
+
+    if (!held) {
+      lock.waitLock(this.config.lockWaitMs);
+    }
+
+    try {
+      return fn();
+    } finally {
+      if (!held) {
+        lock.releaseLock();
+      }
+    }
+  }
+}
+
+// =====================================================================
+// SPREADSHEET OVERFLOW
+// =====================================================================
+
+/**
+ * Sheet holding ledger entries that left the store, one row per entry
+ */
+class SpreadsheetSendLedgerArchive {
+  /**
+   * @param {Object} [options] - Archive options
+   * @param {string} [options.spreadsheetId] - Spreadsheet ID (defaults to active spreadsheet)
+   * @param {Spreadsheet} [options.spreadsheet] - Spreadsheet instance (takes precedence over ID)
+   * @param {string} [options.sheetName='EmailThreadingLedger'] - Sheet holding the entries
+   * @param {number} [options.maxRows=50000] - Oldest rows are deleted beyond this many
+   */
+  constructor(options = {}) {
+    this.spreadsheetId = options.spreadsheetId || null;
+    this.spreadsheet = options.spreadsheet || null;
+    this.sheetName = options.sheetName || 'EmailThreadingLedger';
+    this.maxRows = options.maxRows || 50000;
+    this.sheet = null;
+  }
+
+  /**
+   * Get (and create if missing) the ledger sheet
+   * @private
+   * @return {Sheet} The ledger sheet
+   */
+  getSheet() {
+    if (this.sheet) {
+      return this.sheet;
+    }
+
+    if (!this.spreadsheet) {
+      this.spreadsheet = this.spreadsheetId ?
+        SpreadsheetApp.openById(this.spreadsheetId) :
+        SpreadsheetApp.getActiveSpreadsheet();
+    }
+
+    if (!this.spreadsheet) {
+      throw new Error('SpreadsheetSendLedgerArchive requires a spreadsheetId outside a spreadsheet context');
+    }
+
+    let sheet = this.spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(this.sheetName);
+      sheet.appendRow(SpreadsheetSendLedgerArchive.COLUMNS);
+      sheet.setFrozenRows(1);
+    }
+
+    this.sheet = sheet;
+    return sheet;
+  }
+
+  /**
+   * Add entries as rows, oldest first
+   * @param {Array<Object>} entries - Ledger entries
+   */
+  append(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const sheet = this.getSheet();
+    const rows = entries.map(entry => [
+      new Date(entry.timestamp),
+      entry.streamKey,
+      entry.action,
+      entry.outcome,
+      entry.threadId || '',
+      entry.messageId || '',
+      entry.messageIdHeader || '',
+      entry.recipients.to,
+      entry.recipients.cc,
+      entry.recipients.bcc,
+      entry.subject || '',
+      entry.bodyHash || '',
+      entry.errorType || '',
+      entry.error || '',
+      entry.correlationId || '',
+      entry.outboxId || ''
+    ]);
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+
+    const excess = sheet.getLastRow() - 1 - this.maxRows;
+    if (excess > 0) {
+      sheet.deleteRows(2, excess);
+    }
+  }
+
+  /**
+   * Every archived entry, oldest first
+   * @return {Array<Object>} Ledger entries
+   */
+  readEntries() {
+    const sheet = this.getSheet();
+    const lastRow = sheet.getLastRow();
+
+    if (lastRow < 2) {
+      return [];
+    }
+
+    const columns = SpreadsheetSendLedgerArchive.COLUMNS.length;
+    return sheet.getRange(2, 1, lastRow - 1, columns).getValues()
+      .filter(row => row[1] !== '')
+      .map(row => expandSendLedgerEntry({
+        timestamp: new Date(row[0]).toISOString(),
+        streamKey: String(row[1]),
+        action: String(row[2]),
+        outcome: String(row[3]),
+        threadId: row[4] ? String(row[4]) : null,
+        messageId: row[5] ? String(row[5]) : null,
+        messageIdHeader: row[6] ? String(row[6]) : null,
+        recipients: { to: String(row[7]), cc: String(row[8]), bcc: String(row[9]) },
+        subject: row[10] ? String(row[10]) : null,
+        bodyHash: row[11] ? String(row[11]) : null,
+        errorType: row[12] ? String(row[12]) : null,
+        error: row[13] ? String(row[13]) : null,
+        correlationId: row[14] ? String(row[14]) : null,
+        outboxId: row[15] ? String(row[15]) : null
+      }));
+  }
+
+  describe() {
+    return `SpreadsheetSendLedgerArchive (${this.sheetName})`;
+  }
+
+  toSpec() {
+    const spreadsheetId = this.spreadsheetId || (this.spreadsheet ? this.spreadsheet.getId() : null);
+    return { type: 'spreadsheet', spreadsheetId: spreadsheetId, sheetName: this.sheetName, maxRows: this.maxRows };
+  }
+}
+
+/**
+ * Column headers of SpreadsheetSendLedgerArchive
+ */
+SpreadsheetSendLedgerArchive.COLUMNS = [
+  'Timestamp', 'Stream', 'Action', 'Outcome', 'Thread ID', 'Message ID', 'Message-ID Header',
+  'To', 'Cc', 'Bcc', 'Subject', 'Body Hash', 'Error Type', 'Error', 'Correlation ID', 'Outbox ID'
+];
+
+// =====================================================================
+// ENTRY AND FILTER HELPERS
+// =====================================================================
+
+/**
+ * Build a ledger entry from a send's result
+ * @private
+ * @param {SendResult} result - Outcome of the send
+ * @param {Object} details - { bodyHash }
+ * @return {Object} Entry
+ */
+function buildSendLedgerEntry(result, details) {
+  const clip = (text, limit) => (text && text.length > limit ? text.slice(0, limit - 3) + '...' : text || null);
+  const recipients = result.recipients || {};
+  let outcome = SEND_LEDGER_OUTCOMES.FAILED;
+  if (result.action === SEND_ACTIONS.QUEUED) {
+    outcome = SEND_LEDGER_OUTCOMES.QUEUED;
+  } else if (result.success) {
+    outcome = SEND_LEDGER_OUTCOMES.SENT;
+  }
+
+  return expandSendLedgerEntry({
+    timestamp: (result.timestamp || new Date()).toISOString(),
+    streamKey: result.streamKey,
+    action: result.action,
+    outcome: outcome,
+    threadId: result.threadId,
+    messageId: result.messageId,
+    messageIdHeader: result.messageIdHeader,
+    recipients: {
+      to: clip(recipients.to, SEND_LEDGER_TEXT_LIMITS.recipients),
+      cc: clip(recipients.cc, SEND_LEDGER_TEXT_LIMITS.recipients),
+      bcc: clip(recipients.bcc, SEND_LEDGER_TEXT_LIMITS.recipients)
+    },
+    subject: clip(result.subject, SEND_LEDGER_TEXT_LIMITS.subject),
+    bodyHash: details.bodyHash,
+    errorType: result.errorType,
+    error: clip(result.errorMessage, SEND_LEDGER_TEXT_LIMITS.error),
+    correlationId: result.correlationId,
+    outboxId: result.outboxId
+  });
+}
+
+/**
+ * Fill the fields a stored entry leaves out
+ * @private
+ */
+function expandSendLedgerEntry(stored) {
+  const recipients = stored.recipients || {};
+  return {
+    timestamp: stored.timestamp,
+    streamKey: stored.streamKey,
+    action: stored.action,
+    outcome: stored.outcome,
+    threadId: stored.threadId || null,
+    messageId: stored.messageId || null,
+    messageIdHeader: stored.messageIdHeader || null,
+    recipients: { to: recipients.to || '', cc: recipients.cc || '', bcc: recipients.bcc || '' },
+    subject: stored.subject || null,
+    bodyHash: stored.bodyHash || null,
+    errorType: stored.errorType || null,
+    error: stored.error || null,
+    correlationId: stored.correlationId || null,
+    outboxId: stored.outboxId || null
+  };
+}
+
+/**
+ * Characters an entry takes in a stored page
+ * @private
+ */
+function sendLedgerEntrySize(entry) {
+  return serializeSendLedgerPage([entry]).length - 1;
+}
+
+/**
+ * JSON for a page, leaving out empty fields
+ * @private
+ */
+function serializeSendLedgerPage(entries) {
+  return JSON.stringify(entries, (key, value) => (value === null || value === '' ? undefined : value));
+}
+
+/**
+ * Turn query options into comparable criteria
+ * @private
+ * @param {Object} filter - Options given to SendLedger.query
+ * @param {number} weekStartsOn - First day of week for 'week'
+ * @return {Object} { streamKeys, since, until, action, outcome, errorType, threadId, correlationId }
+ */
+function resolveSendLedgerFilter(filter, weekStartsOn) {
+  const list = value => (value === undefined || value === null ? null : [].concat(value));
+  const since = filter.days !== undefined ?
+    Date.now() - filter.days * 86400000 :
+    resolveSendLedgerTime(filter.since, weekStartsOn);
+
+  return {
+    streamKeys: list(filter.streamKey),
+    since: since,
+    until: resolveSendLedgerTime(filter.until, weekStartsOn),
+    action: list(filter.action),
+    outcome: list(filter.outcome),
+    errorType: list(filter.errorType),
+    threadId: filter.threadId || null,
+    correlationId: filter.correlationId || null
+  };
+}
+
+/**
+ * Resolve a time given to a query
+ * @private
+ * @param {Date|string|number} value - Date, ISO date, milliseconds, 'today', 'week' or 'month'
+ * @param {number} weekStartsOn - First day of week for 'week' (0 = Sunday)
+ * @return {number|null} Milliseconds, or null for no limit
+ */
+function resolveSendLedgerTime(value, weekStartsOn) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (typeof value.getTime === 'function') {
+    return value.getTime();
+  }
+
+  const now = new Date();
+  switch (value) {
+    case 'today':
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    case 'week':
+      return new Date(now.getFullYear(), now.getMonth(),
+        now.getDate() - ((now.getDay() - weekStartsOn + 7) % 7)).getTime();
+    case 'month':
+      return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  }
+
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Unknown ledger time "${value}" (use a Date, an ISO date, 'today', 'week' or 'month')`);
+  }
+  return time;
+}
+
+/**
+ * Check an entry against resolved criteria
+ * @private
+ */
+function matchesSendLedgerFilter(entry, criteria) {
+  const time = Date.parse(entry.timestamp);
+
+  return (!criteria.streamKeys || criteria.streamKeys.includes(entry.streamKey)) &&
+    (criteria.since === null || time >= criteria.since) &&
+    (criteria.until === null || time < criteria.until) &&
+    (!criteria.action || criteria.action.includes(entry.action)) &&
+    (!criteria.outcome || criteria.outcome.includes(entry.outcome)) &&
+    (!criteria.errorType || criteria.errorType.includes(entry.errorType)) &&
+    (!criteria.threadId || entry.threadId === criteria.threadId) &&
+    (!criteria.correlationId || entry.correlationId === criteria.correlationId);
+}
+
+// =====================================================================
+// FACTORIES
+// =====================================================================
+
+/**
+ * Resolve an overflow sheet from a configuration value
+ * @param {Object|SpreadsheetSendLedgerArchive} spec - { spreadsheetId, spreadsheet, sheetName,
+ *        maxRows }, or any object with append(entries) and readEntries()
+ * @return {SpreadsheetSendLedgerArchive} Archive
+ */
+function createSendLedgerArchive(spec) {
+  if (spec && typeof spec.append === 'function' && typeof spec.readEntries === 'function') {
+    return spec;
+  }
+
+  return new SpreadsheetSendLedgerArchive(spec === true ? {} : spec);
+}
+
+/**
+ * Build a ledger from a manager's config.ledger value
+ * @param {boolean|Object|SendLedger} spec - true for the default ledger, a config object
+ *        (see SEND_LEDGER_DEFAULTS) or a SendLedger instance
+ * @return {SendLedger} Ledger
+ */
+function createSendLedger(spec) {
+  if (spec && typeof spec.record === 'function' && typeof spec.query === 'function') {
+    return spec;
+  }
+
+  return new SendLedger(spec === true ? {} : spec);
+}
@@ -17,242 +17,1642 @@
  * v1.x.x - Original implementation using reply() method
  */
 
+/**
+ * Actions reported in SendResult.action
+ */
+const SEND_ACTIONS = {
+  REPLIED: 'replied',                   // Reply added to the stored thread
+  CREATED: 'created',                   // New thread started (no stored thread, or rotation)
+  FALLBACK_CREATED: 'fallback_created', // Stored thread is gone, new thread started instead
+  QUEUED: 'queued',                     // Held in the outbox, sent later by a trigger
+  LOCK_TIMEOUT: 'lock_timeout',         // Another send held the lock too long; nothing was sent
+  DRY_RUN: 'dry_run',                   // Dry run - nothing was sent, see SendResult.preview
+  FAILED: 'failed'                      // Nothing was sent
+};
+
+/**
+ * Header stamped on every message so a lost thread can be found again
+ */
+const THREAD_STREAM_HEADER = 'X-Email-Threading-Stream';
+
+/**
+ * Ways a lost thread is found again, in the order they are tried (see findRecoverableThread)
+ */
+const THREAD_RECOVERY_METHODS = {
+  MESSAGE_ID: 'messageId',       // Stored Message-ID of the thread's first message
+  HEADER: 'header',              // THREAD_STREAM_HEADER with this stream's key
+  STREAM_TAG: 'streamTag',       // config.streamTag in the subject
+  SUBJECT: 'subject'             // Same subject, sent to the recipient within the window
+};
+
+/**
+ * Structured outcome of a send
+ */
+class SendResult {
+  /**
+   * @param {Object} fields - Initial field values
+   */
+  constructor(fields = {}) {
+    this.success = fields.success !== false;
+    this.action = fields.action || SEND_ACTIONS.FAILED;
+    this.streamKey = fields.streamKey || null;
+    this.threadId = fields.threadId || null;
+    this.previousThreadId = fields.previousThreadId || null;
+    this.messageId = fields.messageId || null;          // Gmail message ID
+    this.messageIdHeader = fields.messageIdHeader || null; // RFC 5322 Message-ID, with <>
+    this.subject = fields.subject || null;
+    this.recipients = fields.recipients || { to: '', cc: '', bcc: '' };
+    this.rotation = fields.rotation || null;              // Rotation policy that fired
+    this.fallbackReason = fields.fallbackReason || null;
+    this.warnings = fields.warnings || [];
+    this.error = fields.error || null;
+    this.errorMessage = fields.error ? fields.error.toString() : null;
+    this.errorType = fields.errorType || null;            // See GMAIL_ERROR_TYPES
+    this.outboxId = fields.outboxId || null;              // Outbox item, when queued
+    this.duplicate = fields.duplicate || false;           // Earlier result returned, nothing sent
+    this.preview = fields.preview || null;                // Dry-run preview (see previewThreadedEmail)
+    this.housekeeping = fields.housekeeping || null;      // Labels/archive report (see ThreadHousekeeper)
+    this.recovery = fields.recovery || null;              // How a lost thread was found (see recoverThread)
+    this.correlationId = fields.correlationId || null;    // Same ID as the send's log entries
+    this.timestamp = fields.timestamp || new Date();
+  }
+  
+  /**
+   * Add a warning (the send may still succeed)
+   * @param {string} message - Warning text
+   * @return {SendResult} This result
+   */
+  warn(message) {
+    this.warnings.push(message);
+    return this;
+  }
+  
+  /**
+   * Mark the result as failed
+   * @param {Error} error - What went wrong
+   * @return {SendResult} This result
+   */
+  fail(error) {
+    this.success = false;
+    this.action = SEND_ACTIONS.FAILED;
+    this.error = error;
+    this.errorMessage = error ? error.toString() : 'Unknown error';
+    this.errorType = classifyGmailError(error);
+    return this;
+  }
+  
+  /**
+   * Plain object for logging, JSON or spreadsheet rows
+   * @return {Object} Serializable copy
+   */
+  toJSON() {
+    return {
+      success: this.success,
+      action: this.action,
+      streamKey: this.streamKey,
+      threadId: this.threadId,
+      previousThreadId: this.previousThreadId,
+      messageId: this.messageId,
+      messageIdHeader: this.messageIdHeader,
+      subject: this.subject,
+      recipients: this.recipients,
+      rotation: this.rotation,
+      fallbackReason: this.fallbackReason,
+      warnings: this.warnings,
+      error: this.errorMessage,
+      errorType: this.errorType,
+      outboxId: this.outboxId,
+      duplicate: this.duplicate,
+      housekeeping: this.housekeeping,
+      recovery: this.recovery,
+      correlationId: this.correlationId,
+      timestamp: this.timestamp.toISOString()
+    };
+  }
+  
+  /**
+   * Rebuild a result stored with toJSON()
+   * @param {Object} json - Output of toJSON()
+   * @return {SendResult} Result (error details are kept as text only)
+   */
+  static fromJSON(json) {
+    const result = new SendResult({ ...json, error: null, timestamp: new Date(json.timestamp) });
+    result.errorMessage = json.error || null;
+    return result;
+  }
+}
+
 /**
  * Main Email Threading Manager Class
  */
 class EmailThreadingManager {
   /**
-   * @param {Object} config Configuration object
-   * @param {string} config.threadIdProperty - Property name for storing thread ID
-   * @param {string} config.recipientEmail - Primary recipient (individual or group)
-   * @param {string} config.emailSubject - Subject line for new threads
-   * @param {boolean} [config.enableLogging=true] - Enable detailed logging
-   * @param {string} [config.scriptVersion='2.0.0'] - Version for tracking
+   * @param {Object} config Configuration object
+   * @param {string} config.threadIdProperty - Property name for storing thread ID
+   * @param {string|Array<string>} config.recipientEmail - Primary recipient (individual or group);
+   *        a comma-separated list or an array, "Name <address>" allowed
+   * @param {string} config.emailSubject - Subject line for new threads
+   * @param {boolean} [config.enableLogging=true] - false logs nothing (same as logging: false)
+   * @param {string|Object|EmailThreadingLogger|boolean} [config.logging] - Log level and sinks
+   *        ('debug', { level, sinks, format } or a logger - see createEmailThreadingLogger);
+   *        defaults to configureEmailThreadingLogging's settings
+   * @param {string} [config.scriptVersion='2.0.0'] - Version for tracking
+   * @param {string|Object} [config.stateStore='script'] - Where thread state is kept
+   *        ('script', 'user', 'document', 'memory', 'spreadsheet', a spec object
+   *        or any ThreadStateStore instance - see createThreadStateStore)
+   * @param {string} [config.streamKey] - Stream name for logs (defaults to threadIdProperty)
+   * @param {Object} [config.stateKeys] - Override individual state key names
+   *        (used by EmailThreadRegistry)
+   * @param {ThreadRotationPolicy|Object|Array} [config.rotationPolicy] - Policy (or list of
+   *        policies) that starts a new thread automatically - see ThreadRotationPolicy
+   * @param {number} [config.maxReferencesLength=900] - Longest References header value to send
+   * @param {number} [config.recentReferenceCount=3] - Recent messages (besides first and parent)
+   *        whose Message-IDs are added to References
+   * @param {Object} [config.plainTextOptions] - Options for the generated plain-text part
+   *        ({ wordWrap, tableStyle } - see HtmlToTextConverter)
+   * @param {EmailTemplateEngine|Object} [config.templates] - Template engine (or engine config)
+   *        used when sendThreadedEmail is given { template, data }
+   * @param {Object|boolean} [config.retry] - Backoff for GmailApp calls ({ maxAttempts,
+   *        initialDelayMs, maxDelayMs, multiplier, jitter, retryOn, retrySends } - see GmailRetrier);
+   *        false disables retries
+   * @param {boolean|Object|EmailOutbox} [config.outbox] - Queue sends that cannot go out now
+   *        (low quota, quota or transient failures) and send them from a trigger - see EmailOutbox
+   * @param {Object|boolean} [config.lock] - LockService guard around each send
+   *        ({ scope: 'script'|'user'|'document', waitMs }); false disables it
+   * @param {Object} [config.dedup] - Duplicate protection ({ maxKeys, ttlHours, content }):
+   *        remembers results of sends with options.idempotencyKey and, with content: true,
+   *        skips a send whose body matches the last email sent to the stream
+   * @param {boolean|Object} [config.dryRun=false] - Preview instead of sending; true or
+   *        { output: 'drive'|'owner', folderId } (see previewThreadedEmail)
+   * @param {Object|RecipientPolicy} [config.recipientPolicy] - Domains and addresses the
+   *        stream may send to ({ allowedDomains, allowedAddresses, allowExternal,
+   *        internalDomains } - see RecipientPolicy); without it addresses are only validated
+   * @param {string|Array<string>|boolean} [config.replyTo] - Reply-To of every message
+   *        (default: recipientEmail, so "Reply" answers the group); false sends no Reply-To
+   * @param {string} [config.from] - Send-as alias to send from (checked against
+   *        GmailApp.getAliases() before the first send)
+   * @param {string} [config.fromName] - Sender display name
+   * @param {boolean} [config.relayReplies=true] - Let an InboundReplyProcessor in relay mode
+   *        forward replies that missed the recipients to them; false opts this stream out
+   * @param {Object|ThreadHousekeeper} [config.housekeeping] - Labels, archive, mark read and
+   *        star for the owner's copy of the thread after each send and on reset
+   *        ({ labels, removeLabels, archive, markRead, star, rotated } - see ThreadHousekeeper)
+   * @param {string|boolean} [config.streamTag] - Tag put in front of new thread subjects,
+   *        e.g. 'DAILY-OPS' for "[DAILY-OPS] Daily Report"; true uses "[streamKey]". Replies
+   *        keep it, and thread recovery uses it to recognize the stream's threads
+   * @param {Object|SubjectNormalizer} [config.subjects] - Subject normalization options
+   *        ({ replyPrefixes, forwardPrefixes, listTags } - see SubjectNormalizer)
+   * @param {Object|boolean} [config.recovery] - Find the stream's thread again when the stored
+   *        ID is lost or stale ({ windowDays, maxCandidates } - see
+   *        findRecoverableThread); false always starts a new thread instead
+   * @param {boolean|Object|SendLedger} [config.ledger] - Record every send (action, thread,
+   *        message, recipients, subject, body hash, outcome) in a queryable history
+   *        ({ stateStore, maxEntries, maxAgeDays, overflow } - see SendLedger)
+   * @throws {RecipientPolicyError} When recipientEmail, replyTo or from is missing, malformed
+   *         or not allowed
+   */
+  constructor(config) {
+    this.sourceConfig = config;
+    this.config = {
+      threadIdProperty: config.threadIdProperty || 'emailThreadId',
+      recipientEmail: config.recipientEmail,
+      emailSubject: config.emailSubject,
+      enableLogging: config.enableLogging !== false,
+      scriptVersion: config.scriptVersion || '2.0.0',
+      streamKey: config.streamKey || config.threadIdProperty || 'emailThreadId',
+      maxReferencesLength: config.maxReferencesLength || 900,
+      recentReferenceCount: config.recentReferenceCount === undefined ? 3 : config.recentReferenceCount,
+      plainTextOptions: config.plainTextOptions || {},
+      dryRun: config.dryRun || false,
+      relayReplies: config.relayReplies !== false,
+      dedup: {
+        maxKeys: 50,     // Idempotency keys remembered per stream
+        ttlHours: 72,    // How long a key is remembered
+        content: false,  // Skip a send identical to the last one
+        ...(config.dedup || {})
+      },
+      lock: config.lock === false ? false : {
+        scope: 'script',  // 'script' covers every user and trigger of this project
+        waitMs: 30000,
+        ...(config.lock || {})
+      },
+      recovery: config.recovery === false ? false : {
+        windowDays: 30,      // How far back the header and subject searches look
+        maxCandidates: 20,   // Threads checked per search
+        ...(config.recovery || {})
+      }
+    };
+    
+    if (this.config.lock && !['script', 'user', 'document'].includes(this.config.lock.scope)) {
+      throw new Error(`Unknown lock scope "${this.config.lock.scope}" (use 'script', 'user' or 'document')`);
+    }
+    
+    this.stateStore = createThreadStateStore(config.stateStore);
+    this.logger = createEmailThreadingLogger(
+      this.config.enableLogging ? config.logging : false,
+      { source: 'EmailThreadingManager', stream: this.config.streamKey },
+      `EmailThreading v${this.config.scriptVersion}`
+    );
+    
+    // State keys for this stream (names unchanged from v2.0.0 for compatibility)
+    this.stateKeys = {
+      threadId: this.config.threadIdProperty,
+      previousThreadId: 'previousThreadId_' + this.config.threadIdProperty,
+      archivedThreadId: 'archived_' + this.config.threadIdProperty,
+      archivedDate: 'archived_date_' + this.config.threadIdProperty,
+      threadMeta: 'threadMeta_' + this.config.threadIdProperty,
+      sentKeys: 'sentKeys_' + this.config.threadIdProperty,
+      lastContent: 'lastContent_' + this.config.threadIdProperty,
+      ...(config.stateKeys || {})
+    };
+    
+    this.rotationPolicies = createRotationPolicies(config.rotationPolicy);
+    new HtmlToTextConverter(this.config.plainTextOptions);  // Fail fast on a bad tableStyle
+    this.templates = config.templates ? createEmailTemplateEngine(config.templates) : null;
+    this.retry = new GmailRetrier(config.retry, message => this.logger.warn(message, { action: 'retry' }));
+    this.outbox = config.outbox ? createEmailOutbox(config.outbox) : null;
+    this.ledger = config.ledger ? createSendLedger(config.ledger) : null;
+    this.housekeeping = createThreadHousekeeper(config.housekeeping, this.retry);
+    this.subjects = createSubjectNormalizer(config.subjects,
+      config.streamTag === true ? this.config.streamKey : config.streamTag);
+    
+    // Fail fast on a bad recipient instead of at the first GmailApp call
+    this.recipientPolicy = createRecipientPolicy(config.recipientPolicy);
+    const recipients = this.recipientPolicy.enforce({ to: config.recipientEmail });
+    this.config.recipientEmail = formatAddressList(recipients.to);
+    this.config.replyTo = this.resolveReplyTo(config.replyTo);
+    
+    const from = this.resolveFromAddress(config.from);
+    this.config.from = from ? from.address : null;
+    this.config.fromName = config.fromName || (from && from.name) || null;
+    this.sender = null;  // { from, name } once the alias has been checked
+  }
+  
+  /**
+   * Send a threaded email (main public method)
+   * @param {string|Object} htmlBody - HTML content of the email, or a template to render:
+   *        { template: 'name', data: {...}, layout } (requires config.templates)
+   * @param {Object} [options] - Additional options
+   * @param {string} [options.plainBody] - Plain text version
+   * @param {Array} [options.attachments] - File attachments
+   * @param {string} [options.cc] - CC recipients
+   * @param {string} [options.bcc] - BCC recipients
+   * @param {Object} [options.headers] - Extra headers (In-Reply-To and References are always the library's)
+   * @param {string} [options.idempotencyKey] - Key for this send (e.g. 'dailyReport:2026-10-19');
+   *        repeating a remembered key returns the earlier result instead of sending again
+   * @param {string} [options.threadId] - Reply into this thread of the stream instead of the
+   *        current one (e.g. a relayed reply); no rotation, recovery or new thread
+   * @param {boolean|Object} [options.dryRun] - Override config.dryRun for this send
+   *        (from, name and replyTo always come from the config, so every message of
+   *        the thread carries the same sender and Reply-To)
+   * @return {SendResult} Outcome of the send (check result.success)
+   */
+  sendThreadedEmail(htmlBody, options = {}) {
+    const send = { correlationId: Utilities.getUuid(), htmlBody: null };
+    const started = Date.now();
+    
+    return this.logger.withContext({ correlationId: send.correlationId }, () => {
+      const result = this.sendWithinContext(htmlBody, options, send);
+      result.correlationId = send.correlationId;
+      this.recordSend(result, send.htmlBody, options);
+      
+      const level = result.success || result.action === SEND_ACTIONS.QUEUED ? 'info' : 'error';
+      this.logger[level](`Send finished: ${result.action}${result.duplicate ? ' (duplicate)' : ''}`, {
+        action: result.action,
+        threadId: result.threadId || undefined,
+        durationMs: Date.now() - started,
+        errorType: result.errorType || undefined
+      });
+      return result;
+    });
+  }
+  
+  /**
+   * Body of sendThreadedEmail, run with the send's correlationId on every log entry
+   * @private
+   * @param {string|Object} htmlBody - HTML content or { template, data, layout }
+   * @param {Object} options - Email options
+   * @param {Object} send - { correlationId, htmlBody }; htmlBody is set once rendered
+   * @return {SendResult} Outcome of the send
+   */
+  sendWithinContext(htmlBody, options, send) {
+    this.logger.debug('Starting threaded email send', { action: 'send' });
+    
+    try {
+      htmlBody = send.htmlBody = this.renderBody(htmlBody);
+      this.resolveRecipients(options);
+    } catch (error) {
+      this.logger.error('Send rejected before sending', { action: 'send', error: error });
+      return this.createResult(SEND_ACTIONS.FAILED, null, options).fail(error);
+    }
+    
+    const dryRun = options.dryRun !== undefined ? options.dryRun : this.config.dryRun;
+    if (dryRun) {
+      return this.dryRunSend(htmlBody, options, dryRun === true ? {} : dryRun);
+    }
+    
+    // Read stored thread, decide, send and store under one lock so concurrent
+    // triggers cannot both start a new thread
+    return this.withSendLock(options, () => {
+      const duplicate = this.findDuplicateSend(htmlBody, options);
+      if (duplicate) {
+        return duplicate;
+      }
+      
+      // A key that cannot be stored could not stop a repeat, so send nothing
+      try {
+        this.reserveSendKey(options);
+      } catch (error) {
+        this.logger.error('Could not store the idempotency key - email not sent', { action: 'dedup', error: error });
+        return this.createResult(SEND_ACTIONS.FAILED, null, options).fail(
+          new Error(`Idempotency key "${options.idempotencyKey}" could not be stored: ${error.message}`));
+      }
+      
+      const result = this.sendOrQueue(htmlBody, options);
+      this.rememberSend(htmlBody, options, result);
+      return result;
+    });
+  }
+  
+  /**
+   * Show what sendThreadedEmail would send, without sending or changing stored state
+   * Resolves the target thread (including recovery, rotation and the not-found fallback),
+   * subject, threading headers, recipients and both bodies.
+   * @param {string|Object} htmlBody - HTML content or { template, data, layout }
+   * @param {Object} [options] - Same options as sendThreadedEmail
+   * @param {Object} [previewOptions] - Where else to put the preview
+   * @param {string} [previewOptions.output] - 'drive' (HTML file in Drive) or 'owner'
+   *        (email to the script owner only)
+   * @param {string} [previewOptions.folderId] - Drive folder for output 'drive' (default: My Drive)
+   * @return {Object} Preview { action, streamKey, threadId, storedThreadId, rotation,
+   *         fallbackReason, recovery, subject, sender, recipients, headers, htmlBody, plainBody,
+   *         attachments, warnings, duplicate, queueReason, fileUrl, sentTo }
+   * @throws {Error} When the template cannot be rendered or Gmail cannot be read
+   * @throws {RecipientPolicyError} When options.cc or options.bcc break the recipient policy,
+   *         or config.from is not an alias
+   */
+  previewThreadedEmail(htmlBody, options = {}, previewOptions = {}) {
+    htmlBody = this.renderBody(htmlBody);
+    this.logger.info('Building preview (nothing will be sent to the recipients)', { action: 'preview' });
+    
+    const storedThreadId = this.stateStore.get(this.stateKeys.threadId);
+    let rotation = null;
+    let plan = null;
+    let fallbackReason = null;
+    let recovery = null;
+    
+    // Same recovery as a send, but the found thread is not adopted
+    const findLostThread = excludeIds => {
+      const match = this.findRecoverableThread(excludeIds);
+      recovery = match ? { method: match.method, threadId: match.threadId } : null;
+      return recovery;
+    };
+    
+    const targetThreadId = storedThreadId || (findLostThread([]) || {}).threadId;
+    
+    if (targetThreadId && this.rotationPolicies.length > 0) {
+      const policy = this.checkRotation(targetThreadId);
+      rotation = policy ? policy.describe() : null;
+    }
+    
+    if (targetThreadId && !rotation) {
+      try {
+        plan = this.planReply(targetThreadId, htmlBody, options);
+      } catch (error) {
+        if (classifyGmailError(error) !== GMAIL_ERROR_TYPES.NOT_FOUND) {
+          throw error;
+        }
+        fallbackReason = error.toString();
+        
+        if (!recovery && findLostThread([targetThreadId])) {
+          plan = this.planReply(recovery.threadId, htmlBody, options);
+          fallbackReason = null;
+        }
+      }
+    }
+    
+    if (plan && recovery) {
+      plan.warnings.unshift(`Would recover thread ${recovery.threadId} by ${recovery.method}`);
+    }
+    
+    if (!plan) {
+      plan = this.planNewThread(htmlBody, options);
+      if (fallbackReason) {
+        plan.action = SEND_ACTIONS.FALLBACK_CREATED;
+        plan.warnings.push(`Reply to thread ${targetThreadId} would fail: ${fallbackReason}`);
+      }
+    }
+    
+    // A send whose key is reserved but unfinished is refused, not a duplicate
+    const duplicate = this.findDuplicateSend(htmlBody, options);
+    if (duplicate && !duplicate.duplicate) {
+      plan.warnings.push(`Send would fail: ${duplicate.errorMessage}`);
+    }
+    
+    const preview = {
+      action: plan.action,
+      streamKey: this.config.streamKey,
+      threadId: plan.threadId,
+      storedThreadId: storedThreadId || null,
+      rotation: rotation,
+      fallbackReason: fallbackReason,
+      recovery: recovery,
+      subject: plan.subject,
+      sender: {
+        from: plan.emailOptions.from || null,
+        name: plan.emailOptions.name || null,
+        replyTo: plan.emailOptions.replyTo || null
+      },
+      recipients: {
+        to: plan.to || '',
+        cc: plan.emailOptions.cc || '',
+        bcc: plan.emailOptions.bcc || ''
+      },
+      headers: plan.headers,
+      htmlBody: plan.htmlBody,
+      plainBody: plan.plainBody,
+      attachments: (options.attachments || []).map(file => (file.getName ? file.getName() : String(file))),
+      warnings: plan.warnings,
+      duplicate: !!duplicate && duplicate.duplicate === true,
+      queueReason: this.outbox ? this.outbox.getQueueReason(this.config.streamKey) : null,
+      fileUrl: null,
+      sentTo: null
+    };
+    
+    if (previewOptions.output === 'drive') {
+      const name = `Email preview - ${this.config.streamKey} - ${new Date().toISOString()}.html`;
+      const page = this.renderPreviewPage(preview);
+      const file = previewOptions.folderId ?
+        DriveApp.getFolderById(previewOptions.folderId).createFile(name, page, MimeType.HTML) :
+        DriveApp.createFile(name, page, MimeType.HTML);
+      preview.fileUrl = file.getUrl();
+      this.logger.info(`Preview saved to Drive: ${preview.fileUrl}`, { action: 'preview' });
+    } else if (previewOptions.output === 'owner') {
+      preview.sentTo = Session.getEffectiveUser().getEmail();
+      MailApp.sendEmail({
+        to: preview.sentTo,
+        subject: `[Preview] ${preview.subject}`,
+        htmlBody: this.renderPreviewPage(preview),
+        body: preview.plainBody
+      });
+      this.logger.info(`Preview sent to script owner: ${preview.sentTo}`, { action: 'preview' });
+    } else if (previewOptions.output) {
+      throw new Error(`Unknown preview output "${previewOptions.output}" (use 'drive' or 'owner')`);
+    }
+    
+    return preview;
+  }
+  
+  /**
+   * Dry-run branch of sendThreadedEmail
+   * @private
+   * @param {string} htmlBody - Rendered HTML content
+   * @param {Object} options - Email options
+   * @param {Object} previewOptions - { output, folderId }
+   * @return {SendResult} Result with action 'dry_run' and the preview attached
+   */
+  dryRunSend(htmlBody, options, previewOptions) {
+    const result = this.createResult(SEND_ACTIONS.DRY_RUN, null, options);
+    
+    try {
+      const preview = this.previewThreadedEmail(htmlBody, options, previewOptions);
+      result.threadId = preview.threadId;
+      result.previousThreadId = preview.fallbackReason ? preview.storedThreadId : null;
+      result.subject = preview.subject;
+      result.rotation = preview.rotation;
+      result.fallbackReason = preview.fallbackReason;
+      result.recovery = preview.recovery;
+      result.preview = preview;
+      result.warnings = preview.warnings.slice();
+      return result.warn(`Dry run - would have ${preview.action === SEND_ACTIONS.REPLIED ? 'replied to' : 'started'} a thread, nothing sent`);
+    } catch (error) {
+      this.logger.error('Dry run failed', { action: 'preview', error: error });
+      return result.fail(error);
+    }
+  }
+  
+  /**
+   * HTML page showing a preview's headers and both bodies
+   * @private
+   * @param {Object} preview - From previewThreadedEmail
+   * @return {string} HTML document
+   */
+  renderPreviewPage(preview) {
+    const rows = [
+      ['Action', preview.action],
+      ['Stream', preview.streamKey],
+      ['Thread', preview.threadId || '(new thread)'],
+      ['From', preview.sender.from ?
+        (preview.sender.name ? `${preview.sender.name} <${preview.sender.from}>` : preview.sender.from) :
+        preview.sender.name],
+      ['Reply-To', preview.sender.replyTo],
+      ['To', preview.recipients.to],
+      ['Cc', preview.recipients.cc],
+      ['Bcc', preview.recipients.bcc],
+      ['Subject', preview.subject],
+      ['In-Reply-To', preview.headers['In-Reply-To']],
+      ['References', preview.headers['References']],
+      ['Rotation', preview.rotation],
+      ['Recovered by', preview.recovery && preview.recovery.method],
+      ['Attachments', preview.attachments.join(', ')],
+      ['Warnings', preview.warnings.join('; ')]
+    ].filter(([, value]) => value);
+    
+    const table = rows.map(([label, value]) =>
+      `<tr><th style="text-align:left;padding:4px 12px 4px 0;vertical-align:top;">${escapeHtml(label)}</th>` +
+      `<td style="padding:4px 0;font-family:monospace;">${escapeHtml(value)}</td></tr>`
+    ).join('\n');
+    
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(preview.subject)}</title></head>
+<body style="font-family: Arial, sans-serif; margin: 24px;">
+<h2>Email preview - nothing was sent</h2>
+<table style="border-collapse:collapse;">${table}</table>
+<h3>HTML body</h3>
+<div style="border:1px solid #ccc;padding:16px;">${preview.htmlBody || ''}</div>
+<h3>Plain-text body</h3>
+<pre style="border:1px solid #ccc;padding:16px;white-space:pre-wrap;">${escapeHtml(preview.plainBody)}</pre>
+</body></html>`;
+  }
+  
+  /**
+   * Send now, or queue in the outbox when configured and needed
+   * @private
+   * @param {string} htmlBody - Rendered HTML content
+   * @param {Object} options - Email options
+   * @return {SendResult} Outcome
+   */
+  sendOrQueue(htmlBody, options) {
+    if (!this.outbox) {
+      return this.deliverThreadedEmail(htmlBody, options);
+    }
+    
+    const reason = this.outbox.getQueueReason(this.config.streamKey);
+    if (reason) {
+      return this.queueSend(htmlBody, options, reason);
+    }
+    
+    const result = this.deliverThreadedEmail(htmlBody, options);
+    if (this.outbox.shouldQueueFailure(result, this.retry)) {
+      return this.queueSend(htmlBody, options, result.errorType, result);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Earlier result for a repeated send, if this send is a duplicate
+   * @private
+   * @param {string} htmlBody - Rendered HTML content
+   * @param {Object} options - Email options
+   * @return {SendResult|null} Earlier result (duplicate: true) or null to send
+   */
+  findDuplicateSend(htmlBody, options) {
+    let earlier = null;
+    let reason = null;
+    
+    if (options.idempotencyKey) {
+      const entry = this.readSentKeys().find(item => item.key === options.idempotencyKey);
+      if (entry && !entry.result) {
+        // Reserved by a send that never finished - it may have gone out
+        this.logger.error(`Idempotency key "${options.idempotencyKey}" belongs to an unfinished send - email not sent`,
+          { action: 'dedup' });
+        return this.createResult(SEND_ACTIONS.FAILED, null, options).fail(new Error(
+          `An earlier send with idempotency key "${options.idempotencyKey}" did not finish and may have gone out. ` +
+          'Check the thread, then send with a new key'));
+      }
+      if (entry) {
+        earlier = entry.result;
+        reason = `idempotency key "${options.idempotencyKey}" was already sent`;
+      }
+    }
+    
+    if (!earlier && this.config.dedup.content) {
+      const last = this.readStateJson(this.stateKeys.lastContent);
+      if (last && last.hash === this.hashContent(htmlBody, options)) {
+        earlier = last.result;
+        reason = 'body matches the last email sent to this stream';
+      }
+    }
+    
+    if (!earlier) {
+      return null;
+    }
+    
+    this.logger.info(`Skipping duplicate send: ${reason}`, { action: 'dedup' });
+    const result = SendResult.fromJSON(earlier);
+    result.duplicate = true;
+    return result.warn(`Not sent again: ${reason}`);
+  }
+  
+  /**
+   * Reserve options.idempotencyKey before sending
+   * The entry has no result until rememberSend fills it in.
+   * @private
+   * @param {Object} options - Email options
+   * @throws {Error} When the key cannot be stored
+   */
+  reserveSendKey(options) {
+    if (options.idempotencyKey) {
+      this.writeSentKey(options.idempotencyKey, null);
+    }
+  }
+  
+  /**
+   * Remember a send's result for duplicate detection
+   * Only sent or queued emails are remembered; a failed send releases its
+   * idempotency key so it can be retried.
+   * @private
+   * @param {string} htmlBody - Rendered HTML content
+   * @param {Object} options - Email options
+   * @param {SendResult} result - Outcome of the send
+   */
+  rememberSend(htmlBody, options, result) {
+    const remembered = result.success || result.action === SEND_ACTIONS.QUEUED;
+    const stored = remembered ? this.storedResult(result) : null;
+    
+    if (options.idempotencyKey) {
+      try {
+        this.writeSentKey(options.idempotencyKey, remembered ? stored : undefined);
+      } catch (error) {
+        this.logger.error(`Could not update idempotency key "${options.idempotencyKey}"`, { action: 'dedup', error: error });
+        result.warn(remembered ?
+          `Idempotency key "${options.idempotencyKey}" not updated, a repeat will be refused as unfinished: ${error.message}` :
+          `Idempotency key "${options.idempotencyKey}" not released, a retry will be refused until it expires: ${error.message}`);
+      }
+    }
+    
+    if (remembered && this.config.dedup.content) {
+      try {
+        this.stateStore.set(this.stateKeys.lastContent, JSON.stringify({
+          hash: this.hashContent(htmlBody, options),
+          result: stored
+        }));
+      } catch (error) {
+        // The email went out; failing to remember it must not turn into a failed send
+        this.logger.warn('Could not store send for duplicate detection', { action: 'dedup', error: error });
+        result.warn(`Duplicate detection not updated: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Store, replace or drop one idempotency key
+   * Expired keys are dropped and the list is kept under the 9 KB PropertiesService limit.
+   * @private
+   * @param {string} key - Idempotency key
+   * @param {Object|null|undefined} result - Stored result, null to reserve, undefined to drop
+   */
+  writeSentKey(key, result) {
+    const cutoff = Date.now() - this.config.dedup.ttlHours * 3600000;
+    let entries = this.readSentKeys()
+      .filter(item => item.key !== key && new Date(item.at).getTime() > cutoff);
+    
+    if (result !== undefined) {
+      entries = entries.concat([{ key: key, at: new Date().toISOString(), result: result }])
+        .slice(-this.config.dedup.maxKeys);
+    }
+    
+    while (entries.length > 1 && JSON.stringify(entries).length > 8000) {
+      entries = entries.slice(1);
+    }
+    
+    this.stateStore.set(this.stateKeys.sentKeys, JSON.stringify(entries));
+  }
+  
+  /**
+   * The part of a result kept for duplicate detection
+   * Enough to answer a repeated send; the full result would crowd out other keys.
+   * @private
+   * @param {SendResult} result - Outcome of the send
+   * @return {Object} Input for SendResult.fromJSON
+   */
+  storedResult(result) {
+    return {
+      success: result.success,
+      action: result.action,
+      streamKey: result.streamKey,
+      threadId: result.threadId,
+      messageId: result.messageId,
+      outboxId: result.outboxId,
+      timestamp: result.timestamp.toISOString()
+    };
+  }
+  
+  /**
+   * Add a send to config.ledger
+   * Dry runs and duplicates are skipped - nothing was sent. A ledger failure
+   * only adds a warning; the send's outcome stands.
+   * @param {SendResult} result - Outcome of the send
+   * @param {string|null} htmlBody - Rendered HTML content (null if rendering failed)
+   * @param {Object} options - Email options
+   */
+  recordSend(result, htmlBody, options) {
+    if (!this.ledger || result.action === SEND_ACTIONS.DRY_RUN || result.duplicate) {
+      return;
+    }
+    
+    try {
+      this.ledger.record(result, { bodyHash: htmlBody === null ? null : this.hashContent(htmlBody, options) });
+    } catch (error) {
+      this.logger.warn('Could not record send in the ledger', { action: 'ledger', error: error });
+      result.warn(`Send ledger not updated: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Sends recorded for this stream in config.ledger, newest first
+   * @param {Object} [filter] - Criteria (see SendLedger.query), e.g. { days: 30 }
+   * @return {Array<Object>} Ledger entries
+   * @throws {Error} When the manager has no ledger
+   */
+  getSendHistory(filter = {}) {
+    if (!this.ledger) {
+      throw new Error('No send ledger configured - set config.ledger');
+    }
+    return this.ledger.getSends(this.config.streamKey, filter);
+  }
+  
+  /**
+   * Remembered idempotency keys, oldest first
+   * @private
+   * @return {Array<Object>} Entries { key, at, result }; result is null while a send is in flight
+   */
+  readSentKeys() {
+    return this.readStateJson(this.stateKeys.sentKeys) || [];
+  }
+  
+  /**
+   * Read a JSON state value, ignoring unreadable data
+   * @private
+   * @param {string} key - State key
+   * @return {*} Parsed value or null
+   */
+  readStateJson(key) {
+    const raw = this.stateStore.get(key);
+    if (!raw) return null;
+    
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      this.logger.warn(`Ignoring unreadable state "${key}"`, { error: error });
+      return null;
+    }
+  }
+  
+  /**
+   * Hash of an email's content for duplicate detection
+   * @private
+   * @param {string} htmlBody - Rendered HTML content
+   * @param {Object} options - Email options (cc, bcc and plainBody count as content)
+   * @return {string} Base64 SHA-256 digest
+   */
+  hashContent(htmlBody, options) {
+    const content = JSON.stringify([htmlBody, options.plainBody || '', options.cc || '', options.bcc || '']);
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, content, Utilities.Charset.UTF_8);
+    return Utilities.base64Encode(digest);
+  }
+  
+  /**
+   * Run a send while holding the configured lock
+   * Reuses a lock this execution already holds, so nested sends do not deadlock.
+   * @param {Object} options - Email options (for the timeout result)
+   * @param {Function} fn - Send to run; returns a SendResult
+   * @return {SendResult} fn's result, or action 'lock_timeout' if the lock was busy
+   */
+  withSendLock(options, fn) {
+    const lock = this.getSendLock();
+    
+    if (!lock || lock.hasLock()) {
+      return fn();
+    }
+    
+    const { scope, waitMs } = this.config.lock;
+    if (!lock.tryLock(waitMs)) {
+      this.logger.error(`Could not get the ${scope} lock within ${waitMs}ms - email not sent`, { action: 'lock' });
+      
+      const result = this.createResult(SEND_ACTIONS.LOCK_TIMEOUT, null, options);
+      result.success = false;
+      result.error = new Error(`Could not acquire ${scope} lock within ${waitMs}ms - another send is in progress`);
+      result.errorMessage = result.error.toString();
+      return result;
+    }
+    
+    try {
+      return fn();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+  
+  /**
+   * Lock for the configured scope
+   * @private
+   * @return {Lock|null} Lock, or null when locking is disabled
+   */
+  getSendLock() {
+    if (!this.config.lock) {
+      return null;
+    }
+    
+    switch (this.config.lock.scope) {
+      case 'script':
+        return LockService.getScriptLock();
+      case 'user':
+        return LockService.getUserLock();
+      case 'document': {
+        const lock = LockService.getDocumentLock();
+        if (!lock) {
+          throw new Error('Document lock is only available in container-bound scripts');
+        }
+        return lock;
+      }
+      default:
+        return LockService.getScriptLock();
+    }
+  }
+  
+  /**
+   * Send a rendered email now (rotation, reply, new thread) - no outbox, no lock
+   * Used by sendThreadedEmail and by EmailOutbox when draining; callers wrap it
+   * in withSendLock.
+   * @param {string} htmlBody - HTML content of the email
+   * @param {Object} [options] - Additional options (see sendThreadedEmail)
+   * @return {SendResult} Outcome of the send
+   */
+  deliverThreadedEmail(htmlBody, options = {}) {
+    let storedThreadId = null;
+    let rotation = null;
+    let recovery = null;
+    const recoveryWarnings = [];
+    
+    try {
+      storedThreadId = this.stateStore.get(this.stateKeys.threadId);
+      this.logger.debug(`Stored thread ID: ${storedThreadId || 'None'}`, { threadId: storedThreadId || undefined });
+      
+      // A reply meant for one thread goes there or nowhere
+      if (options.threadId) {
+        const targeted = this.replyToExistingThread(options.threadId, htmlBody, options);
+        if (targeted.success && options.threadId === storedThreadId) {
+          this.tidyAfterSend(targeted);
+        }
+        return targeted;
+      }
+      
+      // A lost thread ID does not mean the thread is gone - look for it first
+      if (!storedThreadId) {
+        recovery = this.attemptRecovery([], recoveryWarnings);
+        storedThreadId = recovery ? recovery.threadId : null;
+      }
+      
+      // Start a new thread if a rotation policy says the current one is done
+      if (storedThreadId && this.rotationPolicies.length > 0) {
+        const policy = this.checkRotation(storedThreadId);
+        if (policy) {
+          rotation = policy.describe();
+          this.logger.info(`Rotating thread (${rotation})`, { action: 'rotate', threadId: storedThreadId });
+          this.resetThreading();
+          storedThreadId = null;
+        }
+      }
+      
+      let replyResult = null;
+      
+      if (storedThreadId) {
+        // Try to reply to existing thread
+        replyResult = this.replyToExistingThread(storedThreadId, htmlBody, options);
+        
+        // The stored ID may be stale while the thread itself still exists
+        if (this.threadIsGone(replyResult) && !recovery) {
+          recovery = this.attemptRecovery([storedThreadId], recoveryWarnings);
+          if (recovery) {
+            replyResult = this.replyToExistingThread(recovery.threadId, htmlBody, options);
+          }
+        }
+        
+        if (replyResult.success) {
+          this.logger.debug('Replied to existing thread', { action: replyResult.action, threadId: replyResult.threadId });
+          if (recovery) {
+            replyResult.recovery = recovery;
+            replyResult.previousThreadId = recovery.previousThreadId;
+          }
+          replyResult.warnings = recoveryWarnings.concat(replyResult.warnings);
+          this.tidyAfterSend(replyResult);
+          return replyResult;
+        }
+        
+        // Only a thread that is really gone justifies starting a new one
+        if (!this.threadIsGone(replyResult)) {
+          this.logger.error(`Reply failed (${replyResult.errorType}), keeping thread ${replyResult.threadId}`, {
+            action: 'reply',
+            threadId: replyResult.threadId
+          });
+          replyResult.warnings = recoveryWarnings.concat(replyResult.warnings);
+          return replyResult;
+        }
+        
+        this.logger.warn('Stored thread is gone, creating new thread instead', { threadId: replyResult.threadId });
+      } else {
+        this.logger.info('No stored thread found, creating new thread');
+      }
+      
+      // Create new thread if none exists or reply failed
+      const result = this.createNewThread(htmlBody, options);
+      result.rotation = rotation;
+      result.warnings = recoveryWarnings.concat(result.warnings);
+      
+      if (replyResult) {
+        // Keep what went wrong with the reply so callers can alert on it
+        if (result.success) {
+          result.action = SEND_ACTIONS.FALLBACK_CREATED;
+        }
+        result.previousThreadId = replyResult.threadId;
+        result.fallbackReason = replyResult.errorMessage;
+        result.warnings = replyResult.warnings.concat(
+          [`Reply to thread ${replyResult.threadId} failed: ${replyResult.errorMessage}`],
+          result.warnings
+        );
+      }
+      
+      if (result.success) {
+        this.logger.debug('Created new thread', { action: result.action, threadId: result.threadId });
+        this.tidyAfterSend(result);
+      } else {
+        this.logger.error('Failed to create new thread', { action: 'create' });
+      }
+      
+      return result;
+      
+    } catch (error) {
+      this.logger.error('Send failed', { action: 'send', threadId: storedThreadId || undefined, error: error });
+      
+      const result = this.createResult(SEND_ACTIONS.FAILED, storedThreadId, options);
+      result.rotation = rotation;
+      result.warnings = recoveryWarnings;
+      return result.fail(error);
+    }
+  }
+  
+  /**
+   * Run recoverThread for a send; a failed search never fails the send
+   * @private
+   * @param {Array<string>} excludeIds - Thread IDs not to adopt
+   * @param {Array<string>} warnings - Receives what happened, for the result
+   * @return {Object|null} Recovery (see recoverThread), or null
+   */
+  attemptRecovery(excludeIds, warnings) {
+    if (!this.config.recovery) {
+      return null;
+    }
+    
+    try {
+      const recovery = this.recoverThread(excludeIds);
+      if (recovery) {
+        const reason = recovery.previousThreadId ?
+          `thread ${recovery.previousThreadId} not found` :
+          'no stored thread ID';
+        warnings.push(`Recovered thread ${recovery.threadId} by ${recovery.method} (${reason})`);
+      }
+      return recovery;
+    } catch (error) {
+      this.logger.warn('Thread recovery failed', { action: 'recover', error: error });
+      warnings.push(`Thread recovery failed: ${error.toString()}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Apply housekeeping to the thread a send went into
+   * Never fails the send; problems become warnings on the result.
+   * @private
+   * @param {SendResult} result - Successful send
+   */
+  tidyAfterSend(result) {
+    if (!this.housekeeping || !this.housekeeping.hasWork()) {
+      return;
+    }
+    
+    try {
+      const thread = this.getThread(result.threadId);
+      if (!thread) {
+        result.warn(`Housekeeping skipped: thread ${result.threadId} not found`);
+        return;
+      }
+      
+      result.housekeeping = this.housekeeping.apply(thread);
+      result.housekeeping.errors.forEach(error => result.warn(`Housekeeping: ${error}`));
+      this.logger.debug(`Housekeeping: ${this.housekeeping.describe()}`, { action: 'housekeeping', threadId: result.threadId });
+    } catch (error) {
+      result.warn(`Housekeeping failed: ${error.toString()}`);
+    }
+  }
+  
+  /**
+   * Put an email in the outbox instead of sending it now
+   * @private
+   * @param {string} htmlBody - Rendered HTML content
+   * @param {Object} options - Email options
+   * @param {string} reason - Why it is queued ('pending', 'quota', 'transient')
+   * @param {SendResult} [failed] - The failed attempt, if one was made
+   * @return {SendResult} Result with action 'queued' (or 'failed' if it cannot be queued)
+   */
+  queueSend(htmlBody, options, reason, failed = null) {
+    const result = this.createResult(SEND_ACTIONS.QUEUED, null, options);
+    
+    try {
+      const item = this.outbox.enqueue(this, htmlBody, options, reason);
+      result.success = false;
+      result.outboxId = item.id;
+      if (failed) {
+        result.warnings = failed.warnings.slice();
+        result.errorType = failed.errorType;
+      }
+      result.warn(`Queued in outbox (${reason}) as ${item.id}`);
+      this.logger.info(`Email queued in outbox (${reason}): ${item.id}`, { action: 'queue', outboxId: item.id });
+      return result;
+    } catch (error) {
+      this.logger.error('Could not queue email', { action: 'queue', error: error });
+      if (failed) {
+        return failed.warn(`Could not queue in outbox: ${error.message}`);
+      }
+      return result.fail(error);
+    }
+  }
+  
+  /**
+   * Reply to an existing email thread with proper group distribution
+   * @private
+   * @param {string} threadId - The Gmail thread ID
+   * @param {string} htmlBody - HTML content
+   * @param {Object} options - Additional email options
+   * @return {SendResult} Outcome (action 'replied' on success)
+   */
+  replyToExistingThread(threadId, htmlBody, options = {}) {
+    this.logger.debug(`Attempting to reply to thread: ${threadId}`, { action: 'reply', threadId: threadId });
+    
+    const result = this.createResult(SEND_ACTIONS.REPLIED, threadId, options);
+    
+    try {
+      const plan = this.planReply(threadId, htmlBody, options);
+      plan.warnings.forEach(warning => result.warn(warning));
+      result.subject = plan.subject;
+      
+      // CRITICAL FIX: Use sendEmail to force group recipient
+      // This ensures emails always go to the group, not just the last replier
+      this.retry.run('sendEmail', () => GmailApp.sendEmail(
+        plan.to,  // Always goes to configured recipient
+        plan.subject,
+        plan.plainBody,
+        plan.emailOptions
+      ));
+      
+      this.logger.debug(`Reply sent to ${this.config.recipientEmail} (recipient enforced)`, { action: 'reply', threadId: threadId });
+      
+      // Replies to an older thread do not count towards the current one's rotation
+      if (threadId === this.stateStore.get(this.stateKeys.threadId)) {
+        this.recordReplySent();
+      }
+      
+      // sendEmail() does not return the message, so look it up in the thread
+      this.identifySentReply(threadId, plan.messageCount, result);
+      
+      return result;
+      
+    } catch (error) {
+      this.logger.error(`Error replying to thread ${threadId}`, { action: 'reply', threadId: threadId, error: error });
+      return result.fail(error);
+    }
+  }
+  
+  /**
+   * Whether a reply failed because its thread could not be found
+   * A notFound error from the send itself (or later) does not count: the reply
+   * may already be in the thread, so falling back could send it twice
+   * @private
+   * @param {SendResult} result - Result of replyToExistingThread()
+   * @return {boolean} True if the thread lookup found nothing
+   */
+  threadIsGone(result) {
+    return !result.success &&
+      result.errorType === GMAIL_ERROR_TYPES.NOT_FOUND &&
+      !!result.error && result.error.operation === 'getThreadById';
+  }
+  
+  /**
+   * Create a new email thread
+   * @private
+   * @param {string} htmlBody - HTML content
+   * @param {Object} options - Additional email options
+   * @return {SendResult} Outcome (action 'created' on success)
+   */
+  createNewThread(htmlBody, options = {}) {
+    this.logger.debug('Creating new thread', { action: 'create' });
+    
+    const result = this.createResult(SEND_ACTIONS.CREATED, null, options);
+    
+    try {
+      // Store old thread ID for debugging if it exists
+      const oldThreadId = this.stateStore.get(this.stateKeys.threadId);
+      if (oldThreadId) {
+        this.stateStore.set(this.stateKeys.previousThreadId, oldThreadId);
+        this.logger.debug(`Previous thread ID (${oldThreadId}) stored for debugging`, { action: 'create' });
+      }
+      
+      const plan = this.planNewThread(htmlBody, options);
+      result.subject = plan.subject;
+      
+      // Create draft and send to get thread ID reliably
+      const draft = this.retry.run('createDraft', () => GmailApp.createDraft(
+        plan.to,
+        plan.subject,
+        plan.plainBody,
+        plan.emailOptions
+      ));
+      
+      this.logger.debug('Draft created, sending', { action: 'create' });
+      const sentMessage = this.retry.run('sendDraft', () => draft.send());
+      const newThread = sentMessage.getThread();
+      const newThreadId = newThread.getId();
+      
+      result.threadId = newThreadId;
+      this.describeSentMessage(sentMessage, result);
+      
+      // Store the new thread ID; the first Message-ID lets recoverThread find it again
+      this.stateStore.set(this.stateKeys.threadId, newThreadId);
+      this.writeThreadMeta({
+        createdAt: plan.createdAt,
+        subject: plan.subject,
+        sendCount: 1,
+        sequence: plan.sequence,
+        threadId: newThreadId,
+        firstMessageId: result.messageIdHeader
+      });
+      
+      this.logger.debug(`Thread subject: "${newThread.getFirstMessageSubject()}"`, { action: 'create', threadId: newThreadId });
+      
+      return result;
+      
+    } catch (error) {
+      this.logger.error('Error creating new thread', { action: 'create', error: error });
+      return result.fail(error);
+    }
+  }
+  
+  /**
+   * Work out a reply to an existing thread without sending it
+   * @private
+   * @param {string} threadId - The Gmail thread ID
+   * @param {string} htmlBody - HTML content
+   * @param {Object} options - Additional email options
+   * @return {Object} Plan { action, threadId, to, subject, headers, htmlBody, plainBody,
+   *         emailOptions, messageCount, warnings }
+   * @throws {GmailOperationError} When the thread is gone (type 'notFound') or Gmail fails
+   */
+  planReply(threadId, htmlBody, options) {
+    const thread = this.getThread(threadId);
+    
+    if (!thread) {
+      this.logger.warn('Thread not found', { threadId: threadId });
+      throw new GmailOperationError(
+        `Thread not found: ${threadId}`, GMAIL_ERROR_TYPES.NOT_FOUND, { operation: 'getThreadById' }
+      );
+    }
+    
+    const messages = this.retry.run('getMessages', () => thread.getMessages());
+    const firstSubject = this.retry.run('getFirstMessageSubject', () => thread.getFirstMessageSubject());
+    this.logger.debug(`Found thread with ${messages.length} messages: "${firstSubject}"`, { threadId: threadId });
+    
+    const warnings = [];
+    
+    // Extract threading information
+    const threadingInfo = this.extractThreadingHeaders(messages[0]);
+    
+    if (!threadingInfo.messageId) {
+      this.logger.warn('Could not extract Message-ID, attempting fallback method', { threadId: threadId });
+      // Try to get from raw content differently
+      threadingInfo.messageId = this.extractMessageIdAlternative(messages[0]);
+      
+      if (!threadingInfo.messageId) {
+        this.logger.error('Cannot maintain threading without Message-ID', { threadId: threadId });
+        throw new Error('Cannot maintain threading without Message-ID');
+      }
+      
+      warnings.push('Message-ID header not found; used extractMessageIdAlternative() - threading may break in non-Gmail clients');
+    }
+    
+    this.logger.debug(`First message ID: ${threadingInfo.messageId}`, { threadId: threadId });
+    
+    // Build In-Reply-To (latest message) and the References chain
+    const chain = this.buildThreadingHeaders(threadingInfo, messages);
+    this.logger.debug(`In-Reply-To: ${chain.inReplyTo} (${chain.referenceCount} references)`, { threadId: threadId });
+    
+    if (chain.trimmed) {
+      warnings.push(`References header trimmed to ${chain.referenceCount} message IDs`);
+    }
+    
+    const headers = {
+      'In-Reply-To': chain.inReplyTo,
+      'References': chain.references
+    };
+    
+    return {
+      ...this.planMessage(htmlBody, options, headers),
+      action: SEND_ACTIONS.REPLIED,
+      threadId: threadId,
+      subject: this.formatReplySubject(firstSubject),
+      messageCount: messages.length,
+      warnings: warnings
+    };
+  }
+  
+  /**
+   * Work out the first email of a new thread without sending it
+   * @private
+   * @param {string} htmlBody - HTML content
+   * @param {Object} options - Additional email options
+   * @return {Object} Plan { action, threadId, to, subject, headers, htmlBody, plainBody,
+   *         emailOptions, createdAt, sequence, warnings }
+   */
+  planNewThread(htmlBody, options) {
+    const now = new Date();
+    const sequence = (this.readThreadMeta().sequence || 0) + 1;
+    
+    return {
+      ...this.planMessage(htmlBody, options, {}),
+      action: SEND_ACTIONS.CREATED,
+      threadId: null,
+      subject: this.resolveNewThreadSubject(now, sequence),
+      createdAt: now.toISOString(),
+      sequence: sequence,
+      warnings: []
+    };
+  }
+  
+  /**
+   * Recipient, bodies and GmailApp options shared by replies and new threads
+   * @private
+   * @param {string} htmlBody - HTML content
+   * @param {Object} options - Additional email options
+   * @param {Object} headers - Threading headers (empty for a new thread)
+   * @return {Object} { to, headers, htmlBody, plainBody, emailOptions }
+   * @throws {RecipientPolicyError} When options.cc or options.bcc break the recipient policy,
+   *         or config.from is not an alias
    */
-  constructor(config) {
-    this.config = {
-      threadIdProperty: config.threadIdProperty || 'emailThreadId',
-      recipientEmail: config.recipientEmail,
-      emailSubject: config.emailSubject,
-      enableLogging: config.enableLogging !== false,
-      scriptVersion: config.scriptVersion || '2.0.0'
+  planMessage(htmlBody, options, headers) {
+    // Library-only options are not passed on to GmailApp; the sender and
+    // Reply-To are the stream's, so new threads and replies always match
+    const { idempotencyKey, dryRun, cc, bcc, from, name, replyTo, ...gmailOptions } = options;
+    const recipients = this.resolveRecipients(options);
+    const sender = this.resolveSender();
+    
+    const emailOptions = {
+      ...gmailOptions,
+      htmlBody: htmlBody
     };
     
-    this.properties = PropertiesService.getScriptProperties();
+    if (sender.from) {
+      emailOptions.from = sender.from;
+    }
+    if (sender.name) {
+      emailOptions.name = sender.name;
+    }
+    if (this.config.replyTo) {
+      emailOptions.replyTo = this.config.replyTo;
+    }
+    
+    if (recipients.cc.length > 0) {
+      emailOptions.cc = formatAddressList(recipients.cc);
+    }
+    if (recipients.bcc.length > 0) {
+      emailOptions.bcc = formatAddressList(recipients.bcc);
+    }
+    
+    // Threading headers win over extra headers the caller passed; the stream
+    // header lets recoverThread find the thread without its ID
+    const allHeaders = { ...(gmailOptions.headers || {}), ...headers };
+    if (this.config.recovery) {
+      allHeaders[THREAD_STREAM_HEADER] = this.config.streamKey;
+    }
+    if (Object.keys(allHeaders).length > 0) {
+      emailOptions.headers = allHeaders;
+    }
+    
+    // Add plain text if not provided
+    if (!emailOptions.plainBody && htmlBody) {
+      emailOptions.plainBody = this.htmlToPlainText(htmlBody);
+    }
+    
+    return {
+      to: formatAddressList(recipients.to),  // Always the configured recipient
+      headers: headers,
+      htmlBody: htmlBody,
+      plainBody: emailOptions.plainBody || '',
+      emailOptions: emailOptions
+    };
   }
   
   /**
-   * Send a threaded email (main public method)
-   * @param {string} htmlBody - HTML content of the email
-   * @param {Object} [options] - Additional options
-   * @param {string} [options.plainBody] - Plain text version
-   * @param {Array} [options.attachments] - File attachments
-   * @param {string} [options.cc] - CC recipients
-   * @param {string} [options.bcc] - BCC recipients
-   * @return {boolean} Success status
+   * Start a result for a send attempt with the resolved recipients filled in
+   * @private
+   * @param {string} action - One of SEND_ACTIONS
+   * @param {string|null} threadId - Target thread ID, if known
+   * @param {Object} options - Email options passed by the caller
+   * @return {SendResult} New result
    */
-  sendThreadedEmail(htmlBody, options = {}) {
-    this.log('Starting threaded email send...');
+  createResult(action, threadId, options = {}) {
+    // Normalized where possible; a rejected list is reported as given
+    const resolved = this.recipientPolicy.resolve({ to: this.config.recipientEmail, cc: options.cc, bcc: options.bcc });
+    const valid = resolved.violations.length === 0;
     
-    const storedThreadId = this.properties.getProperty(this.config.threadIdProperty);
-    this.log(`Stored thread ID: ${storedThreadId || 'None'}`);
+    return new SendResult({
+      action: action,
+      streamKey: this.config.streamKey,
+      threadId: threadId,
+      recipients: {
+        to: this.config.recipientEmail || '',
+        cc: (valid ? formatAddressList(resolved.cc) : options.cc) || '',
+        bcc: (valid ? formatAddressList(resolved.bcc) : options.bcc) || ''
+      }
+    });
+  }
+  
+  /**
+   * Parse and check the recipients of a send against the recipient policy
+   * The configured recipient is always the "to"; options only add cc and bcc.
+   * @param {Object} [options] - Send options ({ cc, bcc }: strings or arrays)
+   * @return {Object} { to, cc, bcc } arrays of { name, address, domain }, de-duplicated
+   * @throws {RecipientPolicyError} When an address is malformed or not allowed
+   */
+  resolveRecipients(options = {}) {
+    return this.recipientPolicy.enforce({
+      to: this.config.recipientEmail,
+      cc: options.cc,
+      bcc: options.bcc
+    });
+  }
+  
+  /**
+   * The From alias and display name for this stream
+   * The alias is checked against GmailApp.getAliases() (or the owner's own
+   * address) once, before the first message is built.
+   * @return {Object} { from, name } (from is null when sending as the owner)
+   * @throws {RecipientPolicyError} When config.from is not a send-as alias
+   */
+  resolveSender() {
+    if (this.sender) {
+      return this.sender;
+    }
     
-    try {
-      if (storedThreadId) {
-        // Try to reply to existing thread
-        const replySuccess = this.replyToExistingThread(storedThreadId, htmlBody, options);
-        if (replySuccess) {
-          this.log('✅ Successfully replied to existing thread');
-          return true;
-        } else {
-          this.log('Reply failed, creating new thread instead');
-        }
-      } else {
-        this.log('No stored thread found, creating new thread');
+    if (this.config.from) {
+      const address = this.config.from.toLowerCase();
+      const owner = (Session.getEffectiveUser().getEmail() || '').toLowerCase();
+      const aliases = this.retry.run('getAliases', () => GmailApp.getAliases());
+      
+      if (address !== owner && !aliases.some(alias => alias.toLowerCase() === address)) {
+        throw new RecipientPolicyError([{
+          field: 'from',
+          address: this.config.from,
+          rule: RECIPIENT_VIOLATIONS.ALIAS,
+          message: `from: ${this.config.from} is not a send-as alias of ${owner || 'this account'} ` +
+            `(aliases: ${aliases.join(', ') || 'none'})`
+        }]);
       }
+      this.logger.info(`Sending as alias ${this.config.from}`);
+    }
+    
+    this.sender = { from: this.config.from, name: this.config.fromName };
+    return this.sender;
+  }
+  
+  /**
+   * Parse config.replyTo (default: the configured recipients)
+   * @private
+   * @param {string|Array<string>|boolean} [value] - Reply-To, or false for none
+   * @return {string|null} Normalized Reply-To
+   * @throws {RecipientPolicyError} When an address is malformed or not allowed
+   */
+  resolveReplyTo(value) {
+    if (value === false) {
+      return null;
+    }
+    if (value === undefined || value === null || value === true) {
+      return this.config.recipientEmail;
+    }
+    
+    const list = this.recipientPolicy.resolveField('replyTo', value);
+    if (list.violations.length > 0 || list.addresses.length === 0) {
+      throw new RecipientPolicyError(list.violations.length > 0 ? list.violations : [{
+        field: 'replyTo',
+        address: null,
+        rule: RECIPIENT_VIOLATIONS.MISSING,
+        message: 'replyTo: no address given (use false for no Reply-To)'
+      }]);
+    }
+    return formatAddressList(list.addresses);
+  }
+  
+  /**
+   * Parse config.from into a single address
+   * @private
+   * @param {string} [value] - Alias address ("Name <address>" allowed)
+   * @return {Object|null} Parsed address, or null when sending as the owner
+   * @throws {RecipientPolicyError} When it is not exactly one valid address
+   */
+  resolveFromAddress(value) {
+    if (!value) {
+      return null;
+    }
+    
+    const entries = parseAddressList(value);
+    if (entries.length !== 1 || !entries[0].valid) {
+      throw new RecipientPolicyError([{
+        field: 'from',
+        address: String(value),
+        rule: RECIPIENT_VIOLATIONS.INVALID,
+        message: `from: "${value}" is not a single valid email address`
+      }]);
+    }
+    return entries[0];
+  }
+  
+  /**
+   * Find the reply just sent with sendEmail() and record its IDs on the result
+   * @private
+   * @param {string} threadId - Thread the reply was sent into
+   * @param {number} previousCount - Number of messages before the reply
+   * @param {SendResult} result - Result to update
+   */
+  identifySentReply(threadId, previousCount, result) {
+    try {
+      const messages = this.retry.run('getMessages', () => GmailApp.getThreadById(threadId).getMessages());
       
-      // Create new thread if none exists or reply failed
-      const newThreadSuccess = this.createNewThread(htmlBody, options);
-      if (newThreadSuccess) {
-        this.log('✅ Successfully created new thread');
-        return true;
+      if (messages.length > previousCount) {
+        this.describeSentMessage(messages[messages.length - 1], result);
       } else {
-        this.log('❌ Failed to create new thread');
-        return false;
+        result.warn('Sent reply not visible in the thread yet; message ID unknown');
       }
-      
     } catch (error) {
-      this.log(`❌ Error in sendThreadedEmail: ${error.toString()}`);
-      this.log(`Stack trace: ${error.stack || 'No stack trace available'}`);
-      return false;
+      result.warn(`Could not look up sent reply: ${error.toString()}`);
     }
   }
   
   /**
-   * Reply to an existing email thread with proper group distribution
+   * Record a sent message's Gmail ID and Message-ID header on a result
    * @private
-   * @param {string} threadId - The Gmail thread ID
-   * @param {string} htmlBody - HTML content
-   * @param {Object} options - Additional email options
-   * @return {boolean} Success status
+   * @param {GmailMessage} message - The sent message
+   * @param {SendResult} result - Result to update
    */
-  replyToExistingThread(threadId, htmlBody, options = {}) {
-    this.log(`Attempting to reply to thread: ${threadId}`);
+  describeSentMessage(message, result) {
+    result.messageId = message.getId();
     
-    try {
-      // Get the thread
-      const thread = this.getThread(threadId);
-      
-      if (!thread) {
-        this.log('❌ Thread not found');
-        return false;
+    const headers = this.extractThreadingHeaders(message);
+    if (headers.messageId) {
+      result.messageIdHeader = `<${headers.messageId}>`;
+    } else {
+      result.warn('Could not read the Message-ID header of the sent message');
+    }
+  }
+  
+  /**
+   * Check the rotation policies against the current thread
+   * @private
+   * @param {string} threadId - Current thread ID
+   * @return {ThreadRotationPolicy|null} The first policy that triggered, or null
+   */
+  checkRotation(threadId) {
+    const meta = this.readThreadMeta();
+    let thread;
+    
+    // Gmail is only queried if a policy needs data that is not in the stored metadata
+    const loadThread = () => {
+      if (thread === undefined) {
+        thread = this.getThread(threadId);
       }
-      
-      const messages = thread.getMessages();
-      this.log(`Found thread with ${messages.length} messages`);
-      this.log(`Thread subject: "${thread.getFirstMessageSubject()}"`);
-      
-      // Extract threading information
-      const threadingInfo = this.extractThreadingHeaders(messages[0]);
-      
-      if (!threadingInfo.messageId) {
-        this.log('⚠️ Could not extract Message-ID, attempting fallback method');
-        // Try to get from raw content differently
-        threadingInfo.messageId = this.extractMessageIdAlternative(messages[0]);
-        
-        if (!threadingInfo.messageId) {
-          this.log('❌ Cannot maintain threading without Message-ID');
-          return false;
-        }
+      return thread;
+    };
+    
+    const context = {
+      threadId: threadId,
+      streamKey: this.config.streamKey,
+      now: new Date(),
+      meta: meta,
+      getThread: loadThread,
+      getCreatedAt: () => {
+        if (meta.createdAt) return new Date(meta.createdAt);
+        const t = loadThread();
+        return t ? t.getMessages()[0].getDate() : null;
+      },
+      getMessageCount: () => {
+        const t = loadThread();
+        return t ? t.getMessageCount() : (meta.sendCount || 0);
       }
-      
-      this.log(`First message ID: ${threadingInfo.messageId}`);
-      
-      // Build the References header chain
-      const references = this.buildReferencesHeader(threadingInfo, messages);
-      
-      // Prepare email options with threading headers
-      const emailOptions = {
-        ...options,
-        htmlBody: htmlBody,
-        headers: {
-          'In-Reply-To': `<${threadingInfo.messageId}>`,
-          'References': references
+    };
+    
+    for (const policy of this.rotationPolicies) {
+      try {
+        if (policy.shouldRotate(context)) {
+          return policy;
         }
-      };
-      
-      // Add plain text if not provided
-      if (!emailOptions.plainBody && htmlBody) {
-        emailOptions.plainBody = this.htmlToPlainText(htmlBody);
+      } catch (error) {
+        this.logger.warn(`Rotation policy "${policy.describe()}" failed`, { action: 'rotate', threadId: threadId, error: error });
       }
-      
-      // CRITICAL FIX: Use sendEmail to force group recipient
-      // This ensures emails always go to the group, not just the last replier
-      GmailApp.sendEmail(
-        this.config.recipientEmail,  // Always goes to configured recipient
-        this.formatReplySubject(thread.getFirstMessageSubject()),
-        emailOptions.plainBody || '',
-        emailOptions
-      );
-      
-      this.log('✅ Reply sent with proper threading headers');
-      this.log(`Email sent to: ${this.config.recipientEmail} (recipient enforced)`);
-      
-      return true;
-      
-    } catch (error) {
-      this.log(`❌ Error replying to thread ${threadId}: ${error.toString()}`);
-      return false;
     }
+    
+    return null;
   }
   
   /**
-   * Create a new email thread
+   * Subject for a new thread (first rotation policy with a subject template wins),
+   * with the stream tag in front if config.streamTag is set
    * @private
-   * @param {string} htmlBody - HTML content
-   * @param {Object} options - Additional email options
-   * @return {boolean} Success status
+   * @param {Date} date - Thread start date
+   * @param {number} sequence - Thread number within this stream
+   * @return {string} Subject line
    */
-  createNewThread(htmlBody, options = {}) {
-    this.log('Creating new thread...');
+  resolveNewThreadSubject(date, sequence) {
+    const templated = this.rotationPolicies.find(policy => policy.subjectTemplate);
+    const subject = templated ?
+      templated.formatSubject(this.config.emailSubject, date, sequence) :
+      this.config.emailSubject;
+    
+    return this.subjects.addStreamTag(subject);
+  }
+  
+  /**
+   * Read metadata about the current thread (creation time, send count, subject)
+   * @private
+   * @return {Object} Metadata (empty object if none stored)
+   */
+  readThreadMeta() {
+    const raw = this.stateStore.get(this.stateKeys.threadMeta);
+    if (!raw) return {};
     
     try {
-      // Store old thread ID for debugging if it exists
-      const oldThreadId = this.properties.getProperty(this.config.threadIdProperty);
-      if (oldThreadId) {
-        this.properties.setProperty('previousThreadId_' + this.config.threadIdProperty, oldThreadId);
-        this.log(`Previous thread ID (${oldThreadId}) stored for debugging`);
-      }
-      
-      // Prepare email options
-      const emailOptions = {
-        ...options,
-        htmlBody: htmlBody
-      };
-      
-      // Add plain text if not provided
-      if (!emailOptions.plainBody && htmlBody) {
-        emailOptions.plainBody = this.htmlToPlainText(htmlBody);
-      }
-      
-      // Create draft and send to get thread ID reliably
-      const draft = GmailApp.createDraft(
-        this.config.recipientEmail,
-        this.config.emailSubject,
-        emailOptions.plainBody || '',
-        emailOptions
-      );
-      
-      this.log('Draft created, sending...');
-      const sentMessage = draft.send();
-      const newThread = sentMessage.getThread();
-      const newThreadId = newThread.getId();
-      
-      // Store the new thread ID
-      this.properties.setProperty(this.config.threadIdProperty, newThreadId);
-      
-      this.log(`✅ Created new thread with ID: ${newThreadId}`);
-      this.log(`Thread subject: "${newThread.getFirstMessageSubject()}"`);
-      
-      return true;
-      
+      return JSON.parse(raw);
     } catch (error) {
-      this.log(`❌ Error creating new thread: ${error.toString()}`);
-      return false;
+      this.logger.warn('Ignoring unreadable thread metadata', { error: error });
+      return {};
     }
   }
   
+  /**
+   * Store metadata about the current thread
+   * @private
+   * @param {Object} meta - Metadata to store
+   */
+  writeThreadMeta(meta) {
+    this.stateStore.set(this.stateKeys.threadMeta, JSON.stringify(meta));
+  }
+  
+  /**
+   * Count a reply in the current thread's metadata
+   * @private
+   */
+  recordReplySent() {
+    const meta = this.readThreadMeta();
+    meta.sendCount = (meta.sendCount || 0) + 1;
+    meta.lastSentAt = new Date().toISOString();
+    this.writeThreadMeta(meta);
+  }
+  
   /**
    * Get a Gmail thread by ID with fallback methods
    * @private
    * @param {string} threadId - The thread ID
    * @return {GmailThread|null} The thread or null if not found
+   * @throws {GmailOperationError} When Gmail fails for a reason other than a missing thread
    */
   getThread(threadId) {
     let thread = null;
     
     // Method 1: Direct lookup
     try {
-      thread = GmailApp.getThreadById(threadId);
+      thread = this.retry.run('getThreadById', () => GmailApp.getThreadById(threadId));
       if (thread) {
-        this.log('Thread found via direct lookup');
+        this.logger.debug('Thread found via direct lookup', { threadId: threadId });
         return thread;
       }
     } catch (directError) {
-      this.log(`Direct thread lookup failed: ${directError.toString()}`);
+      if (directError.type !== GMAIL_ERROR_TYPES.NOT_FOUND) {
+        throw directError;
+      }
+      this.logger.debug(`Direct thread lookup failed: ${directError.toString()}`, { threadId: threadId });
     }
     
     // Method 2: Search method
     try {
-      this.log('Trying search method...');
-      const threads = GmailApp.search('thread:' + threadId);
+      this.logger.debug('Trying search method', { threadId: threadId });
+      const threads = this.retry.run('search', () => GmailApp.search('thread:' + threadId));
       if (threads.length > 0) {
         thread = threads[0];
-        this.log('Thread found via search method');
+        this.logger.debug('Thread found via search method', { threadId: threadId });
         return thread;
       }
     } catch (searchError) {
-      this.log(`Search method failed: ${searchError.toString()}`);
+      if (searchError.type !== GMAIL_ERROR_TYPES.NOT_FOUND) {
+        throw searchError;
+      }
+      this.logger.debug(`Search method failed: ${searchError.toString()}`, { threadId: threadId });
     }
     
     return null;
@@ -260,27 +1660,25 @@ class EmailThreadingManager {
   
   /**
    * Extract Message-ID and References from email headers
+   * Only the top-level header block is read (see parseMimeHeaders)
    * @private
    * @param {GmailMessage} message - The Gmail message
-   * @return {Object} Object with messageId and references
+   * @return {Object} Object with messageId, references, inReplyTo and the full header map
    */
   extractThreadingHeaders(message) {
     try {
-      const rawContent = message.getRawContent();
+      const headers = parseMimeHeaders(this.retry.run('getRawContent', () => message.getRawContent()));
       
-      // Extract Message-ID
-      const messageIdMatch = rawContent.match(/Message-ID:\s*<([^>]+)>/i);
-      const messageId = messageIdMatch ? messageIdMatch[1] : null;
-      
-      // Extract References
-      const referencesMatch = rawContent.match(/References:\s*([^\r\n]+)/i);
-      const references = referencesMatch ? referencesMatch[1].trim() : null;
-      
-      return { messageId, references };
+      return {
+        messageId: headers.getMessageId(),
+        references: headers.get('References'),
+        inReplyTo: headers.get('In-Reply-To'),
+        headers: headers
+      };
       
     } catch (error) {
-      this.log(`Error extracting headers: ${error.toString()}`);
-      return { messageId: null, references: null };
+      this.logger.warn('Error extracting headers', { error: error });
+      return { messageId: null, references: null, inReplyTo: null, headers: new MimeHeaderMap() };
     }
   }
   
@@ -299,38 +1697,64 @@ class EmailThreadingManager {
         return id + '@mail.gmail.com';
       }
     } catch (error) {
-      this.log(`Alternative ID extraction failed: ${error.toString()}`);
+      this.logger.warn('Alternative ID extraction failed', { error: error });
     }
     return null;
   }
   
   /**
-   * Build the References header for threading
+   * Build In-Reply-To and References for a reply (RFC 5322 section 3.6.4)
+   *
+   * In-Reply-To points at the latest message whose Message-ID can be read
+   * (the first message if none can). References lists the ancestry: the
+   * first message's own References, the first message, recent messages and
+   * the parent, trimmed to config.maxReferencesLength.
    * @private
-   * @param {Object} threadingInfo - Info from first message
+   * @param {Object} threadingInfo - Info from first message ({ messageId, references })
    * @param {Array} messages - All messages in thread
-   * @return {string} The References header value
+   * @return {Object} { inReplyTo, references, referenceCount, trimmed }
    */
-  buildReferencesHeader(threadingInfo, messages) {
-    let references = '';
+  buildThreadingHeaders(threadingInfo, messages) {
+    const firstId = `<${threadingInfo.messageId}>`;
     
-    // Start with existing references if any
-    if (threadingInfo.references) {
-      references = threadingInfo.references;
+    // Latest message with a readable Message-ID is the parent. Messages that
+    // arrived without headers (see debugging reference) are skipped.
+    let parent = null;
+    for (let i = messages.length - 1; i > 0 && !parent; i--) {
+      const info = this.extractThreadingHeaders(messages[i]);
+      if (info.messageId) {
+        parent = { index: i, messageId: `<${info.messageId}>`, references: info.references };
+      }
     }
     
-    // Add the first message ID
-    if (threadingInfo.messageId) {
-      if (references) {
-        references += ' ';
+    // Recent messages between the first message and the parent
+    const recentIds = [];
+    if (parent && this.config.recentReferenceCount > 0) {
+      const from = Math.max(1, parent.index - this.config.recentReferenceCount);
+      for (let i = from; i < parent.index; i++) {
+        const info = this.extractThreadingHeaders(messages[i]);
+        if (info.messageId) {
+          recentIds.push(`<${info.messageId}>`);
+        }
       }
-      references += `<${threadingInfo.messageId}>`;
     }
     
-    // Could add more message IDs from the thread if needed
-    // But usually the first message ID is sufficient
+    const ids = [].concat(
+      parseMessageIdList(threadingInfo.references),
+      [firstId],
+      parent ? parseMessageIdList(parent.references) : [],
+      recentIds,
+      parent ? [parent.messageId] : []
+    );
+    
+    const chain = trimReferences(uniqueMessageIds(ids), this.config.maxReferencesLength);
     
-    return references;
+    return {
+      inReplyTo: parent ? parent.messageId : firstId,
+      references: chain.ids.join(' '),
+      referenceCount: chain.ids.length,
+      trimmed: chain.trimmed
+    };
   }
   
   /**
@@ -340,48 +1764,246 @@ class EmailThreadingManager {
    * @return {string} Formatted reply subject
    */
   formatReplySubject(subject) {
-    // Remove existing Re: prefixes to avoid "Re: Re: Re:" chains
-    subject = subject.replace(/^(Re:\s*)+/i, '');
-    return 'Re: ' + subject;
+    // Remove existing reply/forward prefixes (any language) to avoid "Re: AW: Re:" chains
+    return this.subjects.formatReply(subject);
+  }
+  
+  /**
+   * Turn the htmlBody argument into HTML, rendering a template if one is named
+   * @private
+   * @param {string|Object} body - HTML string or { template, data, layout }
+   * @return {string} HTML content
+   */
+  renderBody(body) {
+    if (!body || typeof body !== 'object') {
+      return body;
+    }
+    
+    if (!body.template) {
+      throw new Error('Email body object needs a template name');
+    }
+    
+    if (!this.templates) {
+      throw new Error(`Cannot render template "${body.template}" - no templates configured`);
+    }
+    
+    const renderOptions = body.layout !== undefined ? { layout: body.layout } : {};
+    this.logger.debug(`Rendering template "${body.template}"`, { action: 'render' });
+    return this.templates.render(body.template, body.data || {}, renderOptions);
   }
   
   /**
-   * Simple HTML to plain text conversion
+   * HTML to plain text conversion for the plain-text part
    * @private
    * @param {string} html - HTML content
    * @return {string} Plain text
    */
   htmlToPlainText(html) {
-    // Remove HTML tags
-    let text = html.replace(/<[^>]*>/g, ' ');
-    // Decode HTML entities
-    text = text.replace(/&nbsp;/g, ' ');
-    text = text.replace(/&amp;/g, '&');
-    text = text.replace(/&lt;/g, '<');
-    text = text.replace(/&gt;/g, '>');
-    text = text.replace(/&quot;/g, '"');
-    // Clean up whitespace
-    text = text.replace(/\s+/g, ' ').trim();
-    return text;
+    return convertHtmlToPlainText(html, this.config.plainTextOptions);
   }
   
   /**
    * Reset threading - clears stored thread ID
+   * The retired thread gets config.housekeeping's settings for retired threads.
    */
   resetThreading() {
-    const oldThreadId = this.properties.getProperty(this.config.threadIdProperty);
+    const oldThreadId = this.stateStore.get(this.stateKeys.threadId);
     
     if (oldThreadId) {
       // Archive old thread ID
-      this.properties.setProperty('archived_' + this.config.threadIdProperty, oldThreadId);
-      this.properties.setProperty('archived_date_' + this.config.threadIdProperty, new Date().toISOString());
+      this.stateStore.set(this.stateKeys.archivedThreadId, oldThreadId);
+      this.stateStore.set(this.stateKeys.archivedDate, new Date().toISOString());
+    }
+    
+    this.stateStore.delete(this.stateKeys.threadId);
+    
+    if (oldThreadId) {
+      // Tidy the retired thread (no longer current); a failure here must not block the reset
+      try {
+        const report = this.applyHousekeeping(oldThreadId);
+        if (report) {
+          report.errors.forEach(error => this.logger.warn(`Housekeeping of ${oldThreadId}: ${error}`, {
+            action: 'housekeeping',
+            threadId: oldThreadId
+          }));
+        }
+      } catch (error) {
+        this.logger.warn(`Housekeeping of ${oldThreadId} failed`, { action: 'housekeeping', threadId: oldThreadId, error: error });
+      }
+    }
+    
+    this.logger.info(`Threading reset (previous thread: ${oldThreadId || 'None'}) - next email starts a new thread`, {
+      action: 'reset',
+      threadId: oldThreadId || undefined
+    });
+  }
+  
+  /**
+   * Apply config.housekeeping to a thread now
+   * The current thread gets the thread settings, any other thread the settings
+   * for retired threads (housekeeping.rotated). Use from a trigger to re-tidy
+   * threads a later copy brought back to the inbox.
+   * @param {string} [threadId] - Thread (default: the current thread)
+   * @return {Object|null} Report (see ThreadHousekeeper.apply), or null when there is
+   *         nothing to do or the thread is gone
+   * @throws {GmailOperationError} When Gmail cannot be read
+   */
+  applyHousekeeping(threadId) {
+    const currentThreadId = this.stateStore.get(this.stateKeys.threadId);
+    const targetId = threadId || currentThreadId;
+    
+    if (!this.housekeeping || !targetId) {
+      return null;
+    }
+    
+    const settings = targetId === currentThreadId ?
+      this.housekeeping.config :
+      this.housekeeping.getRotatedSettings();
+    if (!this.housekeeping.hasWork(settings)) {
+      return null;
+    }
+    
+    const thread = this.getThread(targetId);
+    if (!thread) {
+      return null;
+    }
+    
+    this.logger.debug(`Housekeeping: ${this.housekeeping.describe(settings)}`, { action: 'housekeeping', threadId: targetId });
+    return this.housekeeping.apply(thread, settings);
+  }
+  
+  /**
+   * Find the stream's thread in Gmail without the stored thread ID
+   *
+   * Tries, in order (see THREAD_RECOVERY_METHODS):
+   * 1. messageId    - rfc822msgid: search for the first message's stored Message-ID
+   * 2. header       - sent threads with the stream's subject (or stream tag) whose
+   *    streamTag      first message carries THREAD_STREAM_HEADER for this stream,
+   *                   or whose subject has config.streamTag
+   * 3. subject      - sent threads to the recipient with the same base subject (see
+   *                   SubjectNormalizer), newest first
+   *
+   * Searches 2 and 3 look back config.recovery.windowDays. A thread retired by
+   * resetThreading or rotation is never returned, nor one that started before
+   * the last reset or belongs to another stream. Nothing is stored.
+   * @param {Array<string>} [excludeIds] - Thread IDs not to return (e.g. a stale stored ID)
+   * @return {Object|null} { method, threadId, thread, query }, or null when nothing matches
+   *         or recovery is disabled
+   * @throws {GmailOperationError} When Gmail cannot be searched
+   */
+  findRecoverableThread(excludeIds = []) {
+    const settings = this.config.recovery;
+    if (!settings) {
+      return null;
+    }
+    
+    const meta = this.readThreadMeta();
+    const archivedThreadId = this.stateStore.get(this.stateKeys.archivedThreadId);
+    const archivedDate = this.stateStore.get(this.stateKeys.archivedDate);
+    const excluded = new Set(excludeIds.concat(archivedThreadId ? [archivedThreadId] : []));
+    const window = `newer_than:${settings.windowDays}d`;
+    const quote = text => `"${String(text).replace(/"/g, ' ').trim()}"`;
+    
+    // Threads that started before the last reset were retired on purpose
+    const candidates = query => {
+      const threads = this.retry.run('search', () => GmailApp.search(query, 0, settings.maxCandidates));
+      return threads
+        .filter(thread => !excluded.has(thread.getId()))
+        .map(thread => ({ thread: thread, first: this.retry.run('getMessages', () => thread.getMessages())[0] }))
+        .filter(candidate => !archivedDate || candidate.first.getDate() >= new Date(archivedDate));
+    };
+    const found = (method, thread, query) => {
+      this.logger.debug(`Found thread ${thread.getId()} by ${method} (${query})`, { action: 'recover', threadId: thread.getId() });
+      return { method: method, threadId: thread.getId(), thread: thread, query: query };
+    };
+    const streamOf = message => message.getHeader(THREAD_STREAM_HEADER) || null;
+    
+    // 1. Message-ID of the first message, stored when the thread was created
+    if (meta.firstMessageId) {
+      const query = `rfc822msgid:${meta.firstMessageId.replace(/^<|>$/g, '')}`;
+      const match = candidates(query)[0];
+      if (match) {
+        return found(THREAD_RECOVERY_METHODS.MESSAGE_ID, match.thread, query);
+      }
+    }
+    
+    const subject = meta.subject || this.config.emailSubject;
+    const baseSubject = this.subjects.normalize(subject);
+    const tag = this.subjects.streamTag;
+    
+    // 2. Library header (or stream tag) on the first message of a sent thread
+    const stampedQuery = `in:sent subject:${quote(tag ? tag.slice(1, -1) : baseSubject)} ${window}`;
+    for (const candidate of candidates(stampedQuery)) {
+      const stream = streamOf(candidate.first);
+      if (stream === this.config.streamKey) {
+        return found(THREAD_RECOVERY_METHODS.HEADER, candidate.thread, stampedQuery);
+      }
+      if (tag && !stream && this.subjects.hasStreamTag(candidate.first.getSubject())) {
+        return found(THREAD_RECOVERY_METHODS.STREAM_TAG, candidate.thread, stampedQuery);
+      }
+    }
+    
+    // 3. Same subject sent to the recipient (messages without the header, e.g. from v2.0.0)
+    const recipient = parseAddressList(this.config.recipientEmail)[0].address;
+    const subjectQuery = `in:sent to:${recipient} subject:${quote(baseSubject)} ${window}`;
+    for (const candidate of candidates(subjectQuery)) {
+      const stream = streamOf(candidate.first);
+      if ((!stream || stream === this.config.streamKey) &&
+          this.subjects.matches(candidate.first.getSubject(), subject)) {
+        return found(THREAD_RECOVERY_METHODS.SUBJECT, candidate.thread, subjectQuery);
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Find the stream's thread (see findRecoverableThread) and make it current again
+   * sendThreadedEmail calls this when there is no stored thread ID or the stored
+   * thread is not found. The thread metadata records how it was recovered.
+   * @param {Array<string>} [excludeIds] - Thread IDs not to adopt
+   * @return {Object|null} { method, threadId, previousThreadId, query, recoveredAt },
+   *         or null when nothing was found
+   * @throws {GmailOperationError} When Gmail cannot be searched
+   */
+  recoverThread(excludeIds = []) {
+    const match = this.findRecoverableThread(excludeIds);
+    if (!match) {
+      return null;
+    }
+    
+    const previousThreadId = this.stateStore.get(this.stateKeys.threadId) || null;
+    const recovery = {
+      method: match.method,
+      threadId: match.threadId,
+      previousThreadId: previousThreadId !== match.threadId ? previousThreadId : null,
+      query: match.query,
+      recoveredAt: new Date().toISOString()
+    };
+    
+    // Keep the metadata of the same thread; rebuild it for a thread found by subject
+    let meta = this.readThreadMeta();
+    if (match.method !== THREAD_RECOVERY_METHODS.MESSAGE_ID && meta.threadId !== match.threadId) {
+      const messages = this.retry.run('getMessages', () => match.thread.getMessages());
+      const firstId = this.extractThreadingHeaders(messages[0]).messageId;
+      meta = {
+        createdAt: messages[0].getDate().toISOString(),
+        subject: messages[0].getSubject(),
+        sendCount: messages.length,
+        sequence: meta.sequence,
+        firstMessageId: firstId ? `<${firstId}>` : null
+      };
     }
     
-    this.properties.deleteProperty(this.config.threadIdProperty);
+    this.stateStore.set(this.stateKeys.threadId, match.threadId);
+    this.writeThreadMeta({
+      ...meta,
+      threadId: match.threadId,
+      recovered: { method: recovery.method, at: recovery.recoveredAt, previousThreadId: recovery.previousThreadId }
+    });
     
-    this.log('✅ Threading reset completed');
-    this.log(`Previous thread ID: ${oldThreadId || 'None'}`);
-    this.log('Next email will start a new thread');
+    this.logger.info(`Recovered thread ${match.threadId} by ${match.method}`, { action: 'recover', threadId: match.threadId });
+    return recovery;
   }
   
   /**
@@ -389,14 +2011,20 @@ class EmailThreadingManager {
    * @return {Object} Thread information
    */
   getThreadInfo() {
-    const threadId = this.properties.getProperty(this.config.threadIdProperty);
-    const previousThreadId = this.properties.getProperty('previousThreadId_' + this.config.threadIdProperty);
-    const archivedThreadId = this.properties.getProperty('archived_' + this.config.threadIdProperty);
+    const threadId = this.stateStore.get(this.stateKeys.threadId);
+    const previousThreadId = this.stateStore.get(this.stateKeys.previousThreadId);
+    const archivedThreadId = this.stateStore.get(this.stateKeys.archivedThreadId);
+    
+    const meta = this.readThreadMeta();
     
     const info = {
       currentThreadId: threadId || null,
       previousThreadId: previousThreadId || null,
       archivedThreadId: archivedThreadId || null,
+      threadMeta: threadId && meta.createdAt ? meta : null,
+      rotationPolicies: this.rotationPolicies.map(policy => policy.describe()),
+      housekeeping: this.housekeeping ? this.housekeeping.describe() : null,
+      ledger: this.ledger ? this.ledger.describe() : null,
       threadDetails: null
     };
     
@@ -410,7 +2038,10 @@ class EmailThreadingManager {
             messageCount: messages.length,
             firstMessageDate: messages[0].getDate(),
             lastMessageDate: messages[messages.length - 1].getDate(),
-            labels: thread.getLabels().map(l => l.getName())
+            labels: thread.getLabels().map(l => l.getName()),
+            inInbox: thread.isInInbox(),
+            unread: thread.isUnread(),
+            starred: thread.hasStarredMessages()
           };
         }
       } catch (error) {
@@ -422,15 +2053,58 @@ class EmailThreadingManager {
   }
   
   /**
-   * Logging utility
-   * @private
+   * Log a message at info level
+   * Kept for scripts written against v2.0.0; use this.logger for levels and fields.
    * @param {string} message - Log message
    */
   log(message) {
-    if (this.config.enableLogging) {
-      Logger.log(`[EmailThreading v${this.config.scriptVersion}] ${message}`);
-    }
+    this.logger.info(message);
+  }
+}
+
+/**
+ * Split a References / In-Reply-To value into bracketed message IDs
+ * @param {string|null} value - Header value
+ * @return {Array<string>} IDs such as '<abc@mail.gmail.com>'
+ */
+function parseMessageIdList(value) {
+  if (!value) return [];
+  return value.match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Remove duplicate message IDs, keeping the first occurrence
+ * @param {Array<string>} ids - Bracketed message IDs
+ * @return {Array<string>} Unique IDs in original order
+ */
+function uniqueMessageIds(ids) {
+  const seen = new Set();
+  return ids.filter(id => {
+    const key = id.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Trim a References chain to a maximum length
+ * Keeps the first (root) and last (parent) IDs and drops the oldest IDs
+ * in between, as recommended for long threads.
+ * @param {Array<string>} ids - Bracketed message IDs, oldest first
+ * @param {number} maxLength - Maximum length of the space-joined value
+ * @return {Object} { ids, trimmed }
+ */
+function trimReferences(ids, maxLength) {
+  const kept = ids.slice();
+  let trimmed = false;
+  
+  while (kept.length > 2 && kept.join(' ').length > maxLength) {
+    kept.splice(1, 1);
+    trimmed = true;
   }
+  
+  return { ids: kept, trimmed: trimmed };
 }
 
 /**
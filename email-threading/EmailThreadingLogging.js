@@ -0,0 +1,600 @@
+/**
+ * @fileoverview Structured Logging for the Email Threading Library
+ * @version 2.0.0
+ * @description Leveled log entries with structured fields, written to pluggable sinks
+ *
+ * Every entry is a plain object:
+ *   { timestamp, level, message, source, stream, threadId, action, durationMs,
+ *     correlationId, ...any other fields }
+ *
+ * Each sendThreadedEmail call gets its own correlationId, so every line a send
+ * writes (and its SendResult) can be tied together in Cloud Logging or a sheet.
+ *
+ * Available sinks:
+ * - LoggerLogSink      - Logger.log, as text or JSON lines (default)
+ * - ConsoleLogSink     - console.* with the entry as an object (structured in Cloud Logging)
+ * - SpreadsheetLogSink - One row per entry in a Google Sheet
+ * - MemoryLogSink      - In-memory buffer (tests, Node, dry runs)
+ *
+ * Configure one project-wide default, or per manager with config.logging:
+ *
+ *   configureEmailThreadingLogging({
+ *     level: 'info',
+ *     sinks: ['console', { type: 'spreadsheet', spreadsheetId: '...', level: 'warn' }]
+ *   });
+ */
+
+/**
+ * Log levels by severity; a logger writes entries at or above its level
+ */
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  off: 100
+};
+
+/**
+ * Settings used when neither config.logging nor configureEmailThreadingLogging says otherwise
+ */
+const EMAIL_THREADING_LOGGING_DEFAULTS = {
+  level: 'info',     // 'debug' also logs every lookup and header a send works out
+  format: 'text'     // Format of the default Logger sink ('text' or 'json')
+};
+
+/**
+ * Project-wide logging settings (see configureEmailThreadingLogging)
+ * @private
+ */
+let emailThreadingLoggingSpec = null;
+
+// =====================================================================
+// LOGGER
+// =====================================================================
+
+/**
+ * Writes leveled, structured entries to one or more sinks
+ */
+class EmailThreadingLogger {
+  /**
+   * @param {Object} [config] - Logger settings
+   * @param {string} [config.level='info'] - Lowest level written ('debug', 'info', 'warn',
+   *        'error' or 'off')
+   * @param {Array<LogSink>} [config.sinks] - Where entries go (default: Logger.log)
+   * @param {Object} [config.fields] - Fields added to every entry, e.g. { source, stream }
+   * @param {string} [config.label] - Text put in front of every text line,
+   *        e.g. 'EmailThreading v2.0.0' for "[EmailThreading v2.0.0] message"
+   */
+  constructor(config = {}) {
+    this.level = config.level || EMAIL_THREADING_LOGGING_DEFAULTS.level;
+    this.sinks = config.sinks || [new LoggerLogSink()];
+    this.fields = config.fields || {};
+    this.label = config.label || null;
+    this.context = [];
+
+    if (LOG_LEVELS[this.level] === undefined) {
+      throw new Error(`Unknown log level "${this.level}" (use ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+  }
+
+  /**
+   * Log detail that is only useful when tracing a problem
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Structured fields ({ threadId, action, durationMs, ... })
+   */
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  /**
+   * Log normal progress
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Structured fields
+   */
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  /**
+   * Log something unexpected that did not stop the work
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Structured fields
+   */
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  /**
+   * Log a failure
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Structured fields; an Error in fields.error is
+   *        written as its message, with its stack at debug level
+   */
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Check whether entries at a level would be written
+   * @param {string} level - Log level
+   * @return {boolean} True if enabled
+   */
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level] && this.level !== 'off';
+  }
+
+  /**
+   * Logger writing to the same sinks with extra fields on every entry
+   * @param {Object} fields - Fields to add, e.g. { stream: 'dailyReport' }
+   * @return {EmailThreadingLogger} New logger
+   */
+  child(fields) {
+    const child = new EmailThreadingLogger({
+      level: this.level,
+      sinks: this.sinks,
+      fields: { ...this.fields, ...fields },
+      label: this.label
+    });
+    child.context = this.context;
+    return child;
+  }
+
+  /**
+   * Fields added by the active withContext calls
+   * @return {Object} Merged context fields, e.g. { correlationId }
+   */
+  getContext() {
+    return Object.assign({}, ...this.context);
+  }
+
+  /**
+   * Run a function with extra fields on every entry it writes
+   * Used to tag everything a send logs with its correlationId.
+   * @param {Object} fields - Fields to add while fn runs
+   * @param {Function} fn - Work to run
+   * @return {*} Whatever fn returns
+   */
+  withContext(fields, fn) {
+    this.context.push(fields);
+    try {
+      return fn();
+    } finally {
+      this.context.pop();
+    }
+  }
+
+  /**
+   * Spec that recreates this logger in a later execution (see createEmailThreadingLogger)
+   * Sinks that cannot be recreated (memory, custom) are left out.
+   * @return {Object|null} { level, sinks }, or null if no sink can be recreated
+   */
+  toSpec() {
+    const sinks = this.sinks
+      .map(sink => typeof sink.toSpec === 'function' ? sink.toSpec() : null)
+      .filter(spec => spec !== null);
+    return sinks.length > 0 ? { level: this.level, sinks: sinks } : null;
+  }
+
+  /**
+   * Build an entry and hand it to every sink that accepts its level
+   * A failing sink never fails the caller.
+   * @private
+   */
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = buildLogEntry(level, message, this.fields, this.context, fields);
+    const stack = fields.error && fields.error.stack;
+
+    this.sinks.forEach(sink => {
+      if (sink.level && LOG_LEVELS[level] < LOG_LEVELS[sink.level]) {
+        return;
+      }
+
+      try {
+        sink.write(entry, this.label);
+        if (stack && this.isEnabled('debug')) {
+          sink.write({ ...entry, level: 'debug', message: `Stack trace: ${stack}` }, this.label);
+        }
+      } catch (error) {
+        Logger.log(`[EmailThreading] ${sink.describe()} failed: ${error.toString()} - ${message}`);
+      }
+    });
+  }
+}
+
+/**
+ * Build a log entry from the logger's fields, the active context and the call's fields
+ * @private
+ * @return {Object} Entry
+ */
+function buildLogEntry(level, message, baseFields, context, fields) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level: level,
+    message: String(message)
+  };
+
+  Object.assign(entry, baseFields);
+  context.forEach(extra => Object.assign(entry, extra));
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    entry[key] = value instanceof Error ? value.toString() : value;
+  });
+
+  return entry;
+}
+
+/**
+ * Text form of an entry: "[label] LEVEL message: error" (the level is left out for info)
+ * @param {Object} entry - Log entry
+ * @param {string} [label] - Logger label
+ * @return {string} Line
+ */
+function formatLogEntry(entry, label) {
+  const prefix = label ? `[${label}] ` : '';
+  const level = entry.level === 'info' ? '' : `${entry.level.toUpperCase()} `;
+  const error = entry.error ? `: ${entry.error}` : '';
+  return `${prefix}${level}${entry.message}${error}`;
+}
+
+// =====================================================================
+// SINKS
+// =====================================================================
+
+/**
+ * Base class for log sinks
+ * Subclasses must implement write(entry, label)
+ */
+class LogSink {
+  /**
+   * @param {Object} [options] - Sink options
+   * @param {string} [options.level] - Lowest level this sink writes (default: the logger's)
+   */
+  constructor(options = {}) {
+    this.level = options.level || null;
+
+    if (this.level && LOG_LEVELS[this.level] === undefined) {
+      throw new Error(`Unknown log level "${this.level}" for ${this.constructor.name}`);
+    }
+  }
+
+  /**
+   * Write one entry
+   * @param {Object} entry - Log entry
+   * @param {string} [label] - Logger label, for text output
+   */
+  write(entry, label) {
+    throw new Error(`${this.constructor.name}.write() is not implemented`);
+  }
+
+  /**
+   * Human readable description used in logs and diagnostics
+   * @return {string} Description
+   */
+  describe() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Spec that recreates this sink in a later execution (see createLogSink)
+   * @return {Object|null} Spec, or null if the sink cannot be recreated
+   */
+  toSpec() {
+    return null;
+  }
+}
+
+/**
+ * Sink writing to the Apps Script Logger (the execution log)
+ */
+class LoggerLogSink extends LogSink {
+  /**
+   * @param {Object} [options] - Sink options
+   * @param {string} [options.format='text'] - 'text' ("[label] LEVEL message") or 'json'
+   *        (the whole entry on one line)
+   * @param {string} [options.level] - Lowest level this sink writes
+   */
+  constructor(options = {}) {
+    super(options);
+    this.format = options.format || 'text';
+
+    if (!['text', 'json'].includes(this.format)) {
+      throw new Error(`Unknown log format "${this.format}" (use 'text' or 'json')`);
+    }
+  }
+
+  write(entry, label) {
+    Logger.log(this.format === 'json' ? JSON.stringify(entry) : formatLogEntry(entry, label));
+  }
+
+  toSpec() {
+    return { type: 'logger', format: this.format, level: this.level };
+  }
+}
+
+/**
+ * Sink writing to console.* - Apps Script sends these to Cloud Logging, where
+ * an object becomes a structured jsonPayload that can be filtered by field
+ */
+class ConsoleLogSink extends LogSink {
+  write(entry) {
+    switch (entry.level) {
+      case 'error':
+        console.error(entry);
+        break;
+      case 'warn':
+        console.warn(entry);
+        break;
+      case 'info':
+        console.info(entry);
+        break;
+      default:
+        console.log(entry);
+    }
+  }
+
+  toSpec() {
+    return { type: 'console', level: this.level };
+  }
+}
+
+/**
+ * Sink that appends one row per entry to a Google Sheet
+ * Columns: Timestamp | Level | Stream | Thread ID | Action | Duration (ms) |
+ *          Correlation ID | Message | Fields (JSON of everything else)
+ */
+class SpreadsheetLogSink extends LogSink {
+  /**
+   * @param {Object} [options] - Sink options
+   * @param {string} [options.spreadsheetId] - Spreadsheet ID (defaults to active spreadsheet)
+   * @param {Spreadsheet} [options.spreadsheet] - Spreadsheet instance (takes precedence over ID)
+   * @param {string} [options.sheetName='EmailThreadingLog'] - Sheet holding the log rows
+   * @param {number} [options.maxRows=5000] - Oldest rows are deleted beyond this many
+   * @param {string} [options.level] - Lowest level this sink writes (e.g. 'warn')
+   */
+  constructor(options = {}) {
+    super(options);
+    this.spreadsheetId = options.spreadsheetId || null;
+    this.spreadsheet = options.spreadsheet || null;
+    this.sheetName = options.sheetName || 'EmailThreadingLog';
+    this.maxRows = options.maxRows || 5000;
+    this.sheet = null;
+  }
+
+  /**
+   * Get (and create if missing) the log sheet
+   * @private
+   * @return {Sheet} The log sheet
+   */
+  getSheet() {
+    if (this.sheet) {
+      return this.sheet;
+    }
+
+    if (!this.spreadsheet) {
+      this.spreadsheet = this.spreadsheetId ?
+        SpreadsheetApp.openById(this.spreadsheetId) :
+        SpreadsheetApp.getActiveSpreadsheet();
+    }
+
+    if (!this.spreadsheet) {
+      throw new Error('SpreadsheetLogSink requires a spreadsheetId outside a spreadsheet context');
+    }
+
+    let sheet = this.spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(this.sheetName);
+      sheet.appendRow(SpreadsheetLogSink.COLUMNS);
+      sheet.setFrozenRows(1);
+    }
+
+    this.sheet = sheet;
+    return sheet;
+  }
+
+  write(entry) {
+    const { timestamp, level, stream, threadId, action, durationMs, correlationId, message, ...rest } = entry;
+    const sheet = this.getSheet();
+
+    sheet.appendRow([
+      new Date(timestamp),
+      level,
+      stream || '',
+      threadId || '',
+      action || '',
+      durationMs === undefined ? '' : durationMs,
+      correlationId || '',
+      message,
+      Object.keys(rest).length > 0 ? JSON.stringify(rest) : ''
+    ]);
+
+    const excess = sheet.getLastRow() - 1 - this.maxRows;
+    if (excess > 0) {
+      sheet.deleteRows(2, excess);
+    }
+  }
+
+  describe() {
+    return `SpreadsheetLogSink (${this.sheetName})`;
+  }
+
+  toSpec() {
+    return {
+      type: 'spreadsheet',
+      spreadsheetId: this.spreadsheetId || (this.spreadsheet ? this.spreadsheet.getId() : null),
+      sheetName: this.sheetName,
+      maxRows: this.maxRows,
+      level: this.level
+    };
+  }
+}
+
+/**
+ * Column headers of SpreadsheetLogSink
+ */
+SpreadsheetLogSink.COLUMNS = [
+  'Timestamp', 'Level', 'Stream', 'Thread ID', 'Action', 'Duration (ms)', 'Correlation ID', 'Message', 'Fields'
+];
+
+/**
+ * Sink keeping entries in memory - nothing survives the script execution
+ * Lets tests assert on what was logged.
+ */
+class MemoryLogSink extends LogSink {
+  /**
+   * @param {Object} [options] - Sink options
+   * @param {number} [options.maxEntries=1000] - Oldest entries are dropped beyond this many
+   * @param {string} [options.level] - Lowest level this sink writes
+   */
+  constructor(options = {}) {
+    super(options);
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = [];
+  }
+
+  write(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Entries whose fields all equal the given values
+   * @param {Object} [match] - e.g. { level: 'error', stream: 'dailyReport' }
+   * @return {Array<Object>} Matching entries, oldest first
+   */
+  find(match = {}) {
+    return this.entries.filter(entry =>
+      Object.entries(match).every(([key, value]) => entry[key] === value)
+    );
+  }
+
+  /**
+   * Messages of the matching entries
+   * @param {Object} [match] - Same as find()
+   * @return {Array<string>} Messages
+   */
+  messages(match) {
+    return this.find(match).map(entry => entry.message);
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries = [];
+  }
+}
+
+// =====================================================================
+// FACTORIES
+// =====================================================================
+
+/**
+ * Resolve a sink from a configuration value
+ *
+ * Accepted values:
+ * - 'logger' / 'console' / 'memory' / 'spreadsheet' - Sink with default options
+ * - { type: 'logger', format: 'json' }              - Sink with options
+ * - { type: 'spreadsheet', spreadsheetId, sheetName, maxRows, level }
+ * - Any object with a write(entry) method           - Used as-is
+ *
+ * @param {string|Object} spec - Sink specification
+ * @return {LogSink} The resolved sink
+ */
+function createLogSink(spec) {
+  if (spec && typeof spec.write === 'function') {
+    return spec;
+  }
+
+  const type = typeof spec === 'string' ? spec : (spec || {}).type;
+  const options = typeof spec === 'string' ? {} : spec;
+
+  switch (type) {
+    case 'logger':
+      return new LoggerLogSink(options);
+    case 'console':
+      return new ConsoleLogSink(options);
+    case 'spreadsheet':
+      return new SpreadsheetLogSink(options);
+    case 'memory':
+      return new MemoryLogSink(options);
+    default:
+      throw new Error(`Unknown log sink type: ${type}`);
+  }
+}
+
+/**
+ * Resolve a logger from a configuration value
+ *
+ * Accepted values:
+ * - undefined             - Project default (see configureEmailThreadingLogging)
+ * - false                 - Nothing is logged
+ * - 'debug' / 'warn' ...  - Default sinks at that level
+ * - { level, sinks, format } - sinks as accepted by createLogSink; format applies
+ *                          to the default Logger sink
+ * - An EmailThreadingLogger - Used as-is (with the given fields added)
+ *
+ * @param {string|Object|boolean} [spec] - Logger specification
+ * @param {Object} [fields] - Fields for every entry, e.g. { source: 'EmailThreadingManager' }
+ * @param {string} [label] - Text prefix for text lines
+ * @return {EmailThreadingLogger} The resolved logger
+ */
+function createEmailThreadingLogger(spec, fields = {}, label = null) {
+  if (spec instanceof EmailThreadingLogger) {
+    return spec.child(fields);
+  }
+
+  if (spec === undefined || spec === null || spec === true) {
+    spec = emailThreadingLoggingSpec === null ? {} : emailThreadingLoggingSpec;
+  }
+  if (spec === false) {
+    spec = { level: 'off' };
+  }
+  if (typeof spec === 'string') {
+    spec = { level: spec };
+  }
+
+  const settings = { ...EMAIL_THREADING_LOGGING_DEFAULTS, ...spec };
+  const sinks = spec.sinks ?
+    [].concat(spec.sinks).map(createLogSink) :
+    [new LoggerLogSink({ format: settings.format })];
+
+  return new EmailThreadingLogger({
+    level: settings.level,
+    sinks: sinks,
+    fields: fields,
+    label: label
+  });
+}
+
+/**
+ * Set the logging used by every manager, debugger and test run without its own settings
+ * Sinks are shared, so a MemoryLogSink or SpreadsheetLogSink given here collects
+ * entries from all of them.
+ * @param {string|Object|boolean|null} spec - Same values as createEmailThreadingLogger;
+ *        null restores the defaults
+ */
+function configureEmailThreadingLogging(spec) {
+  if (spec && typeof spec === 'object' && spec.sinks) {
+    spec = { ...spec, sinks: [].concat(spec.sinks).map(createLogSink) };
+  }
+  emailThreadingLoggingSpec = spec === undefined ? null : spec;
+}
+
+/**
+ * Logger with the project-wide settings for a script or tool
+ * @param {string} source - Name in every entry's source field, e.g. 'IntegrationTests'
+ * @return {EmailThreadingLogger} Logger
+ */
+function getEmailThreadingLogger(source) {
+  return createEmailThreadingLogger(undefined, { source: source });
+}
@@ -0,0 +1,774 @@
+/**
+ * @fileoverview Persistent Outbox for the Email Threading Library
+ * @version 2.0.0
+ * @description Keeps emails that cannot be sent now and sends them later from a trigger
+ *
+ * With `outbox` set in the manager config, sendThreadedEmail queues the email
+ * instead of losing it when:
+ * - MailApp.getRemainingDailyQuota() is below minQuota
+ * - A Gmail call fails with an error type listed in queueOn (quota, transient)
+ * - The stream already has queued emails (so nothing overtakes them)
+ *
+ * Queued emails hold the rendered body, the send options (attachments are
+ * stored base64-encoded) and the target stream. A time-driven trigger calling
+ * processEmailOutbox() is installed on the first enqueue and removed once the
+ * outbox is empty.
+ *
+ * Ordering and duplicates:
+ * - Emails are sent in the order they were queued; after a failure the rest
+ *   of that stream waits for the next run
+ * - An email is marked 'sending' before it is sent. If a run dies mid-send the
+ *   email is marked 'failed' rather than sent again - check the thread, then
+ *   retry(id) or remove(id)
+ * - A failure that may come after Gmail sent the email (a send call that timed
+ *   out, storing the thread ID afterwards) is never queued or retried: live
+ *   sends return it as failed, the drain marks the email 'failed'
+ * - Only one drain runs at a time
+ *
+ * Storage layout (in the outbox state store):
+ *   <namespace>:index        -> [{ id, streamKey, status }, ...] in queue order
+ *   <namespace>:item:<id>    -> { chunks: n }
+ *   <namespace>:item:<id>:<n> -> Part n of the item JSON (keeps values under
+ *                               the 9 KB PropertiesService value limit)
+ *   <namespace>:lease        -> Time until which a drain holds the outbox
+ */
+
+/**
+ * Default namespace for outbox keys
+ */
+const EMAIL_OUTBOX_NAMESPACE = 'emailOutbox';
+
+/**
+ * Status of a queued email
+ */
+const OUTBOX_STATUS = {
+  PENDING: 'pending',   // Waiting to be sent
+  SENDING: 'sending',   // Being sent right now
+  FAILED: 'failed'      // Gave up - needs retry(id) or remove(id)
+};
+
+/**
+ * Default outbox settings
+ */
+const EMAIL_OUTBOX_DEFAULTS = {
+  namespace: EMAIL_OUTBOX_NAMESPACE,
+  minQuota: 1,                              // Queue when fewer sends than this remain today
+  queueOn: ['quota', 'transient'],          // Failure types that queue instead of failing
+  triggerFunction: 'processEmailOutbox',    // Function the time-driven trigger calls
+  triggerMinutes: 15,                       // 1, 5, 10, 15 or 30
+  maxAttempts: 5,                           // Sends tried before an email is marked failed
+  maxItemSize: 100000,                      // Largest queued email (characters of JSON)
+  chunkSize: 8000,                          // Characters per stored value
+  lockWaitMs: 10000,                        // Wait for the script lock when updating the queue
+  maxRuntimeMs: 270000                      // Stop draining before Apps Script's 6 minute limit
+};
+
+/**
+ * Persistent queue of threaded emails
+ */
+class EmailOutbox {
+  /**
+   * @param {Object} [config] - Outbox settings (see EMAIL_OUTBOX_DEFAULTS)
+   * @param {string|Object} [config.stateStore='script'] - Where the queue is kept
+   */
+  constructor(config = {}) {
+    this.config = { ...EMAIL_OUTBOX_DEFAULTS, ...config };
+    this.stateStore = createThreadStateStore(config.stateStore);
+    this.namespace = this.config.namespace;
+  }
+
+  // =====================================================================
+  // DECIDING WHETHER TO QUEUE
+  // =====================================================================
+
+  /**
+   * Reason a send to this stream should be queued instead of sent now
+   * @param {string} streamKey - Stream the email is for
+   * @return {string|null} 'pending', 'quota' or null to send now
+   */
+  getQueueReason(streamKey) {
+    if (this.hasPending(streamKey)) {
+      return 'pending';
+    }
+
+    const quota = this.getRemainingQuota();
+    if (quota !== null && quota < this.config.minQuota) {
+      return 'quota';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a failed send should be queued for a later attempt
+   * @param {SendResult} result - Outcome of the send
+   * @param {GmailRetrier} retry - The manager's retry layer (decides whether sends may be repeated)
+   * @return {boolean} True to queue
+   */
+  shouldQueueFailure(result, retry) {
+    return !result.success &&
+      !this.mayHaveSent(result, retry) &&
+      this.config.queueOn.includes(result.errorType);
+  }
+
+  /**
+   * Whether a failed send may still have delivered the email
+   * Only a Gmail call that failed before sending is safe to repeat: a lookup,
+   * a quota refusal, or a send call when retry.retrySends is set. Failures
+   * outside a Gmail call (e.g. storing the thread ID after the send) count as sent.
+   * @param {SendResult} result - Failed outcome
+   * @param {GmailRetrier} retry - Retry layer of the manager that sent it
+   * @return {boolean} True if sending again could deliver a duplicate
+   */
+  mayHaveSent(result, retry) {
+    const operation = result.error && result.error.operation;
+    if (!operation) {
+      return true;
+    }
+    return result.errorType !== GMAIL_ERROR_TYPES.QUOTA && !retry.canRetry(operation);
+  }
+
+  /**
+   * Remaining daily email quota
+   * @private
+   * @return {number|null} Quota, or null if it cannot be read
+   */
+  getRemainingQuota() {
+    try {
+      return MailApp.getRemainingDailyQuota();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a stream has emails waiting
+   * @param {string} streamKey - Stream key
+   * @return {boolean} True if a pending or sending email exists for the stream
+   */
+  hasPending(streamKey) {
+    return this.readIndex().some(entry =>
+      entry.streamKey === streamKey && entry.status !== OUTBOX_STATUS.FAILED
+    );
+  }
+
+  // =====================================================================
+  // QUEUE
+  // =====================================================================
+
+  /**
+   * Queue an email for a manager's stream
+   * @param {EmailThreadingManager} manager - Manager the email was sent with
+   * @param {string} htmlBody - Rendered HTML body
+   * @param {Object} [options] - Send options
+   * @param {string} [reason] - Why the email was queued (for logs)
+   * @return {Object} The queued item
+   */
+  enqueue(manager, htmlBody, options = {}, reason = null) {
+    const item = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      streamKey: manager.config.streamKey,
+      target: buildOutboxTarget(manager),
+      htmlBody: htmlBody,
+      options: serializeOutboxOptions(options),
+      reason: reason,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts: this.config.maxAttempts,
+      enqueuedAt: new Date().toISOString(),
+      correlationId: manager.logger.getContext().correlationId || null,  // Of the send that queued it
+      lastError: null
+    };
+
+    const size = JSON.stringify(item).length;
+    if (size > this.config.maxItemSize) {
+      throw new Error(`Email is too large for the outbox (${size} > ${this.config.maxItemSize} characters)`);
+    }
+
+    this.withLock(() => {
+      this.writeItem(item);
+      const index = this.readIndex();
+      index.push({ id: item.id, streamKey: item.streamKey, status: item.status });
+      this.writeIndex(index);
+    });
+
+    this.ensureTrigger();
+    return item;
+  }
+
+  /**
+   * Send queued emails in order
+   * @return {Object} Summary { sent, failed, deferred, remaining, stoppedReason, results }
+   */
+  drain() {
+    const started = Date.now();
+    const summary = { sent: 0, failed: 0, deferred: 0, remaining: 0, stoppedReason: null, results: [] };
+
+    if (!this.acquireLease()) {
+      summary.stoppedReason = 'Another drain is running';
+      summary.remaining = this.countPending();
+      return summary;
+    }
+
+    try {
+      this.markInterrupted();
+
+      const blocked = new Set();
+      const managers = {};
+
+      for (const entry of this.readIndex()) {
+        if (entry.status !== OUTBOX_STATUS.PENDING) {
+          continue;
+        }
+
+        // Keep per-stream order: nothing overtakes an email that failed this run
+        if (blocked.has(entry.streamKey)) {
+          summary.deferred++;
+          continue;
+        }
+
+        if (Date.now() - started > this.config.maxRuntimeMs) {
+          summary.stoppedReason = 'Time limit reached';
+          break;
+        }
+
+        const quota = this.getRemainingQuota();
+        if (quota !== null && quota < this.config.minQuota) {
+          summary.stoppedReason = 'Daily quota exhausted';
+          break;
+        }
+
+        const item = this.readItem(entry.id);
+        if (!item) {
+          this.removeIndexEntry(entry.id);
+          continue;
+        }
+
+        this.saveStatus(item, OUTBOX_STATUS.SENDING);
+
+        let result;
+        let manager = null;
+        let options = {};
+        try {
+          if (!managers[item.streamKey]) {
+            managers[item.streamKey] = createOutboxManager(item.target);
+          }
+          manager = managers[item.streamKey];
+          options = deserializeOutboxOptions(item.options);
+          const correlationId = item.correlationId || Utilities.getUuid();
+          result = manager.logger.withContext({ correlationId: correlationId, outboxId: item.id }, () =>
+            manager.withSendLock(options, () => manager.deliverThreadedEmail(item.htmlBody, options)));
+          result.correlationId = correlationId;
+        } catch (error) {
+          result = new SendResult({ streamKey: item.streamKey }).fail(error);
+        }
+
+        result.outboxId = item.id;
+        // A lock timeout only defers the email, so it is not a failed send yet
+        if (manager && result.action !== SEND_ACTIONS.LOCK_TIMEOUT) {
+          manager.recordSend(result, item.htmlBody, options);
+        }
+        summary.results.push(result);
+
+        // A live send holds the stream - not the email's fault, try next run
+        if (result.action === SEND_ACTIONS.LOCK_TIMEOUT) {
+          this.saveStatus(item, OUTBOX_STATUS.PENDING);
+          blocked.add(item.streamKey);
+          summary.deferred++;
+          continue;
+        }
+
+        item.attempts++;
+
+        if (result.success) {
+          this.remove(item.id);
+          summary.sent++;
+          continue;
+        }
+
+        item.lastError = result.errorMessage;
+        blocked.add(item.streamKey);
+
+        // Sending again could deliver it twice - leave it to retry(id)
+        const mayHaveSent = manager !== null && this.mayHaveSent(result, manager.retry);
+        if (mayHaveSent) {
+          item.lastError = `May already have been sent - check the thread: ${result.errorMessage}`;
+        }
+
+        if (mayHaveSent || item.attempts >= (item.maxAttempts || this.config.maxAttempts)) {
+          this.saveStatus(item, OUTBOX_STATUS.FAILED);
+          summary.failed++;
+        } else {
+          this.saveStatus(item, OUTBOX_STATUS.PENDING);
+          summary.deferred++;
+        }
+
+        if (result.errorType === GMAIL_ERROR_TYPES.QUOTA) {
+          summary.stoppedReason = 'Daily quota exhausted';
+          break;
+        }
+      }
+    } finally {
+      this.releaseLease();
+    }
+
+    summary.remaining = this.countPending();
+    if (summary.remaining === 0) {
+      this.removeTrigger();
+    }
+
+    return summary;
+  }
+
+  /**
+   * List queued emails
+   * @return {Array<Object>} Items in queue order
+   */
+  list() {
+    return this.readIndex()
+      .map(entry => this.readItem(entry.id))
+      .filter(item => item !== null);
+  }
+
+  /**
+   * Get a queued email
+   * @param {string} id - Item ID
+   * @return {Object|null} Item or null
+   */
+  get(id) {
+    return this.readItem(id);
+  }
+
+  /**
+   * Number of emails still to be sent (pending or sending)
+   * @return {number} Count
+   */
+  countPending() {
+    return this.readIndex().filter(entry => entry.status !== OUTBOX_STATUS.FAILED).length;
+  }
+
+  /**
+   * Put a failed email back in the queue
+   * @param {string} id - Item ID
+   * @return {boolean} True if the item existed
+   */
+  retry(id) {
+    const item = this.readItem(id);
+    if (!item) {
+      return false;
+    }
+
+    item.attempts = 0;
+    this.saveStatus(item, OUTBOX_STATUS.PENDING);
+    this.ensureTrigger();
+    return true;
+  }
+
+  /**
+   * Remove an email from the outbox
+   * @param {string} id - Item ID
+   * @return {boolean} True if the item existed
+   */
+  remove(id) {
+    let existed = false;
+
+    this.withLock(() => {
+      existed = this.readIndex().some(entry => entry.id === id);
+      this.deleteItem(id);
+      this.writeIndex(this.readIndex().filter(entry => entry.id !== id));
+    });
+
+    return existed;
+  }
+
+  // =====================================================================
+  // TRIGGER
+  // =====================================================================
+
+  /**
+   * Install the time-driven drain trigger if it is missing
+   */
+  ensureTrigger() {
+    const handler = this.config.triggerFunction;
+    const exists = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === handler);
+
+    if (!exists) {
+      ScriptApp.newTrigger(handler)
+        .timeBased()
+        .everyMinutes(this.config.triggerMinutes)
+        .create();
+    }
+  }
+
+  /**
+   * Remove the drain trigger
+   */
+  removeTrigger() {
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === this.config.triggerFunction)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  }
+
+  // =====================================================================
+  // STORAGE
+  // =====================================================================
+
+  /**
+   * @private
+   */
+  key(suffix) {
+    return `${this.namespace}:${suffix}`;
+  }
+
+  /**
+   * Check whether a state key belongs to this outbox
+   * @param {string} stateKey - Raw state key
+   * @return {boolean} True if the key is an outbox key
+   */
+  ownsKey(stateKey) {
+    return stateKey.startsWith(`${this.namespace}:`);
+  }
+
+  /**
+   * @private
+   * @return {Array<Object>} Index entries in queue order
+   */
+  readIndex() {
+    const raw = this.stateStore.get(this.key('index'));
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  /**
+   * @private
+   */
+  writeIndex(index) {
+    if (index.length === 0) {
+      this.stateStore.delete(this.key('index'));
+    } else {
+      this.stateStore.set(this.key('index'), JSON.stringify(index));
+    }
+  }
+
+  /**
+   * @private
+   */
+  removeIndexEntry(id) {
+    this.withLock(() => {
+      this.writeIndex(this.readIndex().filter(entry => entry.id !== id));
+    });
+  }
+
+  /**
+   * Read an item from its chunks
+   * @private
+   * @param {string} id - Item ID
+   * @return {Object|null} Item or null
+   */
+  readItem(id) {
+    const head = this.stateStore.get(this.key(`item:${id}`));
+    if (!head) {
+      return null;
+    }
+
+    const chunks = JSON.parse(head).chunks;
+    let json = '';
+    for (let i = 0; i < chunks; i++) {
+      json += this.stateStore.get(this.key(`item:${id}:${i}`)) || '';
+    }
+
+    return JSON.parse(json);
+  }
+
+  /**
+   * Write an item as chunks
+   * @private
+   * @param {Object} item - Item to store
+   */
+  writeItem(item) {
+    const json = JSON.stringify(item);
+    const size = this.config.chunkSize;
+    const chunks = Math.max(1, Math.ceil(json.length / size));
+
+    const previous = this.stateStore.get(this.key(`item:${item.id}`));
+    const previousChunks = previous ? JSON.parse(previous).chunks : 0;
+
+    for (let i = 0; i < chunks; i++) {
+      this.stateStore.set(this.key(`item:${item.id}:${i}`), json.slice(i * size, (i + 1) * size));
+    }
+    for (let i = chunks; i < previousChunks; i++) {
+      this.stateStore.delete(this.key(`item:${item.id}:${i}`));
+    }
+
+    this.stateStore.set(this.key(`item:${item.id}`), JSON.stringify({ chunks: chunks }));
+  }
+
+  /**
+   * @private
+   */
+  deleteItem(id) {
+    const head = this.stateStore.get(this.key(`item:${id}`));
+    if (!head) {
+      return;
+    }
+
+    const chunks = JSON.parse(head).chunks;
+    for (let i = 0; i < chunks; i++) {
+      this.stateStore.delete(this.key(`item:${id}:${i}`));
+    }
+    this.stateStore.delete(this.key(`item:${id}`));
+  }
+
+  /**
+   * Persist an item with a new status (item and index)
+   * @private
+   */
+  saveStatus(item, status) {
+    item.status = status;
+
+    this.withLock(() => {
+      this.writeItem(item);
+      this.writeIndex(this.readIndex().map(entry =>
+        entry.id === item.id ? { ...entry, status: status } : entry
+      ));
+    });
+  }
+
+  /**
+   * Mark emails left in 'sending' by a run that died as failed
+   * They may or may not have been sent, so they are never sent again automatically.
+   * @private
+   */
+  markInterrupted() {
+    this.readIndex()
+      .filter(entry => entry.status === OUTBOX_STATUS.SENDING)
+      .forEach(entry => {
+        const item = this.readItem(entry.id);
+        if (item) {
+          item.lastError = 'Interrupted while sending - check the thread, then retry(id) or remove(id)';
+          this.saveStatus(item, OUTBOX_STATUS.FAILED);
+        }
+      });
+  }
+
+  /**
+   * Claim the outbox for one drain run
+   * @private
+   * @return {boolean} True if no other drain holds it
+   */
+  acquireLease() {
+    let acquired = false;
+
+    this.withLock(() => {
+      const until = Number(this.stateStore.get(this.key('lease')) || 0);
+      if (until < Date.now()) {
+        this.stateStore.set(this.key('lease'), String(Date.now() + this.config.maxRuntimeMs + 60000));
+        acquired = true;
+      }
+    });
+
+    return acquired;
+  }
+
+  /**
+   * @private
+   */
+  releaseLease() {
+    this.stateStore.delete(this.key('lease'));
+  }
+
+  /**
+   * Run fn while holding the script lock (reuses a lock this execution already holds)
+   * @private
+   */
+  withLock(fn) {
+    const lock = LockService.getScriptLock();
+    const held = lock.hasLock();
+
+    if (!held) {
+      lock.waitLock(this.config.lockWaitMs);
+    }
+
+    try {
+      return fn();
+    } finally {
+      if (!held) {
+        lock.releaseLock();
+      }
+    }
+  }
+}
+
+// =====================================================================
+// SERIALIZATION HELPERS
+// =====================================================================
+
+/**
+ * Describe a manager so it can be recreated when the outbox is drained
+ * @private
+ * @param {EmailThreadingManager} manager - Manager to describe
+ * @return {Object} { streamKey, config } with a JSON-safe config
+ */
+function buildOutboxTarget(manager) {
+  const config = {};
+
+  Object.entries(manager.sourceConfig).forEach(([key, value]) => {
+    if (!['stateStore', 'rotationPolicy', 'templates', 'outbox', 'ledger'].includes(key)) {
+      config[key] = value;
+    }
+  });
+
+  const storeSpec = typeof manager.stateStore.toSpec === 'function' ? manager.stateStore.toSpec() : null;
+  if (storeSpec === null) {
+    throw new Error(`${manager.stateStore.describe()} cannot be used with the outbox - use a script, user, document, spreadsheet or registry state store`);
+  }
+  config.stateStore = storeSpec;
+
+  const policies = manager.rotationPolicies.map(policy => policy.toSpec());
+  if (policies.includes(null)) {
+    throw new Error('Custom rotation policies cannot be stored in the outbox');
+  }
+  if (policies.length > 0) {
+    config.rotationPolicy = policies;
+  }
+
+  // Instances (and the sinks in a logging config) do not survive JSON
+  [
+    ['logging', manager.logger],
+    ['recipientPolicy', manager.recipientPolicy],
+    ['housekeeping', manager.housekeeping],
+    ['subjects', manager.subjects]
+  ].forEach(([key, instance]) => {
+    if (!config[key] || typeof config[key] !== 'object') {
+      return;
+    }
+
+    const spec = typeof instance.toSpec === 'function' ? instance.toSpec() : null;
+    if (spec !== null) {
+      config[key] = spec;
+    } else if (key === 'logging') {
+      delete config.logging;  // Only memory or custom sinks: the drain logs with the project default
+    } else {
+      throw new Error(`A custom ${key} object cannot be stored in the outbox - pass its settings instead`);
+    }
+  });
+
+  if (manager.ledger) {
+    const ledgerSpec = typeof manager.ledger.toSpec === 'function' ? manager.ledger.toSpec() : null;
+    if (ledgerSpec === null) {
+      throw new Error(`${manager.ledger.describe()} cannot be used with the outbox - keep it in a script, user, document or spreadsheet store`);
+    }
+    config.ledger = ledgerSpec;
+  }
+
+  return { streamKey: manager.config.streamKey, config: JSON.parse(JSON.stringify(config)) };
+}
+
+/**
+ * Recreate the manager for a queued email
+ * @private
+ * @param {Object} target - Target from buildOutboxTarget
+ * @return {EmailThreadingManager} Manager
+ */
+function createOutboxManager(target) {
+  return new EmailThreadingManager({ ...target.config, outbox: null });
+}
+
+/**
+ * Make send options JSON-safe (blobs become base64)
+ * @private
+ * @param {Object} options - Send options
+ * @return {Object} Serializable options
+ */
+function serializeOutboxOptions(options) {
+  const serialized = { ...options };
+
+  if (options.attachments) {
+    serialized.attachments = options.attachments.map(serializeOutboxBlob);
+  }
+
+  if (options.inlineImages) {
+    serialized.inlineImages = {};
+    Object.entries(options.inlineImages).forEach(([cid, image]) => {
+      serialized.inlineImages[cid] = serializeOutboxBlob(image);
+    });
+  }
+
+  return serialized;
+}
+
+/**
+ * Restore send options stored by serializeOutboxOptions
+ * @private
+ * @param {Object} options - Stored options
+ * @return {Object} Options with blobs restored
+ */
+function deserializeOutboxOptions(options) {
+  const restored = { ...options };
+
+  if (options.attachments) {
+    restored.attachments = options.attachments.map(deserializeOutboxBlob);
+  }
+
+  if (options.inlineImages) {
+    restored.inlineImages = {};
+    Object.entries(options.inlineImages).forEach(([cid, image]) => {
+      restored.inlineImages[cid] = deserializeOutboxBlob(image);
+    });
+  }
+
+  return restored;
+}
+
+/**
+ * @private
+ */
+function serializeOutboxBlob(source) {
+  const blob = typeof source.getBlob === 'function' ? source.getBlob() : source;
+  return {
+    name: blob.getName(),
+    contentType: blob.getContentType(),
+    data: Utilities.base64Encode(blob.getBytes())
+  };
+}
+
+/**
+ * @private
+ */
+function deserializeOutboxBlob(stored) {
+  return Utilities.newBlob(Utilities.base64Decode(stored.data), stored.contentType, stored.name);
+}
+
+/**
+ * Build an outbox from a manager's config.outbox value
+ * @param {boolean|Object|EmailOutbox} spec - true for the default outbox, a config object
+ *        (see EMAIL_OUTBOX_DEFAULTS) or an EmailOutbox instance
+ * @return {EmailOutbox} Outbox
+ */
+function createEmailOutbox(spec) {
+  if (spec && typeof spec.enqueue === 'function' && typeof spec.drain === 'function') {
+    return spec;
+  }
+
+  return new EmailOutbox(spec === true ? {} : spec);
+}
+
+/**
+ * Send queued emails - the function the outbox trigger calls
+ * Uses the default outbox (script properties). For an outbox in another
+ * store, write a function that calls new EmailOutbox({ stateStore }).drain()
+ * and set it as triggerFunction.
+ * @return {Object} Drain summary
+ */
+function processEmailOutbox() {
+  const summary = new EmailOutbox().drain();
+
+  const log = getEmailThreadingLogger('EmailOutbox');
+  const counts = { action: 'drain', sent: summary.sent, deferred: summary.deferred, failed: summary.failed };
+
+  log.info(`Outbox: ${summary.sent} sent, ${summary.deferred} deferred, ${summary.failed} failed, ${summary.remaining} remaining`, counts);
+  if (summary.stoppedReason) {
+    log.warn(`Outbox stopped: ${summary.stoppedReason}`, counts);
+  }
+
+  return summary;
+}
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Recipient Parsing and Policy for the Email Threading Library
+ * @version 2.0.0
+ * @description Parses and validates recipient lists and limits where a stream may send
+ *
+ * Every manager parses its recipients: a missing or malformed address fails
+ * fast instead of at the first GmailApp call. Domain rules only apply when
+ * config.recipientPolicy is set:
+ *
+ *   recipientPolicy: {
+ *     allowedDomains: ['example.com', '*.example.org'],  // Any address in these domains
+ *     allowedAddresses: ['partners@googlegroups.com'],   // Individual addresses or groups
+ *     allowExternal: false                               // Block every other domain
+ *   }
+ *
+ * The script owner's domain is internal and always allowed (override with
+ * internalDomains), unless it is a public webmail domain such as gmail.com.
+ * Violations are reported together in a RecipientPolicyError.
+ */
+
+/**
+ * Kinds of recipient policy violation
+ */
+const RECIPIENT_VIOLATIONS = {
+  MISSING: 'missing',    // No "to" recipient at all
+  INVALID: 'invalid',    // Not a parseable email address
+  EXTERNAL: 'external',  // Domain or address not allowed by the policy
+  ALIAS: 'alias'         // From address is not a send-as alias of the account
+};
+
+/**
+ * Shape of a bare address: a local part, then a dotted host name
+ */
+const RECIPIENT_ADDRESS_PATTERN = /^[^\s@<>(),;:"[\]]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+$/;
+
+/**
+ * Public webmail domains, never internal by default
+ * On a consumer account the owner's domain says nothing about who is inside
+ * the organization.
+ */
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+  'yahoo.com', 'ymail.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com',
+  'proton.me', 'protonmail.com', 'gmx.com', 'gmx.net', 'mail.com', 'zoho.com', 'yandex.com'
+];
+
+/**
+ * Error raised when recipients break the policy (or cannot be parsed)
+ */
+class RecipientPolicyError extends Error {
+  /**
+   * @param {Array<Object>} violations - { field, address, rule, message } per problem
+   */
+  constructor(violations) {
+    super(`Recipient policy violation: ${violations.map(violation => violation.message).join('; ')}`);
+    this.name = 'RecipientPolicyError';
+    this.type = GMAIL_ERROR_TYPES.RECIPIENT_POLICY;
+    this.violations = violations;
+  }
+}
+
+/**
+ * Checks recipients against allowed domains and addresses
+ */
+class RecipientPolicy {
+  /**
+   * @param {Object|null} [config] - Policy; null only validates addresses
+   * @param {Array<string>} [config.allowedDomains] - Domains that may receive mail
+   *        ('*.example.com' matches its subdomains)
+   * @param {Array<string>} [config.allowedAddresses] - Addresses or groups that may receive mail
+   * @param {boolean} [config.allowExternal=false] - Allow every domain
+   * @param {Array<string>} [config.internalDomains] - Always-allowed domains
+   *        (default: the script owner's domain, unless it is in PUBLIC_EMAIL_DOMAINS)
+   */
+  constructor(config = null) {
+    this.enforced = !!config;
+    this.allowedDomains = ((config && config.allowedDomains) || []).map(domain => domain.toLowerCase());
+    this.allowedAddresses = parseAddressList((config && config.allowedAddresses) || [])
+      .map(entry => entry.address.toLowerCase());
+    this.allowExternal = !config || config.allowExternal === true;
+    this.internalDomains = config ?
+      (config.internalDomains || getOwnerDomains()).map(domain => domain.toLowerCase()) :
+      [];
+  }
+
+  /**
+   * Parse, de-duplicate and check recipients without throwing
+   * An address already in "to" is dropped from cc and bcc, and one in cc from bcc.
+   * @param {Object} recipients - { to, cc, bcc }: strings ("a@x.com, Name <b@y.com>") or arrays
+   * @return {Object} { to, cc, bcc: Array<{ name, address, domain }>, violations: Array<Object> }
+   */
+  resolve(recipients) {
+    const seen = new Set();
+    const resolved = { to: [], cc: [], bcc: [], violations: [] };
+
+    ['to', 'cc', 'bcc'].forEach(field => {
+      const list = this.resolveField(field, recipients[field]);
+      resolved.violations.push(...list.violations);
+
+      list.addresses.forEach(entry => {
+        const key = entry.address.toLowerCase();
+        if (!seen.has(key)) {
+          seen.add(key);
+          resolved[field].push(entry);
+        }
+      });
+    });
+
+    if (resolved.to.length === 0 && !resolved.violations.some(violation => violation.field === 'to')) {
+      resolved.violations.unshift({
+        field: 'to',
+        address: null,
+        rule: RECIPIENT_VIOLATIONS.MISSING,
+        message: 'to: no recipient configured'
+      });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Parse and check one address list on its own (e.g. a Reply-To)
+   * @param {string} field - Field name used in violations
+   * @param {string|Array<string>|null} value - Address list
+   * @return {Object} { addresses: Array<{ name, address, domain }>, violations: Array<Object> }
+   */
+  resolveField(field, value) {
+    const list = { addresses: [], violations: [] };
+
+    parseAddressList(value).forEach(entry => {
+      if (!entry.valid) {
+        list.violations.push({
+          field: field,
+          address: entry.raw,
+          rule: RECIPIENT_VIOLATIONS.INVALID,
+          message: `${field}: "${entry.raw}" is not a valid email address`
+        });
+        return;
+      }
+
+      const violation = this.check(entry, field);
+      if (violation) {
+        list.violations.push(violation);
+      }
+
+      list.addresses.push({ name: entry.name, address: entry.address, domain: entry.domain });
+    });
+
+    return list;
+  }
+
+  /**
+   * Parse, de-duplicate and check recipients
+   * @param {Object} recipients - { to, cc, bcc }
+   * @return {Object} { to, cc, bcc } arrays of { name, address, domain }
+   * @throws {RecipientPolicyError} If any address is missing, invalid or not allowed
+   */
+  enforce(recipients) {
+    const resolved = this.resolve(recipients);
+
+    if (resolved.violations.length > 0) {
+      throw new RecipientPolicyError(resolved.violations);
+    }
+
+    return { to: resolved.to, cc: resolved.cc, bcc: resolved.bcc };
+  }
+
+  /**
+   * Check one parsed address against the policy
+   * @param {Object} entry - Parsed address
+   * @param {string} field - 'to', 'cc' or 'bcc'
+   * @return {Object|null} Violation, or null if allowed
+   */
+  check(entry, field) {
+    if (this.isAllowed(entry.address)) {
+      return null;
+    }
+
+    return {
+      field: field,
+      address: entry.address,
+      rule: RECIPIENT_VIOLATIONS.EXTERNAL,
+      message: `${field}: ${entry.address} is outside the allowed domains (${this.describe()})`
+    };
+  }
+
+  /**
+   * Check whether an address may receive mail
+   * @param {string} address - Bare email address
+   * @return {boolean} True if allowed
+   */
+  isAllowed(address) {
+    if (this.allowExternal) {
+      return true;
+    }
+
+    const lower = address.toLowerCase();
+    const domain = lower.slice(lower.lastIndexOf('@') + 1);
+
+    return this.allowedAddresses.includes(lower) ||
+      this.internalDomains.includes(domain) ||
+      this.allowedDomains.some(allowed => matchesDomain(domain, allowed));
+  }
+
+  /**
+   * Short description for logs and error messages
+   * @return {string} Description
+   */
+  describe() {
+    if (this.allowExternal) {
+      return this.enforced ? 'external domains allowed' : 'no recipient policy';
+    }
+
+    const allowed = this.internalDomains.concat(this.allowedDomains, this.allowedAddresses);
+    return allowed.length > 0 ? `allowed: ${allowed.join(', ')}` : 'nothing allowed';
+  }
+
+  /**
+   * Config that recreates this policy in a later execution (see createRecipientPolicy)
+   * @return {Object} Policy config
+   */
+  toSpec() {
+    return {
+      allowedDomains: this.allowedDomains,
+      allowedAddresses: this.allowedAddresses,
+      allowExternal: this.allowExternal,
+      internalDomains: this.internalDomains
+    };
+  }
+}
+
+/**
+ * Parse a recipient list
+ * Handles "Name <address>", quoted names containing commas, bare addresses,
+ * and ',' or ';' separators. Arrays may mix single addresses and lists.
+ * @param {string|Array<string>|null} value - Recipient list
+ * @return {Array<Object>} { name, address, domain, valid, raw } per recipient
+ */
+function parseAddressList(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  const parts = Array.isArray(value) ?
+    value.reduce((all, item) => all.concat(splitAddressList(String(item))), []) :
+    splitAddressList(String(value));
+
+  return parts.map(parseAddress);
+}
+
+/**
+ * Format parsed addresses for GmailApp ("Name <address>, other@example.com")
+ * @param {Array<Object>} entries - Parsed addresses
+ * @return {string} Recipient list
+ */
+function formatAddressList(entries) {
+  return entries.map(entry => {
+    if (!entry.name) {
+      return entry.address;
+    }
+    const name = /[",;<>@()[\]:]/.test(entry.name) ? `"${entry.name.replace(/(["\\])/g, '\\$1')}"` : entry.name;
+    return `${name} <${entry.address}>`;
+  }).join(', ');
+}
+
+/**
+ * Create a recipient policy from config
+ * @param {RecipientPolicy|Object|null} [spec] - Policy, policy config, or nothing (validation only)
+ * @return {RecipientPolicy} Policy
+ */
+function createRecipientPolicy(spec) {
+  if (spec && typeof spec.enforce === 'function') {
+    return spec;
+  }
+  return new RecipientPolicy(spec || null);
+}
+
+/**
+ * Split a list on ',' and ';' outside quotes and angle brackets
+ * @private
+ */
+function splitAddressList(text) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  let angle = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\\' && quoted && i + 1 < text.length) {
+      current += char + text[++i];
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === '<' && !quoted) {
+      angle = true;
+    } else if (char === '>' && !quoted) {
+      angle = false;
+    } else if ((char === ',' || char === ';') && !quoted && !angle) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(part => part.length > 0);
+}
+
+/**
+ * Parse one "Name <address>" or bare address
+ * @private
+ */
+function parseAddress(raw) {
+  const angled = /^(.*?)<([^<>]*)>\s*$/.exec(raw);
+  let name = '';
+  let address = raw;
+
+  if (angled) {
+    name = angled[1].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1').trim();
+    address = angled[2].trim();
+  }
+
+  const valid = RECIPIENT_ADDRESS_PATTERN.test(address);
+  const at = address.lastIndexOf('@');
+
+  return {
+    name: name,
+    address: valid ? address.slice(0, at) + '@' + address.slice(at + 1).toLowerCase() : address,
+    domain: valid ? address.slice(at + 1).toLowerCase() : null,
+    valid: valid,
+    raw: raw
+  };
+}
+
+/**
+ * Match a domain against 'example.com' or '*.example.com'
+ * @private
+ */
+function matchesDomain(domain, allowed) {
+  if (allowed.startsWith('*.')) {
+    return domain.endsWith(allowed.slice(1));
+  }
+  return domain === allowed;
+}
+
+/**
+ * The script owner's domain, if it can be read and is not public webmail
+ * @private
+ */
+function getOwnerDomains() {
+  try {
+    const email = Session.getEffectiveUser().getEmail();
+    const domain = email && email.includes('@') ? email.slice(email.lastIndexOf('@') + 1).toLowerCase() : null;
+    return domain && !PUBLIC_EMAIL_DOMAINS.includes(domain) ? [domain] : [];
+  } catch (error) {
+    return [];
+  }
+}
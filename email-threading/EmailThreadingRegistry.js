@@ -0,0 +1,484 @@
+/**
+ * @fileoverview Multi-Stream Thread Registry for the Email Threading Library
+ * @version 2.0.0
+ * @description Manages many named email streams under one state namespace
+ *
+ * Each stream has its own recipient, subject and thread state, stored as a
+ * single JSON record instead of several loose properties:
+ *
+ *   <namespace>:streams                 -> ["clientA", "clientB", ...]
+ *   <namespace>:stream:clientA          -> { key, config, state, createdAt, updatedAt }
+ *   <namespace>:stream:clientA:sentKeys -> idempotency keys (see REGISTRY_DETACHED_STATE)
+ */
+
+/**
+ * Default namespace for registry keys
+ */
+const EMAIL_THREAD_REGISTRY_NAMESPACE = 'emailThreadRegistry';
+
+/**
+ * Stream state kept in its own property instead of the stream record
+ * Duplicate detection state grows with every keyed send; inside the record it
+ * would share the 9 KB property limit with the config and thread state.
+ */
+const REGISTRY_DETACHED_STATE = ['sentKeys', 'lastContent'];
+
+/**
+ * Registry of named email streams
+ */
+class EmailThreadRegistry {
+  /**
+   * @param {Object} [config] - Registry configuration
+   * @param {string} [config.namespace='emailThreadRegistry'] - Prefix for all registry keys
+   * @param {string|Object} [config.stateStore='script'] - State store (see createThreadStateStore)
+   * @param {Object} [config.defaults] - Manager config applied to every stream
+   *        (e.g. enableLogging, scriptVersion); stream config takes precedence
+   *        Put non-JSON values such as a template engine here, not in stream config
+   */
+  constructor(config = {}) {
+    this.namespace = config.namespace || EMAIL_THREAD_REGISTRY_NAMESPACE;
+    this.stateStore = createThreadStateStore(config.stateStore);
+    this.defaults = config.defaults || {};
+  }
+
+  /**
+   * Key holding the list of stream keys
+   * @private
+   * @return {string} Index key
+   */
+  indexKey() {
+    return `${this.namespace}:streams`;
+  }
+
+  /**
+   * Key holding a single stream record
+   * @private
+   * @param {string} key - Stream key
+   * @return {string} Record key
+   */
+  recordKey(key) {
+    return `${this.namespace}:stream:${key}`;
+  }
+
+  /**
+   * Key holding one detached state value of a stream
+   * @private
+   * @param {string} key - Stream key
+   * @param {string} name - State name (one of REGISTRY_DETACHED_STATE)
+   * @return {string} State key
+   */
+  detachedKey(key, name) {
+    return `${this.recordKey(key)}:${name}`;
+  }
+
+  /**
+   * Check whether a state key belongs to this registry
+   * @param {string} stateKey - Raw state key
+   * @return {boolean} True if the key is a registry key
+   */
+  ownsKey(stateKey) {
+    return stateKey.startsWith(`${this.namespace}:`);
+  }
+
+  /**
+   * Validate a stream key
+   * @private
+   * @param {string} key - Stream key
+   */
+  validateKey(key) {
+    if (typeof key !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(key)) {
+      throw new Error(`Invalid stream key "${key}" - use letters, digits, '_', '-' or '.'`);
+    }
+  }
+
+  /**
+   * Read the list of stream keys
+   * @private
+   * @return {Array<string>} Stream keys
+   */
+  readIndex() {
+    const raw = this.stateStore.get(this.indexKey());
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  /**
+   * Write the list of stream keys
+   * @private
+   * @param {Array<string>} keys - Stream keys
+   */
+  writeIndex(keys) {
+    this.stateStore.set(this.indexKey(), JSON.stringify(keys));
+  }
+
+  /**
+   * Read a stream record
+   * @private
+   * @param {string} key - Stream key
+   * @return {Object|null} Stream record or null
+   */
+  readRecord(key) {
+    const raw = this.stateStore.get(this.recordKey(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Write a stream record
+   * @private
+   * @param {Object} record - Stream record
+   */
+  writeRecord(record) {
+    record.updatedAt = new Date().toISOString();
+    this.stateStore.set(this.recordKey(record.key), JSON.stringify(record));
+  }
+
+  /**
+   * List all registered streams
+   * @return {Array<Object>} Stream records ({ key, config, state, createdAt, updatedAt })
+   */
+  listStreams() {
+    return this.readIndex()
+      .map(key => this.readRecord(key))
+      .filter(record => record !== null);
+  }
+
+  /**
+   * Check whether a stream exists
+   * @param {string} key - Stream key
+   * @return {boolean} True if registered
+   */
+  hasStream(key) {
+    return this.readRecord(key) !== null;
+  }
+
+  /**
+   * Get a stream record
+   * @param {string} key - Stream key
+   * @return {Object|null} Stream record or null if not registered
+   */
+  getStream(key) {
+    return this.readRecord(key);
+  }
+
+  /**
+   * Register a new stream
+   * @param {string} key - Unique stream key (e.g. 'clientA')
+   * @param {Object} config - Manager config for this stream
+   * @param {string} config.recipientEmail - Primary recipient (individual or group)
+   * @param {string} config.emailSubject - Subject line for new threads
+   * @return {Object} The new stream record
+   * @throws {Error} When the config would not build a manager (bad rotation policy,
+   *         recipient, lock or plain-text settings, ...)
+   */
+  createStream(key, config) {
+    this.validateKey(key);
+
+    if (!config || !config.recipientEmail || !config.emailSubject) {
+      throw new Error(`Stream "${key}" requires recipientEmail and emailSubject`);
+    }
+
+    if (this.hasStream(key)) {
+      throw new Error(`Stream "${key}" already exists`);
+    }
+
+    const record = {
+      key: key,
+      config: { ...config },
+      state: {},
+      createdAt: new Date().toISOString()
+    };
+
+    // Thread state is owned by the registry, never by the stream config
+    delete record.config.stateStore;
+    delete record.config.threadIdProperty;
+    this.validateConfig(key, record.config);
+
+    this.writeRecord(record);
+
+    const keys = this.readIndex();
+    if (!keys.includes(key)) {
+      keys.push(key);
+      this.writeIndex(keys);
+    }
+
+    return record;
+  }
+
+  /**
+   * Update a stream's configuration (thread state is left untouched)
+   * @param {string} key - Stream key
+   * @param {Object} changes - Config values to merge
+   * @return {Object} The updated stream record
+   * @throws {Error} When the updated config would not build a manager
+   */
+  updateStream(key, changes) {
+    const record = this.requireStream(key);
+    record.config = { ...record.config, ...changes };
+    delete record.config.stateStore;
+    delete record.config.threadIdProperty;
+    this.validateConfig(key, record.config);
+    this.writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Check a stream config by building a manager from it, so a bad setting
+   * fails here instead of at the stream's first send
+   * @private
+   * @param {string} key - Stream key
+   * @param {Object} config - Stream config
+   * @throws {Error} Whatever the EmailThreadingManager constructor throws
+   */
+  validateConfig(key, config) {
+    try {
+      this.createManager(key, config, 'memory');
+    } catch (error) {
+      error.message = `Stream "${key}" has an invalid config: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Get a stream record or throw
+   * @private
+   * @param {string} key - Stream key
+   * @return {Object} Stream record
+   */
+  requireStream(key) {
+    const record = this.readRecord(key);
+    if (!record) {
+      throw new Error(`Stream "${key}" is not registered`);
+    }
+    return record;
+  }
+
+  /**
+   * Get an EmailThreadingManager bound to a stream
+   * @param {string} key - Stream key
+   * @return {EmailThreadingManager} Manager that reads and writes the stream's state
+   */
+  getManager(key) {
+    const record = this.requireStream(key);
+    return this.createManager(key, record.config, new StreamStateStore(this, key));
+  }
+
+  /**
+   * Build a manager for a stream config
+   * @private
+   * @param {string} key - Stream key
+   * @param {Object} config - Stream config
+   * @param {string|Object} stateStore - State store for the manager
+   * @return {EmailThreadingManager} Manager
+   */
+  createManager(key, config, stateStore) {
+    return new EmailThreadingManager({
+      ...this.defaults,
+      ...config,
+      streamKey: key,
+      threadIdProperty: 'threadId',
+      stateStore: stateStore,
+      stateKeys: {
+        threadId: 'threadId',
+        previousThreadId: 'previousThreadId',
+        archivedThreadId: 'archivedThreadId',
+        archivedDate: 'archivedDate',
+        threadMeta: 'threadMeta',
+        sentKeys: 'sentKeys',
+        lastContent: 'lastContent'
+      }
+    });
+  }
+
+  /**
+   * Send a threaded email to a stream
+   * @param {string} key - Stream key
+   * @param {string|Object} htmlBody - HTML content of the email, or { template, data }
+   * @param {Object} [options] - Same options as sendThreadedEmail
+   * @return {SendResult} Outcome of the send
+   */
+  sendToStream(key, htmlBody, options = {}) {
+    return this.getManager(key).sendThreadedEmail(htmlBody, options);
+  }
+
+  /**
+   * Reset a stream so the next email starts a new thread
+   * @param {string} key - Stream key
+   */
+  resetStream(key) {
+    this.getManager(key).resetThreading();
+  }
+
+  /**
+   * Get thread information for a stream
+   * @param {string} key - Stream key
+   * @return {Object} Thread information (see EmailThreadingManager.getThreadInfo)
+   */
+  getStreamInfo(key) {
+    return this.getManager(key).getThreadInfo();
+  }
+
+  /**
+   * Remove a stream and all of its state
+   * @param {string} key - Stream key
+   * @return {boolean} True if a stream was removed
+   */
+  deleteStream(key) {
+    const existed = this.hasStream(key);
+
+    this.stateStore.delete(this.recordKey(key));
+    REGISTRY_DETACHED_STATE.forEach(name => this.stateStore.delete(this.detachedKey(key, name)));
+    this.writeIndex(this.readIndex().filter(k => k !== key));
+
+    return existed;
+  }
+
+  /**
+   * Move a stream that still uses loose v2.0.0 properties into the registry
+   * @param {string} key - New stream key
+   * @param {Object} legacyConfig - The config the old manager was created with
+   * @param {string} legacyConfig.threadIdProperty - Old thread ID property name
+   * @return {Object} The new stream record
+   */
+  importLegacyStream(key, legacyConfig) {
+    const property = legacyConfig.threadIdProperty;
+    const legacyKeys = {
+      threadId: property,
+      previousThreadId: 'previousThreadId_' + property,
+      archivedThreadId: 'archived_' + property,
+      archivedDate: 'archived_date_' + property
+    };
+
+    const record = this.createStream(key, legacyConfig);
+
+    Object.entries(legacyKeys).forEach(([stateName, legacyKey]) => {
+      const value = this.stateStore.get(legacyKey);
+      if (value !== null) {
+        record.state[stateName] = value;
+        this.stateStore.delete(legacyKey);
+      }
+    });
+
+    this.writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Read one state value of a stream
+   * @private
+   * @param {string} key - Stream key
+   * @param {string} name - State name
+   * @return {string|null} Value or null
+   */
+  readState(key, name) {
+    const record = this.requireStream(key);
+
+    if (REGISTRY_DETACHED_STATE.includes(name)) {
+      return this.stateStore.get(this.detachedKey(key, name));
+    }
+
+    return Object.prototype.hasOwnProperty.call(record.state, name) ? record.state[name] : null;
+  }
+
+  /**
+   * Write (or delete, when value is null) one state value of a stream
+   * @private
+   * @param {string} key - Stream key
+   * @param {string} name - State name
+   * @param {string|null} value - Value to store
+   */
+  writeState(key, name, value) {
+    const record = this.requireStream(key);
+
+    if (REGISTRY_DETACHED_STATE.includes(name)) {
+      if (value === null) {
+        this.stateStore.delete(this.detachedKey(key, name));
+      } else {
+        this.stateStore.set(this.detachedKey(key, name), String(value));
+      }
+      return;
+    }
+
+    if (value === null) {
+      delete record.state[name];
+    } else {
+      record.state[name] = String(value);
+    }
+
+    this.writeRecord(record);
+  }
+}
+
+/**
+ * State store view over a single registry stream record
+ * Lets an EmailThreadingManager keep its state inside the registry
+ *
+ * Implements the ThreadStateStore interface without extending it, so it
+ * does not depend on script file load order.
+ */
+class StreamStateStore {
+  /**
+   * @param {EmailThreadRegistry} registry - Owning registry
+   * @param {string} streamKey - Stream key
+   */
+  constructor(registry, streamKey) {
+    this.registry = registry;
+    this.streamKey = streamKey;
+  }
+
+  get(key) {
+    return this.registry.readState(this.streamKey, key);
+  }
+
+  set(key, value) {
+    this.registry.writeState(this.streamKey, key, value);
+  }
+
+  delete(key) {
+    this.registry.writeState(this.streamKey, key, null);
+  }
+
+  getAll() {
+    const state = { ...this.registry.requireStream(this.streamKey).state };
+
+    REGISTRY_DETACHED_STATE.forEach(name => {
+      const value = this.registry.readState(this.streamKey, name);
+      if (value !== null) {
+        state[name] = value;
+      }
+    });
+
+    return state;
+  }
+
+  keys() {
+    return Object.keys(this.getAll());
+  }
+
+  describe() {
+    return `StreamStateStore (${this.registry.namespace}:${this.streamKey})`;
+  }
+
+  toSpec() {
+    const registryStore = this.registry.stateStore;
+    const storeSpec = typeof registryStore.toSpec === 'function' ? registryStore.toSpec() : null;
+
+    if (storeSpec === null) {
+      return null;
+    }
+
+    return {
+      type: 'registryStream',
+      namespace: this.registry.namespace,
+      streamKey: this.streamKey,
+      stateStore: storeSpec
+    };
+  }
+}
+
+/**
+ * Factory function for creating EmailThreadRegistry instances
+ * @param {Object} [config] - Registry configuration
+ * @return {EmailThreadRegistry} New instance
+ */
+function createEmailThreadRegistry(config) {
+  return new EmailThreadRegistry(config);
+}
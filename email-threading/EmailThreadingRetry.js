@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Retries and Error Classification for the Email Threading Library
+ * @version 2.0.0
+ * @description Retries GmailApp calls with exponential backoff
+ *
+ * Errors are sorted into:
+ * - transient  - Server hiccups and short-term rate limits; retried
+ * - quota      - Daily limits; not retried (the quota resets tomorrow)
+ * - permission - Missing scopes or access; not retried
+ * - notFound   - The thread or message is gone; not retried
+ * - unknown    - Anything else; not retried
+ * - recipientPolicy - Recipients broke the recipient policy; no Gmail call was made
+ *
+ * Only reads and lookups are retried by default. A send that timed out may
+ * still have gone out, so retrying it can deliver the email twice; sends are
+ * retried only with retrySends: true.
+ *
+ * Only notFound lets sendThreadedEmail give up on the stored thread and
+ * start a new one. Every other failure is returned to the caller so a
+ * momentary problem never orphans the conversation.
+ */
+
+/**
+ * Error types reported by classifyGmailError and SendResult.errorType
+ */
+const GMAIL_ERROR_TYPES = {
+  TRANSIENT: 'transient',
+  QUOTA: 'quota',
+  PERMISSION: 'permission',
+  NOT_FOUND: 'notFound',
+  UNKNOWN: 'unknown',
+  RECIPIENT_POLICY: 'recipientPolicy'
+};
+
+/**
+ * Message patterns for each error type, checked in this order
+ * Daily quota must be checked before the short-term rate limit wording.
+ */
+const GMAIL_ERROR_PATTERNS = [
+  {
+    type: GMAIL_ERROR_TYPES.QUOTA,
+    pattern: /too many times for one day|daily (?:quota|limit)|Limit Exceeded|quota (?:exceeded|exhausted)|too many recipients/i
+  },
+  {
+    type: GMAIL_ERROR_TYPES.PERMISSION,
+    pattern: /permission|not authori[sz]ed|authorization is required|access denied|insufficient (?:scope|permission)|forbidden/i
+  },
+  {
+    type: GMAIL_ERROR_TYPES.NOT_FOUND,
+    pattern: /not found|does not exist|no (?:thread|message|item) with the given id|has been deleted|invalid (?:thread )?id|invalid argument: id/i
+  },
+  {
+    type: GMAIL_ERROR_TYPES.TRANSIENT,
+    pattern: /too many times in a short time|too many simultaneous|rate limit|service error|server error|internal error|backend error|service unavailable|temporar|timed? ?out|try again|unexpected error/i
+  }
+];
+
+/**
+ * Calls that create or send mail
+ * A failure here can come after Gmail already acted, so a retry may send twice.
+ */
+const GMAIL_SEND_OPERATIONS = ['sendEmail', 'createDraft', 'sendDraft'];
+
+/**
+ * Default retry settings
+ */
+const GMAIL_RETRY_DEFAULTS = {
+  maxAttempts: 3,          // Total tries, including the first
+  initialDelayMs: 1000,    // Wait before the second try
+  maxDelayMs: 16000,       // Upper bound for a single wait
+  multiplier: 2,           // Delay growth per attempt
+  jitter: 0.2,             // +/- fraction of random spread
+  retryOn: [GMAIL_ERROR_TYPES.TRANSIENT],
+  retrySends: false        // Also retry GMAIL_SEND_OPERATIONS (risks a double send)
+};
+
+/**
+ * Error raised after a Gmail call failed for good
+ */
+class GmailOperationError extends Error {
+  /**
+   * @param {string} message - Description
+   * @param {string} type - One of GMAIL_ERROR_TYPES
+   * @param {Object} [details] - { operation, attempts, cause }
+   */
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'GmailOperationError';
+    this.type = type;
+    this.operation = details.operation || null;
+    this.attempts = details.attempts || 1;
+    this.cause = details.cause || null;
+  }
+}
+
+/**
+ * Decide which kind of failure an error is
+ * @param {Error|string} error - Error thrown by a GmailApp call
+ * @return {string} One of GMAIL_ERROR_TYPES
+ */
+function classifyGmailError(error) {
+  if (!error) {
+    return GMAIL_ERROR_TYPES.UNKNOWN;
+  }
+
+  if (error.type && Object.values(GMAIL_ERROR_TYPES).includes(error.type)) {
+    return error.type;
+  }
+
+  const message = error.message || String(error);
+  const match = GMAIL_ERROR_PATTERNS.find(entry => entry.pattern.test(message));
+  return match ? match.type : GMAIL_ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Runs Gmail calls with exponential backoff
+ */
+class GmailRetrier {
+  /**
+   * @param {Object|boolean} [config] - Retry settings (see GMAIL_RETRY_DEFAULTS); false disables retries
+   * @param {Function} [log] - Called with each retry message (the manager logs it as a warning)
+   */
+  constructor(config = {}, log = null) {
+    this.config = config === false ?
+      { ...GMAIL_RETRY_DEFAULTS, maxAttempts: 1 } :
+      { ...GMAIL_RETRY_DEFAULTS, ...config };
+    this.log = log || (() => {});
+
+    if (!(this.config.maxAttempts >= 1)) {
+      throw new Error('Retry maxAttempts must be at least 1');
+    }
+  }
+
+  /**
+   * Run a Gmail call, retrying retryable failures
+   * @param {string} operation - Name for logs and errors (e.g. 'sendEmail')
+   * @param {Function} fn - The call to make
+   * @return {*} Whatever fn returns
+   * @throws {GmailOperationError} When the call fails for good
+   */
+  run(operation, fn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return fn();
+      } catch (error) {
+        const type = classifyGmailError(error);
+        const retryable = this.config.retryOn.includes(type) && this.canRetry(operation);
+
+        if (!retryable || attempt >= this.config.maxAttempts) {
+          const suffix = attempt > 1 ? ` after ${attempt} attempts` : '';
+          throw new GmailOperationError(
+            `${operation} failed (${type})${suffix}: ${error.message || error}`,
+            type,
+            { operation: operation, attempts: attempt, cause: error }
+          );
+        }
+
+        const delay = this.getDelay(attempt);
+        this.log(`${operation} failed (${type}), retrying in ${delay}ms (attempt ${attempt + 1} of ${this.config.maxAttempts})`);
+        Utilities.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Whether an operation may be repeated after a failure (used by the outbox too)
+   * @param {string} operation - Operation name
+   * @return {boolean} False for sends unless retrySends is set
+   */
+  canRetry(operation) {
+    return this.config.retrySends || !GMAIL_SEND_OPERATIONS.includes(operation);
+  }
+
+  /**
+   * Wait before the next attempt
+   * @private
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @return {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const base = Math.min(
+      this.config.initialDelayMs * Math.pow(this.config.multiplier, attempt - 1),
+      this.config.maxDelayMs
+    );
+    const spread = base * this.config.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + spread));
+  }
+}
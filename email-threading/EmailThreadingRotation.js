@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Thread Rotation Policies for the Email Threading Library
+ * @version 2.0.0
+ * @description Start new threads automatically instead of calling resetThreading() by hand
+ *
+ * Policy types:
+ * - messages - After the thread holds N messages (Gmail splits threads past ~100)
+ * - age      - After the thread is older than a given duration
+ * - calendar - At a calendar boundary: daily, weekly, isoWeek, monthly, quarterly
+ * - custom   - When a predicate function returns true
+ *
+ * Each policy can carry a subject template for the threads it starts, e.g.
+ * "Weekly Report — Week {isoWeek}". Available tokens:
+ *   {subject} {date} {year} {month} {monthName} {day} {week} {isoWeek}
+ *   {isoWeekYear} {quarter} {sequence}
+ *
+ * Calendar values use the script time zone (File > Project properties).
+ */
+
+/**
+ * Calendar periods supported by calendar policies
+ */
+const ROTATION_CALENDAR_PERIODS = ['daily', 'weekly', 'isoWeek', 'monthly', 'quarterly'];
+
+/**
+ * Month names used by the {monthName} token
+ */
+const ROTATION_MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * A single thread rotation policy
+ */
+class ThreadRotationPolicy {
+  /**
+   * Prefer the static factories (afterMessages, afterAge, calendar, custom)
+   * @param {Object} spec - Policy specification
+   * @param {string} spec.type - 'messages', 'age', 'calendar' or 'custom'
+   * @param {number} [spec.count] - Message count (messages)
+   * @param {number} [spec.maxAgeHours] - Maximum thread age in hours (age)
+   * @param {string} [spec.period] - Calendar period (calendar)
+   * @param {number} [spec.weekStartsOn=1] - First day of week for 'weekly' (0 = Sunday)
+   * @param {Function} [spec.predicate] - (context) => boolean (custom)
+   * @param {string} [spec.subjectTemplate] - Subject template for new threads
+   * @param {string} [spec.name] - Label used in logs
+   */
+  constructor(spec) {
+    this.type = spec.type;
+    this.count = spec.count;
+    this.maxAgeHours = spec.maxAgeHours;
+    this.period = spec.period;
+    this.weekStartsOn = spec.weekStartsOn === undefined ? 1 : spec.weekStartsOn;
+    this.predicate = spec.predicate;
+    this.subjectTemplate = spec.subjectTemplate || null;
+    this.name = spec.name || null;
+
+    this.validate();
+  }
+
+  /**
+   * Rotate once the thread holds at least `count` messages
+   * @param {number} count - Message limit (replies from people count too)
+   * @param {Object} [options] - { subjectTemplate, name }
+   * @return {ThreadRotationPolicy} Policy
+   */
+  static afterMessages(count, options = {}) {
+    return new ThreadRotationPolicy({ ...options, type: 'messages', count: count });
+  }
+
+  /**
+   * Rotate once the thread is older than the given duration
+   * @param {Object} duration - { days, hours } (summed)
+   * @param {Object} [options] - { subjectTemplate, name }
+   * @return {ThreadRotationPolicy} Policy
+   */
+  static afterAge(duration, options = {}) {
+    const hours = (duration.days || 0) * 24 + (duration.hours || 0);
+    return new ThreadRotationPolicy({ ...options, type: 'age', maxAgeHours: hours });
+  }
+
+  /**
+   * Rotate when the calendar period changes
+   * @param {string} period - 'daily', 'weekly', 'isoWeek', 'monthly' or 'quarterly'
+   * @param {Object} [options] - { subjectTemplate, name, weekStartsOn }
+   * @return {ThreadRotationPolicy} Policy
+   */
+  static calendar(period, options = {}) {
+    return new ThreadRotationPolicy({ ...options, type: 'calendar', period: period });
+  }
+
+  /**
+   * Rotate when a predicate returns true
+   * @param {Function} predicate - (context) => boolean; the context is built by
+   *        EmailThreadingManager.checkRotation: { threadId, streamKey, now (Date),
+   *        meta (stored thread metadata: createdAt, subject, sendCount, ...),
+   *        getThread() => GmailThread|null, getCreatedAt() => Date|null,
+   *        getMessageCount() => number }
+   * @param {Object} [options] - { subjectTemplate, name }
+   * @return {ThreadRotationPolicy} Policy
+   */
+  static custom(predicate, options = {}) {
+    return new ThreadRotationPolicy({ ...options, type: 'custom', predicate: predicate });
+  }
+
+  /**
+   * Build a policy from a policy instance or a plain (JSON) spec
+   * Plain specs let registry streams store their policies
+   * @param {ThreadRotationPolicy|Object} spec - Policy or spec
+   * @return {ThreadRotationPolicy} Policy
+   */
+  static from(spec) {
+    return spec instanceof ThreadRotationPolicy ? spec : new ThreadRotationPolicy(spec);
+  }
+
+  /**
+   * Validate the policy settings
+   * @private
+   */
+  validate() {
+    switch (this.type) {
+      case 'messages':
+        if (!(this.count > 0)) {
+          throw new Error('Message rotation policy requires a positive count');
+        }
+        break;
+      case 'age':
+        if (!(this.maxAgeHours > 0)) {
+          throw new Error('Age rotation policy requires a positive duration');
+        }
+        break;
+      case 'calendar':
+        if (!ROTATION_CALENDAR_PERIODS.includes(this.period)) {
+          throw new Error(`Unknown rotation period "${this.period}" - use ${ROTATION_CALENDAR_PERIODS.join(', ')}`);
+        }
+        break;
+      case 'custom':
+        if (typeof this.predicate !== 'function') {
+          throw new Error('Custom rotation policy requires a predicate function');
+        }
+        break;
+      default:
+        throw new Error(`Unknown rotation policy type "${this.type}"`);
+    }
+  }
+
+  /**
+   * Decide whether the current thread should be rotated out
+   * @param {Object} context - Rotation context
+   * @param {Date} context.now - Current time
+   * @param {Function} context.getCreatedAt - () => Date|null, when the thread started
+   * @param {Function} context.getMessageCount - () => number, messages in the thread
+   * @return {boolean} True if a new thread should be started
+   */
+  shouldRotate(context) {
+    switch (this.type) {
+      case 'messages':
+        return context.getMessageCount() >= this.count;
+
+      case 'age': {
+        const createdAt = context.getCreatedAt();
+        if (!createdAt) return false;
+        return context.now.getTime() - createdAt.getTime() >= this.maxAgeHours * 3600 * 1000;
+      }
+
+      case 'calendar': {
+        const createdAt = context.getCreatedAt();
+        if (!createdAt) return false;
+        return this.periodKey(createdAt) !== this.periodKey(context.now);
+      }
+
+      case 'custom':
+        return !!this.predicate(context);
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Identify the calendar period a date falls into
+   * @private
+   * @param {Date} date - Date to classify
+   * @return {string} Period key (equal keys = same period)
+   */
+  periodKey(date) {
+    const parts = getRotationDateParts(date, this.weekStartsOn);
+
+    switch (this.period) {
+      case 'daily':
+        return parts.date;
+      case 'weekly':
+        return parts.weekStart;
+      case 'isoWeek':
+        return `${parts.isoWeekYear}-W${parts.isoWeek}`;
+      case 'monthly':
+        return `${parts.year}-${parts.month}`;
+      case 'quarterly':
+        return `${parts.year}-Q${parts.quarter}`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Build the subject for a new thread started under this policy
+   * @param {string} baseSubject - The configured emailSubject
+   * @param {Date} date - Thread start date
+   * @param {number} [sequence=1] - Thread number within the stream
+   * @return {string} Subject (baseSubject if the policy has no template)
+   */
+  formatSubject(baseSubject, date, sequence = 1) {
+    if (!this.subjectTemplate) {
+      return baseSubject;
+    }
+    return formatRotationSubject(this.subjectTemplate, baseSubject, date, sequence, this.weekStartsOn);
+  }
+
+  /**
+   * Plain (JSON) spec for this policy, accepted by ThreadRotationPolicy.from
+   * @return {Object|null} Spec, or null for custom policies (functions cannot be stored)
+   */
+  toSpec() {
+    if (this.type === 'custom') {
+      return null;
+    }
+
+    const spec = { type: this.type };
+    ['count', 'maxAgeHours', 'period', 'subjectTemplate', 'name'].forEach(key => {
+      if (this[key] !== undefined && this[key] !== null) {
+        spec[key] = this[key];
+      }
+    });
+    if (this.type === 'calendar') {
+      spec.weekStartsOn = this.weekStartsOn;
+    }
+    return spec;
+  }
+
+  /**
+   * Short description for logs
+   * @return {string} Description
+   */
+  describe() {
+    if (this.name) return this.name;
+
+    switch (this.type) {
+      case 'messages':
+        return `after ${this.count} messages`;
+      case 'age':
+        return `after ${this.maxAgeHours} hours`;
+      case 'calendar':
+        return `${this.period} boundary`;
+      default:
+        return 'custom predicate';
+    }
+  }
+}
+
+// =====================================================================
+// DATE AND TEMPLATE HELPERS
+// =====================================================================
+
+/**
+ * Break a date into the values used by periods and subject templates
+ * @param {Date} date - Date to split
+ * @param {number} [weekStartsOn=1] - First day of week for 'weekly' (0 = Sunday)
+ * @return {Object} Date parts (strings, zero-padded where relevant)
+ */
+function getRotationDateParts(date, weekStartsOn = 1) {
+  const pad = n => (n < 10 ? '0' : '') + n;
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+
+  // Start of the configurable week
+  const weekStartDate = new Date(year, date.getMonth(), day);
+  weekStartDate.setDate(day - ((date.getDay() - weekStartsOn + 7) % 7));
+
+  // Week number counting from the first configured week start of the year
+  const jan1 = new Date(year, 0, 1);
+  const dayOfYear = Math.round((new Date(year, date.getMonth(), day) - jan1) / 86400000);
+  const week = Math.floor((dayOfYear + ((jan1.getDay() - weekStartsOn + 7) % 7)) / 7) + 1;
+
+  // ISO-8601 week: the week with the year's first Thursday is week 1
+  const thursday = new Date(year, date.getMonth(), day);
+  thursday.setDate(day + 3 - ((date.getDay() + 6) % 7));
+  const isoWeekYear = thursday.getFullYear();
+  const isoJan4 = new Date(isoWeekYear, 0, 4);
+  const isoWeek = 1 + Math.round(
+    ((thursday - isoJan4) / 86400000 - 3 + ((isoJan4.getDay() + 6) % 7)) / 7
+  );
+
+  return {
+    year: String(year),
+    month: pad(month),
+    monthName: ROTATION_MONTH_NAMES[month - 1],
+    day: pad(day),
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    weekStart: `${weekStartDate.getFullYear()}-${pad(weekStartDate.getMonth() + 1)}-${pad(weekStartDate.getDate())}`,
+    week: String(week),
+    isoWeek: String(isoWeek),
+    isoWeekYear: String(isoWeekYear),
+    quarter: String(Math.floor((month - 1) / 3) + 1)
+  };
+}
+
+/**
+ * Fill a subject template
+ * Unknown tokens are left in place so mistakes are visible in the subject
+ * @param {string} template - Template such as "Weekly Report — Week {isoWeek}"
+ * @param {string} baseSubject - Value for {subject}
+ * @param {Date} date - Date used for calendar tokens
+ * @param {number} [sequence=1] - Value for {sequence}
+ * @param {number} [weekStartsOn=1] - First day of week for {week}
+ * @return {string} Subject
+ */
+function formatRotationSubject(template, baseSubject, date, sequence = 1, weekStartsOn = 1) {
+  const values = {
+    ...getRotationDateParts(date, weekStartsOn),
+    subject: baseSubject || '',
+    sequence: String(sequence)
+  };
+
+  return template.replace(/\{(\w+)\}/g, (match, token) =>
+    Object.prototype.hasOwnProperty.call(values, token) ? values[token] : match
+  );
+}
+
+/**
+ * Normalize the rotationPolicy config value to a list of policies
+ * @param {ThreadRotationPolicy|Object|Array|undefined} config - Policy, spec or list
+ * @return {Array<ThreadRotationPolicy>} Policies
+ */
+function createRotationPolicies(config) {
+  if (!config) {
+    return [];
+  }
+  const list = Array.isArray(config) ? config : [config];
+  return list.map(spec => ThreadRotationPolicy.from(spec));
+}
@@ -0,0 +1,418 @@
+/**
+ * @fileoverview State Stores for the Email Threading Library
+ * @version 2.0.0
+ * @description Pluggable key/value storage for thread IDs and related state
+ *
+ * Every store implements the same small interface:
+ * - get(key)         -> string|null
+ * - set(key, value)  -> void
+ * - delete(key)      -> void
+ * - getAll()         -> Object map of key/value pairs
+ *
+ * Available backends:
+ * - PropertiesStateStore  - Script, User or Document properties
+ * - SpreadsheetStateStore - Rows in a Google Sheet (visible, editable state)
+ * - MemoryStateStore      - In-memory map (tests, Node, dry runs)
+ */
+
+/**
+ * Total size PropertiesService allows per store (script, user or document)
+ */
+const PROPERTIES_STORE_LIMIT = 500 * 1024;
+
+// =====================================================================
+// BASE INTERFACE
+// =====================================================================
+
+/**
+ * Base class for all state stores
+ * Subclasses must implement get, set, delete and getAll
+ */
+class ThreadStateStore {
+  /**
+   * Read a value
+   * @param {string} key - State key
+   * @return {string|null} Stored value or null
+   */
+  get(key) {
+    throw new Error(`${this.constructor.name}.get() is not implemented`);
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - State key
+   * @param {string} value - Value to store
+   */
+  set(key, value) {
+    throw new Error(`${this.constructor.name}.set() is not implemented`);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - State key
+   */
+  delete(key) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  /**
+   * Read every stored key/value pair
+   * @return {Object} Map of key to value
+   */
+  getAll() {
+    throw new Error(`${this.constructor.name}.getAll() is not implemented`);
+  }
+
+  /**
+   * List all stored keys
+   * @return {Array<string>} Keys
+   */
+  keys() {
+    return Object.keys(this.getAll());
+  }
+
+  /**
+   * Human readable description used in logs and diagnostics
+   * @return {string} Description
+   */
+  describe() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Spec that recreates this store in a later execution (see createThreadStateStore)
+   * @return {string|Object|null} Spec, or null if the store cannot be recreated
+   */
+  toSpec() {
+    return null;
+  }
+}
+
+// =====================================================================
+// PROPERTIES SERVICE BACKEND
+// =====================================================================
+
+/**
+ * State store backed by a PropertiesService Properties object
+ */
+class PropertiesStateStore extends ThreadStateStore {
+  /**
+   * @param {Properties} properties - Script, user or document properties
+   * @param {string} [scope='script'] - Scope name used for diagnostics
+   */
+  constructor(properties, scope = 'script') {
+    super();
+
+    if (!properties) {
+      throw new Error(`${scope} properties are not available in this context`);
+    }
+
+    this.properties = properties;
+    this.scope = scope;
+  }
+
+  /**
+   * Store backed by script properties (shared by all users of the script)
+   * @return {PropertiesStateStore} Store instance
+   */
+  static script() {
+    return new PropertiesStateStore(PropertiesService.getScriptProperties(), 'script');
+  }
+
+  /**
+   * Store backed by user properties (per user, e.g. add-on deployments)
+   * @return {PropertiesStateStore} Store instance
+   */
+  static user() {
+    return new PropertiesStateStore(PropertiesService.getUserProperties(), 'user');
+  }
+
+  /**
+   * Store backed by document properties (only in container-bound scripts)
+   * @return {PropertiesStateStore} Store instance
+   */
+  static document() {
+    return new PropertiesStateStore(PropertiesService.getDocumentProperties(), 'document');
+  }
+
+  get(key) {
+    return this.properties.getProperty(key);
+  }
+
+  set(key, value) {
+    this.properties.setProperty(key, String(value));
+  }
+
+  delete(key) {
+    this.properties.deleteProperty(key);
+  }
+
+  getAll() {
+    return this.properties.getProperties();
+  }
+
+  /**
+   * Characters used by every key and value, counted against PROPERTIES_STORE_LIMIT
+   * @return {number} Size of the whole store, not only this library's keys
+   */
+  getSize() {
+    const all = this.getAll();
+    return Object.keys(all).reduce((size, key) => size + key.length + String(all[key]).length, 0);
+  }
+
+  describe() {
+    return `PropertiesStateStore (${this.scope})`;
+  }
+
+  toSpec() {
+    return this.scope;
+  }
+}
+
+// =====================================================================
+// SPREADSHEET BACKEND
+// =====================================================================
+
+/**
+ * State store that keeps one row per key in a Google Sheet
+ * Columns: Key | Value | Updated
+ */
+class SpreadsheetStateStore extends ThreadStateStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.spreadsheetId] - Spreadsheet ID (defaults to active spreadsheet)
+   * @param {Spreadsheet} [options.spreadsheet] - Spreadsheet instance (takes precedence over ID)
+   * @param {string} [options.sheetName='EmailThreadingState'] - Sheet holding the state rows
+   */
+  constructor(options = {}) {
+    super();
+
+    this.spreadsheetId = options.spreadsheetId || null;
+    this.spreadsheet = options.spreadsheet || null;
+    this.sheetName = options.sheetName || 'EmailThreadingState';
+    this.sheet = null;
+  }
+
+  /**
+   * Get (and create if missing) the state sheet
+   * @private
+   * @return {Sheet} The state sheet
+   */
+  getSheet() {
+    if (this.sheet) {
+      return this.sheet;
+    }
+
+    if (!this.spreadsheet) {
+      this.spreadsheet = this.spreadsheetId ?
+        SpreadsheetApp.openById(this.spreadsheetId) :
+        SpreadsheetApp.getActiveSpreadsheet();
+    }
+
+    if (!this.spreadsheet) {
+      throw new Error('SpreadsheetStateStore requires a spreadsheetId outside a spreadsheet context');
+    }
+
+    let sheet = this.spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet) {
+      sheet = this.spreadsheet.insertSheet(this.sheetName);
+      sheet.appendRow(['Key', 'Value', 'Updated']);
+      sheet.setFrozenRows(1);
+    }
+
+    this.sheet = sheet;
+    return sheet;
+  }
+
+  /**
+   * Read all data rows (excluding the header row)
+   * @private
+   * @return {Array<Array>} Rows of [key, value, updated]
+   */
+  readRows() {
+    const sheet = this.getSheet();
+    const lastRow = sheet.getLastRow();
+
+    if (lastRow < 2) {
+      return [];
+    }
+
+    return sheet.getRange(2, 1, lastRow - 1, 3).getValues();
+  }
+
+  /**
+   * Find the sheet row number holding a key
+   * @private
+   * @param {string} key - State key
+   * @return {number} 1-based row number, or -1 if not found
+   */
+  findRow(key) {
+    const rows = this.readRows();
+    for (let i = 0; i < rows.length; i++) {
+      if (String(rows[i][0]) === key) {
+        return i + 2;
+      }
+    }
+    return -1;
+  }
+
+  get(key) {
+    const row = this.readRows().find(r => String(r[0]) === key);
+    return row && row[1] !== '' ? String(row[1]) : null;
+  }
+
+  set(key, value) {
+    const sheet = this.getSheet();
+    const rowNumber = this.findRow(key);
+    const values = [[key, String(value), new Date()]];
+
+    if (rowNumber > 0) {
+      sheet.getRange(rowNumber, 1, 1, 3).setValues(values);
+    } else {
+      sheet.appendRow(values[0]);
+    }
+  }
+
+  delete(key) {
+    const rowNumber = this.findRow(key);
+    if (rowNumber > 0) {
+      this.getSheet().deleteRow(rowNumber);
+    }
+  }
+
+  getAll() {
+    const all = {};
+    this.readRows().forEach(row => {
+      if (row[0] !== '') {
+        all[String(row[0])] = String(row[1]);
+      }
+    });
+    return all;
+  }
+
+  describe() {
+    return `SpreadsheetStateStore (${this.sheetName})`;
+  }
+
+  toSpec() {
+    return {
+      type: 'spreadsheet',
+      spreadsheetId: this.spreadsheetId || (this.spreadsheet ? this.spreadsheet.getId() : null),
+      sheetName: this.sheetName
+    };
+  }
+}
+
+// =====================================================================
+// IN-MEMORY BACKEND
+// =====================================================================
+
+/**
+ * State store held in memory - nothing survives the script execution
+ * Useful for tests, dry runs and running the library outside Apps Script
+ */
+class MemoryStateStore extends ThreadStateStore {
+  /**
+   * @param {Object} [initialState] - Initial key/value pairs
+   */
+  constructor(initialState = {}) {
+    super();
+    this.data = new Map();
+
+    Object.entries(initialState).forEach(([key, value]) => {
+      this.data.set(key, String(value));
+    });
+  }
+
+  get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  set(key, value) {
+    this.data.set(key, String(value));
+  }
+
+  delete(key) {
+    this.data.delete(key);
+  }
+
+  getAll() {
+    const all = {};
+    this.data.forEach((value, key) => {
+      all[key] = value;
+    });
+    return all;
+  }
+
+  /**
+   * Remove every stored value
+   */
+  clear() {
+    this.data.clear();
+  }
+}
+
+// =====================================================================
+// FACTORY
+// =====================================================================
+
+/**
+ * Resolve a state store from a configuration value
+ *
+ * Accepted values:
+ * - undefined / 'script' - Script properties (default, v2.0.0 behaviour)
+ * - 'user' / 'document'  - User or document properties
+ * - 'memory'             - New in-memory store
+ * - 'spreadsheet'        - Sheet in the active spreadsheet
+ * - { type: 'spreadsheet', spreadsheetId, sheetName } - Configured sheet store
+ * - { type: 'memory', initialState }                  - Seeded in-memory store
+ * - { type: 'registryStream', namespace, streamKey, stateStore }
+ *                                                     - One EmailThreadRegistry stream
+ * - Any object implementing get/set/delete/getAll     - Used as-is
+ *
+ * @param {string|Object} [spec] - Store specification
+ * @return {ThreadStateStore} The resolved store
+ */
+function createThreadStateStore(spec) {
+  if (!spec || spec === 'script') {
+    return PropertiesStateStore.script();
+  }
+
+  if (isThreadStateStore(spec)) {
+    return spec;
+  }
+
+  const type = typeof spec === 'string' ? spec : spec.type;
+  const options = typeof spec === 'string' ? {} : spec;
+
+  switch (type) {
+    case 'user':
+      return PropertiesStateStore.user();
+    case 'document':
+      return PropertiesStateStore.document();
+    case 'spreadsheet':
+      return new SpreadsheetStateStore(options);
+    case 'memory':
+      return new MemoryStateStore(options.initialState);
+    case 'registryStream':
+      return new StreamStateStore(
+        new EmailThreadRegistry({ namespace: options.namespace, stateStore: options.stateStore }),
+        options.streamKey
+      );
+    default:
+      throw new Error(`Unknown state store type: ${type}`);
+  }
+}
+
+/**
+ * Check whether a value implements the state store interface
+ * @param {*} candidate - Value to check
+ * @return {boolean} True if the value can be used as a store
+ */
+function isThreadStateStore(candidate) {
+  return !!candidate &&
+    typeof candidate.get === 'function' &&
+    typeof candidate.set === 'function' &&
+    typeof candidate.delete === 'function' &&
+    typeof candidate.getAll === 'function';
+}
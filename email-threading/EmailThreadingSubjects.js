@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Subject Normalization for the Email Threading Library
+ * @version 2.0.0
+ * @description Recognizes localized reply/forward prefixes, list tags and the stream tag
+ *
+ * Recipients answer in their own language, so a thread's subject comes back
+ * as "AW: Daily Report", "SV: Daily Report", "RE : Daily Report" or
+ * "回复: Daily Report", and stacks into "Re: AW: Re: Daily Report" when only
+ * the English prefix is removed. SubjectNormalizer reduces such subjects to
+ * their base ("Daily Report") to compare them, and builds reply subjects with
+ * a single "Re: ".
+ *
+ * Handles:
+ * - Reply and forward prefixes in many languages (SUBJECT_REPLY_PREFIXES,
+ *   SUBJECT_FORWARD_PREFIXES), in any case, stacked in any order
+ * - A space before the colon ("RE :"), full-width colons ("回复："), counters
+ *   ("Re[2]:", "Re(3):", "Re^2:")
+ * - List tags such as "[team]" that mailing lists put in front of the subject,
+ *   before or between prefixes
+ * - An optional stream tag such as "[DAILY-OPS]" that the manager puts in front
+ *   of new thread subjects and uses to recognize the stream's threads
+ */
+
+/**
+ * Reply prefixes, lowercase, without the colon
+ */
+const SUBJECT_REPLY_PREFIXES = [
+  're', 'aw', 'antw', 'antwort', 'sv', 'vs', 'vá', 'ref', 'réf', 'rif', 'res', 'odp',
+  'odg', 'ynt', 'atb', 'vast', 'απ', 'σχετ', 'отв', 'ответ', '回复', '回覆', '答复', '答覆',
+  '返信', '답장', 'رد'
+];
+
+/**
+ * Forward prefixes, lowercase, without the colon
+ */
+const SUBJECT_FORWARD_PREFIXES = [
+  'fwd', 'fw', 'wg', 'tr', 'rv', 'enc', 'vb', 'vl', 'doorst', 'pd', 'trs', 'ilt',
+  'πρθ', 'пересл', '转发', '轉寄', '轉發', '転送', '전달'
+];
+
+/**
+ * Default normalizer options
+ */
+const SUBJECT_NORMALIZER_DEFAULTS = {
+  streamTag: null,      // e.g. 'DAILY-OPS' or '[DAILY-OPS]'
+  replyPrefixes: [],    // Extra reply prefixes (added to SUBJECT_REPLY_PREFIXES)
+  forwardPrefixes: [],  // Extra forward prefixes (added to SUBJECT_FORWARD_PREFIXES)
+  listTags: true        // Treat leading "[...]" as list tags
+};
+
+/**
+ * Parses, compares and formats subject lines
+ */
+class SubjectNormalizer {
+  /**
+   * @param {Object} [options] - Normalizer options
+   * @param {string} [options.streamTag] - Stream tag, with or without brackets
+   * @param {Array<string>} [options.replyPrefixes] - Extra reply prefixes
+   * @param {Array<string>} [options.forwardPrefixes] - Extra forward prefixes
+   * @param {boolean} [options.listTags=true] - Treat leading "[...]" as list tags
+   *        (false keeps them in the base subject; the stream tag is always recognized)
+   */
+  constructor(options = {}) {
+    this.options = { ...SUBJECT_NORMALIZER_DEFAULTS, ...options };
+    this.streamTag = formatStreamTag(this.options.streamTag);
+
+    this.replyPrefixes = SUBJECT_REPLY_PREFIXES.concat(this.options.replyPrefixes || []);
+    this.forwardPrefixes = SUBJECT_FORWARD_PREFIXES.concat(this.options.forwardPrefixes || []);
+
+    // Longest first so "antwort" is not read as "antw"
+    const words = this.replyPrefixes.concat(this.forwardPrefixes)
+      .map(prefix => String(prefix).trim())
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)
+      .map(escapeSubjectPattern);
+    this.prefixPattern = new RegExp(
+      `^(${words.join('|')})\\s*(?:\\[\\d+\\]|\\(\\d+\\)|\\^\\d+)?\\s*[:：]\\s*`, 'iu'
+    );
+  }
+
+  /**
+   * Options that recreate this normalizer in a later execution (see createSubjectNormalizer)
+   * @return {Object} Normalizer options
+   */
+  toSpec() {
+    return { ...this.options };
+  }
+
+  /**
+   * Split a subject into its leading prefixes and tags and the rest
+   * @param {string} subject - Subject line
+   * @return {Object} { prefixes, tags, rest, base, isReply, isForward, hasStreamTag }
+   *         prefixes: prefix words as written; tags: leading "[...]" tags (the stream
+   *         tag included); rest: everything after them; base: rest without the stream
+   *         tag, whitespace collapsed
+   */
+  parse(subject) {
+    let remaining = String(subject || '').replace(/\s+/g, ' ').trim();
+    const prefixes = [];
+    const tags = [];
+
+    for (;;) {
+      const prefix = this.prefixPattern.exec(remaining);
+      if (prefix) {
+        prefixes.push(prefix[1]);
+        remaining = remaining.slice(prefix[0].length);
+        continue;
+      }
+
+      const tag = /^\[[^\[\]]*\]\s*/.exec(remaining);
+      if (tag && (this.options.listTags || this.isStreamTag(tag[0]))) {
+        tags.push(tag[0].trim());
+        remaining = remaining.slice(tag[0].length);
+        continue;
+      }
+
+      break;
+    }
+
+    const lowerPrefixes = prefixes.map(prefix => prefix.toLowerCase());
+    return {
+      prefixes: prefixes,
+      tags: tags,
+      rest: remaining,
+      base: this.removeStreamTag(remaining),
+      isReply: lowerPrefixes.some(prefix => this.isListed(prefix, this.replyPrefixes)),
+      isForward: lowerPrefixes.some(prefix => this.isListed(prefix, this.forwardPrefixes)),
+      hasStreamTag: this.hasStreamTag(subject)
+    };
+  }
+
+  /**
+   * Subject without prefixes, list tags and the stream tag
+   * @param {string} subject - Subject line
+   * @return {string} Base subject, e.g. 'Daily Report' for 'Re: [team] AW: Daily Report'
+   */
+  normalize(subject) {
+    return this.parse(subject).base;
+  }
+
+  /**
+   * Whether two subjects belong to the same conversation
+   * @param {string} a - Subject line
+   * @param {string} b - Subject line
+   * @return {boolean} True if their base subjects are equal, ignoring case
+   */
+  matches(a, b) {
+    return this.normalize(a).toLowerCase() === this.normalize(b).toLowerCase();
+  }
+
+  /**
+   * Reply subject: one "Re: ", then the tags and the rest of the subject
+   * @param {string} subject - Subject being replied to
+   * @return {string} e.g. 'Re: [team] Daily Report' for 'AW: [team] Re: Daily Report'
+   */
+  formatReply(subject) {
+    const parsed = this.parse(subject);
+    return 'Re: ' + parsed.tags.concat(parsed.rest ? [parsed.rest] : []).join(' ');
+  }
+
+  /**
+   * Put the stream tag in front of a subject (unless it is already there)
+   * @param {string} subject - Subject line
+   * @return {string} Tagged subject, or the subject unchanged without a stream tag
+   */
+  addStreamTag(subject) {
+    if (!this.streamTag || this.hasStreamTag(subject)) {
+      return subject;
+    }
+    return subject ? `${this.streamTag} ${subject}` : this.streamTag;
+  }
+
+  /**
+   * Whether a subject carries the stream tag (anywhere, ignoring case)
+   * @param {string} subject - Subject line
+   * @return {boolean} True if tagged; false without a stream tag
+   */
+  hasStreamTag(subject) {
+    return !!this.streamTag && String(subject || '').toLowerCase().includes(this.streamTag.toLowerCase());
+  }
+
+  /**
+   * @private
+   */
+  isStreamTag(tag) {
+    return !!this.streamTag && tag.trim().toLowerCase() === this.streamTag.toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  removeStreamTag(text) {
+    if (!this.streamTag) {
+      return text;
+    }
+    return text.replace(new RegExp(escapeSubjectPattern(this.streamTag), 'giu'), ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * @private
+   */
+  isListed(prefix, list) {
+    return list.some(entry => String(entry).toLowerCase() === prefix);
+  }
+}
+
+/**
+ * Bracket a stream tag ('DAILY-OPS' -> '[DAILY-OPS]')
+ * @param {string|null} tag - Tag, with or without brackets
+ * @return {string|null} Bracketed tag, or null without one
+ */
+function formatStreamTag(tag) {
+  const text = String(tag || '').trim().replace(/^\[\s*|\s*\]$/g, '');
+  return text ? `[${text}]` : null;
+}
+
+/**
+ * @private
+ */
+function escapeSubjectPattern(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a normalizer from a manager's config.subjects value
+ * @param {Object|SubjectNormalizer} [spec] - Options or a SubjectNormalizer
+ * @param {string} [streamTag] - Stream tag (used when spec is options)
+ * @return {SubjectNormalizer} Normalizer
+ */
+function createSubjectNormalizer(spec, streamTag = null) {
+  if (spec && typeof spec.parse === 'function' && typeof spec.formatReply === 'function') {
+    return spec;
+  }
+  return new SubjectNormalizer({ ...(spec || {}), ...(streamTag ? { streamTag: streamTag } : {}) });
+}
+
+/**
+ * Base subject without localized prefixes and list tags
+ * @param {string} subject - Subject line
+ * @param {Object} [options] - See SubjectNormalizer
+ * @return {string} Base subject
+ */
+function normalizeEmailSubject(subject, options) {
+  return new SubjectNormalizer(options).normalize(subject);
+}
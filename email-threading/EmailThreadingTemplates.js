@@ -0,0 +1,432 @@
+/**
+ * @fileoverview Email Templates for the Email Threading Library
+ * @version 2.0.0
+ * @description Named templates with HTML escaping for email bodies
+ *
+ * Syntax:
+ *   {{name}}                    Value, HTML-escaped
+ *   {{{html}}}                  Value inserted as-is (trusted HTML only)
+ *   {{user.email}}              Dotted paths; names not found in the current
+ *                               scope are looked up in the enclosing scopes
+ *   {{#if done}}...{{else}}...{{/if}}
+ *   {{#unless done}}...{{/unless}}
+ *   {{#each rows}}...{{else}}(no rows){{/each}}
+ *                               Inside: {{this}}, {{@index}}, {{@number}},
+ *                               {{@first}}, {{@last}}, {{@key}}
+ *   {{#with user}}...{{/with}}
+ *   {{> partialName}}           Another template with the current data
+ *   {{> partialName path}}      ... or with the value at path
+ *   {{! comment }}  {{!-- comment --}}
+ *
+ * Layouts are templates that place {{{body}}} (the rendered template) and
+ * {{{footer}}} (the shared footer). Without a layout the footer is appended.
+ *
+ * Template sources:
+ *   'literal <p>{{x}}</p>'      A string
+ *   { file: 'ReportEmail' }     An HTML file in the script project (HtmlService)
+ *   { driveFileId: '1AbC...' }  A file in Google Drive (DriveApp)
+ * Any source spec may also set { layout: 'name' } (or null for no layout).
+ */
+
+/**
+ * Deepest allowed partial nesting (guards against a partial including itself)
+ */
+const TEMPLATE_MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Registry and renderer for named email templates
+ */
+class EmailTemplateEngine {
+  /**
+   * @param {Object} [config] - Engine configuration
+   * @param {Object} [config.templates] - Template name -> source (string or spec, see above)
+   * @param {string} [config.layout] - Default layout template for render()
+   * @param {string} [config.footer] - Template rendered as the shared footer
+   */
+  constructor(config = {}) {
+    this.sources = {};
+    this.compiled = {};
+    this.layout = config.layout || null;
+    this.footer = config.footer || null;
+
+    Object.entries(config.templates || {}).forEach(([name, source]) => {
+      this.register(name, source);
+    });
+  }
+
+  /**
+   * Register a template (replaces an existing one with the same name)
+   * @param {string} name - Template name
+   * @param {string|Object} source - Template text or source spec
+   * @return {EmailTemplateEngine} This engine, for chaining
+   */
+  register(name, source) {
+    if (typeof source !== 'string' && !(source && (source.source !== undefined || source.file || source.driveFileId))) {
+      throw new Error(`Template "${name}" needs a string, { source }, { file } or { driveFileId }`);
+    }
+
+    this.sources[name] = typeof source === 'string' ? { source: source } : { ...source };
+    delete this.compiled[name];
+    return this;
+  }
+
+  /**
+   * Register a template stored as an HTML file in the script project
+   * @param {string} name - Template name
+   * @param {string} fileName - File name without .html
+   * @return {EmailTemplateEngine} This engine, for chaining
+   */
+  registerFile(name, fileName) {
+    return this.register(name, { file: fileName });
+  }
+
+  /**
+   * Register a template stored in Google Drive
+   * @param {string} name - Template name
+   * @param {string} fileId - Drive file ID
+   * @return {EmailTemplateEngine} This engine, for chaining
+   */
+  registerDriveFile(name, fileId) {
+    return this.register(name, { driveFileId: fileId });
+  }
+
+  /**
+   * Check whether a template is registered
+   * @param {string} name - Template name
+   * @return {boolean} True if registered
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.sources, name);
+  }
+
+  /**
+   * Render a named template inside its layout
+   * @param {string} name - Template name
+   * @param {Object} [data] - Template data
+   * @param {Object} [options] - Render options
+   * @param {string|null} [options.layout] - Layout to use (null for none)
+   * @param {string|null} [options.footer] - Footer template to use (null for none)
+   * @return {string} Rendered HTML
+   */
+  render(name, data = {}, options = {}) {
+    const spec = this.requireSource(name);
+    const layout = options.layout !== undefined ? options.layout :
+      spec.layout !== undefined ? spec.layout : this.layout;
+    const footerName = options.footer !== undefined ? options.footer : this.footer;
+
+    const body = this.renderTemplate(name, [data], 0);
+    const footer = footerName ? this.renderTemplate(footerName, [data], 0) : '';
+
+    if (!layout) {
+      return body + footer;
+    }
+
+    return this.renderTemplate(layout, [{ ...data, body: body, footer: footer }, data], 0);
+  }
+
+  /**
+   * Render template text that is not registered (partials still resolve)
+   * @param {string} source - Template text
+   * @param {Object} [data] - Template data
+   * @return {string} Rendered HTML
+   */
+  renderString(source, data = {}) {
+    return this.renderNodes(compileEmailTemplate(source, '(inline)'), [data], {}, 0);
+  }
+
+  /**
+   * Look up a template source spec or throw
+   * @private
+   * @param {string} name - Template name
+   * @return {Object} Source spec
+   */
+  requireSource(name) {
+    if (!this.has(name)) {
+      throw new Error(`Template "${name}" is not registered`);
+    }
+    return this.sources[name];
+  }
+
+  /**
+   * Read the text of a template, loading files on first use
+   * @private
+   * @param {string} name - Template name
+   * @return {string} Template text
+   */
+  loadSource(name) {
+    const spec = this.requireSource(name);
+
+    if (spec.source === undefined) {
+      if (spec.file) {
+        spec.source = HtmlService.createHtmlOutputFromFile(spec.file).getContent();
+      } else {
+        spec.source = DriveApp.getFileById(spec.driveFileId).getBlob().getDataAsString();
+      }
+    }
+
+    return spec.source;
+  }
+
+  /**
+   * Compile (once) and render a named template without its layout
+   * @private
+   */
+  renderTemplate(name, scopes, depth, frame = {}) {
+    if (depth > TEMPLATE_MAX_PARTIAL_DEPTH) {
+      throw new Error(`Template "${name}" exceeds the partial depth of ${TEMPLATE_MAX_PARTIAL_DEPTH} (does it include itself?)`);
+    }
+
+    if (!this.compiled[name]) {
+      this.compiled[name] = compileEmailTemplate(this.loadSource(name), name);
+    }
+
+    return this.renderNodes(this.compiled[name], scopes, frame, depth);
+  }
+
+  /**
+   * Render a list of compiled nodes
+   * @private
+   * @param {Array<Object>} nodes - Compiled nodes
+   * @param {Array<*>} scopes - Data scopes, innermost first
+   * @param {Object} frame - Loop variables (@index, @key, ...)
+   * @param {number} depth - Partial nesting depth
+   * @return {string} Output
+   */
+  renderNodes(nodes, scopes, frame, depth) {
+    let output = '';
+
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'text':
+          output += node.text;
+          break;
+
+        case 'value': {
+          const value = lookupTemplateValue(node.path, scopes, frame);
+          const text = value === undefined || value === null ? '' : String(value);
+          output += node.raw ? text : escapeHtml(text);
+          break;
+        }
+
+        case 'partial': {
+          const partialScopes = node.path ?
+            [lookupTemplateValue(node.path, scopes, frame)].concat(scopes) : scopes;
+          output += this.renderTemplate(node.name, partialScopes, depth + 1, frame);
+          break;
+        }
+
+        case 'block':
+          output += this.renderBlock(node, scopes, frame, depth);
+          break;
+      }
+    });
+
+    return output;
+  }
+
+  /**
+   * Render an if / unless / each / with block
+   * @private
+   */
+  renderBlock(node, scopes, frame, depth) {
+    const value = lookupTemplateValue(node.path, scopes, frame);
+    const inverse = () => this.renderNodes(node.inverse, scopes, frame, depth);
+
+    switch (node.helper) {
+      case 'if':
+        return isTemplateTruthy(value) ? this.renderNodes(node.children, scopes, frame, depth) : inverse();
+
+      case 'unless':
+        return isTemplateTruthy(value) ? inverse() : this.renderNodes(node.children, scopes, frame, depth);
+
+      case 'with':
+        return isTemplateTruthy(value) ?
+          this.renderNodes(node.children, [value].concat(scopes), frame, depth) : inverse();
+
+      case 'each': {
+        if (!isTemplateTruthy(value) || typeof value !== 'object') {
+          return inverse();
+        }
+
+        const entries = Array.isArray(value) ?
+          value.map((item, index) => [index, item]) : Object.entries(value);
+
+        return entries.map(([key, item], index) => this.renderNodes(node.children, [item].concat(scopes), {
+          index: index,
+          number: index + 1,
+          key: key,
+          first: index === 0,
+          last: index === entries.length - 1
+        }, depth)).join('');
+      }
+
+      default:
+        throw new Error(`Unknown block helper "#${node.helper}"`);
+    }
+  }
+}
+
+// =====================================================================
+// COMPILER
+// =====================================================================
+
+/**
+ * Compile template text into nodes
+ * @param {string} source - Template text
+ * @param {string} [name] - Template name used in error messages
+ * @return {Array<Object>} Compiled nodes
+ */
+function compileEmailTemplate(source, name = '(inline)') {
+  const root = { children: [] };
+  const stack = [root];
+  const tag = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{!--[\s\S]*?--\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  const lineOf = index => source.slice(0, index).split('\n').length;
+  const fail = (message, index) => {
+    throw new Error(`Template "${name}" line ${lineOf(index)}: ${message}`);
+  };
+  const target = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.inverse : top.children;
+  };
+
+  while ((match = tag.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      target().push({ type: 'text', text: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = tag.lastIndex;
+
+    if (match[1] !== undefined) {
+      target().push({ type: 'value', path: match[1], raw: true });
+      continue;
+    }
+
+    const inner = match[2];
+    if (inner === undefined || inner.startsWith('!')) {
+      continue;
+    }
+
+    if (inner.startsWith('#')) {
+      const parts = inner.slice(1).trim().split(/\s+/);
+      if (!['if', 'unless', 'each', 'with'].includes(parts[0])) {
+        fail(`unknown block "{{#${parts[0]}}}"`, match.index);
+      }
+      if (!parts[1]) {
+        fail(`"{{#${parts[0]}}}" needs a value to test`, match.index);
+      }
+      const block = { type: 'block', helper: parts[0], path: parts[1], children: [], inverse: [], index: match.index };
+      target().push(block);
+      stack.push(block);
+
+    } else if (inner.startsWith('/')) {
+      const helper = inner.slice(1).trim();
+      const open = stack[stack.length - 1];
+      if (stack.length === 1) {
+        fail(`"{{/${helper}}}" has no matching opening block`, match.index);
+      }
+      if (open.helper !== helper) {
+        fail(`"{{/${helper}}}" closes "{{#${open.helper}}}"`, match.index);
+      }
+      stack.pop();
+
+    } else if (inner === 'else') {
+      const open = stack[stack.length - 1];
+      if (stack.length === 1 || open.inElse) {
+        fail('"{{else}}" outside a block', match.index);
+      }
+      open.inElse = true;
+
+    } else if (inner.startsWith('>')) {
+      const parts = inner.slice(1).trim().split(/\s+/);
+      target().push({ type: 'partial', name: parts[0], path: parts[1] || null });
+
+    } else {
+      target().push({ type: 'value', path: inner, raw: false });
+    }
+  }
+
+  if (lastIndex < source.length) {
+    target().push({ type: 'text', text: source.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    fail(`"{{#${open.helper}}}" is never closed`, open.index);
+  }
+
+  return root.children;
+}
+
+// =====================================================================
+// HELPERS
+// =====================================================================
+
+/**
+ * Resolve a path such as "user.name", "this", "@index" or "../title"
+ * @private
+ * @param {string} path - Path from the template
+ * @param {Array<*>} scopes - Data scopes, innermost first
+ * @param {Object} frame - Loop variables
+ * @return {*} Value or undefined
+ */
+function lookupTemplateValue(path, scopes, frame) {
+  if (path.startsWith('@')) {
+    return frame[path.slice(1)];
+  }
+
+  let candidates = scopes;
+  while (path.startsWith('../')) {
+    candidates = candidates.slice(1);
+    path = path.slice(3);
+  }
+
+  if (path === 'this' || path === '.') {
+    return candidates[0];
+  }
+
+  const thisOnly = path.startsWith('this.');
+  const segments = (thisOnly ? path.slice(5) : path).split('.');
+
+  const scope = thisOnly ? candidates[0] : candidates.find(s =>
+    s !== null && s !== undefined && typeof s === 'object' && segments[0] in s
+  );
+
+  return segments.reduce((value, segment) =>
+    value === null || value === undefined ? undefined : value[segment], scope);
+}
+
+/**
+ * Truthiness used by #if and friends - empty arrays are false
+ * @private
+ */
+function isTemplateTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Untrusted text
+ * @return {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normalize the templates config value to an engine
+ * @param {EmailTemplateEngine|Object} spec - Engine or engine config
+ * @return {EmailTemplateEngine} Engine
+ */
+function createEmailTemplateEngine(spec) {
+  if (spec && typeof spec.render === 'function') {
+    return spec;
+  }
+  return new EmailTemplateEngine(spec);
+}
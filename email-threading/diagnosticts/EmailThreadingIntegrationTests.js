@@ -6,6 +6,10 @@
  * These tests cover complex real-world scenarios that require manual interaction
  * or specific conditions that cannot be easily automated.
  * 
+ * The same scenarios run unattended, with scripted recipients replying, forwarding
+ * and relabelling, under the emulator: node email-threading/emulator/runScenarios.js
+ * Use the functions below to confirm the behaviour against a real mailbox.
+ * 
  * Works with EmailThreadingLibrary v2.0.0
  */
 
@@ -41,9 +45,10 @@ const INTEGRATION_TEST_CONFIG = {
  * This is a multi-step test requiring manual intervention
  */
 function testFolderMovementScenario() {
-  Logger.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  Logger.log(`FOLDER MOVEMENT SCENARIO TEST`);
-  Logger.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  const log = getEmailThreadingLogger('IntegrationTests');
+  log.info(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  log.info(`FOLDER MOVEMENT SCENARIO TEST`);
+  log.info(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
   
   const manager = new EmailThreadingManager({
     threadIdProperty: INTEGRATION_TEST_CONFIG.folderTestThreadId,
@@ -57,7 +62,7 @@ function testFolderMovementScenario() {
   
   if (!threadInfo.currentThreadId) {
     // STEP 1: Create initial thread
-    Logger.log("STEP 1: Creating initial thread for folder test...");
+    log.info("STEP 1: Creating initial thread for folder test...");
     
     const htmlBody = createIntegrationTestEmail(
       "Folder Movement Test - Step 1",
@@ -66,32 +71,32 @@ function testFolderMovementScenario() {
       { step: 1, totalSteps: 2 }
     );
     
-    const success = manager.sendThreadedEmail(htmlBody);
+    const result = manager.sendThreadedEmail(htmlBody);
     
-    if (success) {
-      Logger.log("✅ Step 1 complete!");
-      Logger.log("\n📋 NEXT STEPS:");
-      Logger.log("1. Go to Gmail");
-      Logger.log("2. Find this email thread");
-      Logger.log("3. Move it to a folder or apply a label");
-      Logger.log("4. Run testFolderMovementScenario() again");
+    if (result.success) {
+      log.info("✅ Step 1 complete!");
+      log.info("\n📋 NEXT STEPS:");
+      log.info("1. Go to Gmail");
+      log.info("2. Find this email thread");
+      log.info("3. Move it to a folder or apply a label");
+      log.info("4. Run testFolderMovementScenario() again");
     } else {
-      Logger.log("❌ Failed to create initial thread");
+      log.error(`Failed to create initial thread: ${result.errorMessage}`, { action: result.action });
     }
     
   } else {
     // STEP 2: Test replying to moved thread
-    Logger.log("STEP 2: Testing reply to thread that may be in a folder...");
+    log.info("STEP 2: Testing reply to thread that may be in a folder...");
     
     // First, let's check if we can find the thread
     try {
       const thread = GmailApp.getThreadById(threadInfo.currentThreadId);
       if (thread) {
         const labels = thread.getLabels();
-        Logger.log(`Thread found with ${labels.length} labels: ${labels.map(l => l.getName()).join(', ')}`);
+        log.info(`Thread found with ${labels.length} labels: ${labels.map(l => l.getName()).join(', ')}`);
       }
     } catch (error) {
-      Logger.log(`Note: ${error.toString()}`);
+      log.info(`Note: ${error.toString()}`);
     }
     
     const htmlBody = createIntegrationTestEmail(
@@ -101,13 +106,16 @@ function testFolderMovementScenario() {
       { step: 2, totalSteps: 2 }
     );
     
-    const success = manager.sendThreadedEmail(htmlBody);
+    const result = manager.sendThreadedEmail(htmlBody);
     
-    if (success) {
-      Logger.log("✅ Folder movement test COMPLETE!");
-      Logger.log("Check Gmail to verify the thread maintained continuity despite folder movement.");
+    if (result.success) {
+      log.info(`✅ Folder movement test COMPLETE! (action: ${result.action})`);
+      if (result.action !== SEND_ACTIONS.REPLIED) {
+        log.warn('Reply did not land in the original thread', { action: result.action, threadId: result.threadId });
+      }
+      log.info("Check Gmail to verify the thread maintained continuity despite folder movement.");
     } else {
-      Logger.log("❌ Failed to reply to moved thread");
+      log.error(`Failed to reply to moved thread: ${result.errorMessage}`, { action: result.action });
     }
   }
 }
@@ -118,14 +126,15 @@ function testFolderMovementScenario() {
  * Requires manual email replies from test recipients
  */
 function testExternalReplyScenario() {
-  Logger.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  Logger.log(`EXTERNAL REPLY SCENARIO TEST`);
-  Logger.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  const log = getEmailThreadingLogger('IntegrationTests');
+  log.info(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  log.info(`EXTERNAL REPLY SCENARIO TEST`);
+  log.info(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
   
   const manager = new EmailThreadingManager({
     threadIdProperty: INTEGRATION_TEST_CONFIG.externalReplyTestThreadId,
     emailSubject: INTEGRATION_TEST_CONFIG.externalReplySubject,
-    recipientEmail: INTEGRATION_TEST_CONFIG.testRecipients.join(','),
+    recipientEmail: INTEGRATION_TEST_CONFIG.testRecipients,
     enableLogging: true
   });
   
@@ -133,7 +142,7 @@ function testExternalReplyScenario() {
   
   if (!threadInfo.currentThreadId) {
     // STEP 1: Create initial thread
-    Logger.log("STEP 1: Creating initial thread for external reply test...");
+    log.info("STEP 1: Creating initial thread for external reply test...");
     
     const htmlBody = createIntegrationTestEmail(
       "External Reply Test - Initial",
@@ -146,20 +155,20 @@ function testExternalReplyScenario() {
       }
     );
     
-    const success = manager.sendThreadedEmail(htmlBody);
+    const result = manager.sendThreadedEmail(htmlBody);
     
-    if (success) {
-      Logger.log("✅ Initial email sent!");
-      Logger.log("\n📋 NEXT STEPS:");
-      Logger.log("1. Check the test recipient inbox");
-      Logger.log("2. Reply to this email from that account");
-      Logger.log("3. Wait for the reply to arrive");
-      Logger.log("4. Run testExternalReplyScenario() again");
+    if (result.success) {
+      log.info("✅ Initial email sent!");
+      log.info("\n📋 NEXT STEPS:");
+      log.info("1. Check the test recipient inbox");
+      log.info("2. Reply to this email from that account");
+      log.info("3. Wait for the reply to arrive");
+      log.info("4. Run testExternalReplyScenario() again");
     }
     
   } else {
     // STEP 2+: Analyze and respond
-    Logger.log("Analyzing thread with potential external replies...");
+    log.info("Analyzing thread with potential external replies...");
     
     analyzeThreadParticipants(threadInfo.currentThreadId);
     
@@ -173,11 +182,11 @@ function testExternalReplyScenario() {
       }
     );
     
-    const success = manager.sendThreadedEmail(htmlBody);
+    const result = manager.sendThreadedEmail(htmlBody);
     
-    if (success) {
-      Logger.log("✅ Response sent after external replies!");
-      Logger.log("Verify that ALL test recipients received this email, not just the last replier.");
+    if (result.success) {
+      log.info("✅ Response sent after external replies!");
+      log.info("Verify that ALL test recipients received this email, not just the last replier.");
     }
   }
 }
@@ -187,13 +196,14 @@ function testExternalReplyScenario() {
  * Tests various reply patterns with groups
  */
 function testGroupReplyPatterns() {
-  Logger.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  Logger.log(`GROUP REPLY PATTERNS TEST`);
-  Logger.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  const log = getEmailThreadingLogger('IntegrationTests');
+  log.info(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  log.info(`GROUP REPLY PATTERNS TEST`);
+  log.info(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
   
   if (INTEGRATION_TEST_CONFIG.testGroup === "testgroup@googlegroups.com") {
-    Logger.log("⚠️ WARNING: Using default test group. Update INTEGRATION_TEST_CONFIG.testGroup");
-    Logger.log("Skipping test...");
+    log.warn('Using default test group. Update INTEGRATION_TEST_CONFIG.testGroup');
+    log.info("Skipping test...");
     return;
   }
   
@@ -219,14 +229,14 @@ function testGroupReplyPatterns() {
     }
   );
   
-  const success = manager.sendThreadedEmail(htmlBody);
+  const result = manager.sendThreadedEmail(htmlBody);
   
-  if (success) {
-    Logger.log(`✅ Group email #${runNumber} sent!`);
-    Logger.log("\n📋 TEST INSTRUCTIONS:");
-    Logger.log("1. Have someone reply only to you (not Reply All)");
-    Logger.log("2. Run this test again");
-    Logger.log("3. Verify the next email goes to the whole group");
+  if (result.success) {
+    log.info(`✅ Group email #${runNumber} sent!`);
+    log.info("\n📋 TEST INSTRUCTIONS:");
+    log.info("1. Have someone reply only to you (not Reply All)");
+    log.info("2. Run this test again");
+    log.info("3. Verify the next email goes to the whole group");
   }
 }
 
@@ -239,18 +249,20 @@ function testGroupReplyPatterns() {
  * @param {string} threadId - Thread ID to analyze
  */
 function analyzeThreadParticipants(threadId) {
+  const log = getEmailThreadingLogger('IntegrationTests');
   try {
     const thread = GmailApp.getThreadById(threadId);
     if (!thread) {
-      Logger.log("Thread not found for analysis");
+      log.info("Thread not found for analysis");
       return;
     }
     
     const messages = thread.getMessages();
     const myEmail = Session.getActiveUser().getEmail();
+    const myAddresses = [myEmail].concat(GmailApp.getAliases()).map(address => address.toLowerCase());
     
-    Logger.log(`\n📊 Thread Analysis:`);
-    Logger.log(`Total messages: ${messages.length}`);
+    log.info(`\n📊 Thread Analysis:`);
+    log.info(`Total messages: ${messages.length}`);
     
     const participants = new Map();
     const replyPatterns = [];
@@ -260,10 +272,10 @@ function analyzeThreadParticipants(threadId) {
       const to = message.getTo();
       const cc = message.getCc();
       const date = message.getDate();
-      const isFromMe = from.toLowerCase().includes(myEmail.toLowerCase());
+      const fromEmail = extractEmail(from);
+      const isFromMe = myAddresses.includes(fromEmail);
       
       // Track participants
-      const fromEmail = extractEmail(from);
       if (fromEmail) {
         participants.set(fromEmail, (participants.get(fromEmail) || 0) + 1);
       }
@@ -274,43 +286,52 @@ function analyzeThreadParticipants(threadId) {
         from: fromEmail,
         to: to,
         cc: cc,
+        replyTo: message.getReplyTo(),
         isFromMe: isFromMe,
         date: date
       });
     });
     
     // Report participants
-    Logger.log(`\n👥 Participants (${participants.size} unique):`);
+    log.info(`\n👥 Participants (${participants.size} unique):`);
     participants.forEach((count, email) => {
-      const isMe = email.toLowerCase() === myEmail.toLowerCase();
-      Logger.log(`  ${email}: ${count} message(s) ${isMe ? '(me)' : '(external)'}`);
+      const isMe = myAddresses.includes(email.toLowerCase());
+      log.info(`  ${email}: ${count} message(s) ${isMe ? '(me)' : '(external)'}`);
     });
     
     // Report reply patterns
-    Logger.log(`\n📧 Reply Pattern:`);
+    log.info(`\n📧 Reply Pattern:`);
     replyPatterns.forEach(pattern => {
-      Logger.log(`  Message ${pattern.index}: ${pattern.isFromMe ? '→ OUT' : '← IN'} ` +
+      log.info(`  Message ${pattern.index}: ${pattern.isFromMe ? '→ OUT' : '← IN'} ` +
                 `From: ${pattern.from || 'unknown'}`);
       if (!pattern.isFromMe && pattern.to) {
-        Logger.log(`    To: ${pattern.to}`);
+        log.info(`    To: ${pattern.to}`);
+      }
+      if (pattern.isFromMe) {
+        log.info(`    Reply-To: ${pattern.replyTo || 'None (replies go to the sender)'}`);
       }
     });
     
     // Check for reply-to-sender pattern
     const lastExternal = replyPatterns.filter(p => !p.isFromMe).pop();
     if (lastExternal) {
-      Logger.log(`\n⚠️ Last external reply:`);
-      Logger.log(`  From: ${lastExternal.from}`);
-      Logger.log(`  To: ${lastExternal.to}`);
+      log.info(`\n⚠️ Last external reply:`);
+      log.info(`  From: ${lastExternal.from}`);
+      log.info(`  To: ${lastExternal.to}`);
       
+      const lastOwn = replyPatterns.filter(p => p.isFromMe).pop();
       if (lastExternal.to && !lastExternal.to.includes('@googlegroups.com')) {
-        Logger.log(`  📌 NOTE: Last external reply was to individual, not group`);
-        Logger.log(`  With v2.0.0, next automated email will still go to configured recipients`);
+        log.info(`  📌 NOTE: Last external reply was to individual, not group`);
+        log.info(`  With v2.0.0, next automated email will still go to configured recipients`);
+        if (lastOwn && !lastOwn.replyTo) {
+          log.info(`  Our messages have no Reply-To; keep the default replyTo so "Reply" answers the group`);
+        }
+        log.info(`  To share such replies with the group, poll with new InboundReplyProcessor({ relay: true })`);
       }
     }
     
   } catch (error) {
-    Logger.log(`Error analyzing thread: ${error.toString()}`);
+    log.error('Error analyzing thread', { threadId: threadId, error: error });
   }
 }
 
@@ -320,15 +341,8 @@ function analyzeThreadParticipants(threadId) {
  * @return {string|null} Extracted email or null
  */
 function extractEmail(emailString) {
-  if (!emailString) return null;
-  
-  const match = emailString.match(/<([^>]+)>/);
-  if (match) {
-    return match[1].toLowerCase();
-  }
-  
-  // If no angle brackets, assume the whole string is the email
-  return emailString.toLowerCase().trim();
+  const entry = parseAddressList(emailString)[0];
+  return entry && entry.valid ? entry.address.toLowerCase() : null;
 }
 
 // =====================================================================
@@ -344,23 +358,29 @@ function extractEmail(emailString) {
  * @return {string} HTML email body
  */
 function createIntegrationTestEmail(testName, purpose, expectation, metadata = {}) {
-  const timestamp = new Date().toLocaleString();
-  
-  let metadataHtml = '';
-  if (Object.keys(metadata).length > 0) {
-    metadataHtml = '<h3>Test Metadata:</h3><ul>';
-    Object.entries(metadata).forEach(([key, value]) => {
-      metadataHtml += `<li><strong>${key}:</strong> ${JSON.stringify(value)}</li>`;
-    });
-    metadataHtml += '</ul>';
-  }
+  const templates = new EmailTemplateEngine({
+    templates: { integrationTest: INTEGRATION_TEST_EMAIL_TEMPLATE }
+  });
   
-  return `
+  return templates.render('integrationTest', {
+    testName: testName,
+    purpose: purpose,
+    expectation: expectation,
+    metadata: Object.entries(metadata).map(([key, value]) => ({ key: key, value: JSON.stringify(value) })),
+    suiteVersion: INTEGRATION_TEST_CONFIG.scriptVersion,
+    timestamp: new Date().toLocaleString()
+  });
+}
+
+/**
+ * Template for integration test emails (values are HTML-escaped)
+ */
+const INTEGRATION_TEST_EMAIL_TEMPLATE = `
     <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
       <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
                   color: white; padding: 20px; border-radius: 8px 8px 0 0;">
         <h1 style="margin: 0;">🧪 Email Threading Integration Test</h1>
-        <p style="margin: 5px 0; opacity: 0.9;">${testName}</p>
+        <p style="margin: 5px 0; opacity: 0.9;">{{testName}}</p>
       </div>
       
       <div style="border: 2px solid #667eea; border-top: none; padding: 20px; 
@@ -369,57 +389,64 @@ function createIntegrationTestEmail(testName, purpose, expectation, metadata = {
         <div style="background-color: #f0f4ff; padding: 15px; border-radius: 6px; 
                     margin-bottom: 15px;">
           <h3 style="margin-top: 0; color: #667eea;">📋 Test Purpose:</h3>
-          <p style="margin: 0;">${purpose}</p>
+          <p style="margin: 0;">{{purpose}}</p>
         </div>
         
         <div style="background-color: #fff9e6; padding: 15px; border-radius: 6px; 
                     margin-bottom: 15px;">
           <h3 style="margin-top: 0; color: #f59e0b;">🎯 Expected Result:</h3>
-          <p style="margin: 0;">${expectation}</p>
+          <p style="margin: 0;">{{expectation}}</p>
         </div>
         
-        ${metadataHtml}
+        {{#if metadata}}
+        <h3>Test Metadata:</h3>
+        <ul>
+          {{#each metadata}}<li><strong>{{key}}:</strong> {{value}}</li>{{/each}}
+        </ul>
+        {{/if}}
         
         <div style="background-color: #f5f5f5; padding: 10px; border-radius: 4px; 
                     margin-top: 15px;">
           <p style="margin: 0; font-size: 12px; color: #666;">
             <strong>Framework:</strong> Email Threading Library v2.0.0<br>
-            <strong>Test Suite:</strong> ${INTEGRATION_TEST_CONFIG.scriptVersion}<br>
-            <strong>Timestamp:</strong> ${timestamp}<br>
+            <strong>Test Suite:</strong> {{suiteVersion}}<br>
+            <strong>Timestamp:</strong> {{timestamp}}<br>
             <strong>Threading Method:</strong> sendEmail() with manual headers (fixes group delivery)
           </p>
         </div>
       </div>
     </div>
-  `;
-}
+`;
 
 /**
  * Runs all integration tests (note: these require manual steps)
  */
 function runAllIntegrationTests() {
-  Logger.log('\n╔════════════════════════════════════════════════════════╗');
-  Logger.log('║   EMAIL THREADING INTEGRATION TEST SUITE              ║');
-  Logger.log('║   Version 2.0.0                                       ║');
-  Logger.log('╚════════════════════════════════════════════════════════╝');
+  const log = getEmailThreadingLogger('IntegrationTests');
+  log.info('\n╔════════════════════════════════════════════════════════╗');
+  log.info('║   EMAIL THREADING INTEGRATION TEST SUITE              ║');
+  log.info('║   Version 2.0.0                                       ║');
+  log.info('╚════════════════════════════════════════════════════════╝');
   
-  Logger.log('\n⚠️  NOTE: These tests require manual intervention!');
-  Logger.log('Run each test individually and follow the instructions.\n');
+  log.info('\n⚠️  NOTE: These tests require manual intervention!');
+  log.info('Run each test individually and follow the instructions.\n');
   
   validateIntegrationTestSetup();
   
-  Logger.log('\nAvailable tests:');
-  Logger.log('1. testFolderMovementScenario() - Tests threading with folder/label movement');
-  Logger.log('2. testExternalReplyScenario() - Tests threading with external replies');
-  Logger.log('3. testGroupReplyPatterns() - Tests group email patterns');
-  Logger.log('\nRun each test function individually as they require manual steps.');
+  log.info('\nAvailable tests:');
+  log.info('1. testFolderMovementScenario() - Tests threading with folder/label movement');
+  log.info('2. testExternalReplyScenario() - Tests threading with external replies');
+  log.info('3. testGroupReplyPatterns() - Tests group email patterns');
+  log.info('\nRun each test function individually as they require manual steps.');
+  log.info('To run these scenarios unattended, use: node email-threading/emulator/runScenarios.js');
 }
 
 /**
  * Resets all integration test threads
  */
 function resetAllIntegrationTests() {
-  Logger.log("Resetting all integration test threads...");
+  const log = getEmailThreadingLogger('IntegrationTests');
+  log.info("Resetting all integration test threads...");
   
   const testThreadIds = [
     INTEGRATION_TEST_CONFIG.folderTestThreadId,
@@ -434,42 +461,43 @@ function resetAllIntegrationTests() {
       emailSubject: 'Dummy'
     });
     manager.resetThreading();
-    Logger.log(`  Reset: ${threadId}`);
+    log.info(`  Reset: ${threadId}`);
   });
   
-  Logger.log("✅ All integration test threads reset");
+  log.info("✅ All integration test threads reset");
 }
 
 /**
  * Validates integration test setup
  */
 function validateIntegrationTestSetup() {
-  Logger.log("Validating Integration Test Setup...");
+  const log = getEmailThreadingLogger('IntegrationTests');
+  log.info("Validating Integration Test Setup...");
   
   // Check test recipients
   if (INTEGRATION_TEST_CONFIG.testRecipients.includes("test1@example.com")) {
-    Logger.log("⚠️ WARNING: Update testRecipients in INTEGRATION_TEST_CONFIG");
+    log.warn('Update testRecipients in INTEGRATION_TEST_CONFIG');
   } else {
-    Logger.log(`✅ Test recipients: ${INTEGRATION_TEST_CONFIG.testRecipients.join(', ')}`);
+    log.info(`✅ Test recipients: ${INTEGRATION_TEST_CONFIG.testRecipients.join(', ')}`);
   }
   
   // Check test group
   if (INTEGRATION_TEST_CONFIG.testGroup === "testgroup@googlegroups.com") {
-    Logger.log("⚠️ WARNING: Update testGroup in INTEGRATION_TEST_CONFIG");
+    log.warn('Update testGroup in INTEGRATION_TEST_CONFIG');
   } else {
-    Logger.log(`✅ Test group: ${INTEGRATION_TEST_CONFIG.testGroup}`);
+    log.info(`✅ Test group: ${INTEGRATION_TEST_CONFIG.testGroup}`);
   }
   
   // Check email quota
   try {
     const quota = MailApp.getRemainingDailyQuota();
     if (quota < 20) {
-      Logger.log(`⚠️ Low email quota: ${quota} remaining`);
+      log.warn(`Low email quota: ${quota} remaining`, { quota: quota });
     } else {
-      Logger.log(`✅ Email quota: ${quota} remaining`);
+      log.info(`✅ Email quota: ${quota} remaining`);
     }
   } catch (error) {
-    Logger.log(`Note: ${error.toString()}`);
+    log.info(`Note: ${error.toString()}`);
   }
 }
 
@@ -477,9 +505,10 @@ function validateIntegrationTestSetup() {
  * Gets detailed information about all integration test threads
  */
 function getIntegrationTestInfo() {
-  Logger.log('\n═══════════════════════════════════════════════════════');
-  Logger.log('INTEGRATION TEST THREAD INFORMATION');
-  Logger.log('═══════════════════════════════════════════════════════');
+  const log = getEmailThreadingLogger('IntegrationTests');
+  log.info('\n═══════════════════════════════════════════════════════');
+  log.info('INTEGRATION TEST THREAD INFORMATION');
+  log.info('═══════════════════════════════════════════════════════');
   
   const tests = [
     { name: "Folder Movement Test", id: INTEGRATION_TEST_CONFIG.folderTestThreadId },
@@ -488,8 +517,8 @@ function getIntegrationTestInfo() {
   ];
   
   tests.forEach(test => {
-    Logger.log(`\n${test.name}:`);
-    Logger.log('-------------------');
+    log.info(`\n${test.name}:`);
+    log.info('-------------------');
     
     const manager = new EmailThreadingManager({
       threadIdProperty: test.id,
@@ -500,20 +529,20 @@ function getIntegrationTestInfo() {
     const info = manager.getThreadInfo();
     
     if (info.currentThreadId) {
-      Logger.log(`Thread ID: ${info.currentThreadId}`);
+      log.info(`Thread ID: ${info.currentThreadId}`);
       if (info.threadDetails) {
-        Logger.log(`Subject: ${info.threadDetails.subject}`);
-        Logger.log(`Messages: ${info.threadDetails.messageCount}`);
-        Logger.log(`First: ${info.threadDetails.firstMessageDate}`);
-        Logger.log(`Last: ${info.threadDetails.lastMessageDate}`);
+        log.info(`Subject: ${info.threadDetails.subject}`);
+        log.info(`Messages: ${info.threadDetails.messageCount}`);
+        log.info(`First: ${info.threadDetails.firstMessageDate}`);
+        log.info(`Last: ${info.threadDetails.lastMessageDate}`);
         if (info.threadDetails.labels && info.threadDetails.labels.length > 0) {
-          Logger.log(`Labels: ${info.threadDetails.labels.join(', ')}`);
+          log.info(`Labels: ${info.threadDetails.labels.join(', ')}`);
         }
       }
     } else {
-      Logger.log('No thread created yet');
+      log.info('No thread created yet');
     }
   });
   
-  Logger.log('\n═══════════════════════════════════════════════════════');
+  log.info('\n═══════════════════════════════════════════════════════');
 }
\ No newline at end of file
@@ -0,0 +1,520 @@
+/**
+ * @fileoverview In-memory Apps Script services for running the Email Threading Library under Node
+ * @version 2.0.0
+ * @description PropertiesService, MailApp, Session, Logger, Utilities, LockService and
+ *              ScriptApp, plus createAppsScriptEmulator() which wires them to GmailEmulator
+ *
+ * NOT an Apps Script file - do not copy the emulator/ folder into a script project.
+ *
+ * Usage:
+ *   const { createAppsScriptEmulator } = require('./AppsScriptEmulator');
+ *   const emulator = createAppsScriptEmulator({ owner: 'me@example.com' });
+ *   emulator.globals  // { GmailApp, PropertiesService, MailApp, Session, Logger, ... }
+ *   emulator.mailbox  // Inspect threads, deliver replies, inject failures
+ *   emulator.clock.advance(86400000)  // Jump a day (quota resets, rotation ages)
+ *
+ * See loadLibrary.js to load the library files into a context with these globals.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { EmulatedMailbox, EmulatedGmailApp } = require('./GmailEmulator');
+
+/**
+ * Largest property value PropertiesService accepts (bytes)
+ */
+const PROPERTY_VALUE_LIMIT = 9 * 1024;
+
+/**
+ * Largest total size of one property store (bytes)
+ */
+const PROPERTY_STORE_LIMIT = 500 * 1024;
+
+/**
+ * Time source that can be moved forward
+ * Time runs with the real clock plus an offset, so Utilities.sleep() and
+ * advance() jump ahead without waiting.
+ */
+class EmulatorClock {
+  /**
+   * @param {Date|number} [start] - Start time (default: now)
+   */
+  constructor(start) {
+    this.offset = start === undefined ? 0 : new Date(start).getTime() - Date.now();
+  }
+
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  advance(ms) {
+    this.offset += ms;
+  }
+
+  set(date) {
+    this.offset = new Date(date).getTime() - Date.now();
+  }
+}
+
+/**
+ * Emulated Properties (one store: script, user or document)
+ */
+class EmulatedProperties {
+  constructor() {
+    this.values = new Map();
+  }
+
+  getProperty(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  setProperty(key, value) {
+    const text = String(value);
+    if (Buffer.byteLength(key, 'utf8') + Buffer.byteLength(text, 'utf8') > PROPERTY_VALUE_LIMIT) {
+      throw new Error('Argument too large: value');
+    }
+
+    const previous = this.values.get(key);
+    this.values.set(key, text);
+
+    if (this.totalSize() > PROPERTY_STORE_LIMIT) {
+      if (previous === undefined) {
+        this.values.delete(key);
+      } else {
+        this.values.set(key, previous);
+      }
+      throw new Error('You have exceeded the property storage quota. Please remove some properties and try again.');
+    }
+
+    return this;
+  }
+
+  setProperties(properties, deleteAllOthers = false) {
+    if (deleteAllOthers) {
+      this.values.clear();
+    }
+    Object.entries(properties).forEach(([key, value]) => this.setProperty(key, value));
+    return this;
+  }
+
+  deleteProperty(key) {
+    this.values.delete(key);
+    return this;
+  }
+
+  deleteAllProperties() {
+    this.values.clear();
+    return this;
+  }
+
+  getProperties() {
+    return Object.fromEntries(this.values);
+  }
+
+  getKeys() {
+    return Array.from(this.values.keys());
+  }
+
+  /**
+   * @private
+   */
+  totalSize() {
+    let size = 0;
+    this.values.forEach((value, key) => {
+      size += Buffer.byteLength(key, 'utf8') + Buffer.byteLength(value, 'utf8');
+    });
+    return size;
+  }
+}
+
+/**
+ * Emulated Logger (keeps every line; optionally echoes to the console)
+ */
+class EmulatedLogger {
+  /**
+   * @param {boolean} [echo=false] - Also print each line with console.log
+   */
+  constructor(echo = false) {
+    this.echo = echo;
+    this.lines = [];
+  }
+
+  log(format, ...values) {
+    let line = typeof format === 'string' ? format : formatLogValue(format);
+    values.forEach(value => {
+      line = line.replace(/%s|%d/, formatLogValue(value));
+    });
+
+    this.lines.push(line);
+    if (this.echo) {
+      console.log(line);
+    }
+    return this;
+  }
+
+  getLog() {
+    return this.lines.join('\n');
+  }
+
+  clear() {
+    this.lines = [];
+  }
+}
+
+/**
+ * Emulated lock (one per scope; Node runs one execution at a time)
+ * Locks are reentrant within the execution, like LockService. holdElsewhere()
+ * makes the scope look busy to simulate another execution holding it.
+ */
+class EmulatedLock {
+  constructor(state, scope) {
+    this.state = state;
+    this.scope = scope;
+  }
+
+  tryLock(timeoutInMillis) {
+    if (this.state.held.has(this.scope)) {
+      return true;
+    }
+    if (this.state.busy.has(this.scope)) {
+      this.state.clock.advance(timeoutInMillis);
+      return false;
+    }
+    this.state.held.add(this.scope);
+    return true;
+  }
+
+  waitLock(timeoutInMillis) {
+    if (!this.tryLock(timeoutInMillis)) {
+      throw new Error('Lock timeout: another process was holding the lock for too long.');
+    }
+  }
+
+  hasLock() {
+    return this.state.held.has(this.scope);
+  }
+
+  releaseLock() {
+    this.state.held.delete(this.scope);
+  }
+}
+
+/**
+ * Emulated ScriptApp (project triggers only)
+ */
+class EmulatedScriptApp {
+  constructor() {
+    this.triggers = [];
+    this.nextId = 1;
+  }
+
+  getProjectTriggers() {
+    return this.triggers.slice();
+  }
+
+  newTrigger(functionName) {
+    const app = this;
+    const trigger = {
+      handler: functionName,
+      eventType: 'CLOCK',
+      schedule: {},
+      uniqueId: String(this.nextId++),
+      getHandlerFunction: () => trigger.handler,
+      getEventType: () => trigger.eventType,
+      getTriggerSource: () => 'CLOCK',
+      getUniqueId: () => trigger.uniqueId
+    };
+
+    const builder = {
+      timeBased: () => builder,
+      everyMinutes: minutes => { trigger.schedule.everyMinutes = minutes; return builder; },
+      everyHours: hours => { trigger.schedule.everyHours = hours; return builder; },
+      everyDays: days => { trigger.schedule.everyDays = days; return builder; },
+      everyWeeks: weeks => { trigger.schedule.everyWeeks = weeks; return builder; },
+      atHour: hour => { trigger.schedule.atHour = hour; return builder; },
+      nearMinute: minute => { trigger.schedule.nearMinute = minute; return builder; },
+      onWeekDay: day => { trigger.schedule.onWeekDay = day; return builder; },
+      after: ms => { trigger.schedule.after = ms; return builder; },
+      at: date => { trigger.schedule.at = date; return builder; },
+      create: () => {
+        app.triggers.push(trigger);
+        return trigger;
+      }
+    };
+
+    return builder;
+  }
+
+  deleteTrigger(trigger) {
+    this.triggers = this.triggers.filter(existing => existing.getUniqueId() !== trigger.getUniqueId());
+  }
+}
+
+/**
+ * Emulated Blob (the parts of Utilities.newBlob the library uses)
+ */
+class EmulatedBlob {
+  constructor(data, contentType, name) {
+    this.bytes = typeof data === 'string' ? toSignedBytes(Buffer.from(data, 'utf8')) : Array.from(data || []);
+    this.contentType = contentType || null;
+    this.name = name || null;
+  }
+
+  getBytes() {
+    return this.bytes.slice();
+  }
+
+  getDataAsString(charset) {
+    return Buffer.from(this.bytes.map(byte => byte & 255)).toString(charset === 'ISO-8859-1' ? 'latin1' : 'utf8');
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  setName(name) {
+    this.name = name;
+    return this;
+  }
+
+  getContentType() {
+    return this.contentType;
+  }
+
+  setContentType(contentType) {
+    this.contentType = contentType;
+    return this;
+  }
+
+  copyBlob() {
+    return new EmulatedBlob(this.bytes, this.contentType, this.name);
+  }
+
+  getBlob() {
+    return this;
+  }
+}
+
+/**
+ * Build the emulated Utilities service
+ * @private
+ */
+function createUtilities(clock) {
+  const digestNames = { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512' };
+
+  return {
+    DigestAlgorithm: Object.fromEntries(Object.keys(digestNames).map(name => [name, name])),
+    Charset: { UTF_8: 'UTF_8', US_ASCII: 'US_ASCII' },
+
+    sleep: ms => clock.advance(ms),
+
+    getUuid: () => crypto.randomUUID(),
+
+    computeDigest: (algorithm, value, charset) => {
+      const data = typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value.map(byte => byte & 255));
+      return toSignedBytes(crypto.createHash(digestNames[algorithm]).update(data).digest());
+    },
+
+    base64Encode: (data, charset) => toBuffer(data).toString('base64'),
+    base64EncodeWebSafe: (data, charset) => toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64Decode: (encoded, charset) => toSignedBytes(Buffer.from(encoded, 'base64')),
+    base64DecodeWebSafe: (encoded, charset) => toSignedBytes(Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+
+    newBlob: (data, contentType, name) => new EmulatedBlob(data, contentType, name),
+
+    formatDate: (date, timeZone, format) => formatDateInZone(date, timeZone, format),
+
+    formatString: (template, ...args) => {
+      let index = 0;
+      return template.replace(/%[sd]/g, () => String(args[index++]));
+    }
+  };
+}
+
+/**
+ * Format a date with SimpleDateFormat-style letters (y, M, d, H, h, m, s, S, a, E, Z)
+ * @private
+ */
+function formatDateInZone(date, timeZone, format) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC',
+    year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'long',
+    hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const offsetMinutes = Math.round(
+    (Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+      Number(parts.hour), Number(parts.minute), Number(parts.second)) - Math.floor(date.getTime() / 1000) * 1000) / 60000
+  );
+  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+  const pad = (value, length) => String(value).padStart(length, '0');
+  const hour = Number(parts.hour);
+
+  return format.replace(/'([^']*)'|y+|M+|d+|H+|h+|m+|s+|S+|a|E+|Z/g, (token, literal) => {
+    if (literal !== undefined) return literal;
+    switch (token[0]) {
+      case 'y': return token.length === 2 ? parts.year.slice(-2) : parts.year;
+      case 'M':
+        if (token.length >= 4) return monthNames[Number(parts.month) - 1];
+        if (token.length === 3) return monthNames[Number(parts.month) - 1].slice(0, 3);
+        return pad(parts.month, token.length);
+      case 'd': return pad(parts.day, token.length);
+      case 'H': return pad(hour, token.length);
+      case 'h': return pad(hour % 12 || 12, token.length);
+      case 'm': return pad(parts.minute, token.length);
+      case 's': return pad(parts.second, token.length);
+      case 'S': return pad(date.getMilliseconds(), 3).slice(0, token.length);
+      case 'a': return hour < 12 ? 'AM' : 'PM';
+      case 'E': return token.length >= 4 ? parts.weekday : parts.weekday.slice(0, 3);
+      case 'Z': {
+        const sign = offsetMinutes < 0 ? '-' : '+';
+        const abs = Math.abs(offsetMinutes);
+        return `${sign}${pad(Math.floor(abs / 60), 2)}${pad(abs % 60, 2)}`;
+      }
+      default: return token;
+    }
+  });
+}
+
+/**
+ * Create a full set of emulated services sharing one mailbox and clock
+ * @param {Object} [options]
+ * @param {string} [options.owner='owner@example.com'] - Script owner / active user
+ * @param {string} [options.ownerName='Script Owner'] - Owner display name
+ * @param {Array<string>} [options.aliases] - Send-as aliases
+ * @param {number} [options.dailyQuota=100] - Daily recipient quota
+ * @param {string} [options.timeZone='UTC'] - Session.getScriptTimeZone()
+ * @param {Date|number} [options.now] - Start time for the clock
+ * @param {boolean} [options.echoLogs=false] - Print Logger output to the console
+ * @return {Object} { globals, mailbox, clock, properties, logger, locks, scriptApp }
+ */
+function createAppsScriptEmulator(options = {}) {
+  const clock = new EmulatorClock(options.now);
+  const mailbox = new EmulatedMailbox({
+    owner: options.owner,
+    ownerName: options.ownerName,
+    aliases: options.aliases,
+    dailyQuota: options.dailyQuota,
+    clock: clock
+  });
+
+  const properties = {
+    script: new EmulatedProperties(),
+    user: new EmulatedProperties(),
+    document: new EmulatedProperties()
+  };
+  const logger = new EmulatedLogger(!!options.echoLogs);
+  const locks = { held: new Set(), busy: new Set(), clock: clock };
+  const scriptApp = new EmulatedScriptApp();
+  const user = { getEmail: () => mailbox.owner, toString: () => mailbox.owner };
+
+  const globals = {
+    GmailApp: new EmulatedGmailApp(mailbox),
+
+    PropertiesService: {
+      getScriptProperties: () => properties.script,
+      getUserProperties: () => properties.user,
+      getDocumentProperties: () => properties.document
+    },
+
+    MailApp: {
+      getRemainingDailyQuota: () => mailbox.getRemainingQuota(),
+      sendEmail: (...args) => {
+        mailbox.checkFault('mailAppSendEmail');
+        const message = typeof args[0] === 'object' ? args[0] : {
+          to: args[0], subject: args[1], body: args[2], ...(args[3] || {})
+        };
+        mailbox.send({
+          to: message.to,
+          cc: message.cc,
+          bcc: message.bcc,
+          subject: message.subject,
+          plainBody: message.body || '',
+          htmlBody: message.htmlBody || '',
+          name: message.name,
+          replyTo: message.replyTo,
+          noReply: message.noReply,
+          attachments: message.attachments || []
+        });
+      }
+    },
+
+    Session: {
+      getActiveUser: () => user,
+      getEffectiveUser: () => user,
+      getScriptTimeZone: () => options.timeZone || 'UTC',
+      getTemporaryActiveUserKey: () => 'emulated-user-key'
+    },
+
+    Logger: logger,
+
+    Utilities: createUtilities(clock),
+
+    LockService: {
+      getScriptLock: () => new EmulatedLock(locks, 'script'),
+      getUserLock: () => new EmulatedLock(locks, 'user'),
+      getDocumentLock: () => new EmulatedLock(locks, 'document')
+    },
+
+    ScriptApp: scriptApp
+  };
+
+  return {
+    globals: globals,
+    mailbox: mailbox,
+    clock: clock,
+    properties: properties,
+    logger: logger,
+    locks: {
+      /**
+       * Make a lock scope look held by another execution
+       * @param {string} [scope='script'] - 'script', 'user' or 'document'
+       */
+      holdElsewhere: (scope = 'script') => locks.busy.add(scope),
+      releaseElsewhere: (scope = 'script') => locks.busy.delete(scope),
+      isHeld: (scope = 'script') => locks.held.has(scope)
+    },
+    scriptApp: scriptApp
+  };
+}
+
+/**
+ * @private
+ */
+function formatLogValue(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return value.toString();
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Apps Script byte arrays hold signed bytes (-128..127)
+ * @private
+ */
+function toSignedBytes(buffer) {
+  return Array.from(buffer, byte => (byte > 127 ? byte - 256 : byte));
+}
+
+/**
+ * @private
+ */
+function toBuffer(data) {
+  return typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(data.map(byte => byte & 255));
+}
+
+module.exports = {
+  EmulatorClock,
+  EmulatedProperties,
+  EmulatedLogger,
+  EmulatedLock,
+  EmulatedScriptApp,
+  EmulatedBlob,
+  createAppsScriptEmulator
+};
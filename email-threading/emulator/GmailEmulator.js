@@ -0,0 +1,1233 @@
+/**
+ * @fileoverview In-memory GmailApp for running the Email Threading Library under Node
+ * @version 2.0.0
+ * @description Emulates the GmailApp threads, messages, drafts, labels, search and
+ *              raw content the library uses
+ *
+ * NOT an Apps Script file - do not copy the emulator/ folder into a script project.
+ *
+ * Threading follows Gmail: a message joins an existing thread when its
+ * In-Reply-To or References header names a message in that thread AND its
+ * subject matches once Re:/Fwd: prefixes are removed. Anything else starts
+ * a new thread.
+ *
+ * The mailbox belongs to one owner (Session.getActiveUser()). Messages the
+ * owner sends are labelled SENT; messages delivered with deliver() (replies
+ * from recipients) are labelled INBOX and UNREAD. Sending to a group the owner
+ * belongs to (addGroup) also puts the copy in the owner's inbox.
+ */
+
+'use strict';
+
+/**
+ * Error Gmail raises when the daily sending quota is used up
+ */
+const QUOTA_ERROR_MESSAGE = 'Service invoked too many times for one day: email.';
+
+/**
+ * Subject prefixes Gmail ignores when matching a reply to its thread
+ */
+const SUBJECT_PREFIX_PATTERN = /^\s*((re|fwd?|aw|sv|wg)\s*(\[\d+\])?\s*:\s*)+/i;
+
+/**
+ * Simple address check used to reject obviously invalid recipients
+ */
+const EMAIL_ADDRESS_PATTERN = /[^\s<>@,;]+@[^\s<>@,;]+\.[^\s<>@,;]+/;
+
+/**
+ * Mailbox state shared by the emulated GmailApp and MailApp
+ */
+class EmulatedMailbox {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.owner='owner@example.com'] - Mailbox owner address
+   * @param {string} [options.ownerName='Script Owner'] - Owner display name
+   * @param {Array<string>} [options.aliases] - Send-as aliases (GmailApp.getAliases)
+   * @param {number} [options.dailyQuota=100] - Recipients per day (MailApp.getRemainingDailyQuota)
+   * @param {EmulatorClock} [options.clock] - Time source
+   */
+  constructor(options = {}) {
+    this.owner = options.owner || 'owner@example.com';
+    this.ownerName = options.ownerName || 'Script Owner';
+    this.aliases = options.aliases || [];
+    this.dailyQuota = options.dailyQuota === undefined ? 100 : options.dailyQuota;
+    this.clock = options.clock || { now: () => Date.now() };
+
+    this.messages = new Map();   // Gmail message ID -> message record
+    this.threads = new Map();    // Gmail thread ID -> thread record
+    this.drafts = new Map();     // Draft ID -> draft record
+    this.labels = new Map();     // Label name -> { name, threadIds: Set }
+    this.groups = new Map();     // Group address -> Set of member addresses
+    this.faults = [];            // Pending injected failures
+    this.outgoing = [];          // Every email sent, in order (for assertions)
+
+    this.nextId = 0x18a0000000000000n;
+    this.quotaUsed = 0;
+    this.quotaDay = this.dayKey();
+  }
+
+  // =====================================================================
+  // SETUP AND INSPECTION
+  // =====================================================================
+
+  /**
+   * Define a group address (e.g. a Google Group)
+   * @param {string} address - Group address
+   * @param {Array<string>} members - Member addresses ("Name <address>" allowed)
+   */
+  addGroup(address, members) {
+    this.groups.set(address.toLowerCase(), new Set(members.map(member => extractAddress(member).toLowerCase())));
+  }
+
+  /**
+   * Make the next call(s) to a Gmail operation throw
+   * @param {string} operation - 'sendEmail', 'createDraft', 'sendDraft', 'getThreadById',
+   *        'search', 'getMessages', 'getRawContent', 'reply', 'mailAppSendEmail' or '*'
+   * @param {Error|string} error - Error (or message) to throw
+   * @param {number} [times=1] - How many calls fail
+   */
+  failNext(operation, error, times = 1) {
+    this.faults.push({ operation: operation, error: error, remaining: times });
+  }
+
+  /**
+   * Throw an injected failure for this operation, if one is pending
+   * @param {string} operation - Operation name
+   */
+  checkFault(operation) {
+    const fault = this.faults.find(entry =>
+      entry.remaining > 0 && (entry.operation === operation || entry.operation === '*')
+    );
+
+    if (!fault) {
+      return;
+    }
+
+    fault.remaining--;
+    this.faults = this.faults.filter(entry => entry.remaining > 0);
+    throw typeof fault.error === 'string' ? new Error(fault.error) : fault.error;
+  }
+
+  /**
+   * Recipients left in today's quota
+   * @return {number} Remaining quota
+   */
+  getRemainingQuota() {
+    this.rollQuotaDay();
+    return Math.max(0, this.dailyQuota - this.quotaUsed);
+  }
+
+  /**
+   * Set the remaining quota for today
+   * @param {number} remaining - Recipients that can still be sent to
+   */
+  setRemainingQuota(remaining) {
+    this.rollQuotaDay();
+    this.quotaUsed = this.dailyQuota - remaining;
+  }
+
+  /**
+   * Check whether an email to these recipients reaches an address,
+   * directly or through a group it belongs to
+   * @param {string} address - Address to check
+   * @param {Array<string>|string} recipients - Recipient addresses (or a "To"-style list)
+   * @return {boolean} True if the address receives a copy
+   */
+  reaches(address, recipients) {
+    const target = extractAddress(address).toLowerCase();
+    const list = Array.isArray(recipients) ? recipients : splitAddresses(recipients);
+
+    return list.some(recipient => {
+      const lower = recipient.toLowerCase();
+      return lower === target || (this.groups.has(lower) && this.groups.get(lower).has(target));
+    });
+  }
+
+  /**
+   * Remove a thread for good (as if deleted from Trash)
+   * @param {string} threadId - Thread ID
+   */
+  deleteThread(threadId) {
+    const thread = this.threads.get(threadId);
+    if (!thread) {
+      return;
+    }
+
+    thread.messageIds.forEach(id => this.messages.delete(id));
+    this.labels.forEach(label => label.threadIds.delete(threadId));
+    this.threads.delete(threadId);
+  }
+
+  /**
+   * Deliver an email from someone else into the owner's mailbox
+   * @param {Object} email
+   * @param {string} email.from - Sender ("Name <address>" or address)
+   * @param {string} [email.to] - Recipients (default: the owner)
+   * @param {string} [email.cc] - CC recipients
+   * @param {string} email.subject - Subject
+   * @param {string} [email.body] - Plain-text body
+   * @param {string} [email.htmlBody] - HTML body
+   * @param {string} [email.replyTo] - Reply-To address
+   * @param {Object} [email.headers] - Extra headers (In-Reply-To, References, X-...)
+   * @param {Date} [email.date] - Date (default: now)
+   * @return {EmulatedGmailMessage} The delivered message
+   */
+  deliver(email) {
+    const record = this.addMessage({
+      from: email.from,
+      to: email.to || this.owner,
+      cc: email.cc || '',
+      bcc: '',
+      replyTo: email.replyTo || '',
+      subject: email.subject || '',
+      plainBody: email.body !== undefined ? email.body : stripTags(email.htmlBody || ''),
+      htmlBody: email.htmlBody || escapeText(email.body || ''),
+      headers: email.headers || {},
+      attachments: email.attachments || [],
+      date: email.date ? new Date(email.date.getTime()) : new Date(this.clock.now()),
+      labels: ['INBOX', 'UNREAD']
+    });
+
+    return new EmulatedGmailMessage(this, record.id);
+  }
+
+  /**
+   * Send an email as the owner (used by GmailApp, drafts, replies and MailApp)
+   * @param {Object} email - { to, cc, bcc, subject, plainBody, htmlBody, from, name,
+   *        replyTo, headers, attachments, noReply }
+   * @param {string} [threadId] - Thread to add the message to (replies); default: by headers
+   * @return {Object} Message record
+   */
+  send(email, threadId = null) {
+    const recipients = splitAddresses([email.to, email.cc, email.bcc].filter(Boolean).join(','));
+
+    if (recipients.length === 0 || recipients.some(address => !EMAIL_ADDRESS_PATTERN.test(address))) {
+      throw new Error('Invalid argument: recipient');
+    }
+
+    if (email.from && email.from !== this.owner && !this.aliases.includes(email.from)) {
+      throw new Error(`Invalid argument: from (${email.from} is not an alias of ${this.owner})`);
+    }
+
+    this.useQuota(recipients.length);
+
+    const fromAddress = email.noReply ? `noreply-${this.owner}` : (email.from || this.owner);
+    const record = this.addMessage({
+      from: email.name ? `${email.name} <${fromAddress}>` : `${this.ownerName} <${fromAddress}>`,
+      to: email.to || '',
+      cc: email.cc || '',
+      bcc: email.bcc || '',
+      replyTo: email.replyTo || '',
+      subject: email.subject || '',
+      plainBody: email.plainBody || '',
+      htmlBody: email.htmlBody || escapeText(email.plainBody || ''),
+      headers: email.headers || {},
+      attachments: email.attachments || [],
+      date: new Date(this.clock.now()),
+      labels: this.ownerReceives(recipients) ? ['SENT', 'INBOX', 'UNREAD'] : ['SENT']
+    }, threadId);
+
+    this.outgoing.push({ ...email, messageId: record.id, threadId: record.threadId });
+    return record;
+  }
+
+  // =====================================================================
+  // INTERNALS
+  // =====================================================================
+
+  /**
+   * Store a message and thread it the way Gmail does
+   * @private
+   */
+  addMessage(fields, threadId = null) {
+    const id = this.newId();
+    const record = {
+      ...fields,
+      id: id,
+      messageIdHeader: `<emulator.${id}@mail.gmail.com>`,
+      threadId: null,
+      trashed: false,
+      starred: false
+    };
+
+    const thread = (threadId && this.threads.get(threadId)) || this.findThreadFor(record);
+
+    if (thread) {
+      record.threadId = thread.id;
+      thread.messageIds.push(id);
+    } else {
+      record.threadId = id;  // Gmail thread IDs are the first message's ID
+      this.threads.set(id, { id: id, messageIds: [id] });
+    }
+
+    this.messages.set(id, record);
+    return record;
+  }
+
+  /**
+   * Thread an incoming message joins: one it references with a matching subject
+   * @private
+   */
+  findThreadFor(record) {
+    const referenced = extractMessageIds(
+      [headerValue(record.headers, 'In-Reply-To'), headerValue(record.headers, 'References')].join(' ')
+    );
+
+    if (referenced.length === 0) {
+      return null;
+    }
+
+    const subject = normalizeSubject(record.subject);
+
+    for (const message of this.messages.values()) {
+      if (referenced.includes(message.messageIdHeader.toLowerCase())) {
+        const thread = this.threads.get(message.threadId);
+        const firstSubject = this.messages.get(thread.messageIds[0]).subject;
+        if (normalizeSubject(firstSubject) === subject) {
+          return thread;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  ownerReceives(recipients) {
+    return this.reaches(this.owner, recipients);
+  }
+
+  /**
+   * @private
+   */
+  useQuota(count) {
+    if (count > this.getRemainingQuota()) {
+      throw new Error(QUOTA_ERROR_MESSAGE);
+    }
+    this.quotaUsed += count;
+  }
+
+  /**
+   * @private
+   */
+  rollQuotaDay() {
+    const day = this.dayKey();
+    if (day !== this.quotaDay) {
+      this.quotaDay = day;
+      this.quotaUsed = 0;
+    }
+  }
+
+  /**
+   * @private
+   */
+  dayKey() {
+    return new Date(this.clock.now()).toISOString().slice(0, 10);
+  }
+
+  /**
+   * @private
+   */
+  newId() {
+    this.nextId += 1n + BigInt(Math.floor(Math.random() * 0x1000));
+    return this.nextId.toString(16);
+  }
+
+  /**
+   * Threads visible in the mailbox, newest activity first
+   * @private
+   */
+  sortedThreads() {
+    return Array.from(this.threads.values())
+      .map((thread, index) => ({ thread: thread, index: index, last: this.lastDate(thread) }))
+      .sort((a, b) => (b.last - a.last) || (b.index - a.index))
+      .map(entry => entry.thread);
+  }
+
+  /**
+   * @private
+   */
+  lastDate(thread) {
+    const last = this.messages.get(thread.messageIds[thread.messageIds.length - 1]);
+    return last.date.getTime();
+  }
+}
+
+// =====================================================================
+// GMAILAPP
+// =====================================================================
+
+/**
+ * Emulated GmailApp service
+ */
+class EmulatedGmailApp {
+  /**
+   * @param {EmulatedMailbox} mailbox - Mailbox to operate on
+   */
+  constructor(mailbox) {
+    this.mailbox = mailbox;
+  }
+
+  sendEmail(recipient, subject, body, options = {}) {
+    this.mailbox.checkFault('sendEmail');
+    this.mailbox.send(emailFromArguments(recipient, subject, body, options));
+    return this;
+  }
+
+  createDraft(recipient, subject, body, options = {}) {
+    this.mailbox.checkFault('createDraft');
+    const email = emailFromArguments(recipient, subject, body, options);
+
+    if (!email.to || splitAddresses(email.to).some(address => !EMAIL_ADDRESS_PATTERN.test(address))) {
+      throw new Error('Invalid argument: recipient');
+    }
+
+    const id = `r-${this.mailbox.newId()}`;
+    this.mailbox.drafts.set(id, { id: id, email: email });
+    return new EmulatedGmailDraft(this.mailbox, id);
+  }
+
+  getDrafts() {
+    return Array.from(this.mailbox.drafts.keys()).map(id => new EmulatedGmailDraft(this.mailbox, id));
+  }
+
+  getDraft(draftId) {
+    return this.mailbox.drafts.has(draftId) ? new EmulatedGmailDraft(this.mailbox, draftId) : null;
+  }
+
+  getThreadById(id) {
+    this.mailbox.checkFault('getThreadById');
+    if (!id || !/^[0-9a-f]+$/i.test(String(id))) {
+      throw new Error('Invalid argument: id');
+    }
+    return this.mailbox.threads.has(id) ? new EmulatedGmailThread(this.mailbox, id) : null;
+  }
+
+  getMessageById(id) {
+    if (!id || !/^[0-9a-f]+$/i.test(String(id))) {
+      throw new Error('Invalid argument: id');
+    }
+    return this.mailbox.messages.has(id) ? new EmulatedGmailMessage(this.mailbox, id) : null;
+  }
+
+  getMessagesForThreads(threads) {
+    return threads.map(thread => thread.getMessages());
+  }
+
+  search(query, start = 0, max = 500) {
+    this.mailbox.checkFault('search');
+    const matcher = compileSearchQuery(query, this.mailbox);
+
+    return this.mailbox.sortedThreads()
+      .filter(thread => matcher(thread))
+      .slice(start, start + max)
+      .map(thread => new EmulatedGmailThread(this.mailbox, thread.id));
+  }
+
+  getInboxThreads(start = 0, max = 500) {
+    return this.search('in:inbox', start, max);
+  }
+
+  getInboxUnreadCount() {
+    return this.search('in:inbox is:unread').length;
+  }
+
+  getAliases() {
+    return this.mailbox.aliases.slice();
+  }
+
+  getUserLabels() {
+    return Array.from(this.mailbox.labels.keys()).map(name => new EmulatedGmailLabel(this.mailbox, name));
+  }
+
+  getUserLabelByName(name) {
+    return this.mailbox.labels.has(name) ? new EmulatedGmailLabel(this.mailbox, name) : null;
+  }
+
+  createLabel(name) {
+    if (!this.mailbox.labels.has(name)) {
+      this.mailbox.labels.set(name, { name: name, threadIds: new Set() });
+    }
+    return new EmulatedGmailLabel(this.mailbox, name);
+  }
+
+  deleteLabel(label) {
+    this.mailbox.labels.delete(label.getName());
+    return this;
+  }
+
+  moveThreadToTrash(thread) {
+    thread.moveToTrash();
+    return this;
+  }
+
+  moveThreadsToTrash(threads) {
+    threads.forEach(thread => thread.moveToTrash());
+    return this;
+  }
+}
+
+/**
+ * Emulated GmailThread
+ */
+class EmulatedGmailThread {
+  constructor(mailbox, id) {
+    this.mailbox = mailbox;
+    this.id = id;
+  }
+
+  record() {
+    const thread = this.mailbox.threads.get(this.id);
+    if (!thread) {
+      throw new Error('Thread not found: it may have been deleted');
+    }
+    return thread;
+  }
+
+  records() {
+    return this.record().messageIds.map(id => this.mailbox.messages.get(id));
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getMessages() {
+    this.mailbox.checkFault('getMessages');
+    return this.record().messageIds.map(id => new EmulatedGmailMessage(this.mailbox, id));
+  }
+
+  getMessageCount() {
+    return this.record().messageIds.length;
+  }
+
+  getFirstMessageSubject() {
+    return this.records()[0].subject;
+  }
+
+  getLastMessageDate() {
+    return new Date(this.mailbox.lastDate(this.record()));
+  }
+
+  getPermalink() {
+    return `https://mail.google.com/mail/#all/${this.id}`;
+  }
+
+  getLabels() {
+    return Array.from(this.mailbox.labels.values())
+      .filter(label => label.threadIds.has(this.id))
+      .map(label => new EmulatedGmailLabel(this.mailbox, label.name));
+  }
+
+  addLabel(label) {
+    this.mailbox.labels.get(label.getName()).threadIds.add(this.id);
+    return this;
+  }
+
+  removeLabel(label) {
+    this.mailbox.labels.get(label.getName()).threadIds.delete(this.id);
+    return this;
+  }
+
+  hasStarredMessages() {
+    return this.records().some(record => record.starred);
+  }
+
+  isUnread() {
+    return this.records().some(record => record.labels.includes('UNREAD'));
+  }
+
+  isInInbox() {
+    return this.records().some(record => record.labels.includes('INBOX') && !record.trashed);
+  }
+
+  isInTrash() {
+    return this.records().every(record => record.trashed);
+  }
+
+  markRead() {
+    this.records().forEach(record => removeLabel(record, 'UNREAD'));
+    return this;
+  }
+
+  markUnread() {
+    const records = this.records();
+    addLabel(records[records.length - 1], 'UNREAD');
+    return this;
+  }
+
+  moveToArchive() {
+    this.records().forEach(record => removeLabel(record, 'INBOX'));
+    return this;
+  }
+
+  moveToInbox() {
+    this.records().forEach(record => addLabel(record, 'INBOX'));
+    return this;
+  }
+
+  moveToTrash() {
+    this.records().forEach(record => { record.trashed = true; });
+    return this;
+  }
+
+  /**
+   * Reply to the last message's sender (like GmailThread.reply)
+   */
+  reply(body, options = {}) {
+    const messages = this.getMessages();
+    messages[messages.length - 1].reply(body, options);
+    return this;
+  }
+
+  replyAll(body, options = {}) {
+    const messages = this.getMessages();
+    messages[messages.length - 1].replyAll(body, options);
+    return this;
+  }
+}
+
+/**
+ * Emulated GmailMessage
+ */
+class EmulatedGmailMessage {
+  constructor(mailbox, id) {
+    this.mailbox = mailbox;
+    this.id = id;
+  }
+
+  record() {
+    const record = this.mailbox.messages.get(this.id);
+    if (!record) {
+      throw new Error('Message not found: it may have been deleted');
+    }
+    return record;
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getThread() {
+    return new EmulatedGmailThread(this.mailbox, this.record().threadId);
+  }
+
+  getDate() {
+    return new Date(this.record().date.getTime());
+  }
+
+  getFrom() {
+    return this.record().from;
+  }
+
+  getTo() {
+    return this.record().to;
+  }
+
+  getCc() {
+    return this.record().cc;
+  }
+
+  getBcc() {
+    const record = this.record();
+    return record.labels.includes('SENT') ? record.bcc : '';
+  }
+
+  getReplyTo() {
+    return this.record().replyTo;
+  }
+
+  getSubject() {
+    return this.record().subject;
+  }
+
+  getBody() {
+    return this.record().htmlBody;
+  }
+
+  getPlainBody() {
+    return this.record().plainBody;
+  }
+
+  getAttachments() {
+    return this.record().attachments.slice();
+  }
+
+  getHeader(name) {
+    const raw = buildHeaderLines(this.record(), this.mailbox);
+    const line = raw.find(([key]) => key.toLowerCase() === name.toLowerCase());
+    return line ? line[1] : '';
+  }
+
+  getRawContent() {
+    this.mailbox.checkFault('getRawContent');
+    return buildRawContent(this.record(), this.mailbox);
+  }
+
+  isUnread() {
+    return this.record().labels.includes('UNREAD');
+  }
+
+  isInInbox() {
+    return this.record().labels.includes('INBOX');
+  }
+
+  isInTrash() {
+    return this.record().trashed;
+  }
+
+  isStarred() {
+    return this.record().starred;
+  }
+
+  isDraft() {
+    return false;
+  }
+
+  markRead() {
+    removeLabel(this.record(), 'UNREAD');
+    return this;
+  }
+
+  markUnread() {
+    addLabel(this.record(), 'UNREAD');
+    return this;
+  }
+
+  star() {
+    this.record().starred = true;
+    return this;
+  }
+
+  unstar() {
+    this.record().starred = false;
+    return this;
+  }
+
+  moveToTrash() {
+    this.record().trashed = true;
+    return this;
+  }
+
+  /**
+   * Reply to the sender only - the behaviour that breaks group threads
+   * (replying to your own message goes to its original recipients)
+   */
+  reply(body, options = {}) {
+    const record = this.record();
+    const to = this.isOwnMessage() ? record.to : (record.replyTo || record.from);
+    return this.sendReply(to, '', body, options);
+  }
+
+  replyAll(body, options = {}) {
+    const record = this.record();
+    const owner = this.mailbox.owner.toLowerCase();
+    const others = splitAddresses([record.replyTo || record.from, record.to].join(','))
+      .filter(address => address.toLowerCase() !== owner);
+    const cc = splitAddresses(record.cc).filter(address => address.toLowerCase() !== owner);
+    return this.sendReply(others.join(', '), [cc.join(', '), options.cc].filter(Boolean).join(', '), body, options);
+  }
+
+  forward(recipient, options = {}) {
+    const record = this.record();
+    this.mailbox.checkFault('forward');
+    this.mailbox.send({
+      ...options,
+      to: recipient,
+      subject: options.subject || `Fwd: ${record.subject}`,
+      plainBody: record.plainBody,
+      htmlBody: options.htmlBody || record.htmlBody
+    });
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  isOwnMessage() {
+    return extractAddress(this.record().from).toLowerCase() === this.mailbox.owner.toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  sendReply(to, cc, body, options) {
+    this.mailbox.checkFault('reply');
+    const record = this.record();
+    const references = [headerValue(record.headers, 'References'), record.messageIdHeader]
+      .filter(Boolean).join(' ');
+
+    this.mailbox.send({
+      ...emailFromArguments(to, `Re: ${record.subject.replace(SUBJECT_PREFIX_PATTERN, '')}`, body, options),
+      cc: cc || options.cc || '',
+      headers: { 'In-Reply-To': record.messageIdHeader, 'References': references }
+    }, record.threadId);
+
+    return this;
+  }
+}
+
+/**
+ * Emulated GmailDraft
+ */
+class EmulatedGmailDraft {
+  constructor(mailbox, id) {
+    this.mailbox = mailbox;
+    this.id = id;
+  }
+
+  record() {
+    const draft = this.mailbox.drafts.get(this.id);
+    if (!draft) {
+      throw new Error('Draft not found: it may have been sent or deleted');
+    }
+    return draft;
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getMessageId() {
+    return this.id;
+  }
+
+  update(recipient, subject, body, options = {}) {
+    this.record().email = emailFromArguments(recipient, subject, body, options);
+    return this;
+  }
+
+  send() {
+    this.mailbox.checkFault('sendDraft');
+    const record = this.mailbox.send(this.record().email);
+    this.mailbox.drafts.delete(this.id);
+    return new EmulatedGmailMessage(this.mailbox, record.id);
+  }
+
+  deleteDraft() {
+    this.mailbox.drafts.delete(this.id);
+  }
+}
+
+/**
+ * Emulated user GmailLabel
+ */
+class EmulatedGmailLabel {
+  constructor(mailbox, name) {
+    this.mailbox = mailbox;
+    this.name = name;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getId() {
+    return `Label_${this.name}`;
+  }
+
+  getThreads(start = 0, max = 500) {
+    const label = this.mailbox.labels.get(this.name);
+    return this.mailbox.sortedThreads()
+      .filter(thread => label && label.threadIds.has(thread.id))
+      .slice(start, start + max)
+      .map(thread => new EmulatedGmailThread(this.mailbox, thread.id));
+  }
+
+  getUnreadCount() {
+    return this.getThreads().filter(thread => thread.isUnread()).length;
+  }
+
+  addToThread(thread) {
+    thread.addLabel(this);
+    return this;
+  }
+
+  addToThreads(threads) {
+    threads.forEach(thread => thread.addLabel(this));
+    return this;
+  }
+
+  removeFromThread(thread) {
+    thread.removeLabel(this);
+    return this;
+  }
+
+  removeFromThreads(threads) {
+    threads.forEach(thread => thread.removeLabel(this));
+    return this;
+  }
+
+  deleteLabel() {
+    this.mailbox.labels.delete(this.name);
+  }
+}
+
+// =====================================================================
+// SEARCH
+// =====================================================================
+
+/**
+ * Compile a Gmail search query into a thread predicate
+ * Supported: thread:, rfc822msgid:, subject:, from:, to:, cc:, bcc:, label:,
+ * in:inbox|sent|trash|anywhere, is:unread|read|starred, has:attachment,
+ * newer_than:/older_than: (Nd, Nm, Ny, Nh), after:/before: (YYYY/MM/DD or
+ * seconds), "quoted phrases", bare words and -negation. Terms are ANDed.
+ * @param {string} query - Gmail search query
+ * @param {EmulatedMailbox} mailbox - Mailbox (for the clock and labels)
+ * @return {Function} (threadRecord) => boolean
+ */
+function compileSearchQuery(query, mailbox) {
+  const terms = tokenizeSearchQuery(query || '');
+  const includeTrash = terms.some(term => term.key === 'in' && ['trash', 'anywhere'].includes(term.value));
+
+  const messageTerms = terms.filter(term => !['thread', 'label'].includes(term.key));
+  const threadTerms = terms.filter(term => ['thread', 'label'].includes(term.key));
+
+  return thread => {
+    const threadMatches = threadTerms.every(term => term.negated !== matchThreadTerm(term, thread, mailbox));
+    if (!threadMatches) {
+      return false;
+    }
+
+    // A thread matches when one of its messages matches every message term
+    return thread.messageIds.some(id => {
+      const record = mailbox.messages.get(id);
+      if (record.trashed && !includeTrash) {
+        return false;
+      }
+      return messageTerms.every(term => term.negated !== matchMessageTerm(term, record, mailbox));
+    });
+  };
+}
+
+/**
+ * Split a query into { key, value, negated } terms
+ * @private
+ */
+function tokenizeSearchQuery(query) {
+  const terms = [];
+  const pattern = /(-?)(?:([a-z_0-9]+):)?("([^"]*)"|\S+)/gi;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const value = match[4] !== undefined ? match[4] : match[3];
+    terms.push({
+      negated: match[1] === '-',
+      key: match[2] ? match[2].toLowerCase() : null,
+      value: value.toLowerCase()
+    });
+  }
+
+  return terms;
+}
+
+/**
+ * @private
+ */
+function matchThreadTerm(term, thread, mailbox) {
+  if (term.key === 'thread') {
+    return thread.id.toLowerCase() === term.value;
+  }
+
+  // label:
+  const systemLabels = ['inbox', 'sent', 'unread', 'starred', 'trash'];
+  if (systemLabels.includes(term.value)) {
+    return thread.messageIds.some(id => matchMessageTerm({ key: 'in', value: term.value }, mailbox.messages.get(id), mailbox));
+  }
+  return Array.from(mailbox.labels.values()).some(label =>
+    labelSearchName(label.name) === labelSearchName(term.value) && label.threadIds.has(thread.id)
+  );
+}
+
+/**
+ * @private
+ */
+function matchMessageTerm(term, record, mailbox) {
+  const now = mailbox.clock.now();
+  const contains = (text, value) => String(text || '').toLowerCase().includes(value);
+
+  switch (term.key) {
+    case null:
+      return [record.subject, record.plainBody, record.from, record.to, record.cc].some(text => contains(text, term.value));
+    case 'rfc822msgid': {
+      const wanted = term.value.replace(/^<|>$/g, '');
+      return record.messageIdHeader.toLowerCase() === `<${wanted}>`;
+    }
+    case 'subject':
+      return contains(record.subject, term.value);
+    case 'from':
+      return contains(record.from, term.value);
+    case 'to':
+      return [record.to, record.cc, record.bcc].some(text => contains(text, term.value));
+    case 'cc':
+      return contains(record.cc, term.value);
+    case 'bcc':
+      return contains(record.bcc, term.value);
+    case 'in':
+    case 'is':
+      switch (term.value) {
+        case 'inbox': return record.labels.includes('INBOX') && !record.trashed;
+        case 'sent': return record.labels.includes('SENT');
+        case 'trash': return record.trashed;
+        case 'anywhere': return true;
+        case 'unread': return record.labels.includes('UNREAD');
+        case 'read': return !record.labels.includes('UNREAD');
+        case 'starred': return record.starred;
+        default: return false;
+      }
+    case 'has':
+      return term.value === 'attachment' ? record.attachments.length > 0 : false;
+    case 'newer_than':
+      return record.date.getTime() > now - parseRelativeAge(term.value);
+    case 'older_than':
+      return record.date.getTime() < now - parseRelativeAge(term.value);
+    case 'after':
+      return record.date.getTime() > parseSearchDate(term.value);
+    case 'before':
+      return record.date.getTime() < parseSearchDate(term.value);
+    default:
+      throw new Error(`Unsupported search operator in emulator: ${term.key}:`);
+  }
+}
+
+/**
+ * @private
+ */
+function parseRelativeAge(value) {
+  const match = /^(\d+)([hdmy])$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid relative age "${value}" (use e.g. 7d, 2m, 1y)`);
+  }
+  const units = { h: 3600000, d: 86400000, m: 30 * 86400000, y: 365 * 86400000 };
+  return Number(match[1]) * units[match[2]];
+}
+
+/**
+ * @private
+ */
+function parseSearchDate(value) {
+  if (/^\d{9,}$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const [year, month, day] = value.split(/[/-]/).map(Number);
+  return new Date(year, month - 1, day).getTime();
+}
+
+/**
+ * @private
+ */
+function labelSearchName(name) {
+  return name.toLowerCase().replace(/[\s/]+/g, '-');
+}
+
+// =====================================================================
+// RAW CONTENT
+// =====================================================================
+
+/**
+ * Header lines of a message in order
+ * @private
+ * @return {Array<Array<string>>} [name, value] pairs
+ */
+function buildHeaderLines(record, mailbox) {
+  const lines = [
+    ['MIME-Version', '1.0'],
+    ['Date', record.date.toUTCString().replace('GMT', '+0000')],
+    ['Message-ID', record.messageIdHeader],
+    ['Subject', encodeHeaderWord(record.subject)],
+    ['From', record.from],
+    ['To', record.to]
+  ];
+
+  if (record.cc) lines.push(['Cc', record.cc]);
+  if (record.bcc && record.labels.includes('SENT')) lines.push(['Bcc', record.bcc]);
+  if (record.replyTo) lines.push(['Reply-To', record.replyTo]);
+
+  Object.entries(record.headers || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      lines.push([name, String(value)]);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * RFC 5322 source of a message (multipart/alternative with both bodies)
+ * @private
+ */
+function buildRawContent(record, mailbox) {
+  const boundary = `000000000000emulator${record.id}`;
+  const headers = buildHeaderLines(record, mailbox)
+    .map(([name, value]) => foldHeader(`${name}: ${value}`))
+    .join('\r\n');
+
+  return [
+    headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset="UTF-8"',
+    '',
+    record.plainBody,
+    `--${boundary}`,
+    'Content-Type: text/html; charset="UTF-8"',
+    '',
+    record.htmlBody,
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * Fold a long header line at spaces (RFC 5322 2.2.3)
+ * @private
+ */
+function foldHeader(line) {
+  if (line.length <= 78) {
+    return line;
+  }
+
+  const parts = line.split(' ');
+  const lines = [];
+  let current = parts.shift();
+
+  parts.forEach(part => {
+    if (current.length + part.length + 1 > 78) {
+      lines.push(current);
+      current = ' ' + part;
+    } else {
+      current += ' ' + part;
+    }
+  });
+  lines.push(current);
+
+  return lines.join('\r\n');
+}
+
+/**
+ * RFC 2047 encode a header value that is not plain ASCII
+ * @private
+ */
+function encodeHeaderWord(value) {
+  return /^[\x20-\x7e]*$/.test(value) ?
+    value :
+    `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// =====================================================================
+// HELPERS
+// =====================================================================
+
+/**
+ * Build an email from GmailApp-style arguments
+ * @private
+ */
+function emailFromArguments(recipient, subject, body, options = {}) {
+  return {
+    to: recipient || '',
+    cc: options.cc || '',
+    bcc: options.bcc || '',
+    subject: subject || '',
+    plainBody: body || '',
+    htmlBody: options.htmlBody || '',
+    from: options.from || null,
+    name: options.name || null,
+    replyTo: options.replyTo || '',
+    noReply: !!options.noReply,
+    headers: options.headers || {},
+    attachments: options.attachments || []
+  };
+}
+
+/**
+ * Subject as Gmail compares it for threading
+ * @param {string} subject - Subject line
+ * @return {string} Lowercased subject without Re:/Fwd: prefixes
+ */
+function normalizeSubject(subject) {
+  return String(subject || '').replace(SUBJECT_PREFIX_PATTERN, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * @private
+ */
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : '';
+}
+
+/**
+ * @private
+ */
+function extractMessageIds(value) {
+  return (String(value || '').match(/<[^<>\s]+>/g) || []).map(id => id.toLowerCase());
+}
+
+/**
+ * @private
+ */
+function splitAddresses(value) {
+  return String(value || '')
+    .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+    .map(part => extractAddress(part))
+    .filter(Boolean);
+}
+
+/**
+ * Bare address from "Name <address>"
+ * @private
+ */
+function extractAddress(value) {
+  const match = /<([^>]+)>/.exec(value || '');
+  return (match ? match[1] : String(value || '')).trim();
+}
+
+/**
+ * @private
+ */
+function addLabel(record, label) {
+  if (!record.labels.includes(label)) {
+    record.labels.push(label);
+  }
+}
+
+/**
+ * @private
+ */
+function removeLabel(record, label) {
+  record.labels = record.labels.filter(existing => existing !== label);
+}
+
+/**
+ * @private
+ */
+function stripTags(html) {
+  return String(html).replace(/<[^>]*>/g, '');
+}
+
+/**
+ * @private
+ */
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+}
+
+module.exports = {
+  QUOTA_ERROR_MESSAGE,
+  SUBJECT_PREFIX_PATTERN,
+  EmulatedMailbox,
+  EmulatedGmailApp,
+  EmulatedGmailThread,
+  EmulatedGmailMessage,
+  EmulatedGmailDraft,
+  EmulatedGmailLabel,
+  compileSearchQuery,
+  normalizeSubject,
+  extractAddress,
+  splitAddresses,
+  headerValue
+};
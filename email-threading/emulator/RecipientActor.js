@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Simulated recipients that act on a thread in the emulated mailbox
+ * @version 2.0.0
+ * @description Replaces the "go to Gmail and reply only to the sender" steps of the
+ *              integration scenarios with scripted actions
+ *
+ * NOT an Apps Script file - do not copy the emulator/ folder into a script project.
+ *
+ * The emulator keeps a single mailbox (the script owner's), so an actor's email
+ * only shows up when it reaches the owner - directly or through a group the owner
+ * belongs to. Emails that do not are kept in scenario.elsewhere. Label and archive
+ * actions change the owner's copy of the thread, which is the copy the library reads.
+ */
+
+'use strict';
+
+const { SUBJECT_PREFIX_PATTERN, extractAddress, splitAddresses, headerValue } = require('./GmailEmulator');
+
+/**
+ * A person on the other end of a thread
+ */
+class RecipientActor {
+  /**
+   * @param {ThreadingScenario} scenario - Scenario the actor belongs to
+   * @param {string} address - Actor's address ("Name <address>" or address)
+   */
+  constructor(scenario, address) {
+    this.scenario = scenario;
+    this.mailbox = scenario.mailbox;
+    this.address = extractAddress(address);
+    this.from = address;
+  }
+
+  // =====================================================================
+  // REPLIES AND FORWARDS
+  // =====================================================================
+
+  /**
+   * Reply to the sender only - the reply that used to hijack group threads
+   * (goes to the message's Reply-To when it has one, like Gmail's "Reply")
+   * @param {string} body - Plain-text body
+   * @param {Object} [options] - { subject, threadId, message, attachments }
+   * @return {Object} { delivered, message, email } (see send)
+   */
+  replyToSender(body, options = {}) {
+    const parent = this.pickMessage(options);
+
+    return this.send({
+      to: parent.replyTo || parent.from,
+      subject: options.subject || `Re: ${stripPrefixes(parent.subject)}`,
+      body: body,
+      attachments: options.attachments || [],
+      headers: replyHeaders(parent)
+    });
+  }
+
+  /**
+   * Reply to the sender and everyone else on the message
+   * @param {string} body - Plain-text body
+   * @param {Object} [options] - { subject, threadId, message, attachments }
+   * @return {Object} { delivered, message, email } (see send)
+   */
+  replyAll(body, options = {}) {
+    const parent = this.pickMessage(options);
+    const isSelf = address => address.toLowerCase() === this.address.toLowerCase();
+
+    const to = splitAddresses([parent.replyTo || parent.from, parent.to].join(','))
+      .filter((address, index, all) => !isSelf(address) && all.indexOf(address) === index);
+    const cc = splitAddresses(parent.cc).filter(address => !isSelf(address) && !to.includes(address));
+
+    return this.send({
+      to: to.join(', '),
+      cc: cc.join(', '),
+      subject: options.subject || `Re: ${stripPrefixes(parent.subject)}`,
+      body: body,
+      attachments: options.attachments || [],
+      headers: replyHeaders(parent)
+    });
+  }
+
+  /**
+   * Forward the latest message to someone else
+   * @param {string} recipient - Forward target
+   * @param {string} [body] - Note added above the forwarded text
+   * @param {Object} [options] - { subject, threadId, message }
+   * @return {Object} { delivered, message, email } (see send)
+   */
+  forward(recipient, body = '', options = {}) {
+    const parent = this.pickMessage(options);
+
+    return this.send({
+      to: recipient,
+      subject: options.subject || `Fwd: ${stripPrefixes(parent.subject)}`,
+      body: [body, '---------- Forwarded message ---------', parent.plainBody].filter(Boolean).join('\n'),
+      headers: replyHeaders(parent)
+    });
+  }
+
+  /**
+   * Reply-all with an edited subject
+   * Gmail starts a new thread for it on the owner's side, because the subject
+   * no longer matches the thread's.
+   * @param {string} subject - New subject
+   * @param {string} body - Plain-text body
+   * @param {Object} [options] - { threadId, message }
+   * @return {Object} { delivered, message, email } (see send)
+   */
+  changeSubject(subject, body, options = {}) {
+    return this.replyAll(body, { ...options, subject: subject });
+  }
+
+  // =====================================================================
+  // MAILBOX ACTIONS (OWNER'S COPY OF THE THREAD)
+  // =====================================================================
+
+  /**
+   * Apply a label to the thread, creating the label if needed
+   * @param {string} name - Label name
+   * @param {Object} [options] - { threadId }
+   * @return {RecipientActor} This actor, for chaining
+   */
+  label(name, options = {}) {
+    const gmail = this.scenario.gmail;
+    const label = gmail.getUserLabelByName(name) || gmail.createLabel(name);
+    this.getThread(options).addLabel(label);
+    return this;
+  }
+
+  /**
+   * Remove a label from the thread
+   * @param {string} name - Label name
+   * @param {Object} [options] - { threadId }
+   * @return {RecipientActor} This actor, for chaining
+   */
+  unlabel(name, options = {}) {
+    const label = this.scenario.gmail.getUserLabelByName(name);
+    if (label) {
+      this.getThread(options).removeLabel(label);
+    }
+    return this;
+  }
+
+  /**
+   * Move the thread to a label and out of the inbox (Gmail's "Move to")
+   * @param {string} name - Label name
+   * @param {Object} [options] - { threadId }
+   * @return {RecipientActor} This actor, for chaining
+   */
+  moveTo(name, options = {}) {
+    return this.label(name, options).archive(options);
+  }
+
+  /**
+   * Archive the thread
+   * @param {Object} [options] - { threadId }
+   * @return {RecipientActor} This actor, for chaining
+   */
+  archive(options = {}) {
+    this.getThread(options).moveToArchive();
+    return this;
+  }
+
+  // =====================================================================
+  // INTERNALS
+  // =====================================================================
+
+  /**
+   * Send an email as this actor
+   * It lands in the emulated mailbox only if it reaches the owner.
+   * @private
+   * @return {Object} { delivered, message (EmulatedGmailMessage or null), email }
+   */
+  send(email) {
+    const full = { from: this.from, cc: '', ...email, date: new Date(this.mailbox.clock.now()) };
+    const recipients = splitAddresses([full.to, full.cc].filter(Boolean).join(','));
+
+    if (!this.mailbox.reaches(this.mailbox.owner, recipients)) {
+      this.scenario.elsewhere.push(full);
+      return { delivered: false, message: null, email: full };
+    }
+
+    return { delivered: true, message: this.mailbox.deliver(full), email: full };
+  }
+
+  /**
+   * Message to act on: the given one, or the latest in the thread that reached
+   * this actor (falling back to the latest message)
+   * @private
+   * @return {Object} Message record
+   */
+  pickMessage(options) {
+    if (options.message) {
+      return this.mailbox.messages.get(options.message.getId ? options.message.getId() : options.message);
+    }
+
+    const threadId = options.threadId || this.scenario.requireThreadId();
+    const thread = this.mailbox.threads.get(threadId);
+    if (!thread) {
+      throw new Error(`Thread ${threadId} is not in the mailbox`);
+    }
+
+    const records = thread.messageIds.map(id => this.mailbox.messages.get(id));
+    const received = records.filter(record =>
+      this.mailbox.reaches(this.address, splitAddresses([record.to, record.cc].join(',')))
+    );
+
+    const candidates = received.length > 0 ? received : records;
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * @private
+   */
+  getThread(options) {
+    return this.scenario.gmail.getThreadById(options.threadId || this.scenario.requireThreadId());
+  }
+}
+
+/**
+ * In-Reply-To and References for a reply to a message
+ * @private
+ */
+function replyHeaders(parent) {
+  return {
+    'In-Reply-To': parent.messageIdHeader,
+    'References': [headerValue(parent.headers, 'References'), parent.messageIdHeader].filter(Boolean).join(' ')
+  };
+}
+
+/**
+ * Subject without Re:/Fwd: prefixes, keeping its original case
+ * @private
+ */
+function stripPrefixes(subject) {
+  return String(subject || '').replace(SUBJECT_PREFIX_PATTERN, '');
+}
+
+module.exports = {
+  RecipientActor
+};
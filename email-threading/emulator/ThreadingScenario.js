@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Unattended threading scenarios: a stream, scripted recipients and checks
+ * @version 2.0.0
+ * @description Sets up a fresh emulated mailbox with one EmailThreadingManager, lets
+ *              RecipientActors act on its thread, then checks the next send
+ *
+ * NOT an Apps Script file - do not copy the emulator/ folder into a script project.
+ *
+ * Usage:
+ *   const scenario = new ThreadingScenario({
+ *     config: { recipientEmail: 'team@example.com', emailSubject: 'Daily Report' },
+ *     groups: { 'team@example.com': ['alice@example.com', 'bob@example.com'] }
+ *   });
+ *   scenario.send('<p>Day 1</p>');
+ *   scenario.actor('alice@example.com').replyToSender('Thanks!');
+ *   const result = scenario.send('<p>Day 2</p>');
+ *   scenario.expectThreadedSend(t, result);  // t: TestAssertions from EmailThreadingTestRunner
+ */
+
+'use strict';
+
+const { loadEmailThreadingLibrary } = require('./loadLibrary');
+const { RecipientActor } = require('./RecipientActor');
+const { splitAddresses, headerValue } = require('./GmailEmulator');
+
+/**
+ * One stream in a fresh emulated mailbox
+ */
+class ThreadingScenario {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - EmailThreadingManager config (recipientEmail, emailSubject, ...)
+   * @param {Object} [options.groups] - Group address -> member addresses
+   *        The owner is added to every group unless ownerInGroups is false
+   * @param {boolean} [options.ownerInGroups=true] - Whether the owner gets group mail
+   * @param {Object} [options.emulator] - Options for createAppsScriptEmulator
+   */
+  constructor(options) {
+    this.library = loadEmailThreadingLibrary({ emulator: options.emulator || {} });
+    this.emulator = this.library.emulator;
+    this.mailbox = this.emulator.mailbox;
+    this.gmail = this.emulator.globals.GmailApp;
+    this.elsewhere = [];   // Actor emails that never reached the owner
+    this.threadId = null;  // The stream's thread, once the first send created it
+
+    Object.entries(options.groups || {}).forEach(([address, members]) => {
+      const withOwner = options.ownerInGroups === false ? members : members.concat([this.mailbox.owner]);
+      this.mailbox.addGroup(address, withOwner);
+    });
+
+    this.config = { enableLogging: false, threadIdProperty: 'scenarioThreadId', ...options.config };
+    const EmailThreadingManager = this.library.get('EmailThreadingManager');
+    this.manager = new EmailThreadingManager(this.config);
+  }
+
+  /**
+   * Get an actor for an address
+   * @param {string} address - "Name <address>" or address
+   * @return {RecipientActor} Actor
+   */
+  actor(address) {
+    return new RecipientActor(this, address);
+  }
+
+  /**
+   * An InboundReplyProcessor for the stream, keeping its state in memory
+   * @param {Object} [config] - InboundReplyProcessor config (onReply, since, ...)
+   * @return {InboundReplyProcessor} Processor
+   */
+  inbound(config = {}) {
+    const InboundReplyProcessor = this.library.get('InboundReplyProcessor');
+    return new InboundReplyProcessor({ stateStore: 'memory', streams: [this.manager], ...config });
+  }
+
+  /**
+   * Send through the stream's manager (records the thread the first send creates)
+   * @param {string} htmlBody - HTML body
+   * @param {Object} [options] - sendThreadedEmail options
+   * @return {SendResult} Result
+   */
+  send(htmlBody, options = {}) {
+    const result = this.manager.sendThreadedEmail(htmlBody, options);
+
+    if (result.success && result.threadId && !this.threadId) {
+      this.threadId = result.threadId;
+    }
+
+    return result;
+  }
+
+  /**
+   * The stream's thread ID, or throw if nothing was sent yet
+   * @return {string} Thread ID
+   */
+  requireThreadId() {
+    if (!this.threadId) {
+      throw new Error('No thread yet - call scenario.send() first');
+    }
+    return this.threadId;
+  }
+
+  /**
+   * Move the emulator clock forward
+   * @param {number} ms - Milliseconds
+   */
+  advance(ms) {
+    this.emulator.clock.advance(ms);
+  }
+
+  /**
+   * Messages of the stream's thread as plain records, oldest first
+   * @return {Array<Object>} { id, from, to, cc, subject, labels, inReplyTo }
+   */
+  threadMessages() {
+    const thread = this.mailbox.threads.get(this.requireThreadId());
+    return thread.messageIds.map(id => {
+      const record = this.mailbox.messages.get(id);
+      return {
+        id: record.id,
+        from: record.from,
+        to: record.to,
+        cc: record.cc,
+        subject: record.subject,
+        labels: record.labels.slice(),
+        inReplyTo: headerValue(record.headers, 'In-Reply-To') || null
+      };
+    });
+  }
+
+  /**
+   * Check that a send went into the stream's thread, to the configured recipients
+   *
+   * Checks the result, the recipients actually used, that Gmail threaded the
+   * message into the same thread, and that it replies to the thread's previous
+   * message.
+   * @param {TestAssertions} t - Assertions of the running test
+   * @param {SendResult} result - Result of scenario.send()
+   * @param {Object} [expected] - { threadId (default: the stream's thread) }
+   */
+  expectThreadedSend(t, result, expected = {}) {
+    const threadId = expected.threadId || this.requireThreadId();
+
+    t.ok(result.success, `Send failed: ${result.errorMessage}`);
+    t.equal(result.action, 'replied', 'Send action');
+    t.equal(result.threadId, threadId, 'Thread reported by the send');
+
+    const sent = this.mailbox.outgoing[this.mailbox.outgoing.length - 1];
+    t.deepEqual(splitAddresses(sent.to), splitAddresses(this.config.recipientEmail), 'Recipients of the send');
+
+    const record = this.mailbox.messages.get(sent.messageId);
+    t.equal(record.threadId, threadId, 'Gmail thread of the sent message');
+
+    const thread = this.mailbox.threads.get(threadId);
+    const previousId = thread.messageIds[thread.messageIds.indexOf(record.id) - 1];
+    t.equal(headerValue(record.headers, 'In-Reply-To'), this.mailbox.messages.get(previousId).messageIdHeader,
+      'In-Reply-To of the send');
+  }
+}
+
+module.exports = {
+  ThreadingScenario
+};
@@ -0,0 +1,979 @@
+/**
+ * @fileoverview The manual integration scenarios, scripted to run unattended
+ * @version 2.0.0
+ * @description Unattended versions of testFolderMovementScenario, testExternalReplyScenario
+ *              and testGroupReplyPatterns (diagnosticts/EmailThreadingIntegrationTests.js),
+ *              plus forward, subject-change, Reply-To, From alias, inbound reply, relay,
+ *              rotation, outbox, duplicate send, recipient policy, housekeeping, thread recovery and send ledger cases
+ *
+ * NOT an Apps Script file - do not copy the emulator/ folder into a script project.
+ *
+ * Every scenario starts a fresh mailbox, lets recipients act on the thread, then
+ * checks with expectThreadedSend that the next send still joins the thread and
+ * still goes to the configured recipients.
+ */
+
+'use strict';
+
+const { ThreadingScenario } = require('./ThreadingScenario');
+
+const GROUP = 'team@example.com';
+const MEMBERS = ['Alice <alice@example.com>', 'Bob <bob@example.com>'];
+
+/**
+ * A scenario whose stream sends to the test group
+ * @private
+ */
+function groupScenario(subject) {
+  return new ThreadingScenario({
+    config: { recipientEmail: GROUP, emailSubject: subject },
+    groups: { [GROUP]: MEMBERS }
+  });
+}
+
+/**
+ * A spreadsheet with just the Sheet calls the library's sheet classes make
+ * @private
+ */
+function fakeSpreadsheet() {
+  const sheets = {};
+  const sheet = rows => ({
+    rows: rows,
+    appendRow: row => rows.push(row),
+    setFrozenRows: () => {},
+    getLastRow: () => rows.length,
+    deleteRows: (start, count) => rows.splice(start - 1, count),
+    getRange: (row, column, count, width) => ({
+      getValues: () => rows.slice(row - 1, row - 1 + count).map(values => values.slice(column - 1, column - 1 + width)),
+      setValues: values => values.forEach((values, i) => { rows[row - 1 + i] = values; })
+    })
+  });
+
+  return {
+    sheets: sheets,
+    getId: () => 'fake-spreadsheet',
+    getSheetByName: name => sheets[name] || null,
+    insertSheet: name => (sheets[name] = sheet([]))
+  };
+}
+
+/**
+ * Register the scenarios as suites with an EmailThreadingTestRunner
+ * @param {EmailThreadingTestRunner} runner - Runner (from the library scope)
+ * @return {EmailThreadingTestRunner} The runner
+ */
+function defineIntegrationScenarios(runner) {
+  runner.suite('Folder movement', suite => {
+    suite.test('Reply after the owner moves the thread to a label', t => {
+      const scenario = groupScenario('Integration Test - Folder Movement');
+      t.ok(scenario.send('<p>Step 1</p>').success, 'First send failed');
+
+      scenario.actor(scenario.mailbox.owner).moveTo('Reports/Daily');
+      const result = scenario.send('<p>Step 2</p>');
+
+      scenario.expectThreadedSend(t, result);
+      t.deepEqual(scenario.gmail.getThreadById(scenario.threadId).getLabels().map(label => label.getName()),
+        ['Reports/Daily'], 'Labels of the thread');
+    });
+
+    suite.test('Reply after the owner archives the thread', t => {
+      const scenario = groupScenario('Integration Test - Archive');
+      scenario.send('<p>Step 1</p>');
+
+      scenario.actor(scenario.mailbox.owner).archive();
+      scenario.expectThreadedSend(t, scenario.send('<p>Step 2</p>'));
+    });
+  });
+
+  runner.suite('External replies', suite => {
+    const recipients = 'test1@example.com, test2@example.com';
+
+    // replyTo: false - without a Reply-To these replies reach only the owner
+    suite.test('One recipient replies to the sender only', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: recipients, emailSubject: 'Integration Test - External Reply', replyTo: false }
+      });
+      scenario.send('<p>Initial</p>');
+
+      const reply = scenario.actor('test1@example.com').replyToSender('Got it, thanks');
+      t.ok(reply.delivered, 'Reply did not reach the owner');
+      t.equal(scenario.threadMessages().length, 2, 'Messages in the thread after the reply');
+
+      // The next email must go to both recipients, not just the last replier
+      scenario.expectThreadedSend(t, scenario.send('<p>Automated response</p>'));
+    });
+
+    suite.test('Replies from every recipient', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: recipients, emailSubject: 'Integration Test - Several Replies', replyTo: false }
+      });
+      scenario.send('<p>Initial</p>');
+
+      scenario.actor('test2@example.com').replyToSender('Private reply from test2');
+      scenario.advance(60 * 1000);
+      scenario.actor('test1@example.com').replyAll('Reply all from test1');
+
+      scenario.expectThreadedSend(t, scenario.send('<p>Automated response</p>'));
+      t.equal(scenario.threadMessages().length, 4, 'Messages in the thread');
+    });
+
+    suite.test('Reply follows the default Reply-To to every recipient', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: recipients, emailSubject: 'Integration Test - Reply-To' }
+      });
+      scenario.send('<p>Initial</p>');
+      t.equal(scenario.mailbox.outgoing[0].replyTo, recipients, 'Reply-To of the first send');
+
+      const reply = scenario.actor('test1@example.com').replyToSender('Answering everyone');
+      t.equal(reply.email.to, recipients, 'Recipients of the reply');
+      t.equal(reply.delivered, false, 'Reply reached the owner, who is not a recipient');
+
+      scenario.expectThreadedSend(t, scenario.send('<p>Automated response</p>'));
+    });
+  });
+
+  runner.suite('Group reply patterns', suite => {
+    suite.test('Member replies only to the sender', t => {
+      const scenario = groupScenario('Integration Test - Group Reply Patterns');
+      scenario.send('<p>Email #1</p>');
+
+      const reply = scenario.actor('alice@example.com').replyToSender('Only to you');
+      t.equal(reply.email.to, GROUP, 'Reply goes to the group through Reply-To');
+
+      const result = scenario.send('<p>Email #2</p>');
+      scenario.expectThreadedSend(t, result);
+      t.equal(scenario.mailbox.outgoing[1].replyTo, GROUP, 'Reply-To of the threaded reply');
+    });
+
+    suite.test('Member replies to the whole group', t => {
+      const scenario = groupScenario('Integration Test - Group Reply All');
+      scenario.send('<p>Email #1</p>');
+
+      const reply = scenario.actor('bob@example.com').replyAll('To everyone');
+      t.equal(reply.email.to, GROUP, 'Reply-all recipients');
+
+      scenario.expectThreadedSend(t, scenario.send('<p>Email #2</p>'));
+    });
+
+    suite.test('Member forwards the thread outside the group', t => {
+      const scenario = groupScenario('Integration Test - Forward');
+      scenario.send('<p>Email #1</p>');
+
+      const forward = scenario.actor('alice@example.com').forward('manager@example.org', 'FYI');
+      t.equal(forward.delivered, false, 'Forward to an outsider reached the owner');
+      t.equal(scenario.elsewhere.length, 1, 'Emails kept outside the mailbox');
+
+      scenario.expectThreadedSend(t, scenario.send('<p>Email #2</p>'));
+    });
+
+    suite.test('Member changes the subject', t => {
+      const scenario = groupScenario('Integration Test - Subject Change');
+      scenario.send('<p>Email #1</p>');
+
+      const reply = scenario.actor('alice@example.com').changeSubject('Different topic', 'New subject');
+      t.notEqual(reply.message.getThread().getId(), scenario.threadId, 'Thread of the renamed reply');
+
+      const result = scenario.send('<p>Email #2</p>');
+      scenario.expectThreadedSend(t, result);
+      t.equal(result.subject, 'Re: Integration Test - Subject Change', 'Subject of the next send');
+    });
+
+    suite.test('Stream sends from an alias with a display name', t => {
+      const scenario = new ThreadingScenario({
+        config: {
+          recipientEmail: GROUP,
+          emailSubject: 'Integration Test - Alias',
+          from: 'reports@example.com',
+          fromName: 'Daily Reports'
+        },
+        groups: { [GROUP]: MEMBERS },
+        emulator: { aliases: ['reports@example.com'] }
+      });
+      scenario.send('<p>Email #1</p>');
+
+      const reply = scenario.actor('bob@example.com').replyToSender('Thanks');
+      t.ok(reply.delivered, 'Reply did not reach the group');
+
+      scenario.expectThreadedSend(t, scenario.send('<p>Email #2</p>'));
+      scenario.threadMessages()
+        .filter(message => !message.from.includes('bob@'))
+        .forEach(message => t.equal(message.from, 'Daily Reports <reports@example.com>', 'From of a stream message'));
+    });
+
+    suite.test('Members reply with localized prefixes to a tagged stream', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: GROUP, emailSubject: 'Integration Test - Localized', streamTag: 'DAILY-OPS' },
+        groups: { [GROUP]: MEMBERS }
+      });
+      const first = scenario.send('<p>Email #1</p>');
+      t.equal(first.subject, '[DAILY-OPS] Integration Test - Localized', 'Subject of the new thread');
+
+      scenario.actor('alice@example.com').replyAll('Danke', { subject: 'AW: [DAILY-OPS] Integration Test - Localized' });
+      scenario.actor('bob@example.com').replyAll('Tack', { subject: 'SV: AW: [DAILY-OPS] Integration Test - Localized' });
+
+      const result = scenario.send('<p>Email #2</p>');
+      scenario.expectThreadedSend(t, result);
+      t.equal(result.subject, 'Re: [DAILY-OPS] Integration Test - Localized', 'Subject of the next send');
+    });
+
+    suite.test('A queued send keeps its subject normalizer instance; a custom one is not queued', t => {
+      const scenario = groupScenario('Integration Test - Queued Subjects');
+      const EmailThreadingManager = scenario.library.get('EmailThreadingManager');
+      const SubjectNormalizer = scenario.library.get('SubjectNormalizer');
+      const subjects = new SubjectNormalizer({ streamTag: 'OPS-9', replyPrefixes: ['Odp'] });
+      const manager = new EmailThreadingManager({ ...scenario.config, outbox: true, subjects: subjects });
+      scenario.mailbox.setRemainingQuota(0);
+      t.equal(manager.sendThreadedEmail('<p>Report</p>').action, 'queued', 'Send without quota');
+
+      scenario.advance(24 * 60 * 60 * 1000);
+      const [fired] = scenario.library.fireTriggers();
+      t.deepEqual([fired.result.sent, fired.result.failed], [1, 0], 'Drain summary');
+      t.equal(scenario.mailbox.outgoing[0].subject, '[OPS-9] Integration Test - Queued Subjects', 'Subject of the drained email');
+
+      // A custom normalizer cannot be recreated by the drain, so it is never queued
+      const custom = new EmailThreadingManager({
+        ...scenario.config,
+        threadIdProperty: 'customSubjectsThreadId',
+        outbox: true,
+        subjects: {
+          parse: subject => subjects.parse(subject),
+          formatReply: subject => subjects.formatReply(subject),
+          normalize: subject => subjects.normalize(subject),
+          addStreamTag: subject => subjects.addStreamTag(subject)
+        }
+      });
+      scenario.mailbox.setRemainingQuota(0);
+      const refused = custom.sendThreadedEmail('<p>Report</p>');
+      t.equal(refused.action, 'failed', 'Send without quota with a custom normalizer');
+      t.match(refused.errorMessage, /custom subjects object cannot be stored/, 'Error');
+    });
+
+    suite.test('Several members act before the next send', t => {
+      const scenario = groupScenario('Integration Test - Busy Thread');
+      scenario.send('<p>Email #1</p>');
+
+      scenario.actor('alice@example.com').replyToSender('Only to you');
+      scenario.actor('bob@example.com').replyAll('To everyone');
+      scenario.actor('alice@example.com').forward('manager@example.org');
+      scenario.actor(scenario.mailbox.owner).moveTo('Reports');
+
+      scenario.expectThreadedSend(t, scenario.send('<p>Email #2</p>'));
+      scenario.expectThreadedSend(t, scenario.send('<p>Email #3</p>'));
+    });
+  });
+
+  runner.suite('Thread rotation', suite => {
+    suite.test('A full thread is rotated and replies go to the new one', t => {
+      const scenario = new ThreadingScenario({
+        config: {
+          recipientEmail: GROUP,
+          emailSubject: 'Integration Test - Rotation',
+          rotationPolicy: { type: 'messages', count: 3 }
+        },
+        groups: { [GROUP]: MEMBERS }
+      });
+      scenario.send('<p>Message 1</p>');
+      scenario.actor('alice@example.com').replyAll('Replies count toward the limit');
+      t.equal(scenario.send('<p>Message 2</p>').action, 'replied', 'Send below the limit');
+
+      const rotated = scenario.send('<p>Message 3</p>');
+      t.deepEqual([rotated.action, rotated.previousThreadId], ['created', null], 'Send at the limit');
+      t.ok(rotated.rotation, 'Rotation not reported');
+      t.notEqual(rotated.threadId, scenario.threadId, 'Thread after rotation');
+
+      scenario.threadId = rotated.threadId;
+      scenario.expectThreadedSend(t, scenario.send('<p>Message 4</p>'));
+    });
+
+    suite.test('An age policy rotates once the thread is old enough', t => {
+      const scenario = new ThreadingScenario({
+        config: {
+          recipientEmail: GROUP,
+          emailSubject: 'Integration Test - Age Rotation',
+          rotationPolicy: { type: 'age', maxAgeHours: 48 }
+        },
+        groups: { [GROUP]: MEMBERS }
+      });
+      scenario.send('<p>Day 1</p>');
+
+      scenario.advance(24 * 60 * 60 * 1000);
+      scenario.expectThreadedSend(t, scenario.send('<p>Day 2</p>'));
+
+      scenario.advance(24 * 60 * 60 * 1000);
+      const rotated = scenario.send('<p>Day 3</p>');
+      t.equal(rotated.action, 'created', 'Send after 48 hours');
+      t.notEqual(rotated.threadId, scenario.threadId, 'Thread after rotation');
+    });
+  });
+
+  runner.suite('Outbox', suite => {
+    suite.test('Sends without quota are queued, then drained in order by the trigger', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: GROUP, emailSubject: 'Integration Test - Outbox', outbox: true },
+        groups: { [GROUP]: MEMBERS }
+      });
+      scenario.mailbox.setRemainingQuota(0);
+
+      const queued = ['<p>Report 1</p>', '<p>Report 2</p>'].map(body => scenario.send(body));
+      t.deepEqual(queued.map(result => result.action), ['queued', 'queued'], 'Sends without quota');
+      t.equal(scenario.mailbox.outgoing.length, 0, 'Emails sent without quota');
+      t.equal(scenario.emulator.scriptApp.getProjectTriggers().length, 1, 'Drain triggers after queueing');
+
+      scenario.advance(24 * 60 * 60 * 1000);  // Quota resets the next day
+      scenario.library.fireTriggers();
+
+      t.deepEqual(scenario.mailbox.outgoing.map(email => email.htmlBody.match(/Report \d/)[0]),
+        ['Report 1', 'Report 2'], 'Delivery order');
+      t.equal(new Set(scenario.mailbox.outgoing.map(email => email.threadId)).size, 1, 'Threads used by the queued emails');
+      t.equal(scenario.manager.outbox.countPending(), 0, 'Emails left in the outbox');
+      t.equal(scenario.emulator.scriptApp.getProjectTriggers().length, 0, 'Drain triggers after draining');
+
+      scenario.threadId = scenario.mailbox.outgoing[0].threadId;
+      scenario.expectThreadedSend(t, scenario.send('<p>Report 3</p>'));
+    });
+
+    suite.test('A send that timed out is not queued', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: GROUP, emailSubject: 'Integration Test - Outbox Timeout', outbox: true },
+        groups: { [GROUP]: MEMBERS }
+      });
+      scenario.mailbox.failNext('sendDraft', 'Request timed out');
+
+      const result = scenario.send('<p>Report</p>');
+      t.deepEqual([result.action, result.errorType], ['failed', 'transient'], 'Send that timed out');
+      t.equal(scenario.manager.outbox.countPending(), 0, 'Emails queued');
+      t.equal(scenario.emulator.scriptApp.getProjectTriggers().length, 0, 'Drain triggers');
+    });
+
+    suite.test('An email that failed after going out is marked failed, not sent again', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: GROUP, emailSubject: 'Integration Test - Outbox Sent Once', outbox: true },
+        groups: { [GROUP]: MEMBERS }
+      });
+      scenario.mailbox.setRemainingQuota(0);
+      scenario.send('<p>Report</p>');
+      scenario.advance(24 * 60 * 60 * 1000);
+
+      // Storing the new thread ID fails once the email is sent
+      const properties = scenario.emulator.globals.PropertiesService.getScriptProperties();
+      const setProperty = properties.setProperty.bind(properties);
+      properties.setProperty = (key, value) => {
+        if (key === scenario.config.threadIdProperty) throw new Error('Unexpected error while saving');
+        return setProperty(key, value);
+      };
+
+      scenario.library.fireTriggers();
+      scenario.library.fireTriggers();
+      t.equal(scenario.mailbox.outgoing.length, 1, 'Emails sent');
+      const [item] = scenario.manager.outbox.list();
+      t.equal(item.status, 'failed', 'Status of the email');
+      t.match(item.lastError, /May already have been sent/, 'Error of the email');
+    });
+
+    suite.test('A stream logging to a memory sink is still drained', t => {
+      const scenario = groupScenario('Integration Test - Outbox Logging');
+      const EmailThreadingManager = scenario.library.get('EmailThreadingManager');
+      const MemoryLogSink = scenario.library.get('MemoryLogSink');
+      const sink = new MemoryLogSink();
+      const manager = new EmailThreadingManager({
+        ...scenario.config,
+        enableLogging: true,
+        outbox: true,
+        logging: { sinks: [sink] },
+        housekeeping: { labels: 'Reports' }
+      });
+      scenario.mailbox.setRemainingQuota(0);
+      t.equal(manager.sendThreadedEmail('<p>Report</p>').action, 'queued', 'Send without quota');
+      t.ok(sink.messages().length > 0, 'Nothing logged to the memory sink');
+
+      scenario.advance(24 * 60 * 60 * 1000);
+      const [fired] = scenario.library.fireTriggers();
+      t.deepEqual([fired.result.sent, fired.result.failed], [1, 0], 'Drain summary');
+      t.equal(scenario.mailbox.outgoing.length, 1, 'Emails sent');
+    });
+  });
+
+  runner.suite('Duplicate sends', suite => {
+    suite.test('Keyed sends to a registry stream stay deduplicated as the keys pile up', t => {
+      const scenario = groupScenario('Integration Test - Registry Dedup');
+      const EmailThreadRegistry = scenario.library.get('EmailThreadRegistry');
+      const registry = new EmailThreadRegistry();
+      registry.createStream('daily', { recipientEmail: GROUP, emailSubject: 'Integration Test - Registry Dedup' });
+
+      const keys = Array.from({ length: 20 }, (_, i) => `report:${i + 1}`);
+      const sent = keys.map(key => registry.sendToStream('daily', `<p>${key}</p>`, { idempotencyKey: key }));
+      t.deepEqual(sent.filter(result => !result.success || result.warnings.length), [], 'Failed or warned sends');
+
+      const repeated = keys.map(key => registry.sendToStream('daily', `<p>${key}, again</p>`, { idempotencyKey: key }));
+      t.ok(repeated.every(result => result.duplicate), 'Repeats not all detected');
+      t.deepEqual(repeated.map(result => result.messageId), sent.map(result => result.messageId), 'Results of the repeats');
+      t.equal(scenario.mailbox.outgoing.length, keys.length, 'Emails sent');
+    });
+
+    suite.test('A key that cannot be stored sends nothing', t => {
+      const scenario = groupScenario('Integration Test - Dedup Failure');
+      const store = scenario.manager.stateStore;
+      const set = store.set.bind(store);
+      store.set = (key, value) => {
+        if (key === scenario.manager.stateKeys.sentKeys) throw new Error('You have exceeded the property storage quota');
+        return set(key, value);
+      };
+
+      const result = scenario.send('<p>Report</p>', { idempotencyKey: 'report:1' });
+      t.deepEqual([result.success, result.action], [false, 'failed'], 'Send with an unstorable key');
+      t.match(result.errorMessage, /could not be stored/, 'Error message');
+      t.equal(scenario.mailbox.outgoing.length, 0, 'Emails sent');
+    });
+  });
+
+  runner.suite('Recipient policy', suite => {
+    suite.test('A consumer account does not treat every webmail address as internal', t => {
+      const scenario = new ThreadingScenario({
+        config: {
+          recipientEmail: GROUP,
+          emailSubject: 'Integration Test - Recipient Policy',
+          recipientPolicy: { allowedDomains: ['example.com'] }
+        },
+        groups: { [GROUP]: MEMBERS },
+        emulator: { owner: 'owner@gmail.com' }
+      });
+
+      scenario.send('<p>Day 1</p>');
+
+      const blocked = scenario.send('<p>Day 2</p>', { cc: 'someone@gmail.com' });
+      t.deepEqual([blocked.success, blocked.errorType], [false, 'recipientPolicy'], 'Send with a gmail.com cc');
+      t.equal(scenario.mailbox.outgoing.length, 1, 'Emails sent');
+
+      scenario.expectThreadedSend(t, scenario.send('<p>Day 2</p>'));
+    });
+
+    suite.test('A queued send keeps its policy instance; a custom policy is not queued', t => {
+      const scenario = groupScenario('Integration Test - Queued Policy');
+      const EmailThreadingManager = scenario.library.get('EmailThreadingManager');
+      const RecipientPolicy = scenario.library.get('RecipientPolicy');
+      const manager = new EmailThreadingManager({
+        ...scenario.config,
+        outbox: true,
+        recipientPolicy: new RecipientPolicy({ allowedAddresses: ['partner@example.org'] })
+      });
+      scenario.mailbox.setRemainingQuota(0);
+      t.equal(manager.sendThreadedEmail('<p>Report</p>', { cc: 'partner@example.org' }).action, 'queued',
+        'Send without quota');
+
+      scenario.advance(24 * 60 * 60 * 1000);
+      const [fired] = scenario.library.fireTriggers();
+      t.deepEqual([fired.result.sent, fired.result.failed], [1, 0], 'Drain summary');
+      t.equal(scenario.mailbox.outgoing[0].cc, 'partner@example.org', 'Cc of the drained email');
+
+      // A custom policy cannot be recreated by the drain, so it is never queued
+      const policy = new RecipientPolicy({ allowExternal: true });
+      const custom = new EmailThreadingManager({
+        ...scenario.config,
+        threadIdProperty: 'customPolicyThreadId',
+        outbox: true,
+        recipientPolicy: {
+          enforce: recipients => policy.enforce(recipients),
+          resolve: recipients => policy.resolve(recipients),
+          resolveField: (field, value) => policy.resolveField(field, value)
+        }
+      });
+      scenario.mailbox.setRemainingQuota(0);
+      const refused = custom.sendThreadedEmail('<p>Report</p>');
+      t.equal(refused.action, 'failed', 'Send without quota under a custom policy');
+      t.match(refused.errorMessage, /custom recipientPolicy object cannot be stored/, 'Error');
+    });
+  });
+
+  runner.suite('Inbound replies', suite => {
+    suite.test('Replies reach the handler cleaned, once', t => {
+      const scenario = groupScenario('Integration Test - Inbound');
+      const received = [];
+      const inbound = scenario.inbound({ onReply: (message, context) => received.push({ message, context }) });
+      scenario.send('<p>Status?</p>');
+
+      const report = scenario.emulator.globals.Utilities.newBlob('a,b', 'text/csv', 'report.csv');
+      scenario.actor('Alice <alice@example.com>').replyToSender(
+        'All green\n\n-- \nAlice\n\nOn Mon, Jan 5, 2026 at 9:00 AM Script Owner <owner@example.com> wrote:\n> Status?',
+        { attachments: [report] });
+
+      const summary = inbound.poll();
+      t.equal(summary.processed, 1, 'Replies processed');
+      t.equal(summary.skipped, 1, 'Own sends skipped');
+      t.equal(received.length, 1, 'Handler calls');
+
+      const { message, context } = received[0];
+      t.equal(message.fromAddress, 'alice@example.com', 'Sender');
+      t.equal(message.fromName, 'Alice', 'Sender name');
+      t.equal(message.body, 'All green', 'Clean body');
+      t.equal(message.signature, '-- \nAlice', 'Signature');
+      t.match(message.quoted, /^On Mon, .* wrote:\nStatus\?$/, 'Quoted history');
+      t.deepEqual(message.attachments.map(file => file.getName()), ['report.csv'], 'Attachments');
+      t.equal(context.streamKey, 'scenarioThreadId', 'Stream key');
+      t.equal(context.isCurrentThread, true, 'Reply is in the current thread');
+
+      scenario.send('<p>Thanks</p>');
+      t.equal(inbound.poll().processed, 0, 'Replies processed again');
+      t.equal(received.length, 1, 'Handler calls after the second poll');
+    });
+
+    suite.test('Replies to registry streams are polled through the registry', t => {
+      const scenario = groupScenario('Integration Test - Inbound Registry');
+      const EmailThreadRegistry = scenario.library.get('EmailThreadRegistry');
+      const registry = new EmailThreadRegistry();
+      registry.createStream('daily', { recipientEmail: GROUP, emailSubject: 'Integration Test - Inbound Registry' });
+      scenario.threadId = registry.sendToStream('daily', '<p>Status?</p>').threadId;
+
+      scenario.actor('Alice <alice@example.com>').replyToSender('All green');
+
+      const received = [];
+      const inbound = scenario.inbound({
+        streams: [],
+        registry: registry,
+        onReply: (message, context) => received.push(context.streamKey)
+      });
+      const summary = inbound.poll();
+      t.equal(summary.processed, 1, 'Replies processed');
+      t.deepEqual(received, ['daily'], 'Streams of the handled replies');
+    });
+
+    suite.test('A failing handler is retried, then given up', t => {
+      const scenario = groupScenario('Integration Test - Inbound Failure');
+      let calls = 0;
+      const inbound = scenario.inbound({
+        maxAttempts: 2,
+        onReply: () => {
+          calls++;
+          throw new Error('Sheet is locked');
+        }
+      });
+      scenario.send('<p>Status?</p>');
+      scenario.actor('bob@example.com').replyAll('Done');
+
+      t.equal(inbound.poll().failed, 1, 'Failures on the first poll');
+      t.deepEqual(inbound.poll().replies.map(reply => reply.status), ['failed'], 'Statuses on the second poll');
+      t.equal(inbound.poll().failed, 0, 'Failures after giving up');
+      t.equal(calls, 2, 'Handler calls');
+    });
+
+    suite.test('Replies to the thread before a reset are still read', t => {
+      const scenario = groupScenario('Integration Test - Inbound Reset');
+      const senders = [];
+      const inbound = scenario.inbound({ onReply: (message, context) => senders.push([message.fromAddress, context.isCurrentThread]) });
+      scenario.send('<p>Week 1</p>');
+      const firstThreadId = scenario.threadId;
+
+      scenario.manager.resetThreading();
+      scenario.actor('alice@example.com').replyToSender('Late answer for week 1', { threadId: firstThreadId });
+      scenario.send('<p>Week 2</p>');
+      scenario.actor('bob@example.com').replyToSender('Week 2 looks fine', { threadId: scenario.manager.getThreadInfo().currentThreadId });
+
+      inbound.poll();
+      t.deepEqual(senders, [['bob@example.com', true], ['alice@example.com', false]], 'Replies and their threads');
+    });
+  });
+
+  runner.suite('Reply relay', suite => {
+    // Without a Reply-To, "Reply" answers only the owner - the replies relay mode repairs
+    const privateReplyScenario = (subject, config = {}) => new ThreadingScenario({
+      config: { recipientEmail: GROUP, emailSubject: subject, replyTo: false, ...config },
+      groups: { [GROUP]: MEMBERS }
+    });
+
+    suite.test('Reply to the sender only is relayed to the group', t => {
+      const scenario = privateReplyScenario('Integration Test - Relay');
+      const seen = [];
+      const inbound = scenario.inbound({ relay: true, onReply: message => seen.push(message.relay) });
+      scenario.send('<p>Status?</p>');
+
+      const reply = scenario.actor('Alice <alice@example.com>').replyToSender('Blocked on the vendor\n\n-- \nAlice');
+      t.equal(reply.email.to, `Script Owner <${scenario.mailbox.owner}>`, 'Reply went only to the owner');
+
+      const summary = inbound.poll();
+      t.equal(summary.relayed, 1, 'Replies relayed');
+      t.equal(seen[0].relay, true, 'Relay decision given to the handler');
+
+      const relay = scenario.mailbox.outgoing[scenario.mailbox.outgoing.length - 1];
+      t.equal(relay.to, GROUP, 'Relay recipients');
+      t.includes(relay.htmlBody, '↪ Reply from <strong>Alice &lt;alice@example.com&gt;</strong>', 'Attribution');
+      t.includes(relay.htmlBody, 'Blocked on the vendor</blockquote>', 'Quoted reply without the signature');
+      t.equal(relay.headers['X-Email-Threading-Relay'], reply.message.getId(), 'Relay header');
+      t.equal(scenario.mailbox.messages.get(relay.messageId).threadId, scenario.threadId, 'Thread of the relay');
+
+      const again = inbound.poll();
+      t.equal(again.relayed, 0, 'Relays on the next poll');
+      t.equal(again.processed, 0, 'Replies processed on the next poll');
+      scenario.expectThreadedSend(t, scenario.send('<p>Next status</p>'));
+    });
+
+    suite.test('Replies that reached the group, auto-replies and opted-out streams are not relayed', t => {
+      const scenario = privateReplyScenario('Integration Test - No Relay');
+      const inbound = scenario.inbound({ relay: true });
+      scenario.send('<p>Status?</p>');
+
+      scenario.actor('bob@example.com').replyAll('To everyone');
+      scenario.mailbox.deliver({
+        from: 'carol@example.org',
+        subject: 'Automatic reply: Integration Test - No Relay',
+        body: 'I am out of the office',
+        headers: { 'Auto-Submitted': 'auto-replied', 'In-Reply-To': scenario.threadMessages()[0].id }
+      });
+      const outgoing = scenario.mailbox.outgoing.length;
+
+      t.equal(inbound.poll().relayed, 0, 'Replies relayed');
+      t.equal(scenario.mailbox.outgoing.length, outgoing, 'Emails sent by the poll');
+
+      const optedOut = privateReplyScenario('Integration Test - Opted Out', { relayReplies: false });
+      optedOut.send('<p>Status?</p>');
+      optedOut.actor('alice@example.com').replyToSender('Only to you');
+      const decisions = [];
+      optedOut.inbound({ relay: true, onReply: message => decisions.push(message.relay.reason) }).poll();
+      t.deepEqual(decisions, ['Stream opted out (relayReplies: false)'], 'Decision for an opted-out stream');
+    });
+
+    suite.test('A reply in the previous thread is relayed there, and a queued relay counts as relayed', t => {
+      const scenario = privateReplyScenario('Integration Test - Relay Previous Thread', { outbox: true });
+      const inbound = scenario.inbound({ relay: true });
+      scenario.send('<p>Week 1</p>');
+      const previousThreadId = scenario.threadId;
+      scenario.actor('alice@example.com').replyToSender('About week 1');
+
+      scenario.manager.resetThreading();
+      const week2 = scenario.send('<p>Week 2</p>');
+      t.equal(inbound.poll().relayed, 1, 'Replies relayed');
+
+      const relay = scenario.mailbox.outgoing[scenario.mailbox.outgoing.length - 1];
+      t.equal(scenario.mailbox.messages.get(relay.messageId).threadId, previousThreadId, 'Thread of the relay');
+      t.equal(relay.subject, 'Re: Integration Test - Relay Previous Thread', 'Subject of the relay');
+      t.equal(scenario.manager.getThreadInfo().currentThreadId, week2.threadId, 'Current thread');
+      t.equal(scenario.manager.getThreadInfo().threadMeta.sendCount, 1, 'Sends counted in the current thread');
+
+      scenario.threadId = week2.threadId;
+      scenario.actor('bob@example.com').replyToSender('About week 2');
+      scenario.mailbox.setRemainingQuota(0);
+      const summary = inbound.poll();
+      t.deepEqual([summary.relayed, summary.failed], [1, 0], 'Relayed and failed while out of quota');
+      t.equal(scenario.manager.outbox.countPending(), 1, 'Relays queued');
+    });
+
+    suite.test('Relays over the per-poll limit wait for the next poll', t => {
+      const scenario = privateReplyScenario('Integration Test - Relay Limit');
+      const inbound = scenario.inbound({ relay: { maxPerPoll: 1 } });
+      scenario.send('<p>Status?</p>');
+
+      scenario.actor('alice@example.com').replyToSender('First');
+      scenario.actor('bob@example.com').replyToSender('Second');
+
+      const first = inbound.poll();
+      t.deepEqual([first.relayed, first.deferred], [1, 1], 'Relayed and deferred on the first poll');
+      const second = inbound.poll();
+      t.deepEqual([second.relayed, second.deferred], [1, 0], 'Relayed and deferred on the second poll');
+      t.equal(scenario.mailbox.outgoing.length, 3, 'Emails sent');
+    });
+  });
+
+  runner.suite('Housekeeping', suite => {
+    const labelsOf = (scenario, threadId) =>
+      scenario.gmail.getThreadById(threadId).getLabels().map(label => label.getName()).sort();
+
+    suite.test('New and replied threads are labeled, archived and read', t => {
+      const scenario = new ThreadingScenario({
+        config: {
+          recipientEmail: GROUP,
+          emailSubject: 'Integration Test - Housekeeping',
+          housekeeping: { labels: ['Reports/Daily'], archive: true, markRead: true, star: true }
+        },
+        groups: { [GROUP]: MEMBERS }
+      });
+
+      const first = scenario.send('<p>Day 1</p>');
+      t.deepEqual(first.housekeeping.labeled, ['Reports/Daily'], 'Labels applied');
+      t.ok(scenario.gmail.getUserLabelByName('Reports'), 'Parent label was not created');
+
+      const thread = scenario.gmail.getThreadById(scenario.threadId);
+      t.deepEqual([thread.isInInbox(), thread.isUnread(), thread.hasStarredMessages()], [false, false, true],
+        'Inbox, unread and starred after the first send');
+
+      // A group member's reply brings the thread back; the next send tidies it again
+      scenario.actor('alice@example.com').replyAll('Thanks');
+      t.equal(thread.isInInbox(), true, 'Thread back in the inbox after a reply');
+
+      const second = scenario.send('<p>Day 2</p>');
+      scenario.expectThreadedSend(t, second);
+      t.deepEqual(second.warnings, [], 'Warnings of the reply');
+      t.deepEqual([thread.isInInbox(), thread.isUnread()], [false, false], 'Inbox and unread after the reply');
+      t.deepEqual(labelsOf(scenario, scenario.threadId), ['Reports/Daily'], 'Labels of the thread');
+    });
+
+    suite.test('A reset or rotation tidies the retired thread', t => {
+      const scenario = new ThreadingScenario({
+        config: {
+          recipientEmail: GROUP,
+          emailSubject: 'Integration Test - Retired Thread',
+          rotationPolicy: { type: 'messages', count: 2 },
+          housekeeping: {
+            labels: ['Reports/Current'],
+            star: true,
+            rotated: { labels: ['Reports/Old'], removeLabels: ['Reports/Current'], archive: true, star: false }
+          }
+        },
+        groups: { [GROUP]: MEMBERS }
+      });
+
+      scenario.send('<p>Week 1</p>');
+      const firstThreadId = scenario.threadId;
+      scenario.manager.resetThreading();
+
+      t.deepEqual(labelsOf(scenario, firstThreadId), ['Reports/Old'], 'Labels after the reset');
+      const retired = scenario.gmail.getThreadById(firstThreadId);
+      t.deepEqual([retired.isInInbox(), retired.hasStarredMessages()], [false, false], 'Inbox and starred after the reset');
+
+      const week2 = scenario.send('<p>Week 2</p>');
+      scenario.send('<p>Week 2, again</p>');
+      const week3 = scenario.send('<p>Week 3</p>');
+      t.ok(week3.rotation, 'Third send did not rotate');
+      t.deepEqual(labelsOf(scenario, week2.threadId), ['Reports/Old'], 'Labels of the rotated-out thread');
+      t.deepEqual(labelsOf(scenario, week3.threadId), ['Reports/Current'], 'Labels of the new thread');
+      t.equal(scenario.manager.getThreadInfo().threadDetails.starred, true, 'Current thread starred');
+    });
+
+    suite.test('A queued send is tidied by its housekeeper instance when drained', t => {
+      const scenario = groupScenario('Integration Test - Queued Housekeeping');
+      const EmailThreadingManager = scenario.library.get('EmailThreadingManager');
+      const ThreadHousekeeper = scenario.library.get('ThreadHousekeeper');
+      const manager = new EmailThreadingManager({
+        ...scenario.config,
+        outbox: true,
+        housekeeping: new ThreadHousekeeper({ labels: ['Reports/Queued'], archive: true })
+      });
+      scenario.mailbox.setRemainingQuota(0);
+      t.equal(manager.sendThreadedEmail('<p>Report</p>').action, 'queued', 'Send without quota');
+
+      scenario.advance(24 * 60 * 60 * 1000);
+      const [fired] = scenario.library.fireTriggers();
+      t.deepEqual([fired.result.sent, fired.result.failed], [1, 0], 'Drain summary');
+      const threadId = scenario.mailbox.outgoing[0].threadId;
+      t.deepEqual(labelsOf(scenario, threadId), ['Reports/Queued'], 'Labels of the drained thread');
+      t.equal(scenario.gmail.getThreadById(threadId).isInInbox(), false, 'Drained thread in the inbox');
+    });
+  });
+
+  runner.suite('Thread recovery', suite => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const forget = (scenario, ...keys) => keys.forEach(key => scenario.manager.stateStore.delete(scenario.manager.stateKeys[key]));
+
+    suite.test('A lost thread ID is recovered by the first Message-ID', t => {
+      const scenario = groupScenario('Integration Test - Lost Thread ID');
+      scenario.send('<p>Day 1</p>');
+      scenario.actor('alice@example.com').replyAll('Noted');
+
+      forget(scenario, 'threadId');
+      const result = scenario.send('<p>Day 2</p>');
+
+      scenario.expectThreadedSend(t, result);
+      t.equal(result.recovery.method, 'messageId', 'Recovery method');
+      t.equal(result.recovery.previousThreadId, null, 'Previous thread ID');
+      t.match(result.warnings[0], /^Recovered thread \w+ by messageId \(no stored thread ID\)$/, 'Warning');
+      t.equal(scenario.manager.getThreadInfo().threadMeta.recovered.method, 'messageId', 'Recovery recorded');
+    });
+
+    suite.test('A stale thread ID is replaced by the thread it lost track of', t => {
+      const scenario = groupScenario('Integration Test - Stale Thread ID');
+      scenario.send('<p>Day 1</p>');
+
+      scenario.manager.stateStore.set(scenario.manager.stateKeys.threadId, 'ffff0000');
+      const result = scenario.send('<p>Day 2</p>');
+
+      scenario.expectThreadedSend(t, result);
+      t.deepEqual([result.recovery.method, result.previousThreadId], ['messageId', 'ffff0000'], 'Recovery');
+      t.equal(scenario.manager.getThreadInfo().currentThreadId, scenario.threadId, 'Stored thread ID');
+    });
+
+    suite.test('Without any stored state the stream header finds the thread, not another stream', t => {
+      const scenario = groupScenario('Integration Test - Shared Subject');
+      scenario.send('<p>Day 1</p>');
+
+      // A second stream with the same subject sends later, so its thread is newer
+      const EmailThreadingManager = scenario.library.get('EmailThreadingManager');
+      const other = new EmailThreadingManager({ ...scenario.config, threadIdProperty: 'otherThreadId' });
+      const otherThreadId = other.sendThreadedEmail('<p>Other stream</p>').threadId;
+
+      forget(scenario, 'threadId', 'threadMeta');
+      const result = scenario.send('<p>Day 2</p>');
+
+      scenario.expectThreadedSend(t, result);
+      t.equal(result.recovery.method, 'header', 'Recovery method');
+      t.notEqual(result.threadId, otherThreadId, 'Thread of the other stream adopted');
+    });
+
+    suite.test('Threads without the header are found by stream tag, then by subject', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: GROUP, emailSubject: 'Integration Test - Legacy', streamTag: 'ops-7' },
+        groups: { [GROUP]: MEMBERS }
+      });
+
+      // Started by an older version that stamped no header
+      scenario.gmail.sendEmail(GROUP, '[OPS-7] Integration Test - Legacy', 'Day 1');
+      const tagResult = scenario.send('<p>Day 2</p>');
+      t.equal(tagResult.recovery.method, 'streamTag', 'Recovery method with a stream tag');
+      scenario.threadId = tagResult.threadId;
+      scenario.expectThreadedSend(t, tagResult);
+
+      const plain = groupScenario('Integration Test - Legacy Subject');
+      plain.gmail.sendEmail(GROUP, 'Integration Test - Legacy Subject', 'Day 1');
+      plain.gmail.sendEmail('someone@example.org', 'Integration Test - Legacy Subject', 'Not the stream');
+      const subjectResult = plain.send('<p>Day 2</p>');
+      t.equal(subjectResult.recovery.method, 'subject', 'Recovery method by subject');
+      plain.threadId = subjectResult.threadId;
+      plain.expectThreadedSend(t, subjectResult);
+      t.equal(plain.manager.getThreadInfo().threadMeta.sendCount, 2, 'Send count rebuilt from the thread');
+    });
+
+    suite.test('A reply that fails with notFound while sending does not start a new thread', t => {
+      const scenario = groupScenario('Integration Test - Not Found On Send');
+      scenario.send('<p>Day 1</p>');
+
+      scenario.mailbox.failNext('sendEmail', 'Thread not found');
+      const result = scenario.send('<p>Day 2</p>');
+
+      t.deepEqual([result.action, result.errorType], ['failed', 'notFound'], 'Send that failed');
+      t.equal(result.recovery, null, 'Recovery attempted');
+      t.equal(scenario.mailbox.outgoing.length, 1, 'Emails sent');
+      t.equal(scenario.manager.getThreadInfo().currentThreadId, scenario.threadId, 'Stored thread ID');
+    });
+
+    suite.test('A reset, the search window and recovery: false start a new thread', t => {
+      const reset = groupScenario('Integration Test - Reset Is Kept');
+      reset.send('<p>Week 1</p>');
+      reset.manager.resetThreading();
+      const afterReset = reset.send('<p>Week 2</p>');
+      t.deepEqual([afterReset.action, afterReset.recovery], ['created', null], 'Send after a reset');
+
+      // The new thread is still found once its ID is lost, the retired one is not
+      forget(reset, 'threadId', 'threadMeta');
+      t.equal(reset.send('<p>Week 2, again</p>').threadId, afterReset.threadId, 'Thread after the reset recovered');
+
+      const old = groupScenario('Integration Test - Outside Window');
+      old.send('<p>Long ago</p>');
+      forget(old, 'threadId', 'threadMeta');
+      old.advance(45 * DAY);
+      t.equal(old.send('<p>Today</p>').action, 'created', 'Send after the window');
+
+      const disabled = new ThreadingScenario({
+        config: { recipientEmail: GROUP, emailSubject: 'Integration Test - No Recovery', recovery: false },
+        groups: { [GROUP]: MEMBERS }
+      });
+      disabled.send('<p>Day 1</p>');
+      forget(disabled, 'threadId');
+      const result = disabled.send('<p>Day 2</p>');
+      t.deepEqual([result.action, result.recovery], ['created', null], 'Send with recovery: false');
+      const record = disabled.mailbox.messages.get(disabled.mailbox.outgoing[0].messageId);
+      t.equal(record.headers['X-Email-Threading-Stream'], undefined, 'Stream header without recovery');
+    });
+  });
+
+  runner.suite('Send ledger', suite => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    suite.test('Sends, failures and outbox deliveries are recorded', t => {
+      const scenario = new ThreadingScenario({
+        config: { recipientEmail: GROUP, emailSubject: 'Integration Test - Ledger', ledger: true, outbox: true },
+        groups: { [GROUP]: MEMBERS },
+        emulator: { now: new Date(2026, 9, 14, 12) }  // A Wednesday, so the failure stays in this week
+      });
+      scenario.send('<p>Day 1</p>');
+
+      scenario.mailbox.failNext('*', 'Access denied: insufficient permission');
+      const failed = scenario.send('<p>Day 2</p>');
+      t.equal(failed.errorType, 'permission', 'Failure type');
+
+      scenario.mailbox.setRemainingQuota(0);
+      const queued = scenario.send('<p>Day 2, again</p>');
+      t.equal(queued.action, 'queued', 'Send without quota');
+
+      scenario.advance(DAY);
+      scenario.library.fireTriggers();
+
+      const history = scenario.manager.getSendHistory({ days: 30 });
+      t.deepEqual(history.map(entry => [entry.action, entry.outcome]),
+        [['replied', 'sent'], ['queued', 'queued'], ['failed', 'failed'], ['created', 'sent']], 'History, newest first');
+      t.equal(history[0].outboxId, queued.outboxId, 'Outbox ID of the delivery');
+      t.equal(history[0].correlationId, queued.correlationId, 'Delivery keeps the correlation ID of the queued send');
+      t.equal(history[0].bodyHash, history[1].bodyHash, 'Body hash of the queued and delivered email');
+      t.match(history[3].messageIdHeader, /^<.+>$/, 'Message-ID header');
+      t.equal(history[3].recipients.to, GROUP, 'Recipients');
+      t.equal(history[0].subject, 'Re: Integration Test - Ledger', 'Subject');
+
+      const failures = scenario.manager.ledger.getFailures({ since: 'week' });
+      t.deepEqual(failures.map(entry => entry.correlationId), [failed.correlationId], 'Failures this week');
+      t.equal(scenario.manager.ledger.getFailures({ since: 'today' }).length, 0, 'Failures today');
+    });
+
+    suite.test('Entries beyond the limits overflow to a sheet and stay queryable', t => {
+      const spreadsheet = fakeSpreadsheet();
+      const scenario = groupScenario('Integration Test - Ledger Overflow');
+      const EmailThreadingManager = scenario.library.get('EmailThreadingManager');
+      const manager = new EmailThreadingManager({
+        ...scenario.config,
+        ledger: { maxEntries: 2, maxAgeDays: 7, overflow: { spreadsheet: spreadsheet } }
+      });
+
+      ['Mon', 'Tue', 'Wed'].forEach(day => manager.sendThreadedEmail(`<p>${day}</p>`));
+      const rows = spreadsheet.sheets.EmailThreadingLedger.rows;
+      t.equal(rows.length, 2, 'Header and one overflow row');
+      t.equal(rows[1][2], 'created', 'Action of the overflow row');
+
+      scenario.advance(10 * DAY);
+      manager.sendThreadedEmail('<p>Later</p>');
+      t.equal(manager.ledger.getCounts()[manager.config.streamKey], 1, 'Entries left in the store');
+      t.equal(rows.length, 4, 'Rows after the age limit');
+      t.equal(manager.getSendHistory().length, 4, 'History including the sheet');
+      t.equal(manager.getSendHistory({ days: 5 }).length, 1, 'History of the last 5 days');
+    });
+
+    suite.test('Fifty streams fit the defaults and a nearly full store is left alone', t => {
+      const scenario = groupScenario('Integration Test - Ledger Budget');
+      const SendLedger = scenario.library.get('SendLedger');
+      const SendResult = scenario.library.get('SendResult');
+      const store = scenario.library.get('PropertiesStateStore').script();
+      const ledger = new SendLedger();
+
+      for (let stream = 1; stream <= 50; stream++) {
+        for (let send = 1; send <= 30; send++) {
+          ledger.record(new SendResult({
+            action: 'replied',
+            streamKey: `stream-${stream}`,
+            threadId: '18c2f0a1b2c3d4e5',
+            messageId: '18c2f0a1b2c3d4f6',
+            messageIdHeader: `<CAF${stream}x${send}abcdefghijklmnopqrstuvwxyz0123456789@mail.gmail.com>`,
+            subject: `Re: Daily Report for stream ${stream}`,
+            recipients: { to: GROUP, cc: 'Alice <alice@example.com>', bcc: '' },
+            correlationId: `7f1c9e2a-3b4d-4e5f-8a6b-${String(stream * 100 + send).padStart(12, '0')}`
+          }), { bodyHash: 'pYzWkq0F3x1n2b4Vt8Rj5s6Ue7Wo9Ya0Zc1Xd2Ef3Gh=' });
+        }
+      }
+
+      const counts = Object.values(ledger.getCounts());
+      t.equal(counts.length, 50, 'Streams in the ledger');
+      t.ok(counts.every(count => count > 0), 'A stream lost all of its history');
+      t.ok(store.getSize() <= ledger.config.maxStoreSize * 1.1, `Store size ${store.getSize()} over the ledger budget`);
+
+      // Fill the store with other state: the ledger stops, sends and thread state do not
+      const properties = scenario.emulator.globals.PropertiesService.getScriptProperties();
+      for (let n = 0; store.getSize() < 480 * 1024; n++) {
+        properties.setProperty(`other:${n}`, 'x'.repeat(8000));
+      }
+      const EmailThreadingManager = scenario.library.get('EmailThreadingManager');
+      const manager = new EmailThreadingManager({ ...scenario.config, ledger: true });
+      const result = manager.sendThreadedEmail('<p>Report</p>');
+      t.equal(result.success, true, 'Send with a nearly full store');
+      t.match(result.warnings.join('; '), /Send ledger not updated: .*minFreeSpace/, 'Ledger warning');
+      t.equal(manager.getThreadInfo().currentThreadId, result.threadId, 'Stored thread ID');
+    });
+  });
+
+  return runner;
+}
+
+module.exports = {
+  defineIntegrationScenarios
+};
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Load the Email Threading Library into a Node vm context with emulated services
+ * @version 2.0.0
+ * @description Runs the library files the way Apps Script does: every file in one
+ *              shared global scope, with GmailApp, PropertiesService and the other
+ *              services supplied by AppsScriptEmulator
+ *
+ * NOT an Apps Script file - do not copy the emulator/ folder into a script project.
+ *
+ * Usage:
+ *   const { loadEmailThreadingLibrary } = require('./emulator/loadLibrary');
+ *   const library = loadEmailThreadingLibrary();
+ *   const EmailThreadingManager = library.get('EmailThreadingManager');
+ *   const manager = new EmailThreadingManager({ ... });
+ *   manager.sendThreadedEmail('<p>Hello</p>');
+ *   library.emulator.mailbox.outgoing  // What was sent
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createAppsScriptEmulator } = require('./AppsScriptEmulator');
+
+/**
+ * Library folder (the parent of emulator/)
+ */
+const LIBRARY_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Optional folders that can be loaded alongside the library files
+ */
+const OPTIONAL_FOLDERS = {
+  examples: 'examples',
+  diagnostics: 'diagnosticts'
+};
+
+/**
+ * Load the library into a fresh context
+ * @param {Object} [options]
+ * @param {Object} [options.emulator] - Options for createAppsScriptEmulator, or an
+ *        emulator it returned (to share a mailbox between loads)
+ * @param {Array<string>} [options.include] - Extra folders: 'examples', 'diagnostics'
+ * @param {Array<string>} [options.files] - Extra files to load after the library (absolute
+ *        or relative to the library folder), e.g. your own script
+ * @param {Object} [options.globals] - Extra or replacement globals (e.g. SpreadsheetApp)
+ * @return {Object} Library handle { context, emulator, get(name), run(code), fireTriggers() }
+ */
+function loadEmailThreadingLibrary(options = {}) {
+  const emulator = options.emulator && options.emulator.globals ?
+    options.emulator :
+    createAppsScriptEmulator(options.emulator || {});
+
+  const context = vm.createContext({
+    console: console,
+    ...emulator.globals,
+    ...(options.globals || {})
+  });
+
+  installClockDate(context, emulator.clock);
+
+  listLibraryFiles(options).forEach(file => {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+
+  return {
+    context: context,
+    emulator: emulator,
+
+    /**
+     * Read a top-level name (class, function or const) from the library scope
+     * @param {string} name - e.g. 'EmailThreadingManager'
+     * @return {*} Value
+     */
+    get: name => vm.runInContext(name, context),
+
+    /**
+     * Evaluate code in the library scope
+     * @param {string} code - JavaScript source
+     * @return {*} Result of the last expression
+     */
+    run: code => vm.runInContext(code, context, { filename: 'emulator-run.js' }),
+
+    /**
+     * Call every time-driven trigger's handler once (like the trigger firing)
+     * @return {Array<Object>} { handler, result } per trigger
+     */
+    fireTriggers: () => emulator.scriptApp.getProjectTriggers().map(trigger => ({
+      handler: trigger.getHandlerFunction(),
+      result: vm.runInContext(`${trigger.getHandlerFunction()}()`, context)
+    }))
+  };
+}
+
+/**
+ * Library files in load order: the library folder's .js files, then the
+ * requested optional folders, then any extra files
+ * Apps Script gives no load order guarantee, so neither does this beyond
+ * alphabetical order.
+ * @private
+ */
+function listLibraryFiles(options) {
+  const jsFiles = dir => fs.readdirSync(dir)
+    .filter(name => name.endsWith('.js'))
+    .sort()
+    .map(name => path.join(dir, name));
+
+  const files = jsFiles(LIBRARY_DIR);
+
+  (options.include || []).forEach(folder => {
+    if (!OPTIONAL_FOLDERS[folder]) {
+      throw new Error(`Unknown folder "${folder}" (use ${Object.keys(OPTIONAL_FOLDERS).join(' or ')})`);
+    }
+    files.push(...jsFiles(path.join(LIBRARY_DIR, OPTIONAL_FOLDERS[folder])));
+  });
+
+  (options.files || []).forEach(file => {
+    files.push(path.resolve(LIBRARY_DIR, file));
+  });
+
+  return files;
+}
+
+/**
+ * Replace the context's Date so new Date() and Date.now() follow the emulator clock
+ * @private
+ */
+function installClockDate(context, clock) {
+  context.__emulatorNow = () => clock.now();
+  vm.runInContext(`
+    globalThis.Date = (function (NativeDate, now) {
+      class Date extends NativeDate {
+        constructor(...args) {
+          if (args.length === 0) {
+            super(now());
+          } else {
+            super(...args);
+          }
+        }
+
+        static now() {
+          return now();
+        }
+      }
+      return Date;
+    })(Date, __emulatorNow);
+    delete globalThis.__emulatorNow;
+  `, context);
+}
+
+module.exports = {
+  LIBRARY_DIR,
+  loadEmailThreadingLibrary
+};
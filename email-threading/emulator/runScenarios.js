@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Run the integration scenarios unattended under the emulator
+ * @version 2.0.0
+ * @description node email-threading/emulator/runScenarios.js [--verbose] [--filter=<text>] [--format=tap|junit|json]
+ *
+ * NOT an Apps Script file - do not copy the emulator/ folder into a script project.
+ *
+ * Same options and exit status as runTests.js. Scenarios are defined in
+ * integrationScenarios.js; each runs in its own fresh mailbox.
+ */
+
+'use strict';
+
+const { loadEmailThreadingLibrary } = require('./loadLibrary');
+const { defineIntegrationScenarios } = require('./integrationScenarios');
+const { parseArgs, printSummary } = require('./runTests');
+
+function main(args) {
+  const options = parseArgs(args);
+
+  // This copy of the library only runs and reports; every scenario loads its own
+  const library = loadEmailThreadingLibrary({ emulator: { echoLogs: options.verbose } });
+  const runner = library.run("new EmailThreadingTestRunner({ name: 'EmailThreadingScenarios' })");
+
+  defineIntegrationScenarios(runner);
+  const summary = runner.run({ filter: options.filter, format: options.format });
+
+  return printSummary(library, summary, options);
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Run EmailThreadingTestSuite under the emulator
+ * @version 2.0.0
+ * @description node email-threading/emulator/runTests.js [--verbose] [--filter=<text>] [--format=tap|junit|json]
+ *
+ * NOT an Apps Script file - do not copy the emulator/ folder into a script project.
+ *
+ * Exits with status 1 if any test fails. --verbose prints the full Logger output.
+ * --filter runs only tests whose "Suite > Test" name contains the text (case-insensitive).
+ * --format prints only the TAP, JUnit XML or JSON report, e.g. for a CI job:
+ *   node email-threading/emulator/runTests.js --format=junit > test-results.xml
+ */
+
+'use strict';
+
+const { loadEmailThreadingLibrary } = require('./loadLibrary');
+
+/**
+ * Read --name=value (or --name value) from the arguments
+ * @private
+ */
+function readOption(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find(arg => arg.startsWith(prefix));
+  if (inline) {
+    return inline.slice(prefix.length);
+  }
+
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+/**
+ * Read the shared command line options
+ * @return {Object} { verbose, filter, format }
+ */
+function parseArgs(args) {
+  return {
+    verbose: args.includes('--verbose'),
+    filter: readOption(args, 'filter'),
+    format: readOption(args, 'format') || 'log'
+  };
+}
+
+/**
+ * Print a run's results: the report for --format, otherwise the pass/fail lines
+ * (with --verbose the Logger output was already echoed)
+ * @return {number} Exit status
+ */
+function printSummary(library, summary, options) {
+  if (options.format !== 'log') {
+    if (!options.verbose) {
+      console.log(summary.output);
+    }
+  } else if (!options.verbose) {
+    library.emulator.logger.lines
+      .filter(line => /^(▶|\s*(✅ PASS|❌ FAIL|⏭️ SKIP))/.test(line) || /^(Total|Passed|Failed|Skipped)/.test(line))
+      .forEach(line => console.log(line));
+  }
+
+  return summary.success ? 0 : 1;
+}
+
+function main(args) {
+  const options = parseArgs(args);
+  const library = loadEmailThreadingLibrary({ emulator: { echoLogs: options.verbose } });
+
+  const suite = library.run('new EmailThreadingTestSuite()');
+  const summary = suite.runAllTests({ filter: options.filter, format: options.format });
+
+  return printSummary(library, summary, options);
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, printSummary };
@@ -23,6 +23,7 @@ const DAILY_REPORT_CONFIG = {
  * Send a daily report using the threading library
  */
 function sendDailyReport() {
+  const log = getEmailThreadingLogger('Examples');
   // Create threading manager instance
   const threadingManager = new EmailThreadingManager(DAILY_REPORT_CONFIG);
   
@@ -38,16 +39,120 @@ function sendDailyReport() {
     </div>
   `;
   
-  // Send threaded email
-  const success = threadingManager.sendThreadedEmail(htmlBody);
+  // Send threaded email (one per day, even if the trigger fires twice)
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const result = threadingManager.sendThreadedEmail(htmlBody, {
+    idempotencyKey: `dailyReport:${today}`
+  });
   
-  if (success) {
-    Logger.log('Daily report sent successfully');
+  if (result.duplicate) {
+    log.info(`Daily report for ${today} was already sent (thread ${result.threadId})`);
+  } else if (result.success) {
+    log.info(`Daily report sent successfully (${result.action}, thread ${result.threadId})`);
   } else {
-    Logger.log('Failed to send daily report');
+    log.error(`Failed to send daily report: ${result.errorMessage}`, { action: result.action });
   }
 }
 
+/**
+ * Weekly report that starts a fresh thread every ISO week, or sooner if the
+ * thread reaches 50 messages
+ */
+function sendWeeklyReport() {
+  const threadingManager = new EmailThreadingManager({
+    threadIdProperty: 'weeklyReportThreadId',
+    recipientEmail: 'team@googlegroups.com',
+    emailSubject: 'Weekly Report',
+    rotationPolicy: [
+      ThreadRotationPolicy.calendar('isoWeek', {
+        subjectTemplate: '{subject} — Week {isoWeek}, {isoWeekYear}'
+      }),
+      ThreadRotationPolicy.afterMessages(50)
+    ]
+  });
+  
+  const htmlBody = `
+    <div style="font-family: Arial, sans-serif;">
+      <h2>Weekly Report</h2>
+      <div>${generateReportData()}</div>
+    </div>
+  `;
+  
+  threadingManager.sendThreadedEmail(htmlBody);
+}
+
+// =====================================================================
+// SHARED TEMPLATES
+// =====================================================================
+
+/**
+ * Templates used by the examples below
+ * Values in {{...}} are HTML-escaped, so form answers and sheet cells are
+ * safe to insert. Only {{{body}}} and {{{footer}}} (already rendered) are raw.
+ */
+const EXAMPLE_TEMPLATES = {
+  layout: 'layout',
+  footer: 'footer',
+  templates: {
+    layout: `
+      <div style="font-family: Arial, sans-serif; max-width: 800px;">
+        {{{body}}}
+        {{{footer}}}
+      </div>
+    `,
+    
+    footer: `
+      <p style="margin-top: 20px; color: #888; font-size: 10px;">
+        Automated update{{#if scriptVersion}} - {{scriptVersion}}{{/if}}
+      </p>
+    `,
+    
+    formResponse: `
+      <h2>New Form Submission</h2>
+      <p><strong>Submitted:</strong> {{submitted}}</p>
+      <table style="border-collapse: collapse; width: 100%;">
+        {{#each fields}}
+        <tr>
+          <td style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">{{label}}:</td>
+          <td style="border: 1px solid #ddd; padding: 8px;">{{#if value}}{{value}}{{else}}N/A{{/if}}</td>
+        </tr>
+        {{/each}}
+      </table>
+    `,
+    
+    trackerUpdate: `
+      <h2>{{title}}</h2>
+      <p><strong>Comment:</strong> {{comment}}</p>
+      <p style="color: #666; font-size: 12px;">Updated: {{updated}}</p>
+      <table style="border-collapse: collapse; width: 100%;">
+        <tr>
+          {{#each header}}
+          <th style="border: 1px solid #ddd; padding: 8px; background-color: #e3f2fd; font-weight: bold;">{{this}}</th>
+          {{/each}}
+        </tr>
+        {{#each rows}}
+        <tr>
+          {{#each cells}}
+          <td style="border: 1px solid #ddd; padding: 8px; background-color: {{../background}};">{{#if this}}{{this}}{{else}}&nbsp;{{/if}}</td>
+          {{/each}}
+        </tr>
+        {{/each}}
+      </table>
+    `
+  }
+};
+
+/**
+ * Create the template engine used by the examples
+ * Templates can also live in project HTML files or in Drive:
+ *   engine.registerFile('weekly', 'WeeklyReportEmail');
+ *   engine.registerDriveFile('weekly', '1AbC...');
+ * @return {EmailTemplateEngine} Engine with the example templates
+ */
+function createExampleTemplateEngine() {
+  return new EmailTemplateEngine(EXAMPLE_TEMPLATES);
+}
+
 // =====================================================================
 // EXAMPLE 2: Form Submission Handler with Threading
 // =====================================================================
@@ -62,7 +167,8 @@ function onFormSubmit(e) {
     threadIdProperty: 'formResponseThreadId',
     recipientEmail: 'support@example.com',
     emailSubject: 'New Form Submission',
-    enableLogging: true
+    enableLogging: true,
+    templates: createExampleTemplateEngine()
   };
   
   const threadingManager = new EmailThreadingManager(formConfig);
@@ -71,56 +177,43 @@ function onFormSubmit(e) {
   const formData = e.values;
   const timestamp = new Date(e.timestamp);
   
-  // Build email content
-  const htmlBody = buildFormResponseEmail(formData, timestamp);
-  
   // Optional: Add attachments or CC
   const options = {
     cc: 'manager@example.com',
     attachments: [] // Add any attachments here
   };
   
-  // Send threaded email
-  threadingManager.sendThreadedEmail(htmlBody, options);
+  // Send threaded email - the manager renders the template
+  threadingManager.sendThreadedEmail({
+    template: 'formResponse',
+    data: buildFormResponseData(formData, timestamp)
+  }, options);
 }
 
 /**
- * Build HTML email from form data
+ * Build template data from form values
  * @param {Array} formData - Form response values
  * @param {Date} timestamp - Submission timestamp
- * @return {string} HTML email body
+ * @return {Object} Data for the formResponse template
  */
-function buildFormResponseEmail(formData, timestamp) {
-  let html = `
-    <div style="font-family: Arial, sans-serif;">
-      <h2>New Form Submission</h2>
-      <p><strong>Submitted:</strong> ${timestamp.toLocaleString()}</p>
-      <table style="border-collapse: collapse; width: 100%;">
-  `;
-  
+function buildFormResponseData(formData, timestamp) {
   // Add form fields (customize based on your form)
   const fieldNames = ['Name', 'Email', 'Message', 'Priority'];
-  formData.forEach((value, index) => {
-    if (index < fieldNames.length) {
-      html += `
-        <tr>
-          <td style="border: 1px solid #ddd; padding: 8px; font-weight: bold;">
-            ${fieldNames[index]}:
-          </td>
-          <td style="border: 1px solid #ddd; padding: 8px;">
-            ${value || 'N/A'}
-          </td>
-        </tr>
-      `;
-    }
-  });
   
-  html += `
-      </table>
-    </div>
-  `;
-  
-  return html;
+  return {
+    submitted: timestamp.toLocaleString(),
+    fields: fieldNames.map((label, index) => ({ label: label, value: formData[index] }))
+  };
+}
+
+/**
+ * Build HTML email from form data
+ * @param {Array} formData - Form response values
+ * @param {Date} timestamp - Submission timestamp
+ * @return {string} HTML email body
+ */
+function buildFormResponseEmail(formData, timestamp) {
+  return createExampleTemplateEngine().render('formResponse', buildFormResponseData(formData, timestamp));
 }
 
 // =====================================================================
@@ -147,50 +240,89 @@ class SpreadsheetTracker {
       
       // Options
       enableLogging: config.enableLogging !== false,
-      scriptVersion: config.scriptVersion || '1.0.0'
+      logging: config.logging,  // e.g. { level: 'debug' } - see createEmailThreadingLogger
+      scriptVersion: config.scriptVersion || '1.0.0',
+      alertEmail: config.alertEmail || null  // Notified when an update fails or falls back
     };
     
+    // Template engine for the email body (see SHARED TEMPLATES)
+    this.templates = config.templates || createExampleTemplateEngine();
+    
     // Initialize threading manager
     this.threadingManager = new EmailThreadingManager({
       threadIdProperty: this.config.threadIdProperty,
       recipientEmail: this.config.recipientEmail,
       emailSubject: this.config.emailSubject,
       enableLogging: this.config.enableLogging,
+      logging: this.config.logging,
       scriptVersion: this.config.scriptVersion
     });
+    
+    // Same sinks as the manager, so tracker and send entries share the stream field
+    this.logger = this.threadingManager.logger.child({ source: 'SpreadsheetTracker' });
   }
   
   /**
    * Send tracker update
+   * @return {SendResult} Outcome of the send
    */
   sendUpdate() {
-    Logger.log('Starting tracker update...');
+    this.logger.info('Starting tracker update');
+    
+    let result;
     
     try {
       // Get data from spreadsheet
       const data = this.getSpreadsheetData();
       if (!data) {
-        Logger.log('Failed to get spreadsheet data');
-        return false;
-      }
-      
-      // Create email body
-      const htmlBody = this.createEmailBody(data);
-      
-      // Send threaded email
-      const success = this.threadingManager.sendThreadedEmail(htmlBody);
-      
-      if (success) {
-        Logger.log('✅ Tracker update sent successfully');
+        this.logger.error('Failed to get spreadsheet data');
+        result = new SendResult().fail(new Error('Failed to get spreadsheet data'));
       } else {
-        Logger.log('❌ Failed to send tracker update');
+        // Create email body
+        const htmlBody = this.createEmailBody(data);
+        
+        // Send threaded email
+        result = this.threadingManager.sendThreadedEmail(htmlBody);
       }
       
-      return success;
-      
     } catch (error) {
-      Logger.log(`Error in sendUpdate: ${error.toString()}`);
-      return false;
+      this.logger.error('Error in sendUpdate', { error: error });
+      result = new SendResult().fail(error);
+    }
+    
+    if (result.success) {
+      this.logger.info(`Tracker update sent successfully (${result.action})`, { action: result.action, threadId: result.threadId });
+    } else {
+      this.logger.error(`Failed to send tracker update: ${result.errorMessage}`, { action: result.action });
+    }
+    
+    result.warnings.forEach(warning => this.logger.warn(warning, { correlationId: result.correlationId }));
+    
+    this.alertOnProblem(result);
+    
+    return result;
+  }
+  
+  /**
+   * Email the alert address when an update failed or had to start a new thread
+   * @private
+   * @param {SendResult} result - Outcome of the send
+   */
+  alertOnProblem(result) {
+    const fellBack = result.action === SEND_ACTIONS.FALLBACK_CREATED;
+    
+    if (!this.config.alertEmail || (result.success && !fellBack)) {
+      return;
+    }
+    
+    try {
+      MailApp.sendEmail(
+        this.config.alertEmail,
+        `[Tracker alert] ${this.config.emailSubject}: ${result.success ? 'new thread started' : 'send failed'}`,
+        JSON.stringify(result.toJSON(), null, 2)
+      );
+    } catch (error) {
+      this.logger.error('Could not send alert', { error: error });
     }
   }
   
@@ -206,7 +338,7 @@ class SpreadsheetTracker {
       const formSheet = spreadsheet.getSheetByName(this.config.formSheetName);
       
       if (!dataSheet || !formSheet) {
-        Logger.log('Required sheets not found');
+        this.logger.error('Required sheets not found');
         return null;
       }
       
@@ -225,7 +357,7 @@ class SpreadsheetTracker {
       return { comment, data };
       
     } catch (error) {
-      Logger.log(`Error getting spreadsheet data: ${error.toString()}`);
+      this.logger.error('Error getting spreadsheet data', { error: error });
       return null;
     }
   }
@@ -237,47 +369,17 @@ class SpreadsheetTracker {
    * @return {string} HTML email body
    */
   createEmailBody(data) {
-    const timestamp = new Date().toLocaleString();
-    
-    let html = `
-      <div style="font-family: Arial, sans-serif; max-width: 800px;">
-        <h2>${this.config.emailSubject}</h2>
-        <p><strong>Comment:</strong> ${data.comment}</p>
-        <p style="color: #666; font-size: 12px;">Updated: ${timestamp}</p>
-        <table style="border-collapse: collapse; width: 100%;">
-    `;
-    
-    // Add table rows
-    data.data.forEach((row, rowIndex) => {
-      const isHeader = rowIndex === 0;
-      const bgColor = isHeader ? '#e3f2fd' : (rowIndex % 2 === 0 ? '#f5f5f5' : '#ffffff');
-      
-      html += '<tr>';
-      row.forEach(cell => {
-        const tag = isHeader ? 'th' : 'td';
-        html += `
-          <${tag} style="
-            border: 1px solid #ddd;
-            padding: 8px;
-            background-color: ${bgColor};
-            ${isHeader ? 'font-weight: bold;' : ''}
-          ">
-            ${cell || '&nbsp;'}
-          </${tag}>
-        `;
-      });
-      html += '</tr>';
+    return this.templates.render('trackerUpdate', {
+      title: this.config.emailSubject,
+      comment: data.comment,
+      updated: new Date().toLocaleString(),
+      scriptVersion: this.config.scriptVersion,
+      header: data.data[0] || [],
+      rows: data.data.slice(1).map((cells, index) => ({
+        cells: cells,
+        background: index % 2 === 0 ? '#ffffff' : '#f5f5f5'
+      }))
     });
-    
-    html += `
-        </table>
-        <p style="margin-top: 20px; color: #888; font-size: 10px;">
-          Automated update - ${this.config.scriptVersion}
-        </p>
-      </div>
-    `;
-    
-    return html;
   }
   
   /**
@@ -296,6 +398,57 @@ class SpreadsheetTracker {
   }
 }
 
+// =====================================================================
+// EXAMPLE 3b: Many Client Threads with the Stream Registry
+// =====================================================================
+
+/**
+ * Register one stream per client (run once, or whenever clients change)
+ */
+function registerClientStreams() {
+  const log = getEmailThreadingLogger('Examples');
+  const registry = new EmailThreadRegistry({ namespace: 'clientUpdates' });
+  
+  const clients = [
+    { key: 'acme', email: 'acme-team@googlegroups.com', name: 'Acme Corp' },
+    { key: 'globex', email: 'globex@example.com', name: 'Globex' }
+  ];
+  
+  clients.forEach(client => {
+    if (!registry.hasStream(client.key)) {
+      registry.createStream(client.key, {
+        recipientEmail: client.email,
+        emailSubject: `${client.name} - Project Updates`
+      });
+      log.info(`Registered stream: ${client.key}`);
+    }
+  });
+}
+
+/**
+ * Send an update to every registered client stream
+ */
+function sendClientUpdates() {
+  const log = getEmailThreadingLogger('Examples');
+  const registry = new EmailThreadRegistry({ namespace: 'clientUpdates' });
+  
+  registry.listStreams().forEach(stream => {
+    const htmlBody = `
+      <div style="font-family: Arial, sans-serif;">
+        <h2>${stream.config.emailSubject}</h2>
+        <p>Update for ${new Date().toLocaleDateString()}</p>
+      </div>
+    `;
+    
+    const result = registry.sendToStream(stream.key, htmlBody);
+    if (result.success) {
+      log.info(`${stream.key}: ${result.action}`, { stream: stream.key, action: result.action, threadId: result.threadId });
+    } else {
+      log.error(`${stream.key}: FAILED - ${result.errorMessage}`, { stream: stream.key, action: result.action });
+    }
+  });
+}
+
 // =====================================================================
 // EXAMPLE 4: Utility Functions for Testing and Management
 // =====================================================================
@@ -304,7 +457,8 @@ class SpreadsheetTracker {
  * Test the threading library with a simple example
  */
 function testThreadingLibrary() {
-  Logger.log('=== TESTING EMAIL THREADING LIBRARY ===');
+  const log = getEmailThreadingLogger('Examples');
+  log.info('=== TESTING EMAIL THREADING LIBRARY ===');
   
   const testConfig = {
     threadIdProperty: 'testThreadId',
@@ -323,14 +477,15 @@ function testThreadingLibrary() {
     </div>
   `;
   
-  const success = manager.sendThreadedEmail(htmlBody);
-  Logger.log(`Test result: ${success ? 'SUCCESS' : 'FAILED'}`);
+  const result = manager.sendThreadedEmail(htmlBody);
+  log.info(`Test result: ${result.success ? 'SUCCESS' : 'FAILED'}`);
+  log.info(`Send result: ${JSON.stringify(result.toJSON(), null, 2)}`);
   
   // Get thread info
   const info = manager.getThreadInfo();
-  Logger.log('Thread info:', JSON.stringify(info, null, 2));
+  log.info(`Thread info: ${JSON.stringify(info, null, 2)}`);
   
-  Logger.log('=== TEST COMPLETE ===');
+  log.info('=== TEST COMPLETE ===');
 }
 
 /**
@@ -338,6 +493,7 @@ function testThreadingLibrary() {
  * @param {string} threadIdProperty - The property name to reset
  */
 function resetSpecificThread(threadIdProperty) {
+  const log = getEmailThreadingLogger('Examples');
   const manager = new EmailThreadingManager({
     threadIdProperty: threadIdProperty,
     recipientEmail: 'dummy@example.com',
@@ -345,25 +501,33 @@ function resetSpecificThread(threadIdProperty) {
   });
   
   manager.resetThreading();
-  Logger.log(`Reset complete for: ${threadIdProperty}`);
+  log.info(`Reset complete for: ${threadIdProperty}`);
 }
 
 /**
  * Get information about all threads in the system
  */
 function getAllThreadInfo() {
+  const log = getEmailThreadingLogger('Examples');
   const properties = PropertiesService.getScriptProperties();
   const allProps = properties.getProperties();
+  const registry = new EmailThreadRegistry();
   
-  Logger.log('=== ALL THREAD INFORMATION ===');
+  log.info('=== ALL THREAD INFORMATION ===');
   
+  // Streams managed by the registry
+  registry.listStreams().forEach(stream => {
+    log.info(`[stream] ${stream.key}: ${stream.state.threadId || 'No thread yet'}`);
+  });
+  
+  // Loose properties from managers created without the registry
   Object.keys(allProps).forEach(key => {
-    if (key.includes('ThreadId')) {
-      Logger.log(`${key}: ${allProps[key]}`);
+    if (key.includes('ThreadId') && !registry.ownsKey(key)) {
+      log.info(`${key}: ${allProps[key]}`);
     }
   });
   
-  Logger.log('=== END THREAD INFORMATION ===');
+  log.info('=== END THREAD INFORMATION ===');
 }
 
 // =====================================================================
@@ -375,22 +539,58 @@ function getAllThreadInfo() {
  * Use this to update existing scripts
  */
 function migrateOldThreadingCode() {
-  Logger.log('=== MIGRATION GUIDE ===');
-  Logger.log('Old approach issues:');
-  Logger.log('- reply() method ignores "to" parameter');
-  Logger.log('- Emails go to last individual replier, not group');
-  Logger.log('');
-  Logger.log('New approach benefits:');
-  Logger.log('- sendEmail() with threading headers');
-  Logger.log('- Always sends to configured recipient');
-  Logger.log('- Maintains proper threading');
-  Logger.log('');
-  Logger.log('Steps to migrate:');
-  Logger.log('1. Replace reply() calls with EmailThreadingManager');
-  Logger.log('2. Configure with your group email address');
-  Logger.log('3. Test with resetThreading() first');
-  Logger.log('4. Monitor logs to verify proper operation');
-  Logger.log('=== END MIGRATION GUIDE ===');
+  const log = getEmailThreadingLogger('Examples');
+  log.info('=== MIGRATION GUIDE ===');
+  log.info('Old approach issues:');
+  log.info('- reply() method ignores "to" parameter');
+  log.info('- Emails go to last individual replier, not group');
+  log.info('');
+  log.info('New approach benefits:');
+  log.info('- sendEmail() with threading headers');
+  log.info('- Always sends to configured recipient');
+  log.info('- Maintains proper threading');
+  log.info('');
+  log.info('Steps to migrate:');
+  log.info('1. Replace reply() calls with EmailThreadingManager');
+  log.info('2. Configure with your group email address');
+  log.info('3. Test with resetThreading() first');
+  log.info('4. Monitor logs to verify proper operation');
+  log.info('=== END MIGRATION GUIDE ===');
+}
+
+// =====================================================================
+// EXAMPLE 6: Logging to Cloud Logging and a Spreadsheet
+// =====================================================================
+
+/**
+ * Send every manager's entries to Cloud Logging, and warnings and errors to a sheet
+ * Call at the top of a trigger function, before creating managers.
+ */
+function configureExampleLogging() {
+  configureEmailThreadingLogging({
+    level: 'info',
+    sinks: [
+      'console',  // Structured entries: filter by jsonPayload.stream or jsonPayload.correlationId
+      { type: 'spreadsheet', sheetName: 'Email Log', level: 'warn', maxRows: 2000 }
+    ]
+  });
+}
+
+/**
+ * Send the daily report and show every entry the send wrote
+ */
+function debugDailyReport() {
+  const memory = new MemoryLogSink();
+  const manager = new EmailThreadingManager({
+    ...DAILY_REPORT_CONFIG,
+    logging: { level: 'debug', sinks: ['logger', memory] }
+  });
+  
+  const result = manager.sendThreadedEmail('<p>Debug run</p>');
+  const entries = memory.find({ correlationId: result.correlationId });
+  
+  Logger.log(`${entries.length} entries for send ${result.correlationId}:`);
+  entries.forEach(entry => Logger.log(`  ${entry.level} ${entry.action || '-'} ${entry.message}`));
 }
 
 // =====================================================================